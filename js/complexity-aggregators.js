@@ -0,0 +1,411 @@
+/**
+ * 📄 File: complexity-aggregators.js
+ * Purpose: Registry of scalar aggregators (weighted mean and alternatives)
+ * Created: 2026-10-19
+ * Used by: complexity-math.js (computeScalarAverage), complexity-state.js (getScalar),
+ *          VectorDisplay (aggregator selector)
+ */
+
+// === CONFIG ===
+// 🛠️ Aggregator Defaults
+export const DEFAULT_AGGREGATOR = 'mean';
+const DEFAULT_POWER = 2;
+const DEFAULT_LEX_RESOLUTION = 0.01;  // Values closer than this tie on a priority level
+const MAX_CAPACITY_PILLARS = 12;  // Choquet capacities are checked over all 2^n subsets
+
+// 🧪 Numerics
+const EPSILON = 1e-9;
+const GRADIENT_STEP = 1e-6;  // Finite-difference step for uncertainty propagation
+
+/**
+ * Aggregator definition.
+ *
+ * @typedef {Object} Aggregator
+ * @property {string} id
+ * @property {string} label        Shown in selectors and chart legends
+ * @property {string} description  One-line explanation for tooltips
+ * @property {Object} [defaults]   Default params
+ * @property {function(number[], number[], Object, string[]|null): number} compute
+ *           (values, normalized weights, params, pillar keys) -> scalar
+ * @property {function(Object, number, Object): string|null} [validate]
+ *           (params, pillar count, { weights, keys }) -> error message or null
+ */
+
+const registry = new Map();
+
+/**
+ * 🧠 Function: normalizeWeights
+ * Role: Scale weights to sum to 1
+ * Inputs: Weights array (or null for uniform), pillar count
+ * Returns: Array summing to 1
+ * Notes: Throws on negative weights or a zero sum
+ */
+export function normalizeWeights(weights, size) {
+    const w = weights || new Array(size).fill(1 / size);
+    if (w.length !== size) {
+        throw new Error(`Expected ${size} weights, got ${w.length}`);
+    }
+    if (w.some(wi => wi < 0)) {
+        throw new Error('Weights must be non-negative');
+    }
+    const sum = w.reduce((a, b) => a + b, 0);
+    if (sum <= 0) {
+        throw new Error('Weights must have a positive sum');
+    }
+    return w.map(wi => wi / sum);
+}
+
+/**
+ * 🧠 Function: registerAggregator
+ * Role: Add (or replace) an aggregator
+ * Inputs: Aggregator definition
+ * Returns: None
+ */
+export function registerAggregator(definition) {
+    if (!definition || typeof definition.id !== 'string' || !definition.id) {
+        throw new Error('Aggregator needs a string id');
+    }
+    if (typeof definition.compute !== 'function') {
+        throw new Error(`Aggregator ${definition.id} needs a compute function`);
+    }
+    registry.set(definition.id, Object.freeze({
+        label: definition.id,
+        description: '',
+        defaults: {},
+        ...definition
+    }));
+}
+
+/**
+ * 🧠 Function: getAggregator
+ * Role: Look up a registered aggregator
+ * Inputs: Aggregator id
+ * Returns: Aggregator definition
+ * Notes: Throws for unknown ids
+ */
+export function getAggregator(id) {
+    const aggregator = registry.get(id);
+    if (!aggregator) {
+        throw new Error(`Unknown aggregator: ${id}`);
+    }
+    return aggregator;
+}
+
+/**
+ * 🧠 Function: listAggregators
+ * Role: Registered aggregators in registration order
+ * Returns: Array of { id, label, description }
+ */
+export function listAggregators() {
+    return [...registry.values()].map(({ id, label, description }) => ({ id, label, description }));
+}
+
+/**
+ * 🧠 Function: resolveAggregator
+ * Role: Normalize an aggregator spec
+ * Inputs: Id string, { id, params }, or null for the default
+ * Returns: { id, params } with defaults filled in
+ */
+export function resolveAggregator(spec) {
+    const { id = DEFAULT_AGGREGATOR, params = {} } =
+        typeof spec === 'string' ? { id: spec } : (spec || {});
+    const aggregator = getAggregator(id);
+    return { id, params: { ...aggregator.defaults, ...params } };
+}
+
+/**
+ * 🧠 Function: validateAggregatorSpec
+ * Role: Check an aggregator spec for a pillar count
+ * Inputs: Spec, pillar count, path prefix, context { weights, keys }
+ * Returns: Array of { path, message } (empty when valid)
+ */
+export function validateAggregatorSpec(spec, size, prefix = 'aggregator', context = {}) {
+    const id = typeof spec === 'string' ? spec : spec?.id;
+    if (typeof id !== 'string' || !registry.has(id)) {
+        return [{ path: prefix, message: `unknown aggregator ${id}` }];
+    }
+    if (typeof spec === 'object' && spec.params !== undefined &&
+        (spec.params === null || typeof spec.params !== 'object' || Array.isArray(spec.params))) {
+        return [{ path: `${prefix}.params`, message: 'must be an object' }];
+    }
+
+    const { params } = resolveAggregator(spec);
+    const weights = context.weights ? normalizeWeights(context.weights, size) : null;
+    const message = registry.get(id).validate?.(params, size, { weights, keys: context.keys || null }) ?? null;
+    return message ? [{ path: `${prefix}.params`, message }] : [];
+}
+
+/**
+ * 🧠 Function: aggregate
+ * Role: Collapse a value array to one scalar
+ * Inputs: Values, weights (null for uniform), aggregator spec, pillar keys
+ *         (lets params name pillars by key)
+ * Returns: Scalar
+ * Notes: Throws on invalid params
+ */
+export function aggregate(values, weights, spec, keys = null) {
+    const { id, params } = resolveAggregator(spec);
+    const aggregator = registry.get(id);
+    const w = normalizeWeights(weights, values.length);
+    const message = aggregator.validate?.(params, values.length, { weights: w, keys });
+    if (message) {
+        throw new Error(`Aggregator ${id}: ${message}`);
+    }
+    return aggregator.compute(values, w, params, keys);
+}
+
+/**
+ * 🧠 Function: propagateUncertainty
+ * Role: Standard deviation of an aggregate from per-value deviations
+ * Inputs: Values, weights, spec, sigma array, pillar keys, pillar ranges
+ *         ([min, max] per value; null for [0, 1])
+ * Returns: sqrt(Σ (∂f/∂xᵢ σᵢ)²), with finite differences for ∂f/∂xᵢ
+ * Notes: First-order propagation assuming independent errors; exact for
+ *        the weighted mean, approximate at kinks (min, max, OWA, Choquet)
+ *        and meaningless for the stepwise lexicographic scalar. Steps are
+ *        clamped to the range, so a value on an edge gets a one-sided
+ *        difference (geometric/harmonic/power reject values below 0).
+ *        That difference spans σᵢ rather than GRADIENT_STEP: slopes such
+ *        as the geometric mean's at 0 are unbounded, and the secant over
+ *        one deviation is the change the error can actually cause.
+ */
+export function propagateUncertainty(values, weights, spec, sigma, keys = null, ranges = null) {
+    const f = x => aggregate(x, weights, spec, keys);
+    return Math.sqrt(values.reduce((total, value, i) => {
+        if (!sigma[i]) return total;
+        const [min, max] = ranges ? ranges[i] : [0, 1];
+        const atEdge = value - GRADIENT_STEP < min || value + GRADIENT_STEP > max;
+        const step = atEdge ? Math.max(GRADIENT_STEP, sigma[i]) : GRADIENT_STEP;
+        const up = [...values];
+        const down = [...values];
+        up[i] = Math.min(max, value + step);
+        down[i] = Math.max(min, value - step);
+        if (up[i] <= down[i]) return total;
+        const gradient = (f(up) - f(down)) / (up[i] - down[i]);
+        return total + (gradient * sigma[i]) ** 2;
+    }, 0));
+}
+
+/**
+ * 🧠 Function: resolveIndices
+ * Role: Map pillar keys or indices to indices
+ * Inputs: Array of keys/indices, pillar keys (optional)
+ * Returns: Array of indices
+ */
+function resolveIndices(list, keys) {
+    return list.map(entry => (typeof entry === 'number' ? entry : keys?.indexOf(entry)));
+}
+
+/**
+ * 🧠 Function: buildCapacity
+ * Role: 2-additive capacity from weights and pairwise interactions
+ * Inputs: Normalized weights, interactions { 'i+j': value } (indices or keys), pillar keys
+ * Returns: Function (bitmask) -> μ(subset), normalized so μ(all) = 1
+ * Notes: Positive interactions model synergy (both pillars needed),
+ *        negative ones redundancy (either pillar is enough)
+ */
+function buildCapacity(weights, interactions, keys) {
+    const pairs = Object.entries(interactions || {}).map(([pair, value]) => {
+        const [i, j] = resolveIndices(pair.split('+').map(p => (/^\d+$/.test(p) ? Number(p) : p)), keys);
+        return { i, j, value };
+    });
+
+    const raw = mask => {
+        let total = 0;
+        weights.forEach((w, i) => {
+            if (mask & (1 << i)) total += w;
+        });
+        pairs.forEach(({ i, j, value }) => {
+            if ((mask & (1 << i)) && (mask & (1 << j))) total += value;
+        });
+        return total;
+    };
+    const full = raw((1 << weights.length) - 1);
+    return mask => raw(mask) / full;
+}
+
+/**
+ * 🧠 Function: checkCapacity
+ * Role: Validate Choquet interaction params
+ * Inputs: Params, pillar count, context { weights, keys }
+ * Returns: Error message or null
+ * Notes: The capacity must be monotone (adding a pillar never lowers μ);
+ *        without weights the check assumes uniform ones
+ */
+function checkCapacity(params, size, { weights, keys }) {
+    if (size > MAX_CAPACITY_PILLARS) {
+        return `Choquet supports at most ${MAX_CAPACITY_PILLARS} pillars`;
+    }
+    const interactions = params.interactions || {};
+    if (typeof interactions !== 'object' || Array.isArray(interactions)) {
+        return 'interactions must be an object like { "0+1": 0.1 }';
+    }
+    for (const [pair, value] of Object.entries(interactions)) {
+        const parts = pair.split('+').map(p => (/^\d+$/.test(p) ? Number(p) : p));
+        const [i, j] = resolveIndices(parts, keys);
+        if (parts.length !== 2 || !(i >= 0 && i < size) || !(j >= 0 && j < size) || i === j) {
+            return `interaction "${pair}" must name two different pillars`;
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            return `interaction "${pair}" must be a number`;
+        }
+    }
+
+    const capacity = buildCapacity(weights || normalizeWeights(null, size), interactions, keys);
+    if (!Number.isFinite(capacity((1 << size) - 1))) {
+        return 'interactions cancel the capacity of the full set';
+    }
+    for (let mask = 0; mask < (1 << size); mask++) {
+        for (let i = 0; i < size; i++) {
+            if (!(mask & (1 << i)) && capacity(mask | (1 << i)) < capacity(mask) - EPSILON) {
+                return 'interactions make the capacity non-monotone';
+            }
+        }
+    }
+    return null;
+}
+
+// === Built-in aggregators ===
+
+registerAggregator({
+    id: 'mean',
+    label: 'Weighted mean',
+    description: 'Σ wᵢxᵢ; strong pillars fully compensate weak ones',
+    compute: (x, w) => x.reduce((sum, v, i) => sum + v * w[i], 0)
+});
+
+registerAggregator({
+    id: 'geometric',
+    label: 'Geometric mean',
+    description: 'Π xᵢ^wᵢ; any zero pillar gives zero',
+    compute: (x, w) => {
+        if (x.some(v => v < 0)) {
+            throw new Error('Geometric mean needs non-negative values');
+        }
+        if (x.some((v, i) => v === 0 && w[i] > 0)) return 0;
+        return Math.exp(x.reduce((sum, v, i) => sum + (w[i] > 0 ? w[i] * Math.log(v) : 0), 0));
+    }
+});
+
+registerAggregator({
+    id: 'harmonic',
+    label: 'Harmonic mean',
+    description: '1 / Σ (wᵢ/xᵢ); dominated by the weakest pillars',
+    compute: (x, w) => {
+        if (x.some(v => v < 0)) {
+            throw new Error('Harmonic mean needs non-negative values');
+        }
+        if (x.some((v, i) => v === 0 && w[i] > 0)) return 0;
+        return 1 / x.reduce((sum, v, i) => sum + (w[i] > 0 ? w[i] / v : 0), 0);
+    }
+});
+
+registerAggregator({
+    id: 'min',
+    label: 'Minimum',
+    description: 'Weakest pillar (pillars with zero weight are ignored)',
+    compute: (x, w) => Math.min(...x.filter((_, i) => w[i] > 0))
+});
+
+registerAggregator({
+    id: 'max',
+    label: 'Maximum',
+    description: 'Strongest pillar (pillars with zero weight are ignored)',
+    compute: (x, w) => Math.max(...x.filter((_, i) => w[i] > 0))
+});
+
+registerAggregator({
+    id: 'power',
+    label: 'Power mean',
+    description: '(Σ wᵢxᵢ^p)^(1/p); p=1 mean, p→0 geometric, p=-1 harmonic',
+    defaults: { p: DEFAULT_POWER },
+    validate: (params) => (typeof params.p === 'number' && Number.isFinite(params.p)
+        ? null : 'p must be a finite number'),
+    compute: (x, w, { p }) => {
+        if (Math.abs(p) < EPSILON) {
+            return getAggregator('geometric').compute(x, w);
+        }
+        if (p < 0 && x.some((v, i) => v === 0 && w[i] > 0)) return 0;
+        if (x.some(v => v < 0)) {
+            throw new Error('Power mean needs non-negative values');
+        }
+        return Math.pow(x.reduce((sum, v, i) => sum + w[i] * Math.pow(v, p), 0), 1 / p);
+    }
+});
+
+registerAggregator({
+    id: 'owa',
+    label: 'OWA',
+    description: 'Ordered weighted average: weights apply to ranks, best first',
+    defaults: { owaWeights: null },
+    validate: (params, size) => {
+        const owa = params.owaWeights;
+        if (owa === null) return null;
+        if (!Array.isArray(owa) || owa.length !== size || owa.some(v => typeof v !== 'number' || v < 0) ||
+            owa.reduce((a, b) => a + b, 0) <= 0) {
+            return `owaWeights must be ${size} non-negative numbers with a positive sum`;
+        }
+        return null;
+    },
+    // Without owaWeights the pillar weights are reused by rank
+    compute: (x, w, { owaWeights }) => {
+        const ranked = [...x].sort((a, b) => b - a);
+        const rankWeights = normalizeWeights(owaWeights || w, x.length);
+        return ranked.reduce((sum, v, i) => sum + v * rankWeights[i], 0);
+    }
+});
+
+registerAggregator({
+    id: 'choquet',
+    label: 'Choquet integral',
+    description: 'Weighted mean with pairwise synergy (+) or redundancy (−) between pillars',
+    defaults: { interactions: {} },
+    validate: checkCapacity,
+    compute: (x, w, { interactions }, keys) => {
+        const capacity = buildCapacity(w, interactions, keys);
+        const order = x.map((v, i) => i).sort((a, b) => x[a] - x[b]);
+
+        // Σ (x₍ₖ₎ - x₍ₖ₋₁₎) μ({pillars at or above rank k})
+        let mask = (1 << x.length) - 1;
+        let previous = 0;
+        return order.reduce((sum, i) => {
+            const term = (x[i] - previous) * capacity(mask);
+            previous = x[i];
+            mask &= ~(1 << i);
+            return sum + term;
+        }, 0);
+    }
+});
+
+registerAggregator({
+    id: 'lexicographic',
+    label: 'Lexicographic',
+    description: 'Compares the top-priority pillar first, later pillars only break ties',
+    defaults: { order: null, resolution: DEFAULT_LEX_RESOLUTION },
+    validate: (params, size, { keys }) => {
+        if (!(params.resolution > 0 && params.resolution <= 1)) {
+            return 'resolution must be in (0, 1]';
+        }
+        if (params.order !== null) {
+            const order = Array.isArray(params.order) ? resolveIndices(params.order, keys) : null;
+            if (!order || order.length !== size || new Set(order).size !== size ||
+                order.some(i => !(i >= 0 && i < size))) {
+                return `order must list all ${size} pillars once`;
+            }
+        }
+        return null;
+    },
+    // Default priority: heaviest weight first. Values are quantized to the
+    // resolution and packed as digits, so the scalar orders like the tuple.
+    compute: (x, w, { order, resolution }, keys) => {
+        const priority = order
+            ? resolveIndices(order, keys)
+            : x.map((_, i) => i).sort((a, b) => w[b] - w[a] || a - b);
+        const levels = Math.round(1 / resolution) + 1;
+        const packed = priority.reduce((total, i) => {
+            const level = Math.round(Math.min(1, Math.max(0, x[i])) / resolution);
+            return total * levels + Math.min(level, levels - 1);
+        }, 0);
+        return packed / (Math.pow(levels, x.length) - 1);
+    }
+});
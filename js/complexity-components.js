@@ -5,16 +5,19 @@
  * Used by: Main dashboard initialization
  */
 
-import { ComplexityState, ComplexityVector } from './complexity-state.js';
+import { ComplexityState, ComplexityVector, VECTOR_EVENTS, fromUnitValues } from './complexity-state.js';
 import { ComplexityMath } from './complexity-math.js';
+import { listAggregators } from './complexity-aggregators.js';
 
 // === CONFIG ===
 // 🛠️ UI Configuration
 const DEBOUNCE_DELAY = 100; // milliseconds
 const UPDATE_ANIMATION_DURATION = 300; // milliseconds
 const SIGNAL_LOSS_THRESHOLD = 0.01;
+const INFORMATION_DISPLAY_SAMPLES = 5000;  // States per bits-lost estimate (recomputed on aggregator/weight change)
+const PARETO_QUALITY_DELAY = 250;  // ms of quiet before the Pareto indicators are recomputed
 
-// 🧪 Scenario Presets
+// 🧪 Scenario Presets (shares of each pillar's range)
 const SCENARIO_PRESETS = {
     initial: {
         name: 'Initial State',
@@ -53,15 +56,32 @@ const SCENARIO_PRESETS = {
     }
 };
 
+/**
+ * 🧠 Function: escapeHtml
+ * Role: Escape user-provided text for innerHTML templates
+ * Inputs: Any value
+ * Returns: Escaped string
+ * Notes: Branch names and operations come from user input
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 /**
  * 🧠 Class: InputPanel
  * Role: Renders and manages complexity vector controls
- * Inputs: Container ID and ComplexityState instance
+ * Inputs: Container ID, ComplexityState instance, options { portfolio }
  * Returns: Interactive control panel
- * Notes: Uses debouncing to prevent excessive updates
+ * Notes: Uses debouncing to prevent excessive updates;
+ *        sliders and operations are built from state.schema.
+ *        With a portfolio, an active-system selector is shown.
  */
 export class InputPanel {
-    constructor(container, state) {
+    constructor(container, state, options = {}) {
         // Accept either string ID or element
         this.container = typeof container === 'string'
             ? document.getElementById(container)
@@ -72,16 +92,40 @@ export class InputPanel {
         }
 
         this.state = state;
+        this.portfolio = options.portfolio || null;
         this.debounceTimer = null;
 
-        // Subscribe to state changes
-        this.unsubscribe = state.subscribe((update) => this.handleStateUpdate(update));
+        // Subscribe to changes of the vector and undo/redo position
+        this.unsubscribe = state.subscribe(VECTOR_EVENTS, (update) => this.handleStateUpdate(update));
+
+        // Keep the system selector in sync with the portfolio
+        this.unsubscribePortfolio = this.portfolio
+            ? this.portfolio.subscribe(['systemAdd', 'systemRemove', 'systemRename'], () => this.updateSystemSelector())
+            : null;
 
         // Initial render
         this.render();
         this.attachListeners();
     }
 
+    /**
+     * 🧠 Function: setState
+     * Role: Point the controls at another state (e.g. active system)
+     * Inputs: ComplexityState instance
+     * Returns: None
+     * Notes: Drops any pending slider update for the previous state
+     */
+    setState(state) {
+        clearTimeout(this.debounceTimer);
+        this.unsubscribe();
+
+        this.state = state;
+        this.unsubscribe = state.subscribe(VECTOR_EVENTS, (update) => this.handleStateUpdate(update));
+
+        this.render();
+        this.attachListeners();
+    }
+
     /**
      * 🧠 Function: render
      * Role: Create the complete panel HTML
@@ -91,6 +135,7 @@ export class InputPanel {
      */
     render() {
         const currentVector = this.state.vector.toArray();
+        const schema = this.state.schema;
 
         this.container.innerHTML = `
             <div class="bg-white rounded-lg shadow-md p-6">
@@ -98,12 +143,24 @@ export class InputPanel {
                     Complexity Vector Controls
                 </h3>
 
+                ${this.portfolio ? `
+                <!-- Active system -->
+                <div class="mb-4">
+                    <label for="system-selector" class="block text-sm font-medium text-gray-700 mb-2">
+                        Active System
+                    </label>
+                    <select id="system-selector"
+                            class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-teal-500">
+                        ${this.renderSystemOptions()}
+                    </select>
+                </div>
+                ` : ''}
+
                 <!-- Sliders for each dimension -->
                 <div class="space-y-4 mb-6">
-                    ${this.renderSlider('alg', 'Algorithmic', 0, currentVector[0])}
-                    ${this.renderSlider('info', 'Information', 1, currentVector[1])}
-                    ${this.renderSlider('dyn', 'Dynamical', 2, currentVector[2])}
-                    ${this.renderSlider('geom', 'Geometric', 3, currentVector[3])}
+                    ${schema.keys.map((key, i) =>
+                        this.renderSlider(key, schema.labels[i], i, currentVector[i])
+                    ).join('')}
                 </div>
 
                 <!-- Operation buttons -->
@@ -123,18 +180,73 @@ export class InputPanel {
                 </div>
 
                 <!-- Action buttons -->
-                <div class="grid grid-cols-2 gap-2 sm:gap-3 mt-4">
+                <div class="grid grid-cols-3 gap-2 sm:gap-3 mt-4">
                     <button id="reset-btn"
                             class="px-3 sm:px-4 py-2 bg-gray-500 text-white text-sm sm:text-base rounded-md hover:bg-gray-600 transition-colors">
                         Reset
                     </button>
                     <button id="undo-btn"
-                            class="px-3 sm:px-4 py-2 bg-blue-500 text-white text-sm sm:text-base rounded-md hover:bg-blue-600 transition-colors">
+                            class="px-3 sm:px-4 py-2 bg-blue-500 text-white text-sm sm:text-base rounded-md hover:bg-blue-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed">
                         Undo
                     </button>
+                    <button id="redo-btn"
+                            class="px-3 sm:px-4 py-2 bg-blue-500 text-white text-sm sm:text-base rounded-md hover:bg-blue-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed">
+                        Redo
+                    </button>
                 </div>
             </div>
         `;
+
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * 🧠 Function: renderSystemOptions
+     * Role: Generate option tags for the active-system selector
+     * Inputs: None
+     * Returns: HTML string
+     */
+    renderSystemOptions() {
+        const active = this.portfolio.activeName;
+        return this.portfolio.names.map(name =>
+            `<option value="${escapeHtml(name)}" ${name === active ? 'selected' : ''}>${escapeHtml(name)}</option>`
+        ).join('');
+    }
+
+    /**
+     * 🧠 Function: updateSystemSelector
+     * Role: Refresh selector options after systems change
+     * Inputs: None
+     * Returns: None (modifies DOM)
+     */
+    updateSystemSelector() {
+        const selector = this.container.querySelector('#system-selector');
+        if (selector) {
+            selector.innerHTML = this.renderSystemOptions();
+        }
+    }
+
+    /**
+     * 🧠 Function: updateHistoryButtons
+     * Role: Sync Undo/Redo enabled state with stack depth
+     * Inputs: None
+     * Returns: None (modifies DOM)
+     * Notes: Titles show how many steps are available
+     */
+    updateHistoryButtons() {
+        const undoBtn = this.container.querySelector('#undo-btn');
+        const redoBtn = this.container.querySelector('#redo-btn');
+        const undoDepth = this.state.history.length;
+        const redoDepth = this.state.redoStack.length;
+
+        if (undoBtn) {
+            undoBtn.disabled = undoDepth === 0;
+            undoBtn.title = `${undoDepth} step${undoDepth === 1 ? '' : 's'} to undo`;
+        }
+        if (redoBtn) {
+            redoBtn.disabled = redoDepth === 0;
+            redoBtn.title = `${redoDepth} step${redoDepth === 1 ? '' : 's'} to redo`;
+        }
     }
 
     /**
@@ -145,6 +257,9 @@ export class InputPanel {
      * Notes: Includes live value display
      */
     renderSlider(id, label, index, value) {
+        const [min, max] = this.state.schema.ranges[index];
+        const step = (max - min) / 100;
+
         return `
             <div class="slider-group">
                 <label for="slider-${id}" class="flex justify-between text-sm font-medium text-gray-700 mb-1">
@@ -157,11 +272,11 @@ export class InputPanel {
                        id="slider-${id}"
                        data-index="${index}"
                        data-pillar="${id}"
-                       min="0" max="1" step="0.01"
+                       min="${min}" max="${max}" step="${step}"
                        value="${value}"
                        aria-label="${label} complexity value"
-                       aria-valuemin="0"
-                       aria-valuemax="1"
+                       aria-valuemin="${min}"
+                       aria-valuemax="${max}"
                        aria-valuenow="${value}"
                        class="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer slider-teal">
             </div>
@@ -176,12 +291,13 @@ export class InputPanel {
      * Notes: Each button improves a specific pillar
      */
     renderOperationButtons() {
-        const operations = [
-            { id: 'improve-alg', pillar: 'alg', label: 'Improve Algorithm', icon: '🧮' },
-            { id: 'improve-info', pillar: 'info', label: 'Add Information', icon: '📊' },
-            { id: 'improve-dyn', pillar: 'dyn', label: 'Increase Dynamics', icon: '⚡' },
-            { id: 'improve-geom', pillar: 'geom', label: 'Enrich Topology', icon: '🌐' }
-        ];
+        const schema = this.state.schema;
+        const operations = schema.keys.map((key, i) => ({
+            id: `improve-${key}`,
+            pillar: key,
+            label: schema.actions[i].label,
+            icon: schema.actions[i].icon
+        }));
 
         return operations.map(op => `
             <button id="${op.id}"
@@ -198,12 +314,15 @@ export class InputPanel {
      * Role: Generate preset dropdown HTML
      * Inputs: None
      * Returns: HTML string
-     * Notes: Includes descriptions in dropdown
+     * Notes: Only presets matching the schema dimension are listed
      */
     renderPresets() {
-        const options = Object.entries(SCENARIO_PRESETS).map(([key, preset]) =>
-            `<option value="${key}">${preset.name} - ${preset.description}</option>`
-        ).join('');
+        const size = this.state.schema.size;
+        const options = Object.entries(SCENARIO_PRESETS)
+            .filter(([, preset]) => preset.vector.length === size)
+            .map(([key, preset]) =>
+                `<option value="${key}">${preset.name} - ${preset.description}</option>`
+            ).join('');
 
         return `
             <select id="preset-selector"
@@ -234,6 +353,12 @@ export class InputPanel {
             btn.addEventListener('click', (e) => this.handleOperation(e));
         });
 
+        // Active system selector
+        const systemSelector = this.container.querySelector('#system-selector');
+        if (systemSelector) {
+            systemSelector.addEventListener('change', (e) => this.portfolio.setActive(e.target.value));
+        }
+
         // Preset selector
         const presetSelector = this.container.querySelector('#preset-selector');
         if (presetSelector) {
@@ -251,6 +376,12 @@ export class InputPanel {
         if (undoBtn) {
             undoBtn.addEventListener('click', () => this.handleUndo());
         }
+
+        // Redo button
+        const redoBtn = this.container.querySelector('#redo-btn');
+        if (redoBtn) {
+            redoBtn.addEventListener('click', () => this.handleRedo());
+        }
     }
 
     /**
@@ -326,7 +457,8 @@ export class InputPanel {
         console.log('Preset data:', preset);
 
         if (preset) {
-            const newVector = new ComplexityVector(...preset.vector);
+            const schema = this.state.schema;
+            const newVector = new ComplexityVector(fromUnitValues(preset.vector, schema), schema);
 
             // Set scenario name in state
             this.state.currentScenario = preset.name;
@@ -368,31 +500,45 @@ export class InputPanel {
         }
     }
 
+    /**
+     * 🧠 Function: handleRedo
+     * Role: Re-apply the last undone state
+     * Inputs: None
+     * Returns: None
+     * Notes: Uses state redo stack
+     */
+    handleRedo() {
+        const success = this.state.redo();
+        if (!success) {
+            console.log('Nothing to redo');
+        }
+    }
+
     /**
      * 🧠 Function: handleStateUpdate
      * Role: React to external state changes
      * Inputs: Update event object
      * Returns: None
-     * Notes: Updates sliders to match new state
+     * Notes: Updates sliders and undo/redo buttons to match new state
      */
     handleStateUpdate(update) {
-        // Update sliders to match new state
-        if (update.type === 'vectorUpdate' || update.type === 'undo' || update.type === 'import') {
-            const vector = this.state.vector.toArray();
-            const keys = ['alg', 'info', 'dyn', 'geom'];
+        this.updateHistoryButtons();
 
-            keys.forEach((key, index) => {
-                const slider = this.container.querySelector(`#slider-${key}`);
-                const display = this.container.querySelector(`#value-${key}`);
-
-                if (slider && slider.value !== vector[index].toString()) {
-                    slider.value = vector[index];
-                }
-                if (display) {
-                    display.textContent = vector[index].toFixed(3);
-                }
-            });
-        }
+        // Update sliders to match new state
+        const vector = this.state.vector.toArray();
+        const keys = this.state.schema.keys;
+
+        keys.forEach((key, index) => {
+            const slider = this.container.querySelector(`#slider-${key}`);
+            const display = this.container.querySelector(`#value-${key}`);
+
+            if (slider && slider.value !== vector[index].toString()) {
+                slider.value = vector[index];
+            }
+            if (display) {
+                display.textContent = vector[index].toFixed(3);
+            }
+        });
     }
 
     /**
@@ -406,6 +552,9 @@ export class InputPanel {
         if (this.unsubscribe) {
             this.unsubscribe();
         }
+        if (this.unsubscribePortfolio) {
+            this.unsubscribePortfolio();
+        }
         clearTimeout(this.debounceTimer);
         this.container.innerHTML = '';
     }
@@ -416,10 +565,11 @@ export class InputPanel {
  * Role: Shows current vector state and signal loss
  * Inputs: Container ID and ComplexityState instance
  * Returns: Reactive display component
- * Notes: Updates automatically on state changes
+ * Notes: Updates automatically on state changes; the aggregator selector
+ *        switches the state's scalar (mean, geometric, OWA, ...)
  */
 export class VectorDisplay {
-    constructor(container, state) {
+    constructor(container, state, options = {}) {
         // Accept either string ID or element
         this.container = typeof container === 'string'
             ? document.getElementById(container)
@@ -430,15 +580,88 @@ export class VectorDisplay {
         }
 
         this.state = state;
+        this.portfolio = options.portfolio || null;
+        this.paretoReference = options.paretoReference || null;
+        this.seed = options.seed ?? null;
+        this.informationLoss = null;  // { key, result } cache
+        this.paretoQuality = null;  // { key, html } cache
+        this.paretoTimer = null;
         this.previousVector = state.vector.clone();
+        this.subscribeState();
 
-        // Subscribe to state changes
-        this.unsubscribe = state.subscribe((update) => this.update(update));
+        // Other systems move the portfolio's Pareto set
+        this.unsubscribePortfolio = this.portfolio
+            ? this.portfolio.subscribe([...VECTOR_EVENTS, 'systemAdd', 'systemRemove'], (update) => {
+                if (update.system !== this.portfolio.activeName) this.render();
+            })
+            : null;
+
+        // Delegated: the selector is re-created on every render
+        this.handleChange = (e) => this.onAggregatorChange(e);
+        this.container.addEventListener('change', this.handleChange);
 
         // Initial render
         this.render();
     }
 
+    /**
+     * 🧠 Function: onAggregatorChange
+     * Role: Apply the aggregator selector and power-mean exponent
+     * Inputs: Change event
+     * Returns: None
+     * Notes: Invalid choices are reported inline and leave the state unchanged
+     */
+    onAggregatorChange(e) {
+        if (e.target.id !== 'aggregator-selector' && e.target.id !== 'aggregator-power') return;
+
+        const id = this.container.querySelector('#aggregator-selector').value;
+        const power = this.container.querySelector('#aggregator-power');
+        const spec = id === 'power' && power
+            ? { id, params: { p: Number(power.value) } }
+            : (id === this.state.aggregator.id ? this.state.aggregator : id);
+
+        try {
+            this.state.setAggregator(spec);
+        } catch (error) {
+            const status = this.container.querySelector('#aggregator-status');
+            if (status) status.textContent = error.message;
+        }
+    }
+
+    /**
+     * 🧠 Function: subscribeState
+     * Role: Listen to the events this display depends on
+     * Inputs: None
+     * Returns: None
+     * Notes: Vector changes move the signal-loss baseline; weight changes only re-render
+     */
+    subscribeState() {
+        const unsubscribeVector = this.state.subscribe(VECTOR_EVENTS, (update) => this.update(update));
+        const unsubscribeWeights = this.state.subscribe(
+            ['weightsUpdate', 'normalizationUpdate', 'aggregatorUpdate', 'batch'],
+            () => this.render()
+        );
+        this.unsubscribe = () => {
+            unsubscribeVector();
+            unsubscribeWeights();
+        };
+    }
+
+    /**
+     * 🧠 Function: setState
+     * Role: Display another state (e.g. active system)
+     * Inputs: ComplexityState instance
+     * Returns: None
+     * Notes: Resets the signal-loss baseline to the new vector
+     */
+    setState(state) {
+        this.unsubscribe();
+        this.state = state;
+        this.previousVector = state.vector.clone();
+        this.subscribeState();
+        this.render();
+    }
+
     /**
      * 🧠 Function: update
      * Role: Handle state updates
@@ -448,12 +671,8 @@ export class VectorDisplay {
      */
     update(update) {
         // Store previous for signal loss calculation
-        if (update.type === 'vectorUpdate') {
-            this.render();
-            this.previousVector = this.state.vector.clone();
-        } else if (update.type === 'weightsUpdate') {
-            this.render();
-        }
+        this.render();
+        this.previousVector = this.state.vector.clone();
     }
 
     /**
@@ -466,6 +685,7 @@ export class VectorDisplay {
     render() {
         const vector = this.state.vector;
         const scalar = this.state.getScalar();
+        const scalarSigma = this.state.getScalarUncertainty();
         const signalLoss = this.calculateCurrentSignalLoss();
         const stats = this.state.getStatistics();
 
@@ -477,7 +697,7 @@ export class VectorDisplay {
 
                 <!-- Vector display -->
                 <div class="mb-4 p-4 bg-gray-50 rounded-lg">
-                    <h4 class="text-sm font-medium text-gray-600 mb-2">4D Complexity Vector</h4>
+                    <h4 class="text-sm font-medium text-gray-600 mb-2">${vector.data.length}D Complexity Vector</h4>
                     <div class="font-mono text-sm space-y-1">
                         ${this.renderVectorComponents(vector)}
                     </div>
@@ -485,20 +705,24 @@ export class VectorDisplay {
 
                 <!-- Scalar average with warning -->
                 <div class="mb-4 p-4 ${scalar > 0.5 ? 'bg-yellow-50 border-l-4 border-yellow-400' : 'bg-gray-50 rounded-lg'}">
-                    <div class="text-sm font-medium text-gray-700">
-                        Scalar Average (Information-Destroying)
+                    <div class="flex items-center justify-between text-sm font-medium text-gray-700">
+                        <span>Scalar (Information-Destroying)</span>
+                        ${this.renderAggregatorSelector()}
                     </div>
                     <div class="text-2xl font-bold ${scalar > 0.5 ? 'text-yellow-600' : 'text-gray-700'}">
-                        ${scalar.toFixed(3)}
+                        ${scalar.toFixed(3)}${vector.uncertainty ? `<span class="text-sm font-normal text-gray-500"> ± ${scalarSigma.toFixed(3)}</span>` : ''}
                     </div>
                     <div class="text-xs text-gray-500 mt-1">
-                        Weighted average loses pillar-specific information
+                        ${this.state.aggregatorLabel} loses pillar-specific information
                     </div>
+                    <div id="aggregator-status" class="text-xs text-red-600 mt-1"></div>
                 </div>
 
                 <!-- Signal loss indicator -->
                 ${this.renderSignalLoss(signalLoss)}
 
+                ${this.renderInformationLoss()}
+
                 <!-- Statistics -->
                 <div class="mt-4 p-3 bg-gray-50 rounded-lg">
                     <h4 class="text-sm font-medium text-gray-600 mb-2">Statistics</h4>
@@ -524,6 +748,8 @@ export class VectorDisplay {
                     </div>
                 </div>
 
+                ${this.renderParetoQuality()}
+
                 <!-- Operation count -->
                 <div class="mt-4 text-xs text-gray-500">
                     Operations performed: ${this.state.operationCount}
@@ -532,29 +758,198 @@ export class VectorDisplay {
         `;
     }
 
+    /**
+     * 🧠 Function: getParetoSets
+     * Role: Point sets compared by the Pareto-quality indicators
+     * Inputs: None
+     * Returns: { label, current, previous } (previous null without history)
+     * Notes: Portfolios with two or more systems compare all systems now
+     *        against the same set with the active system's previous
+     *        vector; otherwise the history path with and without the
+     *        current vector
+     */
+    getParetoSets() {
+        const previousVector = this.state.history.at(-1)?.vector || null;
+
+        if (this.portfolio && this.portfolio.systems.size > 1) {
+            const systems = [...this.portfolio.systems.values()];
+            return {
+                label: 'Portfolio',
+                current: systems.map(state => state.vector),
+                previous: previousVector
+                    ? systems.map(state => (state === this.state ? previousVector : state.vector))
+                    : null
+            };
+        }
+
+        const past = this.state.history.map(entry => entry.vector);
+        return {
+            label: 'History',
+            current: [...past, this.state.vector],
+            previous: past.length > 0 ? past : null
+        };
+    }
+
+    /**
+     * 🧠 Function: renderParetoQuality
+     * Role: Slot for the Pareto-quality indicators
+     * Inputs: None (uses state)
+     * Returns: HTML string
+     * Notes: The indicators take tens of milliseconds on long histories,
+     *        so they are cached per point set and recomputed only after
+     *        PARETO_QUALITY_DELAY without changes; until then the last
+     *        result stays on screen
+     */
+    renderParetoQuality() {
+        const sets = this.getParetoSets();
+        const key = JSON.stringify([
+            sets.label,
+            sets.current.map(vector => vector.toArray()),
+            sets.previous && sets.previous.map(vector => vector.toArray()),
+            this.paretoReference
+        ]);
+
+        clearTimeout(this.paretoTimer);
+        if (!this.paretoQuality) {
+            this.paretoQuality = { key, html: this.computeParetoQuality(sets) };
+        } else if (this.paretoQuality.key !== key) {
+            this.paretoTimer = setTimeout(() => {
+                this.paretoQuality = { key, html: this.computeParetoQuality(sets) };
+                const slot = this.container.querySelector('#pareto-quality');
+                if (slot) slot.innerHTML = this.paretoQuality.html;
+            }, PARETO_QUALITY_DELAY);
+        }
+
+        return `<div id="pareto-quality">${this.paretoQuality.html}</div>`;
+    }
+
+    /**
+     * 🧠 Function: computeParetoQuality
+     * Role: Hypervolume, additive ε and IGD+ against the previous set
+     * Inputs: { label, current, previous } from getParetoSets
+     * Returns: HTML string
+     * Notes: Pareto-compliant alternatives to comparing scalars. Errors
+     *        are shown in place so the rest of the display still renders.
+     */
+    computeParetoQuality({ label, current, previous }) {
+        let body;
+        try {
+            body = this.renderParetoIndicators(current, previous);
+        } catch (error) {
+            body = `<div class="text-red-600">${escapeHtml(error.message)}</div>`;
+        }
+
+        return `
+            <div class="mt-4 p-3 bg-gray-50 rounded-lg">
+                <h4 class="text-sm font-medium text-gray-600 mb-2">Pareto Quality (${label})</h4>
+                <div class="grid grid-cols-1 gap-1 text-xs">${body}</div>
+                ${previous ? '<div class="text-xs text-gray-400 mt-1">Compared with before the last change</div>' : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * 🧠 Function: renderParetoIndicators
+     * Role: Indicator rows for computeParetoQuality
+     * Inputs: Current set, previous set (null without history)
+     * Returns: HTML string
+     */
+    renderParetoIndicators(current, previous) {
+        const options = { reference: this.paretoReference, seed: this.seed };
+        const format = (value) => value.toFixed(3);
+
+        if (!previous) {
+            const hypervolume = ComplexityMath.computeHypervolume(current, options);
+            return `
+                <div>
+                    <span class="text-gray-500">Hypervolume:</span>
+                    <span class="font-medium ml-1">${hypervolume.exact ? '' : '≈'}${format(hypervolume.value)}</span>
+                </div>
+            `;
+        }
+
+        const { hypervolume, epsilon, igd } = ComplexityMath.compareParetoSets(current, previous, options);
+        return `
+            <div>
+                <span class="text-gray-500">Hypervolume:</span>
+                <span class="font-medium ml-1">${hypervolume.exact ? '' : '≈'}${format(hypervolume.current)}</span>
+                <span class="${hypervolume.change > 0 ? 'text-teal-600' : hypervolume.change < 0 ? 'text-red-600' : 'text-gray-400'} ml-1">
+                    (${hypervolume.change >= 0 ? '+' : ''}${format(hypervolume.change)})
+                </span>
+            </div>
+            <div title="Additive ε: shift needed for one set to cover the other (≤ 0 means it already does)">
+                <span class="text-gray-500">ε⁺ now/before:</span>
+                <span class="font-medium ml-1">${format(epsilon.currentOverPrevious)} / ${format(epsilon.previousOverCurrent)}</span>
+            </div>
+            <div title="IGD+ to the combined Pareto front (lower is better)">
+                <span class="text-gray-500">IGD⁺ now/before:</span>
+                <span class="font-medium ml-1">${format(igd.current)} / ${format(igd.previous)}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * 🧠 Function: renderAggregatorSelector
+     * Role: Aggregator dropdown (plus exponent input for the power mean)
+     * Inputs: None (uses state)
+     * Returns: HTML string
+     */
+    renderAggregatorSelector() {
+        const { id, params } = this.state.aggregator;
+        const options = listAggregators().map(aggregator => `
+            <option value="${aggregator.id}" title="${aggregator.description}" ${aggregator.id === id ? 'selected' : ''}>
+                ${aggregator.label}
+            </option>
+        `).join('');
+        const power = id === 'power'
+            ? `<input id="aggregator-power" type="number" step="0.5" value="${params.p}"
+                      class="w-14 ml-1 px-1 border border-gray-300 rounded text-xs" title="Exponent p">`
+            : '';
+
+        return `
+            <span class="flex items-center">
+                <select id="aggregator-selector" class="px-1 py-0.5 border border-gray-300 rounded text-xs">
+                    ${options}
+                </select>
+                ${power}
+            </span>
+        `;
+    }
+
     /**
      * 🧠 Function: renderVectorComponents
      * Role: Format vector components display
      * Inputs: ComplexityVector
      * Returns: HTML string
-     * Notes: Color-codes by value
+     * Notes: Color-codes by value; raw readings are shown when the vector
+     *        came from normalized input, ± σ when it carries uncertainty
      */
     renderVectorComponents(vector) {
-        const components = [
-            { key: 'alg', label: 'C_alg (Algorithmic)' },
-            { key: 'info', label: 'C_info (Information)' },
-            { key: 'dyn', label: 'C_dyn (Dynamical)' },
-            { key: 'geom', label: 'C_geom (Geometric)' }
-        ];
+        const raw = this.state.rawValues;
+        const sigma = vector.uncertainty;
+        const unit = vector.toUnitArray();
+        const components = vector.keys.map((key, i) => ({
+            key,
+            unit: unit[i],
+            label: `C_${key} (${vector.labels[i]})`,
+            raw: raw ? this.state.normalization.formatRaw(i, raw[i]) : null,
+            sigma: sigma ? sigma[i] : null
+        }));
 
         return components.map(comp => {
             const value = vector.get(comp.key);
-            const colorClass = this.getValueColor(value);
+            const colorClass = this.getValueColor(comp.unit);
+            const rawText = comp.raw
+                ? `<span class="text-gray-400 text-xs mr-2">${comp.raw}</span>`
+                : '';
+            const sigmaText = comp.sigma !== null
+                ? `<span class="text-gray-400 text-xs"> ± ${comp.sigma.toFixed(3)}</span>`
+                : '';
 
             return `
                 <div class="flex justify-between">
                     <span class="text-gray-600">${comp.label}:</span>
-                    <span class="${colorClass} font-medium">${value.toFixed(3)}</span>
+                    <span>${rawText}<span class="${colorClass} font-medium">${value.toFixed(3)}</span>${sigmaText}</span>
                 </div>
             `;
         }).join('');
@@ -563,7 +958,7 @@ export class VectorDisplay {
     /**
      * 🧠 Function: getValueColor
      * Role: Determine color class based on value
-     * Inputs: Numeric value [0,1]
+     * Inputs: Range-normalized value [0,1] (see toUnitArray)
      * Returns: Tailwind color class
      * Notes: Visual feedback for value ranges
      */
@@ -591,10 +986,70 @@ export class VectorDisplay {
         return ComplexityMath.calculateSignalLoss(
             lastHistory.vector,
             this.state.vector,
-            this.state.weights
+            this.state.weights,
+            { aggregator: this.state.aggregator }
         );
     }
 
+    /**
+     * 🧠 Function: getInformationLoss
+     * Role: Bits the scalar hides over random states
+     * Inputs: None (uses state aggregator and weights)
+     * Returns: ComplexityMath.computeInformationLoss result
+     * Notes: Independent of the current vector, so it is cached until
+     *        the aggregator, weights or schema change
+     */
+    getInformationLoss() {
+        const key = JSON.stringify([this.state.aggregator, this.state.weights, this.state.schema.keys]);
+        if (this.informationLoss?.key !== key) {
+            this.informationLoss = {
+                key,
+                result: ComplexityMath.computeInformationLoss(null, {
+                    schema: this.state.schema,
+                    aggregator: this.state.aggregator,
+                    weights: this.state.weights,
+                    samples: INFORMATION_DISPLAY_SAMPLES,
+                    pairs: INFORMATION_DISPLAY_SAMPLES,
+                    seed: this.seed
+                })
+            };
+        }
+        return this.informationLoss.result;
+    }
+
+    /**
+     * 🧠 Function: renderInformationLoss
+     * Role: "Bits lost" summary for the current aggregator
+     * Inputs: None
+     * Returns: HTML string
+     */
+    renderInformationLoss() {
+        const loss = this.getInformationLoss();
+        const percent = (value) => `${(value * 100).toFixed(0)}%`;
+
+        return `
+            <div class="mt-4 p-3 bg-gray-50 rounded-lg"
+                 title="Estimated over ${loss.samples} uniform random states, ${loss.bins} bins per pillar">
+                <h4 class="text-sm font-medium text-gray-600 mb-2">Bits Lost</h4>
+                <div class="text-sm text-gray-700">
+                    ${this.state.aggregatorLabel} hides
+                    <span class="font-bold text-red-600">${loss.conditionalEntropy.toFixed(2)}</span>
+                    of ${loss.entropy.vector.toFixed(2)} bits (${percent(loss.fractionLost)})
+                </div>
+                <div class="grid grid-cols-2 gap-2 text-xs mt-2">
+                    <div>
+                        <span class="text-gray-500">Bits kept:</span>
+                        <span class="font-medium ml-1">${loss.mutualInformation.toFixed(2)}</span>
+                    </div>
+                    <div title="Pairs where the scalar's order contradicts the vector">
+                        <span class="text-gray-500">Misordered pairs:</span>
+                        <span class="font-medium ml-1">${percent(loss.ordering.misordered)}</span>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
     /**
      * 🧠 Function: renderSignalLoss
      * Role: Display signal loss warning
@@ -642,6 +1097,851 @@ export class VectorDisplay {
         if (this.unsubscribe) {
             this.unsubscribe();
         }
+        if (this.unsubscribePortfolio) {
+            this.unsubscribePortfolio();
+        }
+        clearTimeout(this.paretoTimer);
+        this.container.removeEventListener('change', this.handleChange);
+        this.container.innerHTML = '';
+    }
+}
+
+/**
+ * 🧠 Class: HistoryNavigator
+ * Role: Small tree navigator for what-if branches
+ * Inputs: Container ID and ComplexityState instance
+ * Returns: Branch list with switch/rename/delete controls
+ * Notes: Branches are indented under the branch they forked from;
+ *        the step strip jumps to any state on the active branch
+ */
+export class HistoryNavigator {
+    constructor(container, state) {
+        // Accept either string ID or element
+        this.container = typeof container === 'string'
+            ? document.getElementById(container)
+            : container;
+
+        if (!this.container) {
+            throw new Error(`Container not found`);
+        }
+
+        this.state = state;
+        this.subscribeState();
+
+        // Delegate clicks/renames so re-rendering keeps listeners intact
+        this.handleClick = (e) => this.onClick(e);
+        this.handleChange = (e) => this.onChange(e);
+        this.container.addEventListener('click', this.handleClick);
+        this.container.addEventListener('change', this.handleChange);
+
+        // Initial render
+        this.render();
+    }
+
+    /**
+     * 🧠 Function: subscribeState
+     * Role: Listen to events that move through or edit the history tree
+     * Inputs: None
+     * Returns: None
+     */
+    subscribeState() {
+        this.unsubscribe = this.state.subscribe(
+            [...VECTOR_EVENTS, 'branchRename', 'branchDelete'],
+            (update) => this.update(update)
+        );
+    }
+
+    /**
+     * 🧠 Function: setState
+     * Role: Navigate another state's history (e.g. active system)
+     * Inputs: ComplexityState instance
+     * Returns: None
+     */
+    setState(state) {
+        this.unsubscribe();
+        this.state = state;
+        this.subscribeState();
+        this.render();
+    }
+
+    /**
+     * 🧠 Function: update
+     * Role: Re-render when the history tree may have changed
+     * Inputs: Update event from state
+     * Returns: None
+     * Notes: Only subscribed to events that touch the tree
+     */
+    update(update) {
+        this.render();
+    }
+
+    /**
+     * 🧠 Function: orderBranches
+     * Role: Depth-first ordering of branches by fork parent
+     * Inputs: Branch descriptors from state.listBranches()
+     * Returns: Array of { branch, level }
+     * Notes: Orphaned parents (pruned history) are treated as roots
+     */
+    orderBranches(branches) {
+        const ids = new Set(branches.map(b => b.id));
+        const ordered = [];
+        const visit = (parentId, level) => {
+            branches
+                .filter(b => (ids.has(b.parentBranchId) ? b.parentBranchId : null) === parentId)
+                .sort((a, b) => a.forkDepth - b.forkDepth)
+                .forEach(branch => {
+                    ordered.push({ branch, level });
+                    visit(branch.id, level + 1);
+                });
+        };
+        visit(null, 0);
+        return ordered;
+    }
+
+    /**
+     * 🧠 Function: render
+     * Role: Generate navigator HTML
+     * Inputs: None
+     * Returns: None (modifies DOM)
+     * Notes: Uses Tailwind classes for styling
+     */
+    render() {
+        const branches = this.orderBranches(this.state.listBranches());
+
+        this.container.innerHTML = `
+            <div class="bg-white rounded-lg shadow-md p-6">
+                <h3 class="text-lg font-semibold text-teal-700 mb-4">
+                    What-if Branches
+                </h3>
+
+                <ul class="space-y-2 mb-4">
+                    ${branches.map(({ branch, level }) => this.renderBranch(branch, level)).join('')}
+                </ul>
+
+                <h4 class="text-sm font-medium text-gray-700 mb-2">Active Branch Steps</h4>
+                <div class="flex flex-wrap gap-1">
+                    ${this.renderSteps()}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * 🧠 Function: renderBranch
+     * Role: Generate one branch row
+     * Inputs: Branch descriptor and nesting level
+     * Returns: HTML string
+     * Notes: Name field renames on change
+     */
+    renderBranch(branch, level) {
+        const forkNote = branch.forkId ? `forked at step ${branch.forkDepth}` : 'baseline';
+
+        return `
+            <li class="flex items-center gap-2 text-sm" style="padding-left: ${level * 16}px">
+                <span class="${branch.isActive ? 'text-teal-600' : 'text-gray-400'}">${level > 0 ? '└' : '●'}</span>
+                <input type="text"
+                       value="${escapeHtml(branch.name)}"
+                       data-branch="${branch.id}"
+                       aria-label="Branch name"
+                       class="branch-name flex-1 min-w-0 px-2 py-1 border border-gray-200 rounded ${branch.isActive ? 'font-semibold text-teal-700' : ''}">
+                <span class="text-xs text-gray-500 whitespace-nowrap">${branch.length} · ${forkNote}</span>
+                <button data-action="switch" data-branch="${branch.id}"
+                        class="px-2 py-1 bg-teal-600 text-white text-xs rounded hover:bg-teal-700 disabled:opacity-50"
+                        ${branch.isActive ? 'disabled' : ''}>
+                    Switch
+                </button>
+                <button data-action="delete" data-branch="${branch.id}"
+                        class="px-2 py-1 bg-red-500 text-white text-xs rounded hover:bg-red-600 disabled:opacity-50"
+                        ${branch.isActive ? 'disabled' : ''}>
+                    Delete
+                </button>
+            </li>
+        `;
+    }
+
+    /**
+     * 🧠 Function: renderSteps
+     * Role: Generate clickable steps from root to active head
+     * Inputs: None
+     * Returns: HTML string
+     * Notes: Current step is highlighted
+     */
+    renderSteps() {
+        const tree = this.state.historyTree;
+        const steps = tree.path(tree.activeBranch.headId);
+
+        return steps.map((node, i) => `
+            <button data-action="checkout" data-node="${node.id}"
+                    title="${escapeHtml(node.operation || 'start')}"
+                    class="w-7 h-7 text-xs rounded-full border ${node.id === tree.currentId
+                        ? 'bg-teal-600 text-white border-teal-600'
+                        : 'bg-gray-50 text-gray-600 border-gray-300 hover:border-teal-500'}">
+                ${i}
+            </button>
+        `).join('');
+    }
+
+    /**
+     * 🧠 Function: onClick
+     * Role: Handle switch/delete/checkout buttons
+     * Inputs: Click event
+     * Returns: None
+     * Notes: Branch errors (e.g. deleting a fork parent) are logged
+     */
+    onClick(event) {
+        const btn = event.target.closest('button[data-action]');
+        if (!btn) return;
+
+        try {
+            switch (btn.dataset.action) {
+                case 'switch':
+                    this.state.switchBranch(btn.dataset.branch);
+                    break;
+                case 'delete':
+                    this.state.deleteBranch(btn.dataset.branch);
+                    break;
+                case 'checkout':
+                    this.state.checkout(btn.dataset.node);
+                    break;
+            }
+        } catch (error) {
+            console.warn('Branch action failed:', error.message);
+        }
+    }
+
+    /**
+     * 🧠 Function: onChange
+     * Role: Rename a branch from its name field
+     * Inputs: Change event
+     * Returns: None
+     * Notes: Empty names are rejected and the row re-rendered
+     */
+    onChange(event) {
+        const input = event.target;
+        if (!input.classList.contains('branch-name')) return;
+
+        try {
+            this.state.nameBranch(input.dataset.branch, input.value);
+        } catch (error) {
+            console.warn('Rename failed:', error.message);
+            this.render();
+        }
+    }
+
+    /**
+     * 🧠 Function: destroy
+     * Role: Clean up component
+     * Inputs: None
+     * Returns: None
+     * Notes: Removes listeners and subscription
+     */
+    destroy() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+        }
+        this.container.removeEventListener('click', this.handleClick);
+        this.container.removeEventListener('change', this.handleChange);
+        this.container.innerHTML = '';
+    }
+}
+
+/**
+ * 🧠 Class: SessionPanel
+ * Role: Manage saved sessions (save as, load, delete, clear)
+ * Inputs: Container ID, ComplexityState instance, dashboard with persistence
+ * Returns: Session management panel
+ * Notes: Only created when the dashboard has persistence enabled;
+ *        storage errors are shown in the status line
+ */
+export class SessionPanel {
+    constructor(container, state, sessions) {
+        // Accept either string ID or element
+        this.container = typeof container === 'string'
+            ? document.getElementById(container)
+            : container;
+
+        if (!this.container) {
+            throw new Error(`Container not found`);
+        }
+
+        this.state = state;
+        this.sessions = sessions;
+        this.savedSessions = [];
+
+        this.render();
+        this.attachListeners();
+
+        // Restored session name is only known once restore finishes
+        this.sessions.ready.then(() => this.refresh());
+    }
+
+    /**
+     * 🧠 Function: render
+     * Role: Create the panel HTML
+     * Inputs: None
+     * Returns: None (modifies DOM)
+     * Notes: Uses Tailwind classes for styling
+     */
+    render() {
+        this.container.innerHTML = `
+            <div class="bg-white rounded-lg shadow-md p-6">
+                <h3 class="text-lg font-semibold text-teal-700 mb-4">
+                    Saved Sessions
+                </h3>
+
+                <div class="flex gap-2 mb-3">
+                    <select id="session-selector"
+                            aria-label="Saved sessions"
+                            class="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-teal-500">
+                        ${this.renderOptions()}
+                    </select>
+                    <button id="session-load"
+                            class="px-3 py-2 bg-teal-600 text-white text-sm rounded-md hover:bg-teal-700 transition-colors">
+                        Load
+                    </button>
+                    <button id="session-delete"
+                            class="px-3 py-2 bg-red-500 text-white text-sm rounded-md hover:bg-red-600 transition-colors">
+                        Delete
+                    </button>
+                </div>
+
+                <div class="flex gap-2 mb-3">
+                    <input id="session-name" type="text" placeholder="Session name"
+                           aria-label="New session name"
+                           class="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-teal-500">
+                    <button id="session-save"
+                            class="px-3 py-2 bg-blue-500 text-white text-sm rounded-md hover:bg-blue-600 transition-colors">
+                        Save As
+                    </button>
+                </div>
+
+                <button id="session-clear"
+                        class="w-full px-3 py-2 bg-gray-500 text-white text-sm rounded-md hover:bg-gray-600 transition-colors">
+                    Clear saved data
+                </button>
+
+                <div id="session-status" class="mt-3 text-xs text-gray-500" aria-live="polite"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * 🧠 Function: renderOptions
+     * Role: Generate session dropdown options
+     * Inputs: None
+     * Returns: HTML string
+     * Notes: Active session is preselected; corrupt records stay listed
+     *        (marked unreadable) so they can be deleted
+     */
+    renderOptions() {
+        if (this.savedSessions.length === 0) {
+            return '<option value="">No saved sessions</option>';
+        }
+
+        return this.savedSessions.map(session => `
+            <option value="${escapeHtml(session.name)}" ${session.name === this.sessions.sessionName ? 'selected' : ''}>
+                ${escapeHtml(session.name)} · ${session.corrupt ? 'unreadable' : new Date(session.savedAt).toLocaleString()}${session.degraded ? ' (no history)' : ''}
+            </option>
+        `).join('');
+    }
+
+    /**
+     * 🧠 Function: attachListeners
+     * Role: Attach button listeners
+     * Inputs: None
+     * Returns: None
+     * Notes: Each action refreshes the session list
+     */
+    attachListeners() {
+        const selector = this.container.querySelector('#session-selector');
+        const nameInput = this.container.querySelector('#session-name');
+
+        this.container.querySelector('#session-load').addEventListener('click', () =>
+            selector.value && this.run(() => this.sessions.loadSession(selector.value), `Loaded "${selector.value}"`)
+        );
+        this.container.querySelector('#session-delete').addEventListener('click', () =>
+            selector.value && this.run(() => this.sessions.deleteSession(selector.value), `Deleted "${selector.value}"`)
+        );
+        this.container.querySelector('#session-save').addEventListener('click', () => {
+            const name = nameInput.value;
+            this.run(() => this.sessions.saveSessionAs(name), `Saved "${name.trim()}"`)
+                .then(() => { nameInput.value = ''; });
+        });
+        this.container.querySelector('#session-clear').addEventListener('click', () =>
+            this.run(() => this.sessions.clearSavedData(), 'Saved data cleared')
+        );
+    }
+
+    /**
+     * 🧠 Function: run
+     * Role: Execute a session action and report the outcome
+     * Inputs: Async action, success message
+     * Returns: Promise
+     * Notes: Errors are shown instead of thrown
+     */
+    async run(action, successMessage) {
+        try {
+            await action();
+            this.showStatus(successMessage);
+        } catch (error) {
+            this.showStatus(error.message, true);
+        }
+        await this.refresh();
+    }
+
+    /**
+     * 🧠 Function: refresh
+     * Role: Reload the saved session list
+     * Inputs: None
+     * Returns: Promise
+     * Notes: Only the dropdown is re-rendered
+     */
+    async refresh() {
+        try {
+            this.savedSessions = await this.sessions.listSessions();
+        } catch (error) {
+            this.showStatus(error.message, true);
+            return;
+        }
+
+        const selector = this.container.querySelector('#session-selector');
+        if (selector) {
+            selector.innerHTML = this.renderOptions();
+        }
+    }
+
+    /**
+     * 🧠 Function: showStatus
+     * Role: Display a status or error message
+     * Inputs: Message, error flag
+     * Returns: None (modifies DOM)
+     * Notes: Called by the dashboard for autosave errors too
+     */
+    showStatus(message, isError = false) {
+        const status = this.container.querySelector('#session-status');
+        if (status) {
+            status.textContent = message;
+            status.className = `mt-3 text-xs ${isError ? 'text-red-600' : 'text-gray-500'}`;
+        }
+    }
+
+    /**
+     * 🧠 Function: destroy
+     * Role: Clean up component
+     * Inputs: None
+     * Returns: None
+     * Notes: Listeners are removed with the markup
+     */
+    destroy() {
+        this.container.innerHTML = '';
+    }
+}
+
+/**
+ * 🧠 Class: PortfolioPanel
+ * Role: Manage the systems of a ComplexityPortfolio
+ * Inputs: Container ID, ComplexityPortfolio, options { onOverlayChange }
+ * Returns: System table with add/rename/remove, overlay toggles and Pareto badges
+ * Notes: Overlay selection is view state; onOverlayChange receives the
+ *        selected system names so charts can draw them
+ */
+export class PortfolioPanel {
+    constructor(container, portfolio, options = {}) {
+        // Accept either string ID or element
+        this.container = typeof container === 'string'
+            ? document.getElementById(container)
+            : container;
+
+        if (!this.container) {
+            throw new Error(`Container not found`);
+        }
+
+        this.portfolio = portfolio;
+        this.onOverlayChange = options.onOverlayChange || (() => {});
+        this.overlay = new Set();
+
+        // Any system event can change scalars or the Pareto frontier
+        this.unsubscribe = portfolio.subscribe(
+            [...VECTOR_EVENTS, 'weightsUpdate', 'batch', 'systemAdd', 'systemRemove', 'systemRename', 'activeChange'],
+            (update) => this.update(update)
+        );
+
+        // Delegate so re-rendering keeps listeners intact
+        this.handleClick = (e) => this.onClick(e);
+        this.handleChange = (e) => this.onChange(e);
+        this.container.addEventListener('click', this.handleClick);
+        this.container.addEventListener('change', this.handleChange);
+
+        this.render();
+    }
+
+    /**
+     * 🧠 Function: update
+     * Role: Keep overlay selection valid and re-render
+     * Inputs: Update event from the portfolio
+     * Returns: None
+     * Notes: Renamed and removed systems are carried over / dropped
+     */
+    update(update) {
+        if (update.type === 'systemRename' && this.overlay.delete(update.previousName)) {
+            this.overlay.add(update.system);
+            this.onOverlayChange(this.getOverlay());
+        } else if (update.type === 'systemRemove' && this.overlay.delete(update.system)) {
+            this.onOverlayChange(this.getOverlay());
+        }
+        this.render();
+    }
+
+    /**
+     * 🧠 Function: getOverlay
+     * Role: Selected overlay systems in portfolio order
+     * Inputs: None
+     * Returns: Array of names
+     */
+    getOverlay() {
+        return this.portfolio.names.filter(name => this.overlay.has(name));
+    }
+
+    /**
+     * 🧠 Function: render
+     * Role: Generate the system table
+     * Inputs: None
+     * Returns: None (modifies DOM)
+     * Notes: ★ marks systems on the portfolio's Pareto frontier; other
+     *        systems show their front number
+     */
+    render() {
+        const systems = this.portfolio.listSystems();
+        const { ranks } = this.portfolio.computeParetoFronts();
+
+        const rows = systems.map(system => `
+            <tr class="${system.isActive ? 'bg-teal-50' : ''}">
+                <td class="py-1 pr-2">
+                    <input type="checkbox" class="system-overlay" data-system="${escapeHtml(system.name)}"
+                           ${this.overlay.has(system.name) ? 'checked' : ''}
+                           aria-label="Overlay ${escapeHtml(system.name)} on charts">
+                </td>
+                <td class="py-1 pr-2">
+                    <input type="text" value="${escapeHtml(system.name)}" data-system="${escapeHtml(system.name)}"
+                           aria-label="System name"
+                           class="system-name w-full px-1 py-0.5 text-sm border border-transparent rounded hover:border-gray-300 focus:border-teal-500 focus:outline-none">
+                </td>
+                <td class="py-1 pr-2 text-right font-mono text-sm">${system.scalar.toFixed(3)}</td>
+                <td class="py-1 pr-2 text-center" title="${ranks[system.name] === 0 ? 'Pareto-optimal: no other system is at least as good on every pillar' : `Front ${ranks[system.name] + 1}: dominated by a system on an earlier front`}">
+                    ${ranks[system.name] === 0 ? '<span class="text-amber-500">★</span>' : `<span class="text-xs text-gray-400">${ranks[system.name] + 1}</span>`}
+                </td>
+                <td class="py-1 text-right whitespace-nowrap">
+                    <button class="system-action text-xs text-teal-700 hover:underline disabled:opacity-50" data-action="activate"
+                            data-system="${escapeHtml(system.name)}" ${system.isActive ? 'disabled' : ''}>Edit</button>
+                    <button class="system-action text-xs text-red-600 hover:underline ml-2 disabled:opacity-50" data-action="remove"
+                            data-system="${escapeHtml(system.name)}" ${systems.length === 1 ? 'disabled' : ''}>Remove</button>
+                </td>
+            </tr>
+        `).join('');
+
+        this.container.innerHTML = `
+            <div class="bg-white rounded-lg shadow-md p-6">
+                <h3 class="text-lg font-semibold text-teal-700 mb-4">
+                    Portfolio (${systems.length} systems)
+                </h3>
+                <table class="w-full text-sm">
+                    <thead>
+                        <tr class="text-left text-xs text-gray-500">
+                            <th class="pb-1 pr-2" title="Overlay on charts">Overlay</th>
+                            <th class="pb-1 pr-2">System</th>
+                            <th class="pb-1 pr-2 text-right">Scalar</th>
+                            <th class="pb-1 pr-2 text-center" title="Pareto frontier">Pareto</th>
+                            <th class="pb-1"></th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                <div class="flex gap-2 mt-4">
+                    <input type="text" id="system-new-name" placeholder="New system name"
+                           aria-label="New system name"
+                           class="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-teal-500">
+                    <button class="system-action px-3 py-2 bg-teal-600 text-white text-sm rounded-md hover:bg-teal-700 transition-colors"
+                            data-action="add">Add</button>
+                </div>
+                <p id="portfolio-status" class="mt-2 text-xs text-gray-500" aria-live="polite"></p>
+            </div>
+        `;
+    }
+
+    /**
+     * 🧠 Function: onClick
+     * Role: Handle add / activate / remove buttons
+     * Inputs: Click event
+     * Returns: None
+     * Notes: Errors (duplicate names, last system) are shown in the status line
+     */
+    onClick(event) {
+        const btn = event.target.closest('.system-action');
+        if (!btn) return;
+
+        try {
+            switch (btn.dataset.action) {
+                case 'add': {
+                    const input = this.container.querySelector('#system-new-name');
+                    this.portfolio.addSystem(input.value);
+                    break;
+                }
+                case 'activate':
+                    this.portfolio.setActive(btn.dataset.system);
+                    break;
+                case 'remove':
+                    this.portfolio.removeSystem(btn.dataset.system);
+                    break;
+            }
+        } catch (error) {
+            this.showStatus(error.message);
+        }
+    }
+
+    /**
+     * 🧠 Function: onChange
+     * Role: Handle overlay toggles and renames
+     * Inputs: Change event
+     * Returns: None
+     */
+    onChange(event) {
+        const input = event.target;
+
+        if (input.classList.contains('system-overlay')) {
+            if (input.checked) {
+                this.overlay.add(input.dataset.system);
+            } else {
+                this.overlay.delete(input.dataset.system);
+            }
+            this.onOverlayChange(this.getOverlay());
+        } else if (input.classList.contains('system-name')) {
+            try {
+                this.portfolio.renameSystem(input.dataset.system, input.value);
+            } catch (error) {
+                this.render();
+                this.showStatus(error.message);
+            }
+        }
+    }
+
+    /**
+     * 🧠 Function: showStatus
+     * Role: Display an error message
+     * Inputs: Message
+     * Returns: None (modifies DOM)
+     */
+    showStatus(message) {
+        const status = this.container.querySelector('#portfolio-status');
+        if (status) {
+            status.textContent = message;
+            status.className = 'mt-2 text-xs text-red-600';
+        }
+    }
+
+    /**
+     * 🧠 Function: destroy
+     * Role: Clean up component
+     * Inputs: None
+     * Returns: None
+     * Notes: Removes listeners and subscription
+     */
+    destroy() {
+        this.unsubscribe();
+        this.container.removeEventListener('click', this.handleClick);
+        this.container.removeEventListener('change', this.handleChange);
+        this.container.innerHTML = '';
+    }
+}
+
+/**
+ * 🧠 Class: AxiomPanel
+ * Role: Run ComplexityMath.checkAxioms and list pass/fail per axiom
+ * Inputs: Container (ID or element), ComplexityState,
+ *         options { onCounterexample, samples, seed }
+ * Notes: The aggregator dropdown defaults to the state's aggregator.
+ *        "Show" hands a counterexample to onCounterexample (the dashboard
+ *        draws it on the radar); null clears it.
+ */
+export class AxiomPanel {
+    constructor(container, state, options = {}) {
+        // Accept either string ID or element
+        this.container = typeof container === 'string'
+            ? document.getElementById(container)
+            : container;
+
+        if (!this.container) {
+            throw new Error(`Container not found`);
+        }
+
+        this.state = state;
+        this.onCounterexample = options.onCounterexample || (() => {});
+        this.samples = options.samples;
+        this.seed = options.seed ?? null;
+        this.results = null;
+        this.shown = null;
+
+        // Keep the "Current" option label in sync
+        this.unsubscribe = state.subscribe('aggregatorUpdate', () => this.render());
+
+        // Delegate so re-rendering keeps listeners intact
+        this.handleClick = (e) => this.onClick(e);
+        this.container.addEventListener('click', this.handleClick);
+
+        this.render();
+    }
+
+    /**
+     * 🧠 Function: check
+     * Role: Probe the selected aggregator
+     * Inputs: None (reads the dropdown)
+     * Returns: checkAxioms result
+     * Notes: 'current' uses the state's aggregator with its parameters
+     */
+    check() {
+        const select = this.container.querySelector('#axiom-aggregator');
+        const choice = select ? select.value : 'current';
+        const spec = choice === 'current' ? this.state.aggregator : choice;
+        const label = choice === 'current'
+            ? this.state.aggregatorLabel
+            : listAggregators().find(a => a.id === choice).label;
+
+        this.results = {
+            choice,
+            label,
+            ...ComplexityMath.checkAxioms(spec, {
+                schema: this.state.schema,
+                weights: this.state.weights,
+                samples: this.samples,
+                seed: this.seed
+            })
+        };
+        this.showCounterexample(null);
+        this.render();
+        return this.results;
+    }
+
+    /**
+     * 🧠 Function: showCounterexample
+     * Role: Send one axiom's counterexample to the radar
+     * Inputs: Axiom key or null
+     * Returns: None
+     */
+    showCounterexample(key) {
+        this.shown = key;
+        this.onCounterexample(key ? this.results.axioms[key].counterexample : null);
+    }
+
+    /**
+     * 🧠 Function: render
+     * Role: Generate the selector and result list
+     * Inputs: None
+     * Returns: None (modifies DOM)
+     */
+    render() {
+        const choice = this.results ? this.results.choice : 'current';
+        const options = listAggregators().map(aggregator => `
+            <option value="${aggregator.id}" ${aggregator.id === choice ? 'selected' : ''}>${aggregator.label}</option>
+        `).join('');
+
+        const rows = this.results
+            ? Object.entries(this.results.axioms).map(([key, axiom]) => `
+                <li class="py-2 border-b border-gray-100 last:border-0">
+                    <div class="flex items-center justify-between gap-2">
+                        <span class="font-medium ${axiom.passed ? 'text-teal-700' : 'text-red-600'}">
+                            ${axiom.passed ? '✓' : '✗'} ${axiom.name}
+                        </span>
+                        <span class="text-xs text-gray-500">
+                            ${axiom.violations} / ${axiom.checked} probes failed
+                            ${axiom.counterexample ? `
+                                <button class="axiom-show ml-2 text-teal-700 hover:underline" data-axiom="${key}">
+                                    ${this.shown === key ? 'Hide' : 'Show'}
+                                </button>` : ''}
+                        </span>
+                    </div>
+                    ${axiom.counterexample ? `
+                        <div class="text-xs text-gray-600 mt-1">${escapeHtml(axiom.counterexample.message)}</div>` : ''}
+                </li>
+            `).join('')
+            : '';
+
+        this.container.innerHTML = `
+            <div class="bg-white rounded-lg shadow-md p-6">
+                <h3 class="text-lg font-semibold text-teal-700 mb-4">Axiom Checker</h3>
+                <div class="flex flex-col sm:flex-row gap-2 mb-3">
+                    <select id="axiom-aggregator" aria-label="Aggregator to check"
+                            class="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-teal-500">
+                        <option value="current" ${choice === 'current' ? 'selected' : ''}>Current (${this.state.aggregatorLabel})</option>
+                        ${options}
+                    </select>
+                    <button id="axiom-check" class="px-4 py-2 bg-teal-600 text-white text-sm rounded-md hover:bg-teal-700 transition-colors font-medium">
+                        Check axioms
+                    </button>
+                </div>
+                ${this.results ? `
+                    <p class="text-sm mb-2 ${this.results.passedAll ? 'text-teal-700' : 'text-gray-700'}">
+                        ${escapeHtml(this.results.label)}: ${this.results.passedAll
+                            ? `no violations in ${this.results.samples} samples`
+                            : 'violates at least one axiom, as the theorem predicts'}
+                    </p>
+                    <ul class="text-sm">${rows}</ul>` : `
+                    <p class="text-xs text-gray-500">
+                        Samples random vectors and searches for counterexamples to additivity,
+                        monotonicity, continuity and task-universality.
+                    </p>`}
+                <p id="axiom-status" class="mt-2 text-xs text-red-600" aria-live="polite"></p>
+            </div>
+        `;
+    }
+
+    /**
+     * 🧠 Function: onClick
+     * Role: Handle the check button and show/hide toggles
+     * Inputs: Click event
+     * Returns: None
+     * Notes: Errors (e.g. non-finite scalars) are shown in the status line
+     */
+    onClick(event) {
+        if (event.target.closest('#axiom-check')) {
+            try {
+                this.check();
+            } catch (error) {
+                this.container.querySelector('#axiom-status').textContent = error.message;
+            }
+            return;
+        }
+
+        const btn = event.target.closest('.axiom-show');
+        if (btn) {
+            this.showCounterexample(this.shown === btn.dataset.axiom ? null : btn.dataset.axiom);
+            this.render();
+        }
+    }
+
+    /**
+     * 🧠 Function: setState
+     * Role: Check another state (e.g. active system)
+     * Inputs: ComplexityState
+     * Returns: None
+     * Notes: Results describe the old state's aggregator, so they are cleared
+     */
+    setState(state) {
+        this.unsubscribe();
+        this.state = state;
+        this.unsubscribe = state.subscribe('aggregatorUpdate', () => this.render());
+        this.results = null;
+        if (this.shown) this.showCounterexample(null);
+        this.render();
+    }
+
+    /**
+     * 🧠 Function: destroy
+     * Role: Clean up component
+     * Inputs: None
+     * Returns: None
+     */
+    destroy() {
+        this.unsubscribe();
+        this.container.removeEventListener('click', this.handleClick);
         this.container.innerHTML = '';
     }
 }
@@ -0,0 +1,534 @@
+/**
+ * 📄 File: complexity-format.js
+ * Purpose: Versioned export format, validation and migrations
+ * Created: 2026-10-19
+ * Used by: complexity-state.js (export/import), persistence, archives
+ */
+
+import { validateNormalization } from './complexity-normalize.js';
+import { validateAggregatorSpec } from './complexity-aggregators.js';
+
+// === CONFIG ===
+// 🛠️ Format Version
+export const FORMAT_VERSION = 3;
+const LEGACY_VERSION = 1;  // Exports written before formatVersion existed
+const MAX_REPORTED_ERRORS = 5;  // Errors listed in the exception message
+
+/**
+ * Export format, version 3 (written by ComplexityState.export()).
+ * Version 2 had no uncertainty, normalization, aggregator, pillar actions,
+ * or per-node measuredAt, raw and uncertainty; all of them are optional,
+ * so a version-2 export is read as version 3 unchanged.
+ *
+ * @typedef {Object} ComplexityExport
+ * @property {number} formatVersion      Always 3 for this layout
+ * @property {Object} pillars            Pillar schema the export was written with
+ * @property {string[]} pillars.keys     Pillar keys; must match the importing state's schema
+ * @property {string[]} pillars.labels   Display labels
+ * @property {string[]} pillars.colors   Chart colors
+ * @property {number[][]} pillars.ranges [min, max] per pillar
+ * @property {{label: string, icon: string, description: string}[]} [pillars.actions]
+ *                                       Improvement action per pillar
+ * @property {number[]} vector           Current vector, one value per pillar
+ * @property {number[]|null} [uncertainty]  Standard deviation per pillar; null for point values
+ * @property {number[]} weights          Scalar weights, non-negative, one per pillar
+ * @property {Object<string, number>} deltas  Improvement step per pillar key
+ * @property {string|null} currentScenario    Loaded scenario name
+ * @property {Object|null} [normalization]    Raw-metric transforms keyed by pillar
+ *                                            (see complexity-normalize.js); null if unused
+ * @property {{id: string, params: Object}} [aggregator]  Scalar aggregator
+ *                                            (see complexity-aggregators.js); weighted mean if absent
+ * @property {ExportHistory|null} history      Branching history tree; null starts fresh
+ * @property {Object} metadata
+ * @property {number} metadata.sessionStartTime
+ * @property {number} metadata.operationCount
+ * @property {string|null} metadata.lastOperation
+ * @property {number} metadata.exportTime
+ *
+ * @typedef {Object} ExportHistory
+ * @property {string} rootId
+ * @property {string} currentId
+ * @property {string} activeBranchId
+ * @property {number} nextNodeId
+ * @property {number} nextBranchId
+ * @property {ExportNode[]} nodes
+ * @property {{id: string, name: string, forkId: string|null, headId: string, createdAt: number}[]} branches
+ *
+ * @typedef {Object} ExportNode
+ * @property {string} id
+ * @property {string|null} parentId
+ * @property {string} branchId
+ * @property {number[]} vector
+ * @property {string|null} operation     Operation that produced this state
+ * @property {number} timestamp         When the entry was recorded (ms since epoch)
+ * @property {number|null} [measuredAt]  Date the measurement refers to (ms since epoch), e.g.
+ *                                       a backfilled weekly reading; null if not dated
+ * @property {number[]|null} [raw]       Raw readings behind the vector; null if entered directly
+ * @property {number[]|null} [uncertainty]  Standard deviation per pillar; null for point values
+ * @property {number|null} scalar        Scalar of this vector when recorded
+ * @property {number|null} operationIndex
+ */
+
+/**
+ * 🧠 Class: ImportValidationError
+ * Role: Import failure with per-field details
+ * Inputs: Array of { path, message }
+ * Returns: Error whose errors property lists every problem
+ * Notes: Message summarizes the first few problems
+ */
+export class ImportValidationError extends Error {
+    constructor(errors) {
+        const summary = errors.slice(0, MAX_REPORTED_ERRORS)
+            .map(e => `${e.path}: ${e.message}`)
+            .join('; ');
+        const more = errors.length > MAX_REPORTED_ERRORS
+            ? ` (+${errors.length - MAX_REPORTED_ERRORS} more)`
+            : '';
+        super(`Invalid import data: ${summary}${more}`);
+        this.name = 'ImportValidationError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * 🧠 Function: detectVersion
+ * Role: Determine the format version of an export
+ * Inputs: Parsed export object
+ * Returns: Version number
+ * Notes: Missing formatVersion means a legacy (v1) export
+ */
+export function detectVersion(data) {
+    return data.formatVersion === undefined ? LEGACY_VERSION : data.formatVersion;
+}
+
+/**
+ * 🧠 Function: migrateV1
+ * Role: Upgrade a legacy export to version 2
+ * Inputs: v1 export, notes array to append to
+ * Returns: v2 export
+ * Notes: The linear history becomes a single-branch tree. Missing
+ *        weights and deltas are left out so validation reports them by
+ *        field.
+ */
+function migrateV1(data, notes) {
+    const { history = [], metadata = {}, ...rest } = data;
+
+    const migratedHistory = Array.isArray(history) && Array.isArray(data.vector)
+        ? linearHistoryToTree(history, data.vector)
+        : null;
+
+    notes.push('v1 export has no pillar schema; assuming the importing schema');
+
+    return {
+        ...rest,
+        formatVersion: 2,
+        pillars: null,
+        currentScenario: null,
+        history: migratedHistory,
+        metadata: {
+            sessionStartTime: metadata.sessionStartTime,
+            operationCount: metadata.operationCount ?? 0,
+            lastOperation: null,
+            exportTime: metadata.exportTime
+        }
+    };
+}
+
+/**
+ * 🧠 Function: linearHistoryToTree
+ * Role: Convert the v1 history list into tree JSON
+ * Inputs: History entries, current vector
+ * Returns: ExportHistory with one branch
+ * Notes: Entry i holds the state left by its operation; scalars are
+ *        derived on import
+ */
+function linearHistoryToTree(history, vector) {
+    const nodes = [];
+    const push = (entry, fields) => {
+        const id = `n${nodes.length + 1}`;
+        nodes.push({
+            id,
+            parentId: nodes.length > 0 ? nodes[nodes.length - 1].id : null,
+            branchId: 'b1',
+            vector: entry,
+            operation: fields.operation ?? null,
+            timestamp: fields.timestamp ?? null,
+            measuredAt: null,
+            raw: null,
+            scalar: null,
+            operationIndex: null
+        });
+        return id;
+    };
+
+    const states = [...history.map(h => h && h.vector), vector];
+    push(states[0], { timestamp: history[0]?.timestamp });
+    history.forEach((h, i) => push(states[i + 1], {
+        operation: h?.operation,
+        timestamp: h?.timestamp
+    }));
+
+    return {
+        rootId: nodes[0].id,
+        currentId: nodes[nodes.length - 1].id,
+        activeBranchId: 'b1',
+        nextNodeId: nodes.length + 1,
+        nextBranchId: 2,
+        nodes,
+        branches: [{
+            id: 'b1',
+            name: 'main',
+            forkId: null,
+            headId: nodes[nodes.length - 1].id,
+            createdAt: nodes[0].timestamp
+        }]
+    };
+}
+
+/**
+ * 🧠 Function: migrateV2
+ * Role: Upgrade a version-2 export to version 3
+ * Inputs: v2 export
+ * Returns: v3 export
+ * Notes: Version 3 only adds optional fields, so nothing else changes
+ */
+function migrateV2(data) {
+    return { ...data, formatVersion: 3 };
+}
+
+// Migrations keyed by the version they upgrade from
+const MIGRATIONS = {
+    1: migrateV1,
+    2: migrateV2
+};
+
+/**
+ * 🧠 Function: migrate
+ * Role: Upgrade an export to FORMAT_VERSION
+ * Inputs: Parsed export object
+ * Returns: { data, notes } with the migrated export and migration notes
+ * Notes: Throws ImportValidationError for unknown or future versions
+ */
+export function migrate(data) {
+    const notes = [];
+    let version = detectVersion(data);
+
+    if (!Number.isInteger(version) || version < LEGACY_VERSION) {
+        throw new ImportValidationError([{ path: 'formatVersion', message: `unknown version ${version}` }]);
+    }
+    if (version > FORMAT_VERSION) {
+        throw new ImportValidationError([{
+            path: 'formatVersion',
+            message: `version ${version} is newer than supported version ${FORMAT_VERSION}`
+        }]);
+    }
+
+    let migrated = data;
+    while (version < FORMAT_VERSION) {
+        migrated = MIGRATIONS[version](migrated, notes);
+        notes.push(`migrated format ${version} → ${version + 1}`);
+        version++;
+    }
+
+    return { data: migrated, notes };
+}
+
+/**
+ * 🧠 Function: checkVector
+ * Role: Validate one vector against the schema
+ * Inputs: Value, field path, schema, errors array
+ * Returns: None (appends errors)
+ */
+function checkVector(value, path, schema, errors) {
+    if (!Array.isArray(value)) {
+        errors.push({ path, message: 'must be an array of numbers' });
+        return;
+    }
+    if (value.length !== schema.size) {
+        errors.push({ path, message: `must have ${schema.size} components, got ${value.length}` });
+        return;
+    }
+    value.forEach((v, i) => {
+        const [min, max] = schema.ranges[i];
+        if (typeof v !== 'number' || isNaN(v)) {
+            errors.push({ path: `${path}[${i}]`, message: `is not a number: ${v}` });
+        } else if (v < min || v > max) {
+            errors.push({ path: `${path}[${i}]`, message: `out of range [${min},${max}]: ${v}` });
+        }
+    });
+}
+
+/**
+ * 🧠 Function: checkOptionalList
+ * Role: Validate a per-pillar number list that may be null
+ * Inputs: Value, field path, schema, errors array, options { nonNegative }
+ * Returns: None (appends errors)
+ */
+function checkOptionalList(value, path, schema, errors, options = {}) {
+    if (value === null || value === undefined) return;
+    const valid = Array.isArray(value) && value.length === schema.size &&
+        value.every(v => typeof v === 'number' && Number.isFinite(v) && (!options.nonNegative || v >= 0));
+    if (!valid) {
+        const kind = options.nonNegative ? 'non-negative numbers' : 'numbers';
+        errors.push({ path, message: `must be null or ${schema.size} ${kind}` });
+    }
+}
+
+/**
+ * 🧠 Function: checkOptionalNumber
+ * Role: Validate a number-or-null field
+ * Inputs: Value, field path, errors array
+ * Returns: None (appends errors)
+ */
+function checkOptionalNumber(value, path, errors) {
+    if (value !== null && value !== undefined && (typeof value !== 'number' || isNaN(value))) {
+        errors.push({ path, message: `must be a number or null, got ${value}` });
+    }
+}
+
+/**
+ * 🧠 Function: checkHistory
+ * Role: Validate the history tree section
+ * Inputs: History object, schema, errors array
+ * Returns: None (appends errors)
+ * Notes: Checks id uniqueness, every cross-reference, and that parent
+ *        links form a tree (each node reaches the root, no cycles)
+ */
+function checkHistory(history, schema, errors) {
+    if (typeof history !== 'object' || Array.isArray(history)) {
+        errors.push({ path: 'history', message: 'must be an object or null' });
+        return;
+    }
+    if (!Array.isArray(history.nodes) || history.nodes.length === 0) {
+        errors.push({ path: 'history.nodes', message: 'must be a non-empty array' });
+        return;
+    }
+    if (!Array.isArray(history.branches) || history.branches.length === 0) {
+        errors.push({ path: 'history.branches', message: 'must be a non-empty array' });
+        return;
+    }
+
+    const nodeIds = new Set();
+    const branchIds = new Set(history.branches.map(b => b && b.id));
+
+    history.nodes.forEach((node, i) => {
+        const path = `history.nodes[${i}]`;
+        if (!node || typeof node.id !== 'string') {
+            errors.push({ path: `${path}.id`, message: 'must be a string' });
+            return;
+        }
+        if (nodeIds.has(node.id)) {
+            errors.push({ path: `${path}.id`, message: `duplicate node id ${node.id}` });
+        }
+        nodeIds.add(node.id);
+    });
+
+    history.nodes.forEach((node, i) => {
+        if (!node) return;
+        const path = `history.nodes[${i}]`;
+        checkVector(node.vector, `${path}.vector`, schema, errors);
+        if (node.parentId !== null && !nodeIds.has(node.parentId)) {
+            errors.push({ path: `${path}.parentId`, message: `unknown node ${node.parentId}` });
+        }
+        if (!branchIds.has(node.branchId)) {
+            errors.push({ path: `${path}.branchId`, message: `unknown branch ${node.branchId}` });
+        }
+        if (node.operation !== null && node.operation !== undefined && typeof node.operation !== 'string') {
+            errors.push({ path: `${path}.operation`, message: 'must be a string or null' });
+        }
+        checkOptionalNumber(node.timestamp, `${path}.timestamp`, errors);
+        checkOptionalNumber(node.measuredAt, `${path}.measuredAt`, errors);
+        checkOptionalList(node.raw, `${path}.raw`, schema, errors);
+        checkOptionalList(node.uncertainty, `${path}.uncertainty`, schema, errors, { nonNegative: true });
+        checkOptionalNumber(node.scalar, `${path}.scalar`, errors);
+        checkOptionalNumber(node.operationIndex, `${path}.operationIndex`, errors);
+    });
+
+    history.branches.forEach((branch, i) => {
+        const path = `history.branches[${i}]`;
+        if (!branch || typeof branch.name !== 'string' || !branch.name.trim()) {
+            errors.push({ path: `${path}.name`, message: 'must be a non-empty string' });
+            return;
+        }
+        if (!nodeIds.has(branch.headId)) {
+            errors.push({ path: `${path}.headId`, message: `unknown node ${branch.headId}` });
+        }
+        if (branch.forkId !== null && !nodeIds.has(branch.forkId)) {
+            errors.push({ path: `${path}.forkId`, message: `unknown node ${branch.forkId}` });
+        }
+    });
+
+    ['rootId', 'currentId'].forEach(field => {
+        if (!nodeIds.has(history[field])) {
+            errors.push({ path: `history.${field}`, message: `unknown node ${history[field]}` });
+        }
+    });
+    if (!branchIds.has(history.activeBranchId)) {
+        errors.push({ path: 'history.activeBranchId', message: `unknown branch ${history.activeBranchId}` });
+    }
+    if (nodeIds.has(history.rootId)) {
+        checkHistoryTree(history, errors);
+    }
+}
+
+/**
+ * 🧠 Function: checkHistoryTree
+ * Role: Check that parent links form a tree under the root
+ * Inputs: History object (node ids and rootId already checked), errors array
+ * Returns: None (appends errors)
+ * Notes: A cycle would make every later path walk loop forever. Unknown
+ *        parents are reported by checkHistory and skipped here.
+ */
+function checkHistoryTree(history, errors) {
+    const parents = new Map();
+    history.nodes.forEach(node => {
+        if (node && typeof node.id === 'string' && !parents.has(node.id)) {
+            parents.set(node.id, node.parentId);
+        }
+    });
+
+    const rootIndex = history.nodes.findIndex(node => node && node.id === history.rootId);
+    if (parents.get(history.rootId) !== null) {
+        errors.push({ path: `history.nodes[${rootIndex}].parentId`, message: 'must be null for the root node' });
+    }
+
+    // Nodes known to lead to the root, so each chain is walked once
+    const reached = new Set([history.rootId]);
+    history.nodes.forEach((node, i) => {
+        if (!node || typeof node.id !== 'string') return;
+        const chain = [];
+        const seen = new Set();
+        let id = node.id;
+        while (!reached.has(id)) {
+            if (seen.has(id)) {
+                errors.push({ path: `history.nodes[${i}].parentId`, message: `parent links form a cycle through node ${id}` });
+                return;
+            }
+            seen.add(id);
+            chain.push(id);
+            const parentId = parents.get(id);
+            if (parentId === null) {
+                errors.push({ path: `history.nodes[${i}].parentId`, message: `does not lead to the root node ${history.rootId}` });
+                return;
+            }
+            if (!parents.has(parentId)) return;
+            id = parentId;
+        }
+        chain.forEach(chainId => reached.add(chainId));
+    });
+}
+
+/**
+ * 🧠 Function: validateExport
+ * Role: Validate a current-version export against a pillar schema
+ * Inputs: Export object, pillar schema
+ * Returns: Array of { path, message } (empty when valid)
+ * Notes: Collects every problem instead of stopping at the first
+ */
+export function validateExport(data, schema) {
+    const errors = [];
+
+    if (data.formatVersion !== FORMAT_VERSION) {
+        errors.push({ path: 'formatVersion', message: `must be ${FORMAT_VERSION}` });
+    }
+
+    if (data.pillars) {
+        const keys = data.pillars.keys;
+        if (!Array.isArray(keys) || keys.join() !== schema.keys.join()) {
+            errors.push({
+                path: 'pillars.keys',
+                message: `expected [${schema.keys.join(', ')}], got [${Array.isArray(keys) ? keys.join(', ') : keys}]`
+            });
+        }
+    }
+
+    checkVector(data.vector, 'vector', schema, errors);
+    checkOptionalList(data.uncertainty, 'uncertainty', schema, errors, { nonNegative: true });
+
+    if (!Array.isArray(data.weights)) {
+        errors.push({ path: 'weights', message: 'is required (array of non-negative numbers)' });
+    } else if (data.weights.length !== schema.size) {
+        errors.push({ path: 'weights', message: `must have ${schema.size} entries, got ${data.weights.length}` });
+    } else {
+        data.weights.forEach((w, i) => {
+            if (typeof w !== 'number' || isNaN(w) || w < 0) {
+                errors.push({ path: `weights[${i}]`, message: `must be a non-negative number, got ${w}` });
+            }
+        });
+        if (data.weights.reduce((a, b) => a + (Number(b) || 0), 0) <= 0) {
+            errors.push({ path: 'weights', message: 'must have a positive sum' });
+        }
+    }
+
+    if (!data.deltas || typeof data.deltas !== 'object' || Array.isArray(data.deltas)) {
+        errors.push({ path: 'deltas', message: 'is required (object keyed by pillar)' });
+    } else {
+        schema.keys.forEach(key => {
+            const d = data.deltas[key];
+            if (typeof d !== 'number' || isNaN(d)) {
+                errors.push({ path: `deltas.${key}`, message: `must be a number, got ${d}` });
+            }
+        });
+        Object.keys(data.deltas).forEach(key => {
+            if (!schema.keys.includes(key)) {
+                errors.push({ path: `deltas.${key}`, message: 'is not a pillar of this schema' });
+            }
+        });
+    }
+
+    if (data.currentScenario !== null && data.currentScenario !== undefined &&
+        typeof data.currentScenario !== 'string') {
+        errors.push({ path: 'currentScenario', message: 'must be a string or null' });
+    }
+
+    if (data.normalization !== null && data.normalization !== undefined) {
+        errors.push(...validateNormalization(data.normalization, schema));
+    }
+
+    if (data.aggregator !== null && data.aggregator !== undefined) {
+        const weightsValid = !errors.some(e => e.path.startsWith('weights'));
+        errors.push(...validateAggregatorSpec(data.aggregator, schema.size, 'aggregator', {
+            weights: weightsValid ? data.weights : null,
+            keys: schema.keys
+        }));
+    }
+
+    if (data.history !== null && data.history !== undefined) {
+        checkHistory(data.history, schema, errors);
+    }
+
+    const metadata = data.metadata || {};
+    checkOptionalNumber(metadata.sessionStartTime, 'metadata.sessionStartTime', errors);
+    checkOptionalNumber(metadata.operationCount, 'metadata.operationCount', errors);
+
+    return errors;
+}
+
+/**
+ * 🧠 Function: parseExport
+ * Role: Migrate and validate any supported export
+ * Inputs: Export object or JSON string, pillar schema
+ * Returns: { data, notes } with a valid current-version export
+ * Notes: Throws ImportValidationError listing every invalid field
+ */
+export function parseExport(input, schema) {
+    let raw = input;
+    if (typeof input === 'string') {
+        try {
+            raw = JSON.parse(input);
+        } catch (error) {
+            throw new ImportValidationError([{ path: '$', message: `not valid JSON (${error.message})` }]);
+        }
+    }
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new ImportValidationError([{ path: '$', message: 'must be an export object' }]);
+    }
+
+    const { data, notes } = migrate(raw);
+    const errors = validateExport(data, schema);
+    if (errors.length > 0) {
+        throw new ImportValidationError(errors);
+    }
+
+    return { data, notes };
+}
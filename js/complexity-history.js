@@ -0,0 +1,511 @@
+/**
+ * 📄 File: complexity-history.js
+ * Purpose: Branching what-if history tree for complexity states
+ * Created: 2026-10-19
+ * Used by: complexity-state.js (undo/redo, branches), HistoryNavigator
+ */
+
+// === CONFIG ===
+// 🛠️ Branch Defaults
+const ROOT_BRANCH_NAME = 'main';
+const BRANCH_NAME_PREFIX = 'Branch';
+
+/**
+ * 🧠 Class: HistoryTree
+ * Role: Stores every visited state as a node in a tree
+ * Inputs: Root vector and root metadata (operation, timestamp, measuredAt, raw, scalar, operationIndex)
+ * Returns: Tree with a current node and named branches
+ * Notes: A branch is a named chain of nodes ending at its head. Committing
+ *        while the current node is the active head extends the branch;
+ *        committing anywhere else (e.g. after an undo) forks a new branch.
+ */
+export class HistoryTree {
+    constructor(rootVector, meta = {}) {
+        this.nodes = new Map();
+        this.branches = new Map();
+        this.nextNodeId = 1;
+        this.nextBranchId = 1;
+        this.revision = 0;  // Bumped whenever the current path may change
+
+        const branch = this.createBranch(ROOT_BRANCH_NAME, null);
+        const root = this.createNode(rootVector, null, branch.id, meta);
+        branch.headId = root.id;
+
+        this.rootId = root.id;
+        this.currentId = root.id;
+        this.activeBranchId = branch.id;
+    }
+
+    /**
+     * 🧠 Function: createNode
+     * Role: Allocate a node and link it to its parent
+     * Inputs: Vector, parent id, branch id, metadata
+     * Returns: New node object
+     * Notes: Internal helper; vectors are stored as given (callers clone)
+     */
+    createNode(vector, parentId, branchId, meta = {}) {
+        const node = {
+            id: `n${this.nextNodeId++}`,
+            parentId,
+            children: [],
+            branchId,
+            vector,
+            operation: meta.operation ?? null,
+            timestamp: meta.timestamp ?? Date.now(),
+            measuredAt: meta.measuredAt ?? null,  // Explicit measurement date, if any
+            raw: meta.raw ?? null,  // Raw readings the vector was normalized from
+            scalar: meta.scalar ?? null,
+            operationIndex: meta.operationIndex ?? 0
+        };
+
+        this.nodes.set(node.id, node);
+        if (parentId) {
+            this.nodes.get(parentId).children.push(node.id);
+        }
+        return node;
+    }
+
+    /**
+     * 🧠 Function: createBranch
+     * Role: Register a new named branch
+     * Inputs: Branch name, fork node id
+     * Returns: Branch object (head set by caller)
+     * Notes: Internal helper
+     */
+    createBranch(name, forkId) {
+        const branch = {
+            id: `b${this.nextBranchId++}`,
+            name,
+            forkId,
+            headId: null,
+            createdAt: Date.now()
+        };
+        this.branches.set(branch.id, branch);
+        return branch;
+    }
+
+    /**
+     * 🧠 Function: current
+     * Role: Access the node the state currently points at
+     * Returns: Node object
+     */
+    get current() {
+        return this.nodes.get(this.currentId);
+    }
+
+    /**
+     * 🧠 Function: activeBranch
+     * Role: Access the branch undo/redo walk along
+     * Returns: Branch object
+     */
+    get activeBranch() {
+        return this.branches.get(this.activeBranchId);
+    }
+
+    /**
+     * 🧠 Function: commit
+     * Role: Record a new state after the current node
+     * Inputs: Vector and metadata
+     * Returns: { node, branch, branched } describing where it was stored
+     * Notes: Forks a new branch when the current node is not the active head
+     */
+    commit(vector, meta = {}) {
+        let branch = this.activeBranch;
+        let branched = false;
+
+        if (this.currentId !== branch.headId) {
+            branch = this.createBranch(this.nextBranchName(), this.currentId);
+            branched = true;
+        }
+
+        const node = this.createNode(vector, this.currentId, branch.id, meta);
+        branch.headId = node.id;
+
+        this.currentId = node.id;
+        this.activeBranchId = branch.id;
+        this.revision++;
+
+        return { node, branch, branched };
+    }
+
+    /**
+     * 🧠 Function: nextBranchName
+     * Role: Generate a unique default branch name
+     * Returns: Name string ("Branch 2", "Branch 3", ...)
+     */
+    nextBranchName() {
+        const names = new Set([...this.branches.values()].map(b => b.name));
+        let n = this.branches.size + 1;
+        while (names.has(`${BRANCH_NAME_PREFIX} ${n}`)) n++;
+        return `${BRANCH_NAME_PREFIX} ${n}`;
+    }
+
+    /**
+     * 🧠 Function: path
+     * Role: Nodes from the root down to a given node
+     * Inputs: Node id (defaults to current)
+     * Returns: Array of nodes, root first
+     */
+    path(nodeId = this.currentId) {
+        const nodes = [];
+        let node = this.nodes.get(nodeId);
+        while (node) {
+            nodes.push(node);
+            node = node.parentId ? this.nodes.get(node.parentId) : null;
+        }
+        return nodes.reverse();
+    }
+
+    /**
+     * 🧠 Function: redoPath
+     * Role: Nodes between the current node and the active head
+     * Returns: Array of nodes, next redo target first
+     * Notes: Empty when the current node is the active head
+     */
+    redoPath() {
+        const head = this.activeBranch.headId;
+        const headPath = this.path(head);
+        const index = headPath.findIndex(node => node.id === this.currentId);
+        return index >= 0 ? headPath.slice(index + 1) : [];
+    }
+
+    /**
+     * 🧠 Function: undo
+     * Role: Move to the parent node
+     * Returns: New current node, or null at the root
+     * Notes: Stays on the active branch so redo can come back
+     */
+    undo() {
+        const parentId = this.current.parentId;
+        if (!parentId) return null;
+        this.currentId = parentId;
+        this.revision++;
+        return this.current;
+    }
+
+    /**
+     * 🧠 Function: redo
+     * Role: Move one node toward the active head
+     * Returns: New current node, or null at the head
+     */
+    redo() {
+        const [next] = this.redoPath();
+        if (!next) return null;
+        this.currentId = next.id;
+        this.revision++;
+        return next;
+    }
+
+    /**
+     * 🧠 Function: listBranches
+     * Role: Summaries of every branch for navigation
+     * Returns: Array of branch descriptors, oldest first
+     * Notes: length counts the nodes owned by the branch
+     */
+    listBranches() {
+        return [...this.branches.values()].map(branch => {
+            const fork = branch.forkId ? this.nodes.get(branch.forkId) : null;
+            return {
+                id: branch.id,
+                name: branch.name,
+                headId: branch.headId,
+                forkId: branch.forkId,
+                parentBranchId: fork ? fork.branchId : null,
+                forkDepth: fork ? this.path(fork.id).length - 1 : 0,
+                length: [...this.nodes.values()].filter(n => n.branchId === branch.id).length,
+                isActive: branch.id === this.activeBranchId,
+                createdAt: branch.createdAt
+            };
+        });
+    }
+
+    /**
+     * 🧠 Function: getBranch
+     * Role: Look up a branch by id
+     * Inputs: Branch id
+     * Returns: Branch object
+     * Notes: Throws for unknown ids
+     */
+    getBranch(branchId) {
+        const branch = this.branches.get(branchId);
+        if (!branch) {
+            throw new Error(`Unknown branch: ${branchId}`);
+        }
+        return branch;
+    }
+
+    /**
+     * 🧠 Function: renameBranch
+     * Role: Give a branch a human-readable name
+     * Inputs: Branch id, new name
+     * Returns: Updated branch
+     */
+    renameBranch(branchId, name) {
+        const trimmed = String(name ?? '').trim();
+        if (!trimmed) {
+            throw new Error('Branch name cannot be empty');
+        }
+        const branch = this.getBranch(branchId);
+        branch.name = trimmed;
+        return branch;
+    }
+
+    /**
+     * 🧠 Function: switchBranch
+     * Role: Make a branch active and jump to its head
+     * Inputs: Branch id
+     * Returns: Head node
+     */
+    switchBranch(branchId) {
+        const branch = this.getBranch(branchId);
+        this.activeBranchId = branch.id;
+        this.currentId = branch.headId;
+        this.revision++;
+        return this.current;
+    }
+
+    /**
+     * 🧠 Function: checkout
+     * Role: Jump to any node
+     * Inputs: Node id
+     * Returns: Node
+     * Notes: Activates the branch owning the node, so redo leads to its head
+     */
+    checkout(nodeId) {
+        const node = this.nodes.get(nodeId);
+        if (!node) {
+            throw new Error(`Unknown history node: ${nodeId}`);
+        }
+        this.activeBranchId = node.branchId;
+        this.currentId = node.id;
+        this.revision++;
+        return node;
+    }
+
+    /**
+     * 🧠 Function: deleteBranch
+     * Role: Remove a branch and the nodes it owns
+     * Inputs: Branch id
+     * Returns: None
+     * Notes: The active branch and branches other branches fork from cannot be deleted
+     */
+    deleteBranch(branchId) {
+        const branch = this.getBranch(branchId);
+        if (branch.id === this.activeBranchId) {
+            throw new Error('Cannot delete the active branch');
+        }
+
+        const owned = [...this.nodes.values()].filter(n => n.branchId === branch.id);
+        const dependent = owned.some(node =>
+            node.children.some(childId => this.nodes.get(childId).branchId !== branch.id)
+        );
+        if (dependent) {
+            throw new Error(`Branch "${branch.name}" has branches forked from it`);
+        }
+
+        owned.forEach(node => this.removeNode(node.id));
+        this.branches.delete(branch.id);
+    }
+
+    /**
+     * 🧠 Function: removeNode
+     * Role: Drop a node and unlink it from its parent
+     * Inputs: Node id
+     * Returns: None
+     * Notes: Internal helper; does not touch children
+     */
+    removeNode(nodeId) {
+        const node = this.nodes.get(nodeId);
+        if (!node) return;
+        const parent = node.parentId ? this.nodes.get(node.parentId) : null;
+        if (parent) {
+            parent.children = parent.children.filter(id => id !== nodeId);
+        }
+        this.nodes.delete(nodeId);
+        this.revision++;
+    }
+
+    /**
+     * 🧠 Function: prune
+     * Role: Cap the depth of the current path
+     * Inputs: Maximum number of ancestors to keep
+     * Returns: Number of nodes removed
+     * Notes: Re-roots along the current path; nodes and branches that are
+     *        no longer reachable from the new root are discarded
+     */
+    prune(maxDepth) {
+        const path = this.path();
+        const excess = path.length - 1 - maxDepth;
+        if (excess <= 0) return 0;
+
+        const newRoot = path[excess];
+        const keep = new Set();
+        const stack = [newRoot.id];
+        while (stack.length > 0) {
+            const id = stack.pop();
+            keep.add(id);
+            stack.push(...this.nodes.get(id).children);
+        }
+
+        const before = this.nodes.size;
+        [...this.nodes.keys()].forEach(id => {
+            if (!keep.has(id)) this.nodes.delete(id);
+        });
+        newRoot.parentId = null;
+        this.rootId = newRoot.id;
+        this.revision++;
+
+        [...this.branches.values()].forEach(branch => {
+            if (!keep.has(branch.headId)) {
+                this.branches.delete(branch.id);
+            }
+        });
+        this.reassignOrphans();
+
+        return before - this.nodes.size;
+    }
+
+    /**
+     * 🧠 Function: reassignOrphans
+     * Role: Give nodes of dropped branches to the branch below them
+     * Returns: None
+     * Notes: Walking leaves-first, an orphan takes a child's branch; the
+     *        active branch is preferred so it stays one chain. An orphan with
+     *        no children left (a leaf that headed no branch) is dropped, unless
+     *        it is the root or current node, which join the active branch.
+     *        Fork points are then recomputed from each branch's topmost node.
+     */
+    reassignOrphans() {
+        const order = [];
+        const queue = [this.rootId];
+        while (queue.length > 0) {
+            const node = this.nodes.get(queue.shift());
+            order.push(node);
+            queue.push(...node.children);
+        }
+
+        order.reverse().forEach(node => {
+            if (this.branches.has(node.branchId)) return;
+            const children = node.children.map(id => this.nodes.get(id));
+            if (children.length === 0) {
+                if (node.id === this.rootId || node.id === this.currentId) {
+                    node.branchId = this.activeBranchId;
+                } else {
+                    this.removeNode(node.id);
+                }
+                return;
+            }
+            const owner = children.find(c => c.branchId === this.activeBranchId) || children[0];
+            node.branchId = owner.branchId;
+        });
+
+        this.branches.forEach(branch => {
+            let top = this.nodes.get(branch.headId);
+            while (top.parentId && this.nodes.get(top.parentId).branchId === branch.id) {
+                top = this.nodes.get(top.parentId);
+            }
+            branch.forkId = top.parentId;
+        });
+    }
+
+    /**
+     * 🧠 Function: toJSON
+     * Role: Serialize the tree
+     * Returns: Plain object with array vectors
+     * Notes: Child links are rebuilt from parentId on load
+     */
+    toJSON() {
+        return {
+            rootId: this.rootId,
+            currentId: this.currentId,
+            activeBranchId: this.activeBranchId,
+            nextNodeId: this.nextNodeId,
+            nextBranchId: this.nextBranchId,
+            nodes: [...this.nodes.values()].map(node => ({
+                id: node.id,
+                parentId: node.parentId,
+                branchId: node.branchId,
+                vector: node.vector.toArray(),
+                uncertainty: node.vector.getUncertainty(),
+                operation: node.operation,
+                timestamp: node.timestamp,
+                measuredAt: node.measuredAt,
+                raw: node.raw,
+                scalar: node.scalar,
+                operationIndex: node.operationIndex
+            })),
+            branches: [...this.branches.values()].map(branch => ({ ...branch }))
+        };
+    }
+
+    /**
+     * 🧠 Function: fromJSON
+     * Role: Rebuild a tree from toJSON() output
+     * Inputs: Serialized tree, vector factory ((array, uncertainty) -> vector)
+     * Returns: HistoryTree instance
+     * Notes: Throws on dangling references and on parent links that do
+     *        not form a tree under the root (path() would loop forever)
+     */
+    static fromJSON(data, toVector) {
+        const tree = Object.create(HistoryTree.prototype);
+        tree.nodes = new Map();
+        tree.branches = new Map();
+
+        data.branches.forEach(branch => tree.branches.set(branch.id, { ...branch }));
+        data.nodes.forEach(node => {
+            tree.nodes.set(node.id, {
+                ...node,
+                measuredAt: node.measuredAt ?? null,
+                raw: node.raw ?? null,
+                vector: toVector(node.vector, node.uncertainty ?? null),
+                children: []
+            });
+        });
+        tree.nodes.forEach(node => {
+            if (node.parentId) {
+                const parent = tree.nodes.get(node.parentId);
+                if (!parent) {
+                    throw new Error(`History node ${node.id} has unknown parent ${node.parentId}`);
+                }
+                parent.children.push(node.id);
+            }
+        });
+
+        tree.rootId = data.rootId;
+        tree.currentId = data.currentId;
+        tree.activeBranchId = data.activeBranchId;
+        tree.nextNodeId = data.nextNodeId;
+        tree.nextBranchId = data.nextBranchId;
+        tree.revision = 0;
+
+        if (!tree.nodes.has(tree.rootId) || !tree.nodes.has(tree.currentId)) {
+            throw new Error('History tree is missing its root or current node');
+        }
+        if (tree.nodes.get(tree.rootId).parentId !== null) {
+            throw new Error(`History root ${tree.rootId} has a parent`);
+        }
+        const reached = new Set([tree.rootId]);
+        tree.nodes.forEach(node => {
+            const chain = [];
+            let current = node;
+            while (!reached.has(current.id)) {
+                if (chain.includes(current.id) || !current.parentId) {
+                    throw new Error(`History node ${node.id} does not lead to the root`);
+                }
+                chain.push(current.id);
+                current = tree.nodes.get(current.parentId);
+            }
+            chain.forEach(id => reached.add(id));
+        });
+        if (!tree.branches.has(tree.activeBranchId)) {
+            throw new Error(`History tree has unknown active branch ${tree.activeBranchId}`);
+        }
+        tree.branches.forEach(branch => {
+            if (!tree.nodes.has(branch.headId)) {
+                throw new Error(`Branch ${branch.id} has unknown head ${branch.headId}`);
+            }
+        });
+
+        return tree;
+    }
+}
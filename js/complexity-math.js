@@ -5,16 +5,90 @@
  * Used by: Dashboard components and visualizations
  */
 
-import { ComplexityVector } from './complexity-state.js';
+import { ComplexityVector, DEFAULT_SCHEMA, createPillarSchema, CONFIDENCE_Z } from './complexity-state.js';
+import { aggregate, propagateUncertainty, normalizeWeights } from './complexity-aggregators.js';
+import { resolveRandom, normal, dirichlet } from './complexity-random.js';
 
 // === CONFIG ===
 // 🛠️ Mathematical Constants
 const EPSILON = 1e-6;
-const DEFAULT_WEIGHTS = [0.25, 0.25, 0.25, 0.25];
+const WEIGHTED_DISTANCE_WEIGHTS = [0.3, 0.3, 0.2, 0.2];  // Four-pillar schema only
 
 // 🧪 Parameters for calculations
 const SIGNAL_LOSS_THRESHOLD = 0.01;
-const PARETO_MAX_POINTS = 100;
+const PARETO_MAX_POINTS = 100;  // Points per front in chart data (thinned by crowding distance)
+const PARETO_DIRECTIONS = ['max', 'min'];
+
+// 🧪 Information-theoretic signal loss
+const INFORMATION_SAMPLES = 20000;  // States drawn when no set is given
+const INFORMATION_BINS = 4;  // Equal-frequency bins per pillar (cells grow as bins^pillars)
+const INFORMATION_SCALAR_BINS = 16;  // Equal-frequency bins for the scalar
+const INFORMATION_PAIRS = 20000;  // Pairs checked for ordering errors (all pairs if fewer)
+
+// 🧪 Pareto-quality indicators
+const HYPERVOLUME_EXACT_DIMENSIONS = 4;  // Exact slicing up to this many pillars, Monte Carlo above
+const HYPERVOLUME_SAMPLES = 20000;  // Monte Carlo samples for the approximation
+
+// 🧪 Axiom checker
+const AXIOM_SAMPLES = 200;  // Random probes per axiom
+const AXIOM_TOLERANCE = 1e-9;  // Differences below this count as equal
+const MONOTONICITY_STEP = 0.05;  // Fraction of the pillar range added when probing
+const CONTINUITY_GRID = 32;  // Points evaluated along each probe segment
+const CONTINUITY_BISECTIONS = 40;  // Halvings used to localize a jump
+const CONTINUITY_JUMP = 1e-4;  // Change that survives bisection counts as a discontinuity
+
+// 🧪 Cycle search
+const CYCLE_STEPS = 5;  // Improvement steps per searched cycle
+const CYCLE_MIN_GAIN = 0.05;  // Smallest gain on a step's target pillar
+const CYCLE_MAX_GAIN = 0.15;  // Largest gain on a step's target pillar
+const CYCLE_MAX_COST = 0.1;  // Largest loss a step may cause on one other pillar
+const CYCLE_GAIN_RATIO = 2;  // A step's gain must be at least this multiple of its total cost
+const CYCLE_ATTEMPTS = 50;  // Randomized restarts after the greedy attempt
+const CYCLE_TOP_CANDIDATES = 3;  // Randomized restarts pick among this many best steps
+
+// 🧪 Weight sensitivity
+const SENSITIVITY_SAMPLES = 20000;  // Uniform draws from the weight simplex
+const SENSITIVITY_RESOLUTION = 41;  // Grid points per axis of a weight-pair slice
+const SENSITIVITY_FLIP_CANDIDATES = 20;  // Nearest opposite-ranking samples refined by bisection
+const SENSITIVITY_BISECTIONS = 40;
+
+// 🧪 SMAA (rank acceptability)
+const SMAA_SAMPLES = 10000;  // Accepted weight draws
+const SMAA_MAX_DRAWS_PER_SAMPLE = 100;  // Average rejection budget per sample, shared across the run
+
+// 🧪 Random state generation
+const RANDOM_DISTRIBUTIONS = ['uniform', 'balanced', 'dirichlet', 'pareto', 'correlated', 'clusters'];
+const PARETO_CURVATURE = 2;  // Exponent p of the front Σ xᵢᵖ = 1 (2 = sphere, 1 = plane)
+const CLUSTER_SPREAD = 0.05;  // Standard deviation around each archetype, as a fraction of the pillar range
+const CHOLESKY_TOLERANCE = 1e-10;  // Negative pivots above -tolerance count as zero (semi-definite)
+
+// 🧪 Forecasting
+const FORECAST_METHODS = ['linear', 'ewma', 'holt'];
+const FORECAST_HORIZON = 5;  // Future points per forecast
+const FORECAST_MIN_POINTS = { linear: 3, ewma: 2, holt: 3 };
+const SMOOTHING_GRID = Array.from({ length: 19 }, (_, i) => (i + 1) / 20);  // α/β candidates when not given
+
+// 🧪 Change-point detection
+const CHANGE_METHODS = ['cusum', 'page-hinkley'];
+const CHANGE_THRESHOLD = 4;  // Alarm level h, in baseline standard deviations
+const CHANGE_DRIFT = 0.5;  // Allowance k per point, in baseline standard deviations
+const CHANGE_WARMUP = 3;  // Points that set each segment's baseline
+const CHANGE_MIN_SIGMA = 0.02;  // Baseline σ floor, as a fraction of the range (flat histories have σ = 0)
+const MASK_TOLERANCE = SIGNAL_LOSS_THRESHOLD;  // A scalar drop below this counts as flat
+
+// 🧪 Correlation analysis
+const CORRELATION_METHODS = ['pearson', 'spearman'];
+const CORRELATION_MIN_POINTS = 3;  // Fewer points leave no degrees of freedom for significance
+const PSEUDO_INVERSE_TOLERANCE = 1e-10;  // Eigenvalues below this share of the largest count as zero
+const INCOMPLETE_BETA_ITERATIONS = 200;
+
+// 🧪 Projections (PCA / classical MDS)
+const PROJECTION_METHODS = ['pca', 'mds'];
+const EIGEN_MAX_SWEEPS = 100;  // Jacobi sweeps before giving up on convergence
+const EIGEN_TOLERANCE = 1e-12;  // Off-diagonal mass treated as converged
+
+// Precision matrices per covariance array, so repeated distances invert once
+const precisionCache = new WeakMap();
 
 /**
  * 🧠 Class: ComplexityMath
@@ -26,28 +100,31 @@ const PARETO_MAX_POINTS = 100;
 export const ComplexityMath = {
     /**
      * 🧠 Function: computeScalarAverage
-     * Role: Calculate weighted scalar average (information-destroying)
-     * Inputs: ComplexityVector and optional weights
-     * Returns: Scalar value [0,1]
-     * Notes: This is what the theorem proves is impossible to preserve information
+     * Role: Calculate scalar aggregate (information-destroying)
+     * Inputs: ComplexityVector, optional weights, options { withUncertainty, aggregator }
+     * Returns: Scalar value [0,1], or { value, std } with withUncertainty
+     * Notes: This is what the theorem proves is impossible to preserve information;
+     *        default weights are uniform over the vector's pillars and the
+     *        default aggregator is the weighted mean (see complexity-aggregators.js).
+     *        std is the first-order propagated error, 0 for point values.
+     *        Pillars are rescaled to [0,1] by their ranges first
+     *        (toUnitArray), so the scalar is in [0,1] for any schema.
      */
-    computeScalarAverage(vector, weights = null) {
-        if (!vector || !vector.toArray) {
+    computeScalarAverage(vector, weights = null, options = {}) {
+        if (!vector || !vector.toUnitArray) {
             throw new Error('Invalid vector input');
         }
 
-        const w = weights || DEFAULT_WEIGHTS;
-        const arr = vector.toArray();
-
-        // Validate weights
-        const sum = w.reduce((a, b) => a + b, 0);
-        if (Math.abs(sum - 1.0) > EPSILON) {
-            // Normalize weights if they don't sum to 1
-            const normalized = w.map(wi => wi / sum);
-            return arr.reduce((sum, val, idx) => sum + val * normalized[idx], 0);
+        const arr = vector.toUnitArray();
+        const value = aggregate(arr, weights, options.aggregator, vector.keys);
+        if (!options.withUncertainty) {
+            return value;
         }
 
-        return arr.reduce((sum, val, idx) => sum + val * w[idx], 0);
+        const std = vector.uncertainty
+            ? propagateUncertainty(arr, weights, options.aggregator, vector.getUnitUncertainty(), vector.keys)
+            : 0;
+        return { value, std };
     },
 
     /**
@@ -55,7 +132,7 @@ export const ComplexityMath = {
      * Role: Apply improvement to specific complexity pillar
      * Inputs: Vector, pillar name, delta amount
      * Returns: New improved ComplexityVector
-     * Notes: Clamps to [0,1] range
+     * Notes: Clamps to the pillar's schema range
      */
     applyImprovement(vector, pillar, delta) {
         const improved = vector.clone();
@@ -65,8 +142,8 @@ export const ComplexityMath = {
             throw new Error(`Invalid pillar: ${pillar}`);
         }
 
-        // Apply improvement, clamping to [0,1]
-        const newValue = Math.max(0, Math.min(1, current + delta));
+        // Apply improvement, clamping to the pillar range
+        const newValue = improved.clampComponent(improved.keys.indexOf(pillar), current + delta);
         improved.set(pillar, newValue);
 
         return improved;
@@ -75,36 +152,56 @@ export const ComplexityMath = {
     /**
      * 🧠 Function: calculateSignalLoss
      * Role: Calculate information lost when using scalar metric
-     * Inputs: Before and after vectors, optional weights
+     * Inputs: Before and after vectors, optional weights, options { z, aggregator }
      * Returns: Signal loss analysis object
-     * Notes: Core demonstration of the impossibility theorem
+     * Notes: Core demonstration of the impossibility theorem. When either
+     *        vector carries uncertainty, an improvement counts only if it
+     *        exceeds z standard deviations of the difference (default 1.96);
+     *        smaller ones are reported under insignificant. The scalar side
+     *        uses options.aggregator (default weighted mean). For a
+     *        threshold-free measure over many states see computeInformationLoss.
+     *        byPillar and vectorChanges are in pillar units; total sums
+     *        the lost changes as shares of each pillar's range, so it
+     *        compares against [0,1] thresholds for any schema.
      */
-    calculateSignalLoss(before, after, weights = null) {
+    calculateSignalLoss(before, after, weights = null, options = {}) {
         const beforeArr = before.toArray();
         const afterArr = after.toArray();
+        const z = options.z ?? CONFIDENCE_Z;
 
         // Calculate vector changes
         const vectorDelta = afterArr.map((v, i) => v - beforeArr[i]);
+        const beforeUnit = before.toUnitArray();
+        const unitDelta = after.toUnitArray().map((v, i) => v - beforeUnit[i]);
+        const deltaSigma = before.combineUncertainty(after);
+        const significantDelta = deltaSigma
+            ? vectorDelta.map((d, i) => (Math.abs(d) <= z * deltaSigma[i] ? 0 : d))
+            : vectorDelta;
 
         // Calculate scalar changes
-        const scalarBefore = this.computeScalarAverage(before, weights);
-        const scalarAfter = this.computeScalarAverage(after, weights);
-        const scalarDelta = scalarAfter - scalarBefore;
+        const scalarOptions = { withUncertainty: true, aggregator: options.aggregator };
+        const scalarBefore = this.computeScalarAverage(before, weights, scalarOptions);
+        const scalarAfter = this.computeScalarAverage(after, weights, scalarOptions);
+        const scalarDelta = scalarAfter.value - scalarBefore.value;
 
         // Identify lost signals: positive improvements invisible to scalar
         const lostSignals = {};
-        const keys = ['alg', 'info', 'dyn', 'geom'];
+        const insignificant = {};
+        const keys = before.keys;
         let totalLoss = 0;
 
         vectorDelta.forEach((delta, i) => {
-            if (delta > 0 && Math.abs(scalarDelta) < SIGNAL_LOSS_THRESHOLD) {
+            if (delta > 0 && deltaSigma && delta <= z * deltaSigma[i]) {
+                // Within measurement noise: not evidence of an improvement
+                insignificant[keys[i]] = delta;
+            } else if (delta > 0 && Math.abs(scalarDelta) < SIGNAL_LOSS_THRESHOLD) {
                 // Positive improvement but scalar shows ~no change
                 lostSignals[keys[i]] = delta;
-                totalLoss += delta;
+                totalLoss += unitDelta[i];
             } else if (delta > 0 && scalarDelta < 0) {
                 // Positive improvement but scalar shows decrease!
                 lostSignals[keys[i]] = delta;
-                totalLoss += delta;
+                totalLoss += unitDelta[i];
             }
         });
 
@@ -114,7 +211,13 @@ export const ComplexityMath = {
             scalarChange: scalarDelta,
             vectorChanges: vectorDelta,
             isSignalLost: totalLoss > SIGNAL_LOSS_THRESHOLD,
-            lossType: this.categorizeLoss(vectorDelta, scalarDelta)
+            lossType: this.categorizeLoss(significantDelta, scalarDelta),
+            insignificant,
+            uncertainty: deltaSigma ? {
+                z,
+                vectorChanges: deltaSigma,
+                scalarChange: Math.sqrt(scalarBefore.std ** 2 + scalarAfter.std ** 2)
+            } : null
         };
     },
 
@@ -145,138 +248,1968 @@ export const ComplexityMath = {
     },
 
     /**
-     * 🧠 Function: computeParetoFrontier
-     * Role: Find non-dominated states in multi-objective space
-     * Inputs: Array of ComplexityVectors
-     * Returns: Indices of Pareto-optimal states
-     * Notes: Key for understanding trade-offs
+     * 🧠 Function: quantileBins
+     * Role: Equal-frequency bin index per value
+     * Inputs: Array of numbers, bin count
+     * Returns: Array of bin indices in [0, bins)
+     * Notes: Cut points are sample quantiles, so tied values share a bin
+     *        and heavily tied samples use fewer bins
+     */
+    quantileBins(values, bins) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const cuts = Array.from({ length: bins - 1 }, (_, k) => sorted[Math.floor((k + 1) * sorted.length / bins)]);
+        return values.map(v => {
+            let bin = 0;
+            while (bin < cuts.length && v >= cuts[bin]) bin++;
+            return bin;
+        });
+    },
+
+    /**
+     * 🧠 Function: entropyBits
+     * Role: Plug-in Shannon entropy of a histogram
+     * Inputs: Map of cell -> count, total count
+     * Returns: Entropy in bits
+     */
+    entropyBits(counts, total) {
+        let entropy = 0;
+        counts.forEach(count => {
+            const p = count / total;
+            entropy -= p * Math.log2(p);
+        });
+        return entropy;
+    },
+
+    /**
+     * 🧠 Function: computeInformationLoss
+     * Role: How much a scalar hides about the vector, over many states
+     * Inputs: Array of ComplexityVectors (null draws them with
+     *         generateRandomStates), options { aggregator, weights, bins,
+     *         scalarBins, pairs, samples, seed, random, plus
+     *         generateRandomStates options such as distribution }
+     * Returns: { samples, bins, scalarBins, cells, entropy: { vector,
+     *          scalar, joint }, mutualInformation, conditionalEntropy,
+     *          fractionLost, ordering }
+     *          - mutualInformation: I(V; S), bits the scalar keeps
+     *          - conditionalEntropy: H(V | S), bits lost (vector
+     *            information the scalar cannot recover)
+     *          - fractionLost: H(V | S) / H(V)
+     *          - ordering: { pairs, comparable, incomparable, reversed,
+     *            misordered, pillarDisagreement: { key: share } }
+     * Notes: Entropies are plug-in estimates on equal-frequency bins, so
+     *        they are measured at that resolution; sparse cells make them
+     *        understate bits lost. Ordering checks random pairs:
+     *        - comparable / incomparable: share where one vector
+     *          dominates / each is better somewhere
+     *        - reversed: share of comparable pairs the scalar ties or
+     *          orders against dominance
+     *        - misordered: share of pairs where the scalar contradicts
+     *          the vector (a reversed comparable pair, or a strict order
+     *          on an incomparable pair that some pillar disputes)
+     *        - pillarDisagreement: per pillar, share of pairs both order
+     *          strictly where the scalar order is the opposite
+     */
+    computeInformationLoss(vectors = null, options = {}) {
+        const random = resolveRandom(options);
+        const states = vectors || this.generateRandomStates(options.samples || INFORMATION_SAMPLES, { ...options, random });
+        if (states.length < 2) {
+            throw new Error('Information loss needs at least two vectors');
+        }
+
+        const keys = states[0].keys;
+        const n = keys.length;
+        const count = states.length;
+        const bins = options.bins || INFORMATION_BINS;
+        const scalarBins = options.scalarBins || INFORMATION_SCALAR_BINS;
+        const rows = states.map(state => {
+            state.assertSameShape(states[0]);
+            return state.toArray();
+        });
+        const scalars = states.map(state => aggregate(state.toUnitArray(), options.weights || null, options.aggregator, keys));
+
+        // Histograms of the binned vector, the binned scalar and both
+        const pillarBins = keys.map((_, j) => this.quantileBins(rows.map(row => row[j]), bins));
+        const scalarBin = this.quantileBins(scalars, scalarBins);
+        const vectorCounts = new Map();
+        const scalarCounts = new Map();
+        const jointCounts = new Map();
+        const increment = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+        for (let i = 0; i < count; i++) {
+            const cell = pillarBins.reduce((c, column) => c * bins + column[i], 0);
+            increment(vectorCounts, cell);
+            increment(scalarCounts, scalarBin[i]);
+            increment(jointCounts, cell * scalarBins + scalarBin[i]);
+        }
+
+        const entropy = {
+            vector: this.entropyBits(vectorCounts, count),
+            scalar: this.entropyBits(scalarCounts, count),
+            joint: this.entropyBits(jointCounts, count)
+        };
+        const mutualInformation = Math.max(0, entropy.vector + entropy.scalar - entropy.joint);
+        const conditionalEntropy = Math.max(0, entropy.joint - entropy.scalar);
+
+        return {
+            samples: count,
+            bins,
+            scalarBins,
+            cells: vectorCounts.size,
+            entropy,
+            mutualInformation,
+            conditionalEntropy,
+            fractionLost: entropy.vector > 0 ? conditionalEntropy / entropy.vector : 0,
+            ordering: this.orderingErrors(rows, scalars, keys, options.pairs || INFORMATION_PAIRS, random)
+        };
+    },
+
+    /**
+     * 🧠 Function: orderingErrors
+     * Role: Pairwise ordering part of computeInformationLoss
+     * Inputs: Value rows, their scalars, pillar keys, pair budget, random source
+     * Returns: { pairs, comparable, incomparable, reversed, misordered, pillarDisagreement }
+     * Notes: Checks every pair when there are at most `budget` of them,
+     *        otherwise `budget` random pairs; identical pairs are skipped
      */
-    computeParetoFrontier(states) {
-        const n = states.length;
-        const isPareto = new Array(n).fill(true);
+    orderingErrors(rows, scalars, keys, budget, random) {
+        const count = rows.length;
+        const n = keys.length;
+        const sign = (d) => (Math.abs(d) <= EPSILON ? 0 : Math.sign(d));
+        const exhaustive = count * (count - 1) / 2 <= budget;
+        let pairs = 0;
+        let comparable = 0;
+        let reversed = 0;
+        let misordered = 0;
+        const pillarPairs = new Array(n).fill(0);
+        const pillarDisagree = new Array(n).fill(0);
 
-        for (let i = 0; i < n; i++) {
+        const check = (a, b) => {
+            const scalarSign = sign(scalars[a] - scalars[b]);
+            let aBetter = false;
+            let bBetter = false;
             for (let j = 0; j < n; j++) {
-                if (i !== j && this.dominates(states[j], states[i])) {
-                    isPareto[i] = false;
-                    break;
+                const pillarSign = sign(rows[a][j] - rows[b][j]);
+                if (pillarSign > 0) aBetter = true;
+                if (pillarSign < 0) bBetter = true;
+                if (pillarSign !== 0 && scalarSign !== 0) {
+                    pillarPairs[j]++;
+                    if (pillarSign !== scalarSign) pillarDisagree[j]++;
+                }
+            }
+            if (!aBetter && !bBetter) return;
+
+            pairs++;
+            if (aBetter && bBetter) {
+                if (scalarSign !== 0) misordered++;
+            } else {
+                comparable++;
+                if (scalarSign !== (aBetter ? 1 : -1)) {
+                    reversed++;
+                    misordered++;
                 }
             }
+        };
+
+        if (exhaustive) {
+            for (let a = 0; a < count; a++) {
+                for (let b = a + 1; b < count; b++) check(a, b);
+            }
+        } else {
+            for (let s = 0; s < budget; s++) {
+                const a = Math.floor(random() * count);
+                const b = (a + 1 + Math.floor(random() * (count - 1))) % count;
+                check(a, b);
+            }
         }
 
-        return states
-            .map((state, index) => ({ state, index }))
-            .filter((_, i) => isPareto[i]);
+        return {
+            pairs,
+            comparable: pairs > 0 ? comparable / pairs : 0,
+            incomparable: pairs > 0 ? (pairs - comparable) / pairs : 0,
+            reversed: comparable > 0 ? reversed / comparable : 0,
+            misordered: pairs > 0 ? misordered / pairs : 0,
+            pillarDisagreement: Object.fromEntries(keys.map((key, j) =>
+                [key, pillarPairs[j] > 0 ? pillarDisagree[j] / pillarPairs[j] : 0]))
+        };
+    },
+
+    /**
+     * 🧠 Function: computeParetoFrontier
+     * Role: Find non-dominated states in multi-objective space
+     * Inputs: Array of ComplexityVectors, options { directions, epsilon }
+     *         as for computeParetoFronts
+     * Returns: Array of { state, index } for Pareto-optimal states
+     * Notes: Key for understanding trade-offs; the first front of
+     *        computeParetoFronts
+     */
+    computeParetoFrontier(states, options = {}) {
+        if (states.length === 0) return [];
+        const { fronts } = this.computeParetoFronts(states, { ...options, crowding: false });
+        return [...fronts[0]]
+            .sort((a, b) => a - b)
+            .map(index => ({ state: states[index], index }));
+    },
+
+    /**
+     * 🧠 Function: resolveDirections
+     * Role: Per-pillar optimization direction as +1 (max) / -1 (min)
+     * Inputs: Directions (array or object keyed by pillar, default all
+     *         'max'), pillar keys
+     * Returns: Array of signs in pillar order
+     */
+    resolveDirections(directions, keys) {
+        const list = Array.isArray(directions)
+            ? directions
+            : keys.map(key => (directions && directions[key]) || 'max');
+        if (list.length !== keys.length) {
+            throw new Error(`Directions must have ${keys.length} entries, got ${list.length}`);
+        }
+        if (directions && !Array.isArray(directions)) {
+            Object.keys(directions).forEach(key => {
+                if (!keys.includes(key)) throw new Error(`Invalid pillar: ${key}`);
+            });
+        }
+        return list.map((direction, i) => {
+            if (!PARETO_DIRECTIONS.includes(direction)) {
+                throw new Error(`Direction for ${keys[i]} must be 'max' or 'min', got ${direction}`);
+            }
+            return direction === 'max' ? 1 : -1;
+        });
     },
 
     /**
      * 🧠 Function: dominates
      * Role: Check Pareto dominance between vectors
-     * Inputs: Two ComplexityVectors
+     * Inputs: Two ComplexityVectors, options { directions }
      * Returns: Boolean - true if A dominates B
-     * Notes: A dominates B if A >= B componentwise and A != B
+     * Notes: A dominates B if A is at least as good on every pillar and
+     *        A != B (within EPSILON); 'min' pillars prefer lower values
      */
-    dominates(a, b) {
+    dominates(a, b, options = {}) {
         const aArr = a.toArray();
         const bArr = b.toArray();
-        const allGeq = aArr.every((v, i) => v >= bArr[i] - EPSILON);
-        const someGt = aArr.some((v, i) => v > bArr[i] + EPSILON);
+        const signs = options.directions ? this.resolveDirections(options.directions, a.keys) : aArr.map(() => 1);
+        const allGeq = aArr.every((v, i) => signs[i] * (v - bArr[i]) >= -EPSILON);
+        const someGt = aArr.some((v, i) => signs[i] * (v - bArr[i]) > EPSILON);
         return allGeq && someGt;
     },
 
+    /**
+     * 🧠 Function: computeParetoFronts
+     * Role: Non-dominated sorting into ranked fronts, for large sets
+     * Inputs: Array of ComplexityVectors or plain value arrays, options
+     *         { directions, epsilon, schema, crowding = true, maxPoints }
+     * Returns: { ranks, fronts, crowding, directions, epsilon, archive, chart }
+     * Notes: Efficient non-dominated sort with binary search (ENS-BS):
+     *        points are sorted lexicographically, so a point can only be
+     *        dominated by earlier points, and the fronts are searched by
+     *        bisection. Comparisons are exact.
+     *        - ranks[i]: front of point i (0 = Pareto front)
+     *        - fronts[k]: indices in front k
+     *        - crowding[i]: NSGA-II crowding distance within its front
+     *          (Infinity at the extremes)
+     *        - epsilon (number or per-pillar array): values are snapped to
+     *          an ε grid before sorting (box-dominance), and archive holds
+     *          one first-front point per box, closest to the box's best corner
+     *        - chart: { fronts: [{ rank, points: [{ index, values, crowding }] }] }
+     *          with at most maxPoints (default PARETO_MAX_POINTS) points per
+     *          front, keeping the least crowded
+     *        schema names the pillars when plain arrays are given.
+     */
+    computeParetoFronts(points, options = {}) {
+        const n = points.length;
+        if (n === 0) {
+            throw new Error('Pareto sorting needs at least one point');
+        }
+        const rows = points.map(p => (Array.isArray(p) ? p : p.toArray()));
+        const m = rows[0].length;
+        rows.forEach((row, i) => {
+            if (row.length !== m) {
+                throw new Error(`Dimension mismatch at point ${i}: expected ${m} components`);
+            }
+        });
+        const keys = Array.isArray(points[0])
+            ? (options.schema ? createPillarSchema(options.schema) : DEFAULT_SCHEMA).keys
+            : points[0].keys;
+        const signs = this.resolveDirections(options.directions, keys.length === m ? keys : rows[0].map((_, j) => String(j)));
+
+        // Maximization orientation, snapped to the ε grid when requested
+        const epsilon = options.epsilon === undefined || options.epsilon === null
+            ? null
+            : (Array.isArray(options.epsilon) ? options.epsilon : rows[0].map(() => options.epsilon));
+        if (epsilon && (epsilon.length !== m || !epsilon.every(e => e > 0))) {
+            throw new Error(`epsilon must be a positive number or ${m} positive numbers`);
+        }
+        const oriented = rows.map(row => row.map((v, j) => signs[j] * v));
+        const sortKey = epsilon
+            ? oriented.map(row => row.map((v, j) => Math.floor(v / epsilon[j])))
+            : oriented;
+
+        // Flat copy keeps the inner dominance loop fast on large sets
+        const flat = new Float64Array(n * m);
+        sortKey.forEach((row, i) => flat.set(row, i * m));
+        const dominatesIndex = (a, b) => {
+            const x = a * m;
+            const y = b * m;
+            let strict = false;
+            for (let j = 0; j < m; j++) {
+                if (flat[x + j] < flat[y + j]) return false;
+                if (flat[x + j] > flat[y + j]) strict = true;
+            }
+            return strict;
+        };
+
+        // Best first: descending lexicographic order
+        const order = rows.map((_, i) => i).sort((a, b) => {
+            const x = sortKey[a];
+            const y = sortKey[b];
+            for (let j = 0; j < m; j++) {
+                if (x[j] !== y[j]) return y[j] - x[j];
+            }
+            return a - b;
+        });
+
+        const fronts = [];
+        const ranks = new Array(n);
+        const isDominatedBy = (front, index) => {
+            // Recently added members are the likeliest dominators
+            for (let k = front.length - 1; k >= 0; k--) {
+                if (dominatesIndex(front[k], index)) return true;
+            }
+            return false;
+        };
+
+        order.forEach(index => {
+            let low = 0;
+            let high = fronts.length;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (isDominatedBy(fronts[mid], index)) {
+                    low = mid + 1;
+                } else {
+                    high = mid;
+                }
+            }
+            if (low === fronts.length) fronts.push([]);
+            fronts[low].push(index);
+            ranks[index] = low;
+        });
+
+        const crowding = options.crowding === false
+            ? null
+            : this.computeCrowding(fronts, oriented, n);
+
+        // One representative per ε box on the first front
+        let archive = null;
+        if (epsilon) {
+            const boxes = new Map();
+            fronts[0].forEach(index => {
+                const box = sortKey[index].join(',');
+                const corner = sortKey[index].map((b, j) => (b + 1) * epsilon[j]);
+                const gap = oriented[index].reduce((sum, v, j) => sum + (corner[j] - v) ** 2, 0);
+                const current = boxes.get(box);
+                if (!current || gap < current.gap) boxes.set(box, { index, gap });
+            });
+            archive = [...boxes.values()].map(entry => entry.index).sort((a, b) => a - b);
+        }
+
+        const maxPoints = options.maxPoints ?? PARETO_MAX_POINTS;
+        const chart = {
+            fronts: fronts.map((front, rank) => {
+                const kept = crowding && front.length > maxPoints
+                    ? [...front].sort((a, b) => crowding[b] - crowding[a]).slice(0, maxPoints)
+                    : front.slice(0, maxPoints);
+                return {
+                    rank,
+                    size: front.length,
+                    points: kept.map(index => ({
+                        index,
+                        values: [...rows[index]],
+                        crowding: crowding ? crowding[index] : null
+                    }))
+                };
+            })
+        };
+
+        return {
+            ranks,
+            fronts,
+            crowding,
+            directions: signs.map(sign => (sign > 0 ? 'max' : 'min')),
+            epsilon,
+            archive,
+            chart
+        };
+    },
+
+    /**
+     * 🧠 Function: sampleSimplex
+     * Role: Uniform random weight vector (flat Dirichlet)
+     * Inputs: Size, random source
+     * Returns: Array of non-negative weights summing to 1
+     */
+    sampleSimplex(size, random = Math.random) {
+        const draws = Array.from({ length: size }, () => -Math.log(1 - random()));
+        const sum = draws.reduce((a, b) => a + b, 0);
+        return draws.map(d => d / sum);
+    },
+
+    /**
+     * 🧠 Function: analyzeWeightSensitivity
+     * Role: How much of the weight simplex ranks A above B
+     * Inputs: Vectors A and B, options { weights (current, default
+     *         uniform), aggregator, samples, seed, random }
+     * Returns: { fraction, ties, invalid, samples, current, flip }
+     *          - fraction: share of weightings where A's scalar beats B's
+     *          - ties: share where they are equal (within EPSILON)
+     *          - invalid: share the aggregator rejects (e.g. a Choquet
+     *            capacity that is not monotone for those weights)
+     *          - current: { weights, difference } at the current weights
+     *          - flip: { weights, distance } nearest weighting where the
+     *            ranking flips, or null if no sampled weighting flips it
+     * Notes: Weight vectors are drawn uniformly from the simplex. The flip
+     *        point bisects towards the nearest opposite-ranking samples,
+     *        so it is an upper bound on the true distance.
+     */
+    analyzeWeightSensitivity(a, b, options = {}) {
+        a.assertSameShape(b);
+        const n = a.keys.length;
+        const samples = options.samples || SENSITIVITY_SAMPLES;
+        const random = resolveRandom(options);
+        const current = normalizeWeights(options.weights || null, n);
+        const aggregator = options.aggregator;
+        const aValues = a.toUnitArray();
+        const bValues = b.toUnitArray();
+
+        // Scalar difference, or null where the aggregator rejects the weights
+        const difference = (weights) => {
+            try {
+                return aggregate(aValues, weights, aggregator, a.keys) - aggregate(bValues, weights, aggregator, a.keys);
+            } catch (error) {
+                return null;
+            }
+        };
+        const sign = (d) => (d === null ? null : Math.abs(d) <= EPSILON ? 0 : Math.sign(d));
+
+        const currentDifference = difference(current);
+        if (currentDifference === null) {
+            throw new Error('The aggregator rejects the current weights');
+        }
+        const currentSign = sign(currentDifference);
+
+        let wins = 0;
+        let ties = 0;
+        let invalid = 0;
+        const opposite = [];
+        for (let s = 0; s < samples; s++) {
+            const weights = this.sampleSimplex(n, random);
+            const d = sign(difference(weights));
+            if (d === null) {
+                invalid++;
+                continue;
+            }
+            if (d > 0) wins++;
+            if (d === 0) ties++;
+            if (currentSign === 0 ? d !== 0 : d === -currentSign) {
+                opposite.push({ weights, distance: this.euclidean(weights, current) });
+            }
+        }
+
+        // Refine the boundary between the current weights and the nearest opposite samples
+        let flip = null;
+        opposite.sort((x, y) => x.distance - y.distance)
+            .slice(0, SENSITIVITY_FLIP_CANDIDATES)
+            .forEach(({ weights }) => {
+                let low = 0;
+                let high = 1;
+                const at = (t) => current.map((w, i) => w + t * (weights[i] - w));
+                for (let k = 0; k < SENSITIVITY_BISECTIONS; k++) {
+                    const mid = (low + high) / 2;
+                    if (sign(difference(at(mid))) === currentSign) {
+                        low = mid;
+                    } else {
+                        high = mid;
+                    }
+                }
+                const point = at(high);
+                const distance = this.euclidean(point, current);
+                if (!flip || distance < flip.distance) {
+                    flip = { weights: point, distance };
+                }
+            });
+
+        return {
+            fraction: wins / samples,
+            ties: ties / samples,
+            invalid: invalid / samples,
+            samples,
+            current: { weights: current, difference: currentDifference },
+            flip
+        };
+    },
+
+    /**
+     * 🧠 Function: weightSlice
+     * Role: Scalar difference A − B over a grid of two pillars' weights
+     * Inputs: Vectors A and B, options { pair: [i, j], weights,
+     *         aggregator, resolution }
+     * Returns: { pair, axis, z } with z[row][col] at wⱼ = axis[row],
+     *          wᵢ = axis[col]; null outside the simplex or where the
+     *          aggregator rejects the weights
+     * Notes: The remaining weight 1 − wᵢ − wⱼ is shared by the other
+     *        pillars in proportion to the current weights (evenly if
+     *        those are all zero)
+     */
+    weightSlice(a, b, options = {}) {
+        a.assertSameShape(b);
+        const n = a.keys.length;
+        const [i, j] = options.pair || [0, 1];
+        if (i === j || ![i, j].every(k => Number.isInteger(k) && k >= 0 && k < n)) {
+            throw new Error(`pair must name two different pillars (0-${n - 1})`);
+        }
+        const resolution = options.resolution || SENSITIVITY_RESOLUTION;
+        const current = normalizeWeights(options.weights || null, n);
+        const others = current.map((_, k) => k).filter(k => k !== i && k !== j);
+        const otherMass = others.reduce((sum, k) => sum + current[k], 0);
+        const axis = Array.from({ length: resolution }, (_, k) => k / (resolution - 1));
+
+        const z = axis.map(wj => axis.map(wi => {
+            if (wi + wj > 1 + EPSILON) return null;
+            const rest = Math.max(0, 1 - wi - wj);
+            const weights = current.map((_, k) => {
+                if (k === i) return wi;
+                if (k === j) return wj;
+                return otherMass > 0 ? rest * current[k] / otherMass : rest / others.length;
+            });
+            try {
+                return aggregate(a.toUnitArray(), weights, options.aggregator, a.keys) -
+                    aggregate(b.toUnitArray(), weights, options.aggregator, a.keys);
+            } catch (error) {
+                return null;
+            }
+        }));
+
+        return { pair: [i, j], axis, z };
+    },
+
+    /**
+     * 🧠 Function: weightBounds
+     * Role: Per-pillar weight bounds from user constraints
+     * Inputs: Constraints { bounds: { key: [min, max] } }, pillar keys
+     * Returns: { lower, upper } arrays in key order (default [0, 1])
+     * Notes: Throws when no weights summing to 1 fit the bounds
+     *        (Σ lower > 1 or Σ upper < 1)
+     */
+    weightBounds(constraints, keys) {
+        const lower = keys.map(() => 0);
+        const upper = keys.map(() => 1);
+        Object.entries(constraints.bounds || {}).forEach(([key, range]) => {
+            const index = keys.indexOf(key);
+            if (index === -1) throw new Error(`Invalid pillar: ${key}`);
+            if (!Array.isArray(range) || range.length !== 2 || !(range[0] <= range[1])) {
+                throw new Error(`Bounds for ${key} must be [min, max]`);
+            }
+            lower[index] = Math.max(0, range[0]);
+            upper[index] = Math.min(1, range[1]);
+        });
+
+        const lowerSum = lower.reduce((a, b) => a + b, 0);
+        const upperSum = upper.reduce((a, b) => a + b, 0);
+        if (lowerSum > 1 + EPSILON) {
+            throw new Error(`Weight bounds are infeasible: lower bounds sum to ${lowerSum.toFixed(3)} > 1`);
+        }
+        if (upperSum < 1 - EPSILON) {
+            throw new Error(`Weight bounds are infeasible: upper bounds sum to ${upperSum.toFixed(3)} < 1`);
+        }
+        if (upper.some((max, i) => max < lower[i])) {
+            throw new Error('Weight bounds are infeasible: a range lies outside [0, 1]');
+        }
+        return { lower, upper };
+    },
+
+    /**
+     * 🧠 Function: weightConstraintCheck
+     * Role: Build a predicate for user weight constraints
+     * Inputs: Constraints { bounds: { key: [min, max] }, order: [keys] },
+     *         pillar keys
+     * Returns: Function(weights) -> Boolean
+     * Notes: order lists pillars from most to least important
+     *        (weights non-increasing along the list). Throws for
+     *        infeasible bounds (see weightBounds).
+     */
+    weightConstraintCheck(constraints, keys) {
+        this.weightBounds(constraints, keys);
+        const bounds = Object.entries(constraints.bounds || {}).map(([key, range]) => {
+            const index = keys.indexOf(key);
+            if (index === -1) throw new Error(`Invalid pillar: ${key}`);
+            if (!Array.isArray(range) || range.length !== 2 || !(range[0] <= range[1])) {
+                throw new Error(`Bounds for ${key} must be [min, max]`);
+            }
+            return { index, min: range[0], max: range[1] };
+        });
+        const order = (constraints.order || []).map(key => {
+            const index = keys.indexOf(key);
+            if (index === -1) throw new Error(`Invalid pillar: ${key}`);
+            return index;
+        });
+
+        return (weights) =>
+            bounds.every(({ index, min, max }) => weights[index] >= min && weights[index] <= max) &&
+            order.every((index, k) => k === 0 || weights[order[k - 1]] >= weights[index]);
+    },
+
+    /**
+     * 🧠 Function: computeSMAA
+     * Role: Stochastic multicriteria acceptability analysis
+     * Inputs: Array of ComplexityVectors (same schema), options
+     *         { samples, aggregator, constraints, seed, random }
+     * Returns: { samples, acceptability, centralWeights, pairwise, rejected }
+     *          - acceptability[i][r]: probability system i ranks r + 1
+     *          - centralWeights[i]: mean weights among draws ranking i
+     *            first (null if it never does)
+     *          - pairwise[i][j]: probability i scores above j
+     *          - rejected: draws discarded by the constraints or aggregator
+     * Notes: Weights are drawn uniformly from the part of the simplex
+     *        above the lower bounds (a shrunken flat Dirichlet), so lower
+     *        bounds never cost a draw; upper bounds and order are met by
+     *        rejection (see weightConstraintCheck). The rejection budget
+     *        is shared across the run, so narrow but feasible constraints
+     *        only fail if almost nothing is accepted. Scalars come from
+     *        computeScalarAverage. Tied systems share the better rank.
+     *        Pass seed for reproducible results.
+     */
+    computeSMAA(vectors, options = {}) {
+        if (!Array.isArray(vectors) || vectors.length === 0) {
+            throw new Error('SMAA needs at least one vector');
+        }
+        vectors.slice(1).forEach(v => vectors[0].assertSameShape(v));
+
+        const keys = vectors[0].keys;
+        const n = keys.length;
+        const m = vectors.length;
+        const samples = options.samples || SMAA_SAMPLES;
+        const random = resolveRandom(options);
+        const constraints = options.constraints || {};
+        const { lower } = this.weightBounds(constraints, keys);
+        const slack = 1 - lower.reduce((a, b) => a + b, 0);
+        const accepts = this.weightConstraintCheck(constraints, keys);
+        const maxDraws = samples * SMAA_MAX_DRAWS_PER_SAMPLE;
+        let draws = 0;
+
+        const rankCounts = vectors.map(() => new Array(m).fill(0));
+        const winCounts = vectors.map(() => new Array(m).fill(0));
+        const centralSums = vectors.map(() => new Array(n).fill(0));
+        const firstCounts = new Array(m).fill(0);
+        let rejected = 0;
+
+        for (let s = 0; s < samples; s++) {
+            let weights = null;
+            let scalars = null;
+            while (!scalars) {
+                if (draws >= maxDraws) {
+                    throw new Error(`No acceptable weights: ${s} of ${samples} samples accepted after ${draws} draws; the constraints leave almost no room`);
+                }
+                draws++;
+                weights = this.sampleSimplex(n, random).map((w, k) => lower[k] + slack * w);
+                if (!accepts(weights)) {
+                    rejected++;
+                    continue;
+                }
+                try {
+                    scalars = vectors.map(v => this.computeScalarAverage(v, weights, { aggregator: options.aggregator }));
+                } catch (error) {
+                    rejected++;
+                }
+            }
+
+            scalars.forEach((value, i) => {
+                let rank = 0;
+                scalars.forEach((other, j) => {
+                    if (other > value + EPSILON) rank++;
+                    if (value > other + EPSILON) winCounts[i][j]++;
+                });
+                rankCounts[i][rank]++;
+                if (rank === 0) {
+                    firstCounts[i]++;
+                    weights.forEach((w, k) => { centralSums[i][k] += w; });
+                }
+            });
+        }
+
+        return {
+            samples,
+            acceptability: rankCounts.map(row => row.map(count => count / samples)),
+            centralWeights: centralSums.map((sums, i) =>
+                (firstCounts[i] > 0 ? sums.map(sum => sum / firstCounts[i]) : null)),
+            pairwise: winCounts.map(row => row.map(count => count / samples)),
+            rejected
+        };
+    },
+
+    /**
+     * 🧠 Function: euclidean
+     * Role: Distance between two plain arrays
+     * Inputs: Two arrays of numbers
+     * Returns: Number
+     */
+    euclidean(x, y) {
+        return Math.sqrt(x.reduce((sum, v, i) => sum + (v - y[i]) ** 2, 0));
+    },
+
+    /**
+     * 🧠 Function: orientPoints
+     * Role: Shared setup for the Pareto-quality indicators
+     * Inputs: Array of ComplexityVectors or value arrays, options
+     *         { directions, reference, schema }
+     * Returns: { rows, reference, signs, keys, schema } with rows and the
+     *          reference point flipped so every pillar is maximized
+     * Notes: The default reference is the worst corner of the pillar
+     *        ranges; reference may be an array or an object keyed by pillar
+     */
+    orientPoints(points, options = {}) {
+        const schema = points.length > 0 && !Array.isArray(points[0])
+            ? points[0].schema
+            : (options.schema ? createPillarSchema(options.schema) : DEFAULT_SCHEMA);
+        const keys = schema.keys;
+        const signs = this.resolveDirections(options.directions, keys);
+
+        const rows = points.map((p, i) => {
+            const row = Array.isArray(p) ? p : p.toArray();
+            if (row.length !== keys.length) {
+                throw new Error(`Dimension mismatch at point ${i}: expected ${keys.length} components`);
+            }
+            return row.map((v, j) => signs[j] * v);
+        });
+
+        const given = options.reference;
+        const reference = keys.map((key, j) => {
+            const value = Array.isArray(given) ? given[j] : given?.[key];
+            if (value === undefined || value === null) {
+                const [min, max] = schema.ranges[j];
+                return signs[j] > 0 ? min : -max;
+            }
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                throw new Error(`Reference for ${key} must be a number`);
+            }
+            return signs[j] * value;
+        });
+
+        return { rows, reference, signs, keys, schema };
+    },
+
+    /**
+     * 🧠 Function: hypervolumeExact
+     * Role: Exact dominated volume by slicing the last pillar
+     * Inputs: Oriented points strictly better than the reference, reference
+     * Returns: Volume
+     * Notes: O(n^(d-1) log n); a sweep line handles two pillars
+     */
+    hypervolumeExact(points, reference) {
+        const d = reference.length;
+        if (points.length === 0) return 0;
+        if (d === 1) {
+            return Math.max(...points.map(p => p[0])) - reference[0];
+        }
+        if (d === 2) {
+            const sorted = [...points].sort((a, b) => b[0] - a[0]);
+            let area = 0;
+            let top = reference[1];
+            sorted.forEach(([x, y]) => {
+                if (y > top) {
+                    area += (x - reference[0]) * (y - top);
+                    top = y;
+                }
+            });
+            return area;
+        }
+
+        const sorted = [...points].sort((a, b) => b[d - 1] - a[d - 1]);
+        const lower = reference.slice(0, -1);
+        let volume = 0;
+        for (let i = 0; i < sorted.length; i++) {
+            const depth = sorted[i][d - 1] - (i + 1 < sorted.length ? sorted[i + 1][d - 1] : reference[d - 1]);
+            if (depth > 0) {
+                volume += depth * this.hypervolumeExact(sorted.slice(0, i + 1).map(p => p.slice(0, -1)), lower);
+            }
+        }
+        return volume;
+    },
+
+    /**
+     * 🧠 Function: computeHypervolume
+     * Role: Volume dominated by a point set, bounded by a reference point
+     * Inputs: Array of ComplexityVectors or value arrays, options
+     *         { reference, directions, schema, exact, samples, seed, random }
+     * Returns: { value, exact, standardError, reference, front }
+     * Notes: Pareto-compliant: adding a non-dominated point never lowers
+     *        it. Exact up to four pillars (or when exact: true), otherwise
+     *        a Monte Carlo estimate with its standard error. Points not
+     *        strictly better than the reference on every pillar add
+     *        nothing. front lists the indices that contribute.
+     */
+    computeHypervolume(points, options = {}) {
+        const { rows, reference, signs, schema } = this.orientPoints(points, options);
+        const m = reference.length;
+        const inside = rows.map((row, i) => i).filter(i => rows[i].every((v, j) => v > reference[j]));
+        const referenceOut = reference.map((v, j) => signs[j] * v);
+
+        if (inside.length === 0) {
+            return { value: 0, exact: true, standardError: 0, reference: referenceOut, front: [] };
+        }
+
+        // Dominated points add no volume
+        const { fronts } = this.computeParetoFronts(inside.map(i => rows[i]), { crowding: false, schema });
+        const front = fronts[0].map(k => inside[k]).sort((a, b) => a - b);
+        const frontRows = front.map(i => rows[i]);
+
+        const exact = options.exact ?? m <= HYPERVOLUME_EXACT_DIMENSIONS;
+        if (exact) {
+            return {
+                value: this.hypervolumeExact(frontRows, reference),
+                exact: true,
+                standardError: 0,
+                reference: referenceOut,
+                front
+            };
+        }
+
+        // Monte Carlo inside the box spanned by the reference and the ideal point
+        const random = resolveRandom(options);
+        const samples = options.samples || HYPERVOLUME_SAMPLES;
+        const ideal = reference.map((_, j) => Math.max(...frontRows.map(row => row[j])));
+        const boxVolume = ideal.reduce((vol, v, j) => vol * (v - reference[j]), 1);
+        let hits = 0;
+        const sample = new Array(m);
+        for (let s = 0; s < samples; s++) {
+            for (let j = 0; j < m; j++) {
+                sample[j] = reference[j] + random() * (ideal[j] - reference[j]);
+            }
+            if (frontRows.some(row => row.every((v, j) => v >= sample[j]))) hits++;
+        }
+        const share = hits / samples;
+
+        return {
+            value: boxVolume * share,
+            exact: false,
+            standardError: boxVolume * Math.sqrt(share * (1 - share) / samples),
+            reference: referenceOut,
+            front
+        };
+    },
+
+    /**
+     * 🧠 Function: computeAdditiveEpsilon
+     * Role: Additive ε-indicator I(A, B)
+     * Inputs: Point sets A and B (vectors or value arrays), options { directions, schema }
+     * Returns: Smallest ε such that every point of B is weakly dominated
+     *          by some point of A shifted by ε on every pillar
+     * Notes: I(A, B) <= 0 means A weakly dominates B; compare I(A, B)
+     *        with I(B, A) to see which set is better
+     */
+    computeAdditiveEpsilon(a, b, options = {}) {
+        if (a.length === 0 || b.length === 0) {
+            throw new Error('The epsilon indicator needs two non-empty sets');
+        }
+        const rowsA = this.orientPoints(a, options).rows;
+        const rowsB = this.orientPoints(b, options).rows;
+
+        return Math.max(...rowsB.map(target =>
+            Math.min(...rowsA.map(candidate =>
+                Math.max(...target.map((v, j) => v - candidate[j]))))));
+    },
+
+    /**
+     * 🧠 Function: computeIGD
+     * Role: Inverted generational distance from a reference front
+     * Inputs: Approximation set, reference set (vectors or value arrays),
+     *         options { directions, schema, plus = true }
+     * Returns: Mean distance from each reference point to its closest
+     *          approximation point (lower is better)
+     * Notes: plus (IGD+) only counts the pillars where the approximation
+     *        is worse, which makes it weakly Pareto-compliant; plain IGD
+     *        (plus: false) is not
+     */
+    computeIGD(points, referenceSet, options = {}) {
+        if (points.length === 0 || referenceSet.length === 0) {
+            throw new Error('IGD needs a non-empty set and reference set');
+        }
+        const rows = this.orientPoints(points, options).rows;
+        const targets = this.orientPoints(referenceSet, options).rows;
+        const plus = options.plus ?? true;
+
+        const total = targets.reduce((sum, target) => sum + Math.min(...rows.map(row =>
+            Math.sqrt(target.reduce((d, v, j) => {
+                const gap = v - row[j];
+                return d + (plus ? Math.max(gap, 0) : gap) ** 2;
+            }, 0)))), 0);
+        return total / targets.length;
+    },
+
+    /**
+     * 🧠 Function: compareParetoSets
+     * Role: Pareto-compliant comparison of two point sets (e.g. this
+     *       quarter's portfolio against last quarter's)
+     * Inputs: Current and previous sets, options as for computeHypervolume
+     * Returns: { hypervolume: { current, previous, change, exact },
+     *          epsilon: { currentOverPrevious, previousOverCurrent },
+     *          igd: { current, previous }, reference }
+     * Notes: IGD+ is measured against the Pareto front of both sets
+     *        combined. With a seed, both Monte Carlo hypervolumes reuse the
+     *        same draws, so their change is less noisy. The current set is better when its hypervolume is
+     *        higher, currentOverPrevious <= 0 < previousOverCurrent, and
+     *        its IGD+ is lower.
+     */
+    compareParetoSets(current, previous, options = {}) {
+        const hvCurrent = this.computeHypervolume(current, options);
+        const hvPrevious = this.computeHypervolume(previous, options);
+        const combined = [...current, ...previous];
+        const { rows, signs, schema } = this.orientPoints(combined, options);
+        const { fronts } = this.computeParetoFronts(rows, { crowding: false, schema });
+        const referenceFront = fronts[0].map(i => rows[i].map((v, j) => signs[j] * v));
+        // The front is plain arrays, so IGD+ needs the points' schema to orient it
+        const frontOptions = { ...options, schema };
+
+        return {
+            hypervolume: {
+                current: hvCurrent.value,
+                previous: hvPrevious.value,
+                change: hvCurrent.value - hvPrevious.value,
+                exact: hvCurrent.exact && hvPrevious.exact
+            },
+            epsilon: {
+                currentOverPrevious: this.computeAdditiveEpsilon(current, previous, options),
+                previousOverCurrent: this.computeAdditiveEpsilon(previous, current, options)
+            },
+            igd: {
+                current: this.computeIGD(current, referenceFront, frontOptions),
+                previous: this.computeIGD(previous, referenceFront, frontOptions)
+            },
+            reference: hvCurrent.reference
+        };
+    },
+
+    /**
+     * 🧠 Function: computeCrowding
+     * Role: NSGA-II crowding distance per front
+     * Inputs: Fronts (arrays of indices), oriented values, point count
+     * Returns: Array of distances (Infinity at each pillar's extremes)
+     * Notes: Each pillar contributes its neighbour gap divided by the
+     *        front's range on that pillar
+     */
+    computeCrowding(fronts, values, count) {
+        const crowding = new Array(count).fill(0);
+        const m = values[0].length;
+
+        fronts.forEach(front => {
+            if (front.length <= 2) {
+                front.forEach(index => { crowding[index] = Infinity; });
+                return;
+            }
+            for (let j = 0; j < m; j++) {
+                const sorted = [...front].sort((a, b) => values[a][j] - values[b][j]);
+                const range = values[sorted[sorted.length - 1]][j] - values[sorted[0]][j];
+                crowding[sorted[0]] = Infinity;
+                crowding[sorted[sorted.length - 1]] = Infinity;
+                if (range <= 0) continue;
+                for (let k = 1; k < sorted.length - 1; k++) {
+                    crowding[sorted[k]] += (values[sorted[k + 1]][j] - values[sorted[k - 1]][j]) / range;
+                }
+            }
+        });
+
+        return crowding;
+    },
+
     /**
      * 🧠 Function: projectTo3D
      * Role: Project 4D vector to 3D for visualization
-     * Inputs: ComplexityVector and projection method
+     * Inputs: ComplexityVector, projection method, fitted projection
+     *         from computeProjection (method 'pca' only)
      * Returns: Array of 3 coordinates
-     * Notes: Multiple methods for different perspectives
+     * Notes: Multiple methods for different perspectives;
+     *        'drop-geom' removes the 'geom' pillar, 'drop-last' the last
+     *        pillar (the same on the default schema), then both keep the
+     *        first three. 'pca' needs a PCA fitted over a set of vectors.
      */
-    projectTo3D(vector, method = 'drop-geom') {
+    projectTo3D(vector, method = 'drop-geom', projection = null) {
         const arr = vector.toArray();
 
         switch (method) {
-            case 'drop-geom':
+            case 'drop-geom': {
                 // Drop geometric dimension (most common)
-                return arr.slice(0, 3);
+                const index = vector.keys.indexOf('geom');
+                return arr.filter((_, i) => i !== (index === -1 ? arr.length - 1 : index)).slice(0, 3);
+            }
 
             case 'drop-last':
                 // Drop last dimension
-                return arr.slice(0, 3);
+                return arr.slice(0, -1).slice(0, 3);
 
+            case 'pca':
             case 'pca-simple':
-                // Simplified PCA-like projection
-                const mean = arr.reduce((s, v) => s + v) / 4;
-                const centered = arr.map(v => v - mean);
-                return [
-                    centered[0] * 0.7 + centered[1] * 0.3,
-                    centered[2] * 0.7 + centered[3] * 0.3,
-                    centered.reduce((s, v) => s + v * v) / 2
-                ];
+                if (!projection || projection.method !== 'pca') {
+                    throw new Error('PCA projection needs a fitted PCA from computeProjection');
+                }
+                return this.transformProjection(projection, vector);
 
-            case 'weighted-sum':
+            case 'weighted-sum': {
                 // Weighted combination for each axis
+                const n = arr.length;
                 return [
-                    arr[0] * 0.6 + arr[1] * 0.4,  // Algorithm + Info
-                    arr[2] * 0.6 + arr[3] * 0.4,  // Dynamic + Geometric
-                    this.computeScalarAverage(vector) // Overall scalar
+                    arr[0] * 0.6 + arr[1] * 0.4,          // First pair (Algorithm + Info)
+                    arr[n - 2] * 0.6 + arr[n - 1] * 0.4,  // Last pair (Dynamic + Geometric)
+                    this.computeScalarAverage(vector)     // Overall scalar
                 ];
+            }
 
             default:
                 return arr.slice(0, 3);
         }
     },
 
+    /**
+     * 🧠 Function: symmetricEigen
+     * Role: Eigen-decomposition of a symmetric matrix (cyclic Jacobi)
+     * Inputs: Square symmetric matrix (array of rows)
+     * Returns: { values, vectors } sorted by descending eigenvalue;
+     *          vectors[k] is the unit eigenvector for values[k]
+     * Notes: Each eigenvector's largest component is made positive so
+     *        results are reproducible
+     */
+    symmetricEigen(matrix) {
+        const n = matrix.length;
+        const a = matrix.map(row => [...row]);
+        const v = a.map((_, i) => a.map((__, j) => (i === j ? 1 : 0)));
+
+        for (let sweep = 0; sweep < EIGEN_MAX_SWEEPS; sweep++) {
+            let off = 0;
+            for (let p = 0; p < n; p++) {
+                for (let q = p + 1; q < n; q++) off += a[p][q] ** 2;
+            }
+            if (off < EIGEN_TOLERANCE) break;
+
+            for (let p = 0; p < n; p++) {
+                for (let q = p + 1; q < n; q++) {
+                    if (Math.abs(a[p][q]) < EIGEN_TOLERANCE / (n * n)) continue;
+
+                    // Rotation angle that zeroes a[p][q]
+                    const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                    const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                    const c = 1 / Math.sqrt(t * t + 1);
+                    const s = t * c;
+
+                    for (let k = 0; k < n; k++) {
+                        const akp = a[k][p];
+                        const akq = a[k][q];
+                        a[k][p] = c * akp - s * akq;
+                        a[k][q] = s * akp + c * akq;
+                    }
+                    for (let k = 0; k < n; k++) {
+                        const apk = a[p][k];
+                        const aqk = a[q][k];
+                        a[p][k] = c * apk - s * aqk;
+                        a[q][k] = s * apk + c * aqk;
+                    }
+                    for (let k = 0; k < n; k++) {
+                        const vkp = v[k][p];
+                        const vkq = v[k][q];
+                        v[k][p] = c * vkp - s * vkq;
+                        v[k][q] = s * vkp + c * vkq;
+                    }
+                }
+            }
+        }
+
+        return a.map((row, i) => i)
+            .sort((i, j) => a[j][j] - a[i][i])
+            .reduce((result, i) => {
+                let vector = v.map(row => row[i]);
+                const largest = vector.reduce((best, x) => (Math.abs(x) > Math.abs(best) ? x : best), 0);
+                if (largest < 0) vector = vector.map(x => -x);
+                result.values.push(a[i][i]);
+                result.vectors.push(vector);
+                return result;
+            }, { values: [], vectors: [] });
+    },
+
+    /**
+     * 🧠 Function: computeProjection
+     * Role: Project a set of vectors (history, portfolio, samples) to a
+     *       few dimensions with PCA or classical MDS
+     * Inputs: Array of ComplexityVectors (same schema), options
+     *         { method: 'pca'|'mds', dimensions = 3, metric } where metric
+     *         is a computeDistance metric for MDS (default 'euclidean')
+     * Returns: { method, dimensions, keys, mean, basis, components,
+     *          explainedTotal, coordinates, residuals }
+     * Notes: components[k] is { variance, explained, loadings } with
+     *        loadings keyed by pillar: eigenvector weights for PCA,
+     *        correlation of each pillar with the axis for MDS.
+     *        residuals[i] is the information lost for point i: its
+     *        distance to its reconstruction (PCA) or its RMS distance
+     *        distortion against the other points (MDS).
+     *        basis is null for MDS, which cannot place new points.
+     */
+    computeProjection(vectors, options = {}) {
+        const method = options.method || 'pca';
+        if (!PROJECTION_METHODS.includes(method)) {
+            throw new Error(`Unknown projection method: ${method}`);
+        }
+        if (!Array.isArray(vectors) || vectors.length < 2) {
+            throw new Error('A projection needs at least two vectors');
+        }
+        vectors.slice(1).forEach(v => vectors[0].assertSameShape(v));
+
+        const keys = vectors[0].keys;
+        const data = vectors.map(v => v.toArray());
+        const m = data.length;
+        const n = keys.length;
+        const mean = keys.map((_, j) => data.reduce((sum, row) => sum + row[j], 0) / m);
+        const centered = data.map(row => row.map((x, j) => x - mean[j]));
+
+        let dimensions;
+        let coordinates;
+        let basis = null;
+        let variances;
+        let totalVariance;
+
+        if (method === 'pca') {
+            dimensions = Math.min(options.dimensions || 3, n);
+            const covariance = keys.map((_, i) => keys.map((__, j) =>
+                centered.reduce((sum, row) => sum + row[i] * row[j], 0) / m));
+            const { values, vectors: eigenvectors } = this.symmetricEigen(covariance);
+
+            basis = eigenvectors.slice(0, dimensions);
+            variances = values.slice(0, dimensions).map(value => Math.max(0, value));
+            totalVariance = values.reduce((sum, value) => sum + Math.max(0, value), 0);
+            coordinates = centered.map(row => basis.map(axis => axis.reduce((sum, w, j) => sum + w * row[j], 0)));
+        } else {
+            dimensions = Math.min(options.dimensions || 3, m - 1);
+            const metric = options.metric || 'euclidean';
+            const distances = vectors.map(a => vectors.map(b => this.computeDistance(a, b, metric, options)));
+
+            // Double-centred squared distances: B = -1/2 J D² J
+            const squared = distances.map(row => row.map(d => d * d));
+            const rowMeans = squared.map(row => row.reduce((a, b) => a + b, 0) / m);
+            const grandMean = rowMeans.reduce((a, b) => a + b, 0) / m;
+            const gram = squared.map((row, i) => row.map((d2, j) => -0.5 * (d2 - rowMeans[i] - rowMeans[j] + grandMean)));
+            const { values, vectors: eigenvectors } = this.symmetricEigen(gram);
+
+            variances = values.slice(0, dimensions).map(value => Math.max(0, value) / m);
+            totalVariance = values.reduce((sum, value) => sum + Math.max(0, value), 0) / m;
+            coordinates = data.map((_, i) => eigenvectors.slice(0, dimensions)
+                .map((axis, k) => axis[i] * Math.sqrt(variances[k] * m)));
+        }
+
+        const components = variances.map((variance, k) => ({
+            variance,
+            explained: totalVariance > 0 ? variance / totalVariance : 0,
+            loadings: Object.fromEntries(keys.map((key, j) => [
+                key,
+                basis ? basis[k][j] : this.correlation(data.map(row => row[j]), coordinates.map(c => c[k]))
+            ]))
+        }));
+
+        // Information each point loses in the projection
+        const residuals = basis
+            ? centered.map((row, i) => Math.sqrt(Math.max(0,
+                row.reduce((sum, x) => sum + x * x, 0) - coordinates[i].reduce((sum, y) => sum + y * y, 0))))
+            : coordinates.map((a, i) => Math.sqrt(coordinates.reduce((sum, b, j) => {
+                const embedded = Math.sqrt(a.reduce((s2, y, k) => s2 + (y - b[k]) ** 2, 0));
+                return sum + (this.computeDistance(vectors[i], vectors[j], options.metric || 'euclidean', options) - embedded) ** 2;
+            }, 0) / (m - 1)));
+
+        return {
+            method,
+            dimensions,
+            keys: [...keys],
+            mean,
+            basis,
+            components,
+            explainedTotal: components.reduce((sum, c) => sum + c.explained, 0),
+            coordinates,
+            residuals
+        };
+    },
+
+    /**
+     * 🧠 Function: transformProjection
+     * Role: Place a new vector with a fitted PCA
+     * Inputs: computeProjection result (method 'pca'), ComplexityVector
+     * Returns: Array of coordinates
+     */
+    transformProjection(projection, vector) {
+        if (!projection.basis) {
+            throw new Error('Only PCA projections can place new vectors');
+        }
+        const arr = vector.toArray();
+        if (arr.length !== projection.keys.length) {
+            throw new Error(`Vector has ${arr.length} pillars, projection expects ${projection.keys.length}`);
+        }
+        const centered = arr.map((x, j) => x - projection.mean[j]);
+        return projection.basis.map(axis => axis.reduce((sum, w, j) => sum + w * centered[j], 0));
+    },
+
+    /**
+     * 🧠 Function: correlation
+     * Role: Pearson correlation of two equally long series
+     * Inputs: Two arrays of numbers
+     * Returns: Number in [-1, 1] (0 when either series is constant)
+     */
+    correlation(xs, ys) {
+        const m = xs.length;
+        const mx = xs.reduce((a, b) => a + b, 0) / m;
+        const my = ys.reduce((a, b) => a + b, 0) / m;
+        let sxy = 0;
+        let sxx = 0;
+        let syy = 0;
+        xs.forEach((x, i) => {
+            sxy += (x - mx) * (ys[i] - my);
+            sxx += (x - mx) ** 2;
+            syy += (ys[i] - my) ** 2;
+        });
+        return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : 0;
+    },
+
+    /**
+     * 🧠 Function: rankValues
+     * Role: Ranks for Spearman correlation
+     * Inputs: Array of numbers
+     * Returns: Array of ranks (1 = smallest); ties share their mean rank
+     */
+    rankValues(values) {
+        const order = values.map((value, i) => ({ value, i })).sort((a, b) => a.value - b.value);
+        const ranks = new Array(values.length);
+        for (let start = 0; start < order.length;) {
+            let end = start;
+            while (end + 1 < order.length && order[end + 1].value === order[start].value) end++;
+            const rank = (start + end) / 2 + 1;
+            for (let k = start; k <= end; k++) ranks[order[k].i] = rank;
+            start = end + 1;
+        }
+        return ranks;
+    },
+
+    /**
+     * 🧠 Function: logGamma
+     * Role: ln Γ(x) for x > 0
+     * Inputs: Number
+     * Returns: Number
+     * Notes: Lanczos approximation (g = 7), ~15 significant digits
+     */
+    logGamma(x) {
+        const c = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+            -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+            1.5056327351493116e-7];
+        if (x < 0.5) {
+            return Math.log(Math.PI / Math.sin(Math.PI * x)) - this.logGamma(1 - x);
+        }
+        const y = x - 1;
+        let sum = c[0];
+        for (let i = 1; i < c.length; i++) sum += c[i] / (y + i);
+        const t = y + 7.5;
+        return 0.5 * Math.log(2 * Math.PI) + (y + 0.5) * Math.log(t) - t + Math.log(sum);
+    },
+
+    /**
+     * 🧠 Function: incompleteBeta
+     * Role: Regularized incomplete beta function I_x(a, b)
+     * Inputs: x in [0, 1], shape parameters a, b > 0
+     * Returns: Number in [0, 1]
+     * Notes: Continued fraction (modified Lentz), using the symmetry
+     *        I_x(a, b) = 1 - I_(1-x)(b, a) where it converges faster
+     */
+    incompleteBeta(x, a, b) {
+        if (x <= 0) return 0;
+        if (x >= 1) return 1;
+        if (x > (a + 1) / (a + b + 2)) {
+            return 1 - this.incompleteBeta(1 - x, b, a);
+        }
+
+        const front = Math.exp(
+            this.logGamma(a + b) - this.logGamma(a) - this.logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+        ) / a;
+        const tiny = 1e-300;
+        let f = 1;
+        let c = 1;
+        let d = 0;
+        for (let i = 0; i <= INCOMPLETE_BETA_ITERATIONS; i++) {
+            const m = Math.floor(i / 2);
+            let numerator;
+            if (i === 0) {
+                numerator = 1;
+            } else if (i % 2 === 0) {
+                numerator = (m * (b - m) * x) / ((a + 2 * m - 1) * (a + 2 * m));
+            } else {
+                numerator = -((a + m) * (a + b + m) * x) / ((a + 2 * m) * (a + 2 * m + 1));
+            }
+            d = 1 + numerator * d;
+            d = 1 / (Math.abs(d) < tiny ? tiny : d);
+            c = 1 + numerator / (Math.abs(c) < tiny ? tiny : c);
+            f *= c * d;
+            if (Math.abs(1 - c * d) < 1e-12) {
+                return front * (f - 1);
+            }
+        }
+        return front * (f - 1);
+    },
+
+    /**
+     * 🧠 Function: correlationPValue
+     * Role: Two-sided p-value for a correlation coefficient
+     * Inputs: r, number of points
+     * Returns: p-value, or null with fewer than 3 points
+     * Notes: t = r sqrt((n - 2) / (1 - r²)) on n - 2 degrees of freedom;
+     *        approximate for Spearman's rho with small n
+     */
+    correlationPValue(r, count) {
+        const dof = count - 2;
+        if (dof < 1) return null;
+        if (Math.abs(r) >= 1) return 0;
+        const t2 = r * r * dof / (1 - r * r);
+        return this.incompleteBeta(dof / (dof + t2), dof / 2, 0.5);
+    },
+
+    /**
+     * 🧠 Function: computeCorrelations
+     * Role: Pillar-by-pillar covariance, correlation and significance
+     * Inputs: Array of ComplexityVectors (or arrays with options.schema),
+     *         options { method: 'pearson'|'spearman', changes, schema }
+     * Returns: { method, changes, keys, count, mean, covariance,
+     *          correlation, pValues, pairs }
+     *          - covariance: sample covariance (n - 1) of the values
+     *          - correlation / pValues: matrices; null where a pillar is
+     *            constant (pValues is also null on the diagonal)
+     *          - pairs: [{ a, b, r, p }] for each pillar pair, strongest
+     *            |r| first
+     * Notes: changes: true correlates step-to-step changes instead of
+     *        levels, so a shared trend does not look like a trade-off
+     *        (does improving alg tend to cost geom?). Spearman ranks each
+     *        pillar first; covariance always uses the values. count is
+     *        the number of rows used (one less with changes).
+     */
+    computeCorrelations(vectors, options = {}) {
+        const method = options.method || 'pearson';
+        if (!CORRELATION_METHODS.includes(method)) {
+            throw new Error(`Unknown correlation method: ${method}`);
+        }
+        const keys = Array.isArray(vectors[0])
+            ? (options.schema ? createPillarSchema(options.schema) : DEFAULT_SCHEMA).keys
+            : vectors[0]?.keys || [];
+        const levels = vectors.map((vector, i) => {
+            const row = Array.isArray(vector) ? vector : vector.toArray();
+            if (row.length !== keys.length) {
+                throw new Error(`Dimension mismatch at point ${i}: expected ${keys.length} components`);
+            }
+            return row;
+        });
+        const rows = options.changes
+            ? levels.slice(1).map((row, t) => row.map((v, j) => v - levels[t][j]))
+            : levels;
+        const count = rows.length;
+        if (count < CORRELATION_MIN_POINTS) {
+            throw new Error(`Correlations need at least ${CORRELATION_MIN_POINTS} ${options.changes ? 'changes' : 'vectors'}, got ${count}`);
+        }
+
+        const columns = keys.map((_, j) => rows.map(row => row[j]));
+        const mean = columns.map(column => column.reduce((a, b) => a + b, 0) / count);
+        const covariance = columns.map((x, i) => columns.map((y, j) =>
+            x.reduce((sum, v, t) => sum + (v - mean[i]) * (y[t] - mean[j]), 0) / (count - 1)));
+
+        const scored = method === 'spearman' ? columns.map(column => this.rankValues(column)) : columns;
+        const constant = columns.map((_, i) => covariance[i][i] <= EPSILON * EPSILON);
+        const correlation = scored.map((x, i) => scored.map((y, j) => {
+            if (constant[i] || constant[j]) return null;
+            return i === j ? 1 : this.correlation(x, y);
+        }));
+        const pValues = correlation.map((row, i) => row.map((r, j) =>
+            (r === null || i === j ? null : this.correlationPValue(r, count))));
+
+        const pairs = [];
+        keys.forEach((a, i) => keys.forEach((b, j) => {
+            if (j > i && correlation[i][j] !== null) {
+                pairs.push({ a, b, r: correlation[i][j], p: pValues[i][j] });
+            }
+        }));
+        pairs.sort((x, y) => Math.abs(y.r) - Math.abs(x.r));
+
+        return {
+            method,
+            changes: !!options.changes,
+            keys: [...keys],
+            count,
+            mean,
+            covariance,
+            correlation,
+            pValues,
+            pairs
+        };
+    },
+
+    /**
+     * 🧠 Function: cholesky
+     * Role: Lower-triangular factor L with L Lᵀ = matrix
+     * Inputs: Symmetric positive semi-definite matrix (array of rows)
+     * Returns: L as an array of rows
+     * Notes: Zero pivots (perfectly correlated pillars) give zero
+     *        columns; throws when the matrix is not symmetric or has a
+     *        negative pivot
+     */
+    cholesky(matrix) {
+        const n = matrix.length;
+        matrix.forEach((row, i) => {
+            if (!Array.isArray(row) || row.length !== n) {
+                throw new Error(`Covariance must be ${n}x${n}`);
+            }
+            row.forEach((v, j) => {
+                if (Math.abs(v - matrix[j][i]) > CHOLESKY_TOLERANCE) {
+                    throw new Error('Covariance must be symmetric');
+                }
+            });
+        });
+
+        const L = Array.from({ length: n }, () => new Array(n).fill(0));
+        for (let j = 0; j < n; j++) {
+            let pivot = matrix[j][j];
+            for (let k = 0; k < j; k++) pivot -= L[j][k] * L[j][k];
+            if (pivot < -CHOLESKY_TOLERANCE) {
+                throw new Error('Covariance must be positive semi-definite');
+            }
+            L[j][j] = Math.sqrt(Math.max(pivot, 0));
+
+            for (let i = j + 1; i < n; i++) {
+                let sum = matrix[i][j];
+                for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+                L[i][j] = L[j][j] > 0 ? sum / L[j][j] : 0;
+            }
+        }
+        return L;
+    },
+
+    /**
+     * 🧠 Function: tQuantile
+     * Role: Student-t quantile matching a normal quantile
+     * Inputs: Normal quantile z (e.g. 1.96), degrees of freedom
+     * Returns: t value with the same tail probability
+     * Notes: Cornish-Fisher expansion; within 1% from 2 degrees of
+     *        freedom, about 10% low at 1
+     */
+    tQuantile(z, dof) {
+        if (!(dof > 0) || !Number.isFinite(dof)) return z;
+        const z2 = z * z;
+        const g1 = (z2 + 1) * z / 4;
+        const g2 = ((5 * z2 + 16) * z2 + 3) * z / 96;
+        const g3 = (((3 * z2 + 19) * z2 + 17) * z2 - 15) * z / 384;
+        const g4 = ((((79 * z2 + 776) * z2 + 1482) * z2 - 1920) * z2 - 945) * z / 92160;
+        return z + g1 / dof + g2 / dof ** 2 + g3 / dof ** 3 + g4 / dof ** 4;
+    },
+
+    /**
+     * 🧠 Function: smoothSeries
+     * Role: Exponential smoothing pass (EWMA, or Holt with beta)
+     * Inputs: Values, alpha, beta (null for EWMA)
+     * Returns: { level, trend, errors } after the last value; errors are
+     *          the one-step-ahead forecast errors
+     * Notes: Holt starts with the first difference as trend, so its
+     *        first error (always 0) is skipped
+     */
+    smoothSeries(ys, alpha, beta = null) {
+        let level = ys[0];
+        let trend = beta === null ? 0 : ys[1] - ys[0];
+        const errors = [];
+        for (let t = 1; t < ys.length; t++) {
+            const forecast = level + trend;
+            if (beta === null || t > 1) errors.push(ys[t] - forecast);
+            const previous = level;
+            level = alpha * ys[t] + (1 - alpha) * forecast;
+            if (beta !== null) trend = beta * (level - previous) + (1 - beta) * trend;
+        }
+        return { level, trend, errors };
+    },
+
+    /**
+     * 🧠 Function: forecastSeries
+     * Role: Forecast one series with a prediction interval
+     * Inputs: x positions (increasing numbers, e.g. operation index or
+     *         milliseconds), values, options { method: 'linear'|'ewma'|
+     *         'holt', horizon, step, z, alpha, beta, range }
+     * Returns: { method, params, sigma, origin: { x, value }, slope,
+     *          points: [{ x, mean, lower, upper }] }, or null with too
+     *          few points (3 for linear and holt, 2 for ewma)
+     * Notes: - linear: least squares on x; the interval widens with the
+     *          distance from the mean x (t-quantile, n - 2 dof)
+     *        - ewma: flat forecast at the smoothed level; h-step variance
+     *          σ²(1 + (h - 1)α²)
+     *        - holt: level plus trend; h-step variance
+     *          σ²(1 + Σⱼ α²(1 + jβ)²), j = 1..h-1
+     *        Smoothing treats observations as evenly spaced. alpha and
+     *        beta default to the grid values with the smallest one-step
+     *        error. Future points are `step` apart (default: mean
+     *        spacing). slope is the mean path's change per x unit.
+     *        range [min, max] clamps the returned points, not the slope.
+     */
+    forecastSeries(xs, ys, options = {}) {
+        const method = options.method || 'linear';
+        if (!FORECAST_METHODS.includes(method)) {
+            throw new Error(`Unknown forecast method: ${method}`);
+        }
+        if (xs.length !== ys.length) {
+            throw new Error('Forecast needs one x per value');
+        }
+        const n = ys.length;
+        if (n < FORECAST_MIN_POINTS[method]) return null;
+
+        const z = options.z ?? CONFIDENCE_Z;
+        const horizon = options.horizon ?? FORECAST_HORIZON;
+        const lastX = xs[n - 1];
+        const step = options.step || (lastX - xs[0]) / (n - 1) || 1;
+        const clamp = options.range
+            ? (v) => Math.min(options.range[1], Math.max(options.range[0], v))
+            : (v) => v;
+
+        let params;
+        let sigma;
+        let origin;
+        let slope;
+        let spread;  // (h, x) -> interval half-width
+        if (method === 'linear') {
+            const meanX = xs.reduce((a, b) => a + b, 0) / n;
+            const meanY = ys.reduce((a, b) => a + b, 0) / n;
+            const sxx = xs.reduce((sum, x) => sum + (x - meanX) ** 2, 0);
+            slope = sxx > 0 ? xs.reduce((sum, x, i) => sum + (x - meanX) * (ys[i] - meanY), 0) / sxx : 0;
+            const intercept = meanY - slope * meanX;
+            const sse = ys.reduce((sum, y, i) => sum + (y - intercept - slope * xs[i]) ** 2, 0);
+            sigma = Math.sqrt(sse / (n - 2));
+            const t = this.tQuantile(z, n - 2);
+            params = { intercept, slope };
+            origin = { x: lastX, value: intercept + slope * lastX };
+            spread = (h, x) => t * sigma * Math.sqrt(1 + 1 / n + (sxx > 0 ? (x - meanX) ** 2 / sxx : 0));
+        } else {
+            const holt = method === 'holt';
+            const sse = (fit) => fit.errors.reduce((sum, e) => sum + e * e, 0);
+            const alphas = options.alpha !== undefined ? [options.alpha] : SMOOTHING_GRID;
+            const betas = !holt ? [null] : options.beta !== undefined ? [options.beta] : SMOOTHING_GRID;
+            let best = null;
+            alphas.forEach(alpha => betas.forEach(beta => {
+                const fit = this.smoothSeries(ys, alpha, beta);
+                if (!best || sse(fit) < sse(best.fit)) best = { alpha, beta, fit };
+            }));
+
+            const { alpha, beta, fit } = best;
+            sigma = Math.sqrt(sse(fit) / fit.errors.length);
+            const t = this.tQuantile(z, fit.errors.length);
+            params = holt ? { alpha, beta } : { alpha };
+            origin = { x: lastX, value: fit.level };
+            slope = fit.trend / step;
+            spread = (h) => {
+                let variance = 1;
+                for (let j = 1; j < h; j++) variance += holt ? (alpha * (1 + j * beta)) ** 2 : alpha ** 2;
+                return t * sigma * Math.sqrt(variance);
+            };
+        }
+
+        const points = Array.from({ length: horizon }, (_, k) => {
+            const h = k + 1;
+            const x = lastX + h * step;
+            const mean = origin.value + slope * (x - lastX);
+            const width = spread(h, x);
+            return { x, mean: clamp(mean), lower: clamp(mean - width), upper: clamp(mean + width) };
+        });
+
+        return { method, params, sigma, origin, slope, points };
+    },
+
+    /**
+     * 🧠 Function: estimateCrossing
+     * Role: When a forecast reaches a threshold
+     * Inputs: forecastSeries result, threshold value
+     * Returns: { threshold, direction: 'up'|'down', x, earliest, latest },
+     *          or null if the mean path moves away from (or runs parallel
+     *          to) the threshold
+     * Notes: x extrapolates the mean path past the horizon; origin
+     *        already at the threshold gives x = origin.x. earliest and
+     *        latest are the first forecast points whose near and far
+     *        interval bounds reach it (null if not within the horizon).
+     */
+    estimateCrossing(forecast, threshold) {
+        const gap = threshold - forecast.origin.value;
+        if (Math.abs(gap) > EPSILON && Math.sign(gap) !== Math.sign(forecast.slope)) {
+            return null;
+        }
+        const up = gap >= 0;
+        const reached = (value) => (up ? value >= threshold : value <= threshold);
+        const first = (bound) => forecast.points.find(point => reached(point[bound]))?.x ?? null;
+
+        return {
+            threshold,
+            direction: up ? 'up' : 'down',
+            x: Math.abs(gap) <= EPSILON ? forecast.origin.x : forecast.origin.x + gap / forecast.slope,
+            earliest: first(up ? 'upper' : 'lower'),
+            latest: first(up ? 'lower' : 'upper')
+        };
+    },
+
+    /**
+     * 🧠 Function: forecastPillars
+     * Role: Per-pillar forecasts with threshold crossings
+     * Inputs: x positions, one value series per pillar, pillar schema,
+     *         options as for forecastSeries plus thresholds { key: value }
+     * Returns: { method, pillars: { key: forecast (with crossing when a
+     *          threshold is set) or null } }
+     * Notes: Points are clamped to each pillar's range
+     */
+    forecastPillars(xs, pillars, schema, options = {}) {
+        const thresholds = options.thresholds || {};
+        Object.keys(thresholds).forEach(key => {
+            if (!schema.keys.includes(key)) {
+                throw new Error(`Invalid pillar: ${key}`);
+            }
+        });
+
+        return {
+            method: options.method || 'linear',
+            pillars: Object.fromEntries(schema.keys.map((key, i) => {
+                const forecast = this.forecastSeries(xs, pillars[i], { ...options, range: schema.ranges[i] });
+                if (forecast && thresholds[key] !== undefined) {
+                    forecast.crossing = this.estimateCrossing(forecast, thresholds[key]);
+                }
+                return [key, forecast];
+            }))
+        };
+    },
+
+    /**
+     * 🧠 Function: detectChangePoints
+     * Role: Mean shifts in one series (CUSUM or Page-Hinkley)
+     * Inputs: Values (oldest first), options { method: 'cusum'|
+     *         'page-hinkley', threshold, drift, warmup, range }
+     * Returns: Array of { index, detectedAt, direction: 'up'|'down',
+     *          magnitude, statistic }, oldest first
+     * Notes: Runs online over the series. The first `warmup` points of a
+     *        segment set its baseline mean and σ (at least
+     *        CHANGE_MIN_SIGMA of the range). Later points are scored in
+     *        baseline σ units:
+     *        - cusum: two-sided CUSUM against the baseline mean
+     *        - page-hinkley: cumulative deviation from the running mean
+     *        An alarm fires when a statistic passes threshold. index is
+     *        the estimated onset (where the statistic last left zero),
+     *        detectedAt where it fired, magnitude the mean shift since
+     *        the onset. Each alarm starts a new segment at its onset.
+     */
+    detectChangePoints(ys, options = {}) {
+        const method = options.method || 'cusum';
+        if (!CHANGE_METHODS.includes(method)) {
+            throw new Error(`Unknown change-point method: ${method}`);
+        }
+        const h = options.threshold ?? CHANGE_THRESHOLD;
+        const k = options.drift ?? CHANGE_DRIFT;
+        const warmup = Math.max(2, options.warmup ?? CHANGE_WARMUP);
+        const span = options.range ? options.range[1] - options.range[0] : 1;
+        const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+        const changes = [];
+
+        let start = 0;
+        while (start + warmup < ys.length) {
+            const baseline = ys.slice(start, start + warmup);
+            const mu = mean(baseline);
+            const sigma = Math.max(
+                Math.sqrt(baseline.reduce((sum, y) => sum + (y - mu) ** 2, 0) / (warmup - 1)),
+                CHANGE_MIN_SIGMA * span
+            );
+
+            // Per direction: statistic, its running minimum (Page-Hinkley) and onset
+            const sides = [{ sign: 1, stat: 0, min: 0, onset: start + warmup }, { sign: -1, stat: 0, min: 0, onset: start + warmup }];
+            let runningSum = baseline.reduce((a, b) => a + b, 0);
+            let alarm = null;
+            for (let t = start + warmup; t < ys.length && !alarm; t++) {
+                runningSum += ys[t];
+                const center = method === 'cusum' ? mu : runningSum / (t - start + 1);
+                const z = (ys[t] - center) / sigma;
+
+                for (const side of sides) {
+                    if (method === 'cusum') {
+                        if (side.stat === 0) side.onset = t;
+                        side.stat = Math.max(0, side.stat + side.sign * z - k);
+                    } else {
+                        side.stat += side.sign * z - k;
+                        if (side.stat < side.min) {
+                            side.min = side.stat;
+                            side.onset = t + 1;
+                        }
+                    }
+                    const score = side.stat - (method === 'cusum' ? 0 : side.min);
+                    if (score > h) {
+                        const onset = Math.min(side.onset, t);
+                        alarm = {
+                            index: onset,
+                            detectedAt: t,
+                            direction: side.sign > 0 ? 'up' : 'down',
+                            magnitude: mean(ys.slice(onset, t + 1)) - mu,
+                            statistic: score
+                        };
+                        break;
+                    }
+                }
+            }
+
+            if (!alarm) break;
+            changes.push(alarm);
+            start = alarm.index;
+        }
+
+        return changes;
+    },
+
+    /**
+     * 🧠 Function: analyzeChangePoints
+     * Role: Change points per pillar and regressions the scalar masks
+     * Inputs: One value series per pillar, the scalar series, pillar
+     *         schema, options as for detectChangePoints plus directions
+     *         and tolerance
+     * Returns: { pillars: { key: changes }, scalar: changes, masked }
+     *          where masked lists { pillar, index, detectedAt,
+     *          pillarChange, scalarChange } for pillar regressions
+     *          during which the scalar did not fall
+     * Notes: A regression is a shift against the pillar's direction
+     *        (down unless directions says 'min'). It is masked when the
+     *        scalar from just before the onset to the detection fell by
+     *        less than tolerance (default 0.01).
+     */
+    analyzeChangePoints(pillars, scalar, schema, options = {}) {
+        const signs = this.resolveDirections(options.directions, schema.keys);
+        const tolerance = options.tolerance ?? MASK_TOLERANCE;
+
+        const byPillar = {};
+        const masked = [];
+        schema.keys.forEach((key, i) => {
+            const series = pillars[i];
+            const changes = this.detectChangePoints(series, { ...options, range: schema.ranges[i] });
+            byPillar[key] = changes;
+
+            changes
+                .filter(change => (change.direction === 'up' ? 1 : -1) !== signs[i])
+                .forEach(change => {
+                    const before = change.index - 1;
+                    const scalarChange = scalar[change.detectedAt] - scalar[before];
+                    if (scalarChange > -tolerance) {
+                        masked.push({
+                            pillar: key,
+                            index: change.index,
+                            detectedAt: change.detectedAt,
+                            pillarChange: series[change.detectedAt] - series[before],
+                            scalarChange
+                        });
+                    }
+                });
+        });
+
+        return {
+            pillars: byPillar,
+            scalar: this.detectChangePoints(scalar, { ...options, range: [0, 1] }),
+            masked
+        };
+    },
+
     /**
      * 🧠 Function: generateCycle
-     * Role: Generate the 5-step impossibility cycle from the paper
-     * Inputs: Initial vector and deltas for each pillar
+     * Role: Generate the impossibility cycle from the paper
+     * Inputs: Initial vector and deltas keyed by pillar
      * Returns: Array of states showing the paradox
-     * Notes: Core proof of the impossibility theorem
+     * Notes: Core proof of the impossibility theorem; one improvement
+     *        step per schema pillar followed by the geometric return.
+     *        Fixed script: use searchCycle for a cycle found against a
+     *        specific aggregator.
      */
     generateCycle(initial, deltas) {
         const states = [];
         const operations = [];
+        const schema = initial.schema;
 
         // Step 0: Initial state
         states.push(initial.clone());
 
         let current = initial.clone();
 
-        // Step 1: Improve algorithmic
-        current = this.applyImprovement(current, 'alg', deltas.alg);
-        states.push(current.clone());
-        operations.push('Optimize Algorithm');
-
-        // Step 2: Improve information
-        current = this.applyImprovement(current, 'info', deltas.info);
-        states.push(current.clone());
-        operations.push('Add Correlations');
-
-        // Step 3: Improve dynamical
-        current = this.applyImprovement(current, 'dyn', deltas.dyn);
-        states.push(current.clone());
-        operations.push('Increase Dynamics');
-
-        // Step 4: Improve geometric
-        current = this.applyImprovement(current, 'geom', deltas.geom);
-        states.push(current.clone());
-        operations.push('Enrich Topology');
+        // Steps 1..N: Improve each pillar in schema order
+        schema.keys.forEach((key, i) => {
+            current = this.applyImprovement(current, key, deltas[key]);
+            states.push(current.clone());
+            operations.push(schema.actions[i].label);
+        });
 
-        // Step 5: Geometric return (projection back to initial)
+        // Final step: Geometric return (projection back to initial)
         // This is the paradox: geometrically returns to X₀
-        // but scalar says C*(X₄) > C*(X₀)
+        // but scalar says C*(X_N) > C*(X₀)
         states.push(initial.clone());
         operations.push('Geometric Return');
 
+        const peak = states[schema.size];
+
         return {
             states,
             operations,
             paradox: {
                 scalarInitial: this.computeScalarAverage(initial),
-                scalarFinal: this.computeScalarAverage(states[4]),
+                scalarFinal: this.computeScalarAverage(peak),
                 vectorInitial: initial.toArray(),
-                vectorFinal: states[4].toArray(),
-                totalDelta: deltas.alg + deltas.info + deltas.dyn + deltas.geom
+                vectorFinal: peak.toArray(),
+                totalDelta: schema.keys.reduce((sum, key) => sum + deltas[key], 0)
+            }
+        };
+    },
+
+    /**
+     * 🧠 Function: cycleCandidates
+     * Role: Every admissible single step from a vector
+     * Inputs: Vector values, pillar schema, step constraints
+     * Returns: Array of { target, gain, cost: { index, amount } | null,
+     *          net, values }
+     * Notes: A step gains on one pillar and loses on at most one other.
+     *        Gains and costs are shares of each pillar's range (gain and
+     *        amount are reported in pillar units); costs are capped at
+     *        gain / gainRatio so every step is a net improvement, and net
+     *        is that improvement as a share of range.
+     */
+    cycleCandidates(values, schema, constraints) {
+        const { minGain, maxGain, maxCost, gainRatio, targets } = constraints;
+        const width = schema.ranges.map(([min, max]) => max - min);
+        const candidates = [];
+
+        targets.forEach(target => {
+            const headroom = (schema.ranges[target][1] - values[target]) / width[target];
+            [minGain, maxGain].forEach(level => {
+                const share = Math.min(level, headroom);
+                if (share < minGain - EPSILON) return;
+                const gain = share * width[target];
+
+                const costIndices = [null, ...schema.keys.map((_, j) => j).filter(j => j !== target)];
+                costIndices.forEach(index => {
+                    const next = [...values];
+                    next[target] += gain;
+                    let cost = null;
+                    let costShare = 0;
+                    if (index !== null) {
+                        costShare = Math.min(maxCost, share / gainRatio, (values[index] - schema.ranges[index][0]) / width[index]);
+                        if (costShare <= EPSILON) return;
+                        const amount = costShare * width[index];
+                        next[index] -= amount;
+                        cost = { index, amount };
+                    }
+                    candidates.push({ target, gain, cost, net: share - costShare, values: next });
+                });
+            });
+        });
+
+        return candidates;
+    },
+
+    /**
+     * 🧠 Function: searchCycle
+     * Role: Search for improvement sequences the scalar does not reward
+     * Inputs: Initial vector, options { aggregator, weights, steps, minGain,
+     *         maxGain, maxCost, gainRatio, pillars, attempts, tolerance, seed, random }
+     * Returns: { found, states, steps, paradox } where each step is
+     *          { operation, pillar, gain, cost, signalLoss } and paradox
+     *          summarizes the scalar and vector change over the sequence
+     * Notes: Each step raises one pillar by a gain in [minGain, maxGain]
+     *        and may lower one other pillar by at most gain / gainRatio, so
+     *        the sequence strictly improves the pillar sum. Gains and costs
+     *        are shares of each pillar's range, as is netVectorGain. The first
+     *        attempt greedily picks the step that lowers the scalar most;
+     *        later attempts pick randomly among the best few. A cycle is
+     *        found when the final scalar is within tolerance of, or below,
+     *        the start. Otherwise the closest attempt is returned with
+     *        found = false (e.g. equally weighted means always rise).
+     */
+    searchCycle(initial, options = {}) {
+        const schema = initial.schema;
+        const weights = options.weights || null;
+        const aggregator = options.aggregator;
+        const random = resolveRandom(options);
+        const tolerance = options.tolerance ?? SIGNAL_LOSS_THRESHOLD;
+        const stepCount = options.steps || CYCLE_STEPS;
+        const attempts = options.attempts ?? CYCLE_ATTEMPTS;
+        const constraints = {
+            minGain: options.minGain ?? CYCLE_MIN_GAIN,
+            maxGain: options.maxGain ?? CYCLE_MAX_GAIN,
+            maxCost: options.maxCost ?? CYCLE_MAX_COST,
+            gainRatio: options.gainRatio ?? CYCLE_GAIN_RATIO,
+            targets: (options.pillars || schema.keys).map(key => {
+                const index = schema.keys.indexOf(key);
+                if (index === -1) {
+                    throw new Error(`Invalid pillar: ${key}`);
+                }
+                return index;
+            })
+        };
+        if (!(constraints.minGain > 0) || constraints.maxGain < constraints.minGain) {
+            throw new Error('searchCycle needs 0 < minGain <= maxGain');
+        }
+        if (!(constraints.gainRatio > 1)) {
+            throw new Error('searchCycle needs gainRatio > 1 so every step is a net improvement');
+        }
+
+        const scalarOf = (values) => this.computeScalarAverage(new ComplexityVector(values, schema), weights, { aggregator });
+        const start = initial.toArray();
+        const scalarInitial = scalarOf(start);
+
+        // One walk: greedy (pick = 1) or randomized among the best few
+        const walk = (pick) => {
+            const path = [];
+            let values = start;
+            for (let s = 0; s < stepCount; s++) {
+                const ranked = this.cycleCandidates(values, schema, constraints)
+                    .map(candidate => ({ ...candidate, scalar: scalarOf(candidate.values) }))
+                    .sort((a, b) => a.scalar - b.scalar || b.net - a.net);
+                if (ranked.length === 0) break;
+                const choice = ranked[Math.floor(random() * Math.min(pick, ranked.length))];
+                path.push(choice);
+                values = choice.values;
+            }
+            return path;
+        };
+
+        let best = walk(1);
+        const finalScalar = (path) => (path.length ? path[path.length - 1].scalar : scalarInitial);
+        for (let a = 0; a < attempts && finalScalar(best) - scalarInitial > tolerance; a++) {
+            const path = walk(CYCLE_TOP_CANDIDATES);
+            if (finalScalar(path) < finalScalar(best)) {
+                best = path;
+            }
+        }
+
+        // Replay the best walk as vectors with per-step signal loss
+        const states = [initial.clone()];
+        const steps = best.map(step => {
+            const before = states[states.length - 1];
+            const after = new ComplexityVector(step.values, schema);
+            states.push(after);
+            const costLabel = step.cost
+                ? `, −${step.cost.amount.toFixed(3)} ${schema.labels[step.cost.index]}`
+                : '';
+            return {
+                operation: `${schema.actions[step.target].label} (+${step.gain.toFixed(3)}${costLabel})`,
+                pillar: step.target,
+                gain: step.gain,
+                cost: step.cost ? { pillar: step.cost.index, amount: step.cost.amount } : null,
+                signalLoss: this.calculateSignalLoss(before, after, weights, { aggregator })
+            };
+        });
+
+        const final = states[states.length - 1];
+        const vectorFinal = final.toArray();
+        const scalarFinal = scalarOf(vectorFinal);
+        const unitInitial = initial.toUnitArray();
+
+        return {
+            found: steps.length > 0 && scalarFinal - scalarInitial <= tolerance,
+            states,
+            steps,
+            paradox: {
+                scalarInitial,
+                scalarFinal,
+                scalarChange: scalarFinal - scalarInitial,
+                vectorInitial: start,
+                vectorFinal,
+                netVectorGain: final.toUnitArray().reduce((sum, v, i) => sum + v - unitInitial[i], 0)
             }
         };
     },
@@ -286,30 +2219,31 @@ export const ComplexityMath = {
      * Role: Check if vector state is valid
      * Inputs: ComplexityVector
      * Returns: Validation result object
-     * Notes: Useful for UI validation
+     * Notes: Useful for UI validation; checks run on range-scaled values
+     *        (toUnitArray), so limits are shares of each pillar's range
      */
     validateState(vector) {
-        const arr = vector.toArray();
+        const arr = vector.toUnitArray();
 
         return {
             valid: arr.every(v => v >= 0 && v <= 1),
             saturated: arr.filter(v => v >= 0.99).length,
             empty: arr.filter(v => v <= 0.01).length,
             balanced: Math.max(...arr) - Math.min(...arr) < 0.2,
-            warnings: this.generateWarnings(arr)
+            warnings: this.generateWarnings(arr, vector.labels)
         };
     },
 
     /**
      * 🧠 Function: generateWarnings
      * Role: Generate user warnings for edge cases
-     * Inputs: Array of vector values
+     * Inputs: Array of values scaled to [0,1] (toUnitArray), optional pillar labels
      * Returns: Array of warning messages
      * Notes: Helps users understand state limitations
      */
-    generateWarnings(arr) {
+    generateWarnings(arr, labels = DEFAULT_SCHEMA.labels) {
         const warnings = [];
-        const keys = ['Algorithmic', 'Information', 'Dynamical', 'Geometric'];
+        const keys = labels;
 
         arr.forEach((v, i) => {
             if (v >= 0.99) {
@@ -330,11 +2264,12 @@ export const ComplexityMath = {
     /**
      * 🧠 Function: computeDistance
      * Role: Calculate distance between two vectors
-     * Inputs: Two ComplexityVectors and metric type
+     * Inputs: Two ComplexityVectors, metric type, options { covariance }
      * Returns: Distance value
-     * Notes: Multiple metrics for different analyses
+     * Notes: Multiple metrics for different analyses; 'mahalanobis'
+     *        needs a covariance (see mahalanobisDistance)
      */
-    computeDistance(v1, v2, metric = 'euclidean') {
+    computeDistance(v1, v2, metric = 'euclidean', options = {}) {
         const a1 = v1.toArray();
         const a2 = v2.toArray();
 
@@ -350,20 +2285,72 @@ export const ComplexityMath = {
             case 'chebyshev':
                 return Math.max(...a1.map((v, i) => Math.abs(v - a2[i])));
 
-            case 'weighted':
-                // Weight by importance (could be customized)
-                const weights = [0.3, 0.3, 0.2, 0.2];
+            case 'weighted': {
+                // Weight by importance (uniform outside the four-pillar schema)
+                const weights = a1.length === WEIGHTED_DISTANCE_WEIGHTS.length
+                    ? WEIGHTED_DISTANCE_WEIGHTS
+                    : a1.map(() => 1 / a1.length);
                 return Math.sqrt(
                     a1.reduce((sum, v, i) =>
                         sum + weights[i] * Math.pow(v - a2[i], 2), 0
                     )
                 );
+            }
+
+            case 'mahalanobis':
+                if (!options.covariance) {
+                    throw new Error('The mahalanobis metric needs a covariance');
+                }
+                return this.mahalanobisDistance(v1, v2, options.covariance);
 
             default:
                 return this.computeDistance(v1, v2, 'euclidean');
         }
     },
 
+    /**
+     * 🧠 Function: mahalanobisDistance
+     * Role: Distance in units of the pillars' joint spread
+     * Inputs: Two ComplexityVectors (or arrays), covariance matrix or a
+     *         computeCorrelations result
+     * Returns: sqrt(dᵀ Σ⁺ d) with d = v1 - v2
+     * Notes: Uses the pseudo-inverse, so constant or perfectly correlated
+     *        pillars (singular Σ) add nothing along their degenerate
+     *        directions instead of failing
+     */
+    mahalanobisDistance(v1, v2, covariance) {
+        const matrix = Array.isArray(covariance) ? covariance : covariance.covariance;
+        const a1 = Array.isArray(v1) ? v1 : v1.toArray();
+        const a2 = Array.isArray(v2) ? v2 : v2.toArray();
+        if (matrix.length !== a1.length || a1.length !== a2.length) {
+            throw new Error(`Covariance must be ${a1.length}x${a1.length}`);
+        }
+
+        if (!precisionCache.has(matrix)) {
+            precisionCache.set(matrix, this.pseudoInverse(matrix));
+        }
+        const precision = precisionCache.get(matrix);
+        const d = a1.map((v, i) => v - a2[i]);
+        const squared = d.reduce((sum, di, i) => sum + di * precision[i].reduce((s, p, j) => s + p * d[j], 0), 0);
+        return Math.sqrt(Math.max(0, squared));
+    },
+
+    /**
+     * 🧠 Function: pseudoInverse
+     * Role: Moore-Penrose inverse of a symmetric matrix
+     * Inputs: Symmetric matrix (array of rows)
+     * Returns: Matrix (array of rows)
+     * Notes: Eigenvalues below PSEUDO_INVERSE_TOLERANCE of the largest
+     *        are treated as zero
+     */
+    pseudoInverse(matrix) {
+        const { values, vectors } = this.symmetricEigen(matrix);
+        const cutoff = Math.max(...values.map(Math.abs), 0) * PSEUDO_INVERSE_TOLERANCE;
+        return matrix.map((_, i) => matrix.map((__, j) =>
+            values.reduce((sum, value, k) =>
+                (Math.abs(value) > cutoff ? sum + vectors[k][i] * vectors[k][j] / value : sum), 0)));
+    },
+
     /**
      * 🧠 Function: interpolate
      * Role: Linearly interpolate between two vectors
@@ -381,61 +2368,334 @@ export const ComplexityMath = {
 
         const interpolated = a1.map((v, i) => v * (1 - t) + a2[i] * t);
 
-        return new ComplexityVector(...interpolated);
+        return new ComplexityVector(interpolated, v1.schema);
     },
 
     /**
      * 🧠 Function: generateRandomStates
      * Role: Generate random states for testing/demos
-     * Inputs: Number of states and constraints
+     * Inputs: Number of states, options { schema, distribution, seed,
+     *         random, ...distribution parameters }
      * Returns: Array of ComplexityVectors
-     * Notes: Useful for Pareto frontier visualization
+     * Notes: Distributions (values are clamped to pillar ranges):
+     *        - uniform: independent uniform pillars (default)
+     *        - balanced: pillars scattered around one shared level
+     *        - dirichlet: unit values sum to 1; alpha (number or array,
+     *          default 1) sets the concentration
+     *        - pareto: points on the front Σ xᵢᵖ = 1 with p = curvature
+     *          (default 2); no point dominates another
+     *        - correlated: multivariate normal with mean (default the
+     *          range centers) and covariance, both in pillar units
+     *        - clusters: normal scatter around archetypes (vectors or
+     *          arrays); spread is a fraction of each range; sample i
+     *          belongs to archetype i mod archetypes.length
+     *        The legacy flags balanced: true and pareto: true still work.
+     *        Pass seed for reproducible samples.
      */
-    generateRandomStates(count, constraints = {}) {
-        const states = [];
+    generateRandomStates(count, options = {}) {
+        const schema = options.schema ? createPillarSchema(options.schema) : DEFAULT_SCHEMA;
+        const n = schema.size;
+        const random = resolveRandom(options);
+        const distribution = options.distribution
+            || (options.balanced ? 'balanced' : options.pareto ? 'pareto' : 'uniform');
+        if (!RANDOM_DISTRIBUTIONS.includes(distribution)) {
+            throw new Error(`Unknown distribution: ${distribution}`);
+        }
 
+        // Pillar units <-> unit cube, so every shape is drawn on [0,1]ⁿ
+        const spans = schema.ranges.map(([min, max]) => max - min);
+        const toUnit = (values) => values.map((v, j) => (v - schema.ranges[j][0]) / spans[j]);
+        const unitRows = (rows, name) => rows.map((row, i) => {
+            const values = row instanceof ComplexityVector ? row.toArray() : row;
+            if (!Array.isArray(values) || values.length !== n) {
+                throw new Error(`${name}[${i}] must have ${n} values`);
+            }
+            return toUnit(values);
+        });
+        const draw = this.randomStateSampler(distribution, n, random, options, { spans, unitRows });
+
+        const states = [];
         for (let i = 0; i < count; i++) {
-            let values;
+            // Map unit samples onto each pillar's range
+            const values = draw(i).map((v, j) => {
+                const [min, max] = schema.ranges[j];
+                return min + Math.min(1, Math.max(0, v)) * (max - min);
+            });
+            states.push(new ComplexityVector(values, schema));
+        }
+
+        return states;
+    },
 
-            if (constraints.balanced) {
-                // Generate balanced states
-                const base = 0.3 + Math.random() * 0.4;
+    /**
+     * 🧠 Function: randomStateSampler
+     * Role: Unit-cube sampler for one generateRandomStates distribution
+     * Inputs: Distribution name, pillar count, random source, options,
+     *         unit conversion helpers { spans, unitRows }
+     * Returns: Function (sample index) -> array of unit values
+     * Notes: Parameters are validated once, before any sample is drawn
+     */
+    randomStateSampler(distribution, n, random, options, { spans, unitRows }) {
+        switch (distribution) {
+            case 'balanced': {
                 const variance = 0.2;
-                values = [
-                    base + (Math.random() - 0.5) * variance,
-                    base + (Math.random() - 0.5) * variance,
-                    base + (Math.random() - 0.5) * variance,
-                    base + (Math.random() - 0.5) * variance
-                ].map(v => Math.max(0, Math.min(1, v)));
-            } else if (constraints.pareto) {
-                // Generate likely Pareto-optimal states
-                const weights = Math.random();
-                values = [
-                    Math.random() * (1 - weights),
-                    Math.random() * (1 - weights),
-                    weights * Math.random(),
-                    1 - weights
-                ];
-            } else {
-                // Fully random
-                values = [
-                    Math.random(),
-                    Math.random(),
-                    Math.random(),
-                    Math.random()
-                ];
+                return () => {
+                    const base = 0.3 + random() * 0.4;
+                    return Array.from({ length: n }, () => base + (random() - 0.5) * variance);
+                };
+            }
+            case 'dirichlet': {
+                const alpha = Array.isArray(options.alpha) ? options.alpha : new Array(n).fill(options.alpha ?? 1);
+                if (alpha.length !== n || !alpha.every(a => a > 0)) {
+                    throw new Error(`alpha must be a positive number or ${n} positive numbers`);
+                }
+                return () => dirichlet(alpha, random);
+            }
+            case 'pareto': {
+                // xᵢ = dᵢ^(1/p) with d uniform on the simplex puts every point on Σ xᵢᵖ = 1
+                const curvature = options.curvature ?? PARETO_CURVATURE;
+                if (!(curvature > 0)) {
+                    throw new Error(`curvature must be positive, got ${curvature}`);
+                }
+                const flat = new Array(n).fill(1);
+                return () => dirichlet(flat, random).map(d => Math.pow(d, 1 / curvature));
+            }
+            case 'correlated': {
+                if (!options.covariance) {
+                    throw new Error('The correlated distribution needs a covariance matrix');
+                }
+                const mean = options.mean ? unitRows([options.mean], 'mean')[0] : new Array(n).fill(0.5);
+                const L = this.cholesky(options.covariance.map((row, i) => {
+                    if (!Array.isArray(row) || row.length !== n) {
+                        throw new Error(`Covariance must be ${n}x${n}`);
+                    }
+                    return row.map((v, j) => v / (spans[i] * spans[j]));
+                }));
+                return () => {
+                    const z = Array.from({ length: n }, () => normal(random));
+                    return mean.map((m, i) => m + L[i].reduce((sum, l, k) => sum + l * z[k], 0));
+                };
+            }
+            case 'clusters': {
+                if (!Array.isArray(options.archetypes) || options.archetypes.length === 0) {
+                    throw new Error('The clusters distribution needs at least one archetype');
+                }
+                const centers = unitRows(options.archetypes, 'archetypes');
+                const spread = options.spread ?? CLUSTER_SPREAD;
+                return (i) => centers[i % centers.length].map(c => c + spread * normal(random));
             }
+            default:
+                return () => Array.from({ length: n }, () => random());
+        }
+    },
 
-            states.push(new ComplexityVector(...values));
+    /**
+     * 🧠 Function: checkAxioms
+     * Role: Numerically probe a scalar function against the theorem's axioms
+     * Inputs: Scalar function (vector -> number) or aggregator spec,
+     *         options { schema, weights, samples, tasks, seed, random }
+     * Returns: { samples, passedAll, axioms: { additivity, monotonicity,
+     *          continuity, taskUniversality } }, each axiom being
+     *          { name, passed, checked, violations, counterexample }
+     * Notes: A pass means no violation was found in the sample, not a proof.
+     *        Counterexamples are the largest violation found:
+     *        { vectors: [{ label, vector }], values, message }.
+     *        - additivity: f(A ⊕ B) = f(A) + f(B), ⊕ adding offsets above the range minimum
+     *        - monotonicity: raising any one pillar strictly raises f
+     *        - continuity: no jump survives bisection to a tiny interval
+     *        - task-universality: f never ranks A above B when some task
+     *          (a weighting of pillars, default each pillar alone and uniform)
+     *          strictly prefers B
+     */
+    checkAxioms(aggregatorFn, options = {}) {
+        const schema = options.schema ? createPillarSchema(options.schema) : DEFAULT_SCHEMA;
+        const samples = options.samples || AXIOM_SAMPLES;
+        const random = resolveRandom(options);
+        const n = schema.size;
+
+        const f = typeof aggregatorFn === 'function'
+            ? aggregatorFn
+            : (vector) => this.computeScalarAverage(vector, options.weights || null, { aggregator: aggregatorFn });
+        const evaluate = (values) => {
+            const vector = new ComplexityVector(values, schema);
+            const value = f(vector);
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                throw new Error(`Scalar function returned a non-finite value for ${vector}`);
+            }
+            return value;
+        };
+        const toVector = (values) => new ComplexityVector(values, schema);
+        const sample = (upper = 1) => schema.ranges.map(([min, max]) => min + random() * upper * (max - min));
+
+        // Tracks the worst violation per axiom
+        const makeResult = (name) => ({ name, passed: true, checked: 0, violations: 0, counterexample: null, worst: 0 });
+        const record = (result, size, build) => {
+            result.violations++;
+            result.passed = false;
+            if (size > result.worst) {
+                result.worst = size;
+                result.counterexample = build();
+            }
+        };
+
+        const additivity = makeResult('Additivity');
+        const monotonicity = makeResult('Monotonicity');
+        const continuity = makeResult('Continuity');
+        const taskUniversality = makeResult('Task-universality');
+
+        const tasks = options.tasks || [
+            ...schema.keys.map((_, i) => schema.keys.map((__, j) => (i === j ? 1 : 0))),
+            schema.keys.map(() => 1 / n)
+        ];
+        const taskScore = (task, values) => values.reduce((sum, v, i) => sum + task[i] * v, 0);
+
+        for (let s = 0; s < samples; s++) {
+            // Additivity: both parts from the lower half so the composition stays in range
+            const a = sample(0.5);
+            const b = sample(0.5);
+            const composed = a.map((v, i) => v + b[i] - schema.ranges[i][0]);
+            const [fa, fb, fc] = [evaluate(a), evaluate(b), evaluate(composed)];
+            additivity.checked++;
+            const gap = Math.abs(fc - (fa + fb));
+            if (gap > AXIOM_TOLERANCE * Math.max(1, Math.abs(fc))) {
+                record(additivity, gap, () => ({
+                    vectors: [
+                        { label: 'A', vector: toVector(a) },
+                        { label: 'B', vector: toVector(b) },
+                        { label: 'A ⊕ B', vector: toVector(composed) }
+                    ],
+                    values: [fa, fb, fc],
+                    message: `f(A ⊕ B) = ${fc.toFixed(4)} but f(A) + f(B) = ${(fa + fb).toFixed(4)}`
+                }));
+            }
+
+            // Monotonicity: raise one pillar
+            const base = sample();
+            const fBase = evaluate(base);
+            schema.keys.forEach((key, i) => {
+                const [, max] = schema.ranges[i];
+                const step = Math.min(MONOTONICITY_STEP * (max - schema.ranges[i][0]), max - base[i]);
+                if (step <= AXIOM_TOLERANCE) return;
+                const improved = [...base];
+                improved[i] += step;
+                const fImproved = evaluate(improved);
+                monotonicity.checked++;
+                if (fImproved - fBase <= AXIOM_TOLERANCE) {
+                    record(monotonicity, fBase - fImproved + step, () => ({
+                        vectors: [
+                            { label: 'Before', vector: toVector(base) },
+                            { label: `+${step.toFixed(3)} ${schema.labels[i]}`, vector: toVector(improved) }
+                        ],
+                        values: [fBase, fImproved],
+                        message: `Raising ${schema.labels[i]} by ${step.toFixed(3)} moved f from ${fBase.toFixed(4)} to ${fImproved.toFixed(4)}`
+                    }));
+                }
+            });
+
+            // Continuity: scan a segment, then bisect the largest jump
+            const start = sample();
+            const end = sample();
+            const point = (t) => start.map((v, i) => v + t * (end[i] - v));
+            let jumpAt = 0;
+            let largest = -1;
+            let previous = evaluate(start);
+            for (let k = 1; k <= CONTINUITY_GRID; k++) {
+                const current = evaluate(point(k / CONTINUITY_GRID));
+                if (Math.abs(current - previous) > largest) {
+                    largest = Math.abs(current - previous);
+                    jumpAt = k - 1;
+                }
+                previous = current;
+            }
+            let lo = jumpAt / CONTINUITY_GRID;
+            let hi = (jumpAt + 1) / CONTINUITY_GRID;
+            for (let k = 0; k < CONTINUITY_BISECTIONS; k++) {
+                const mid = (lo + hi) / 2;
+                const [fLo, fMid, fHi] = [evaluate(point(lo)), evaluate(point(mid)), evaluate(point(hi))];
+                if (Math.abs(fMid - fLo) >= Math.abs(fHi - fMid)) {
+                    hi = mid;
+                } else {
+                    lo = mid;
+                }
+            }
+            continuity.checked++;
+            const [left, right] = [point(lo), point(hi)];
+            const jump = Math.abs(evaluate(right) - evaluate(left));
+            if (jump > CONTINUITY_JUMP) {
+                const distance = Math.sqrt(left.reduce((sum, v, i) => sum + (v - right[i]) ** 2, 0));
+                record(continuity, jump, () => ({
+                    vectors: [
+                        { label: 'Left of jump', vector: toVector(left) },
+                        { label: 'Right of jump', vector: toVector(right) }
+                    ],
+                    values: [evaluate(left), evaluate(right)],
+                    message: `Vectors ${distance.toExponential(1)} apart differ by ${jump.toFixed(4)} in f`
+                }));
+            }
+
+            // Task-universality: f must agree with every task's preference
+            const x = sample();
+            const y = sample();
+            const [fx, fy] = [evaluate(x), evaluate(y)];
+            const [better, worse, fBetter, fWorse] = fx >= fy ? [x, y, fx, fy] : [y, x, fy, fx];
+            taskUniversality.checked++;
+            if (fBetter - fWorse > AXIOM_TOLERANCE) {
+                // The task that most strongly disagrees with f
+                let preference = AXIOM_TOLERANCE;
+                let t = -1;
+                tasks.forEach((task, i) => {
+                    const margin = taskScore(task, worse) - taskScore(task, better);
+                    if (margin > preference) {
+                        preference = margin;
+                        t = i;
+                    }
+                });
+                if (t >= 0) {
+                    const task = tasks[t];
+                    record(taskUniversality, Math.min(preference, fBetter - fWorse), () => ({
+                        vectors: [
+                            { label: 'Ranked higher by f', vector: toVector(better) },
+                            { label: 'Preferred by task', vector: toVector(worse) }
+                        ],
+                        values: [fBetter, fWorse],
+                        task: [...task],
+                        message: `f prefers the first system (${fBetter.toFixed(4)} > ${fWorse.toFixed(4)}), ` +
+                            `but task ${t + 1} [${task.map(w => w.toFixed(2)).join(', ')}] prefers the second`
+                    }));
+                }
+            }
         }
 
-        return states;
+        const axioms = { additivity, monotonicity, continuity, taskUniversality };
+        Object.values(axioms).forEach(result => delete result.worst);
+
+        return {
+            samples,
+            passedAll: Object.values(axioms).every(result => result.passed),
+            axioms
+        };
+    },
+
+    /**
+     * 🧠 Function: normalCdf
+     * Role: Standard normal cumulative distribution Φ(z)
+     * Inputs: z-score
+     * Returns: Probability in [0,1]
+     * Notes: Abramowitz & Stegun 7.1.26 erf approximation (|error| < 1.5e-7)
+     */
+    normalCdf(z) {
+        const x = Math.abs(z) / Math.SQRT2;
+        const t = 1 / (1 + 0.3275911 * x);
+        const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 +
+            t * (-1.453152027 + t * 1.061405429))));
+        const erf = 1 - poly * Math.exp(-x * x);
+        return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
     }
 };
 
 // Export helper functions for convenience
-export function createVector(alg, info, dyn, geom) {
-    return new ComplexityVector(alg, info, dyn, geom);
+export function createVector(...values) {
+    return new ComplexityVector(...values);
 }
 
 export function calculateScalar(vector, weights) {
@@ -0,0 +1,269 @@
+/**
+ * 📄 File: complexity-normalize.js
+ * Purpose: Map raw metric readings (hours, minutes, counts) to pillar values
+ * Created: 2026-10-19
+ * Used by: complexity-state.js (updateFromRaw, export), chart tooltips
+ */
+
+import { ComplexityMath } from './complexity-math.js';
+
+// === CONFIG ===
+// 🛠️ Transform Methods
+export const NORMALIZATION_METHODS = ['identity', 'min-max', 'z-score', 'percentile', 'log'];
+
+/**
+ * Per-pillar transform spec, keyed by pillar key in the config object.
+ *
+ * @typedef {Object} PillarTransform
+ * @property {string} method     One of NORMALIZATION_METHODS (default 'identity')
+ * @property {boolean} [invert]  Lower raw values are better: result becomes 1 - value
+ * @property {string} [unit]     Unit shown next to raw values in tooltips
+ * @property {number} [min]      min-max / log: raw value mapped to 0
+ * @property {number} [max]      min-max / log: raw value mapped to 1
+ * @property {number} [offset]   log: added before taking the logarithm (e.g. 1 for counts)
+ * @property {number} [mean]     z-score: population mean
+ * @property {number} [std]      z-score: population standard deviation (> 0)
+ * @property {number[]} [reference]  percentile: reference sample
+ */
+
+/**
+ * 🧠 Function: clamp01
+ * Role: Clamp a value to [0,1]
+ * Inputs: Number
+ * Returns: Number
+ */
+function clamp01(value) {
+    return Math.min(1, Math.max(0, value));
+}
+
+/**
+ * 🧠 Function: isNumber
+ * Role: Finite number check
+ * Inputs: Any value
+ * Returns: Boolean
+ */
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Unit-interval transforms; each receives (raw, spec, [min, max] pillar range)
+// and returns [0,1]. identity measures raw in the pillar's own units, so it
+// comes back out unchanged (clamped to the range).
+const TRANSFORMS = {
+    identity: (raw, spec, [min, max]) => clamp01((raw - min) / (max - min)),
+    'min-max': (raw, spec) => clamp01((raw - spec.min) / (spec.max - spec.min)),
+    'z-score': (raw, spec) => ComplexityMath.normalCdf((raw - spec.mean) / spec.std),
+    percentile: (raw, spec) => {
+        // Mid-rank: ties count half, so the median of the reference maps to ~0.5
+        const below = spec.reference.filter(r => r < raw).length;
+        const equal = spec.reference.filter(r => r === raw).length;
+        return (below + equal / 2) / spec.reference.length;
+    },
+    log: (raw, spec) => {
+        const offset = spec.offset || 0;
+        if (raw + offset <= 0) {
+            throw new Error(`log transform needs raw + offset > 0, got ${raw}`);
+        }
+        const low = Math.log(spec.min + offset);
+        const high = Math.log(spec.max + offset);
+        return clamp01((Math.log(raw + offset) - low) / (high - low));
+    }
+};
+
+/**
+ * 🧠 Function: validateNormalization
+ * Role: Validate a normalization config against a pillar schema
+ * Inputs: Config object keyed by pillar, pillar schema, path prefix
+ * Returns: Array of { path, message } (empty when valid)
+ */
+export function validateNormalization(config, schema, prefix = 'normalization') {
+    const errors = [];
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        return [{ path: prefix, message: 'must be an object keyed by pillar' }];
+    }
+
+    Object.entries(config).forEach(([key, spec]) => {
+        const path = `${prefix}.${key}`;
+        if (!schema.keys.includes(key)) {
+            errors.push({ path, message: 'is not a pillar of this schema' });
+            return;
+        }
+        if (!spec || typeof spec !== 'object') {
+            errors.push({ path, message: 'must be a transform object' });
+            return;
+        }
+
+        const method = spec.method || 'identity';
+        if (!NORMALIZATION_METHODS.includes(method)) {
+            errors.push({ path: `${path}.method`, message: `unknown method ${method}` });
+            return;
+        }
+        if (spec.invert !== undefined && typeof spec.invert !== 'boolean') {
+            errors.push({ path: `${path}.invert`, message: 'must be a boolean' });
+        }
+
+        if (method === 'min-max' || method === 'log') {
+            if (!isNumber(spec.min) || !isNumber(spec.max) || spec.max <= spec.min) {
+                errors.push({ path, message: `${method} needs numeric min < max` });
+            } else if (method === 'log' && spec.min + (spec.offset || 0) <= 0) {
+                errors.push({ path: `${path}.min`, message: 'log needs min + offset > 0' });
+            }
+            if (spec.offset !== undefined && !isNumber(spec.offset)) {
+                errors.push({ path: `${path}.offset`, message: 'must be a number' });
+            }
+        } else if (method === 'z-score') {
+            if (!isNumber(spec.mean)) {
+                errors.push({ path: `${path}.mean`, message: 'must be a number' });
+            }
+            if (!isNumber(spec.std) || spec.std <= 0) {
+                errors.push({ path: `${path}.std`, message: 'must be a positive number' });
+            }
+        } else if (method === 'percentile') {
+            if (!Array.isArray(spec.reference) || spec.reference.length === 0 || !spec.reference.every(isNumber)) {
+                errors.push({ path: `${path}.reference`, message: 'must be a non-empty array of numbers' });
+            }
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * 🧠 Function: fitTransform
+ * Role: Derive a transform spec from sample readings
+ * Inputs: Method, array of raw samples, extra spec fields (invert, unit, offset)
+ * Returns: PillarTransform
+ * Notes: min-max/log use the sample range, z-score its mean and standard
+ *        deviation, percentile keeps the sample as reference
+ */
+export function fitTransform(method, samples, extra = {}) {
+    if (!Array.isArray(samples) || samples.length === 0 || !samples.every(isNumber)) {
+        throw new Error('fitTransform needs a non-empty array of numbers');
+    }
+
+    switch (method) {
+        case 'min-max':
+        case 'log':
+            return { method, min: Math.min(...samples), max: Math.max(...samples), ...extra };
+        case 'z-score': {
+            const mean = samples.reduce((a, b) => a + b, 0) / samples.length;
+            const variance = samples.reduce((s, v) => s + (v - mean) ** 2, 0) / samples.length;
+            return { method, mean, std: Math.sqrt(variance), ...extra };
+        }
+        case 'percentile':
+            return { method, reference: [...samples].sort((a, b) => a - b), ...extra };
+        default:
+            throw new Error(`Cannot fit method ${method}`);
+    }
+}
+
+/**
+ * 🧠 Class: Normalizer
+ * Role: Per-pillar transform pipeline from raw readings to a vector
+ * Inputs: Config keyed by pillar key, pillar schema
+ * Returns: Normalizer with normalize() and toJSON()
+ * Notes: Pillars without a transform pass through unchanged ('identity'),
+ *        clamped to their schema range. Other transforms give [0,1],
+ *        which is scaled into each pillar's schema range.
+ */
+export class Normalizer {
+    constructor(config, schema) {
+        const errors = validateNormalization(config, schema);
+        if (errors.length > 0) {
+            throw new Error(`Invalid normalization: ${errors.map(e => `${e.path}: ${e.message}`).join('; ')}`);
+        }
+
+        this.schema = schema;
+        this.specs = schema.keys.map(key => {
+            const spec = config[key] || {};
+            return Object.freeze({
+                ...spec,
+                method: spec.method || 'identity',
+                invert: !!spec.invert,
+                ...(spec.reference ? { reference: Object.freeze([...spec.reference]) } : {})
+            });
+        });
+    }
+
+    /**
+     * 🧠 Function: toRawArray
+     * Role: Accept raw readings as an array or an object keyed by pillar
+     * Inputs: Raw readings
+     * Returns: Array of numbers in schema order
+     * Notes: Throws naming the pillar on missing or non-numeric values
+     */
+    toRawArray(raw) {
+        const values = Array.isArray(raw) ? raw : this.schema.keys.map(key => raw?.[key]);
+        if (values.length !== this.schema.size) {
+            throw new Error(`Raw readings must have ${this.schema.size} values, got ${values.length}`);
+        }
+        values.forEach((value, i) => {
+            if (!isNumber(value)) {
+                throw new Error(`Raw reading for ${this.schema.keys[i]} is not a number: ${value}`);
+            }
+        });
+        return [...values];
+    }
+
+    /**
+     * 🧠 Function: normalizeValue
+     * Role: Transform one raw reading
+     * Inputs: Pillar index, raw value
+     * Returns: Pillar value inside the schema range
+     */
+    normalizeValue(index, raw) {
+        const spec = this.specs[index];
+        const [min, max] = this.schema.ranges[index];
+        let unit;
+        try {
+            unit = TRANSFORMS[spec.method](raw, spec, [min, max]);
+        } catch (error) {
+            throw new Error(`Pillar ${this.schema.keys[index]}: ${error.message}`);
+        }
+        if (spec.invert) {
+            unit = 1 - unit;
+        }
+
+        return min + unit * (max - min);
+    }
+
+    /**
+     * 🧠 Function: normalize
+     * Role: Transform a full set of raw readings
+     * Inputs: Raw readings (array or object keyed by pillar)
+     * Returns: Array of pillar values in schema order
+     */
+    normalize(raw) {
+        return this.toRawArray(raw).map((value, i) => this.normalizeValue(i, value));
+    }
+
+    /**
+     * 🧠 Function: formatRaw
+     * Role: Human-readable raw reading for tooltips
+     * Inputs: Pillar index, raw value
+     * Returns: String like "36 h"
+     */
+    formatRaw(index, raw) {
+        const unit = this.specs[index].unit;
+        const text = Number.isInteger(raw) ? String(raw) : raw.toFixed(2);
+        return unit ? `${text} ${unit}` : text;
+    }
+
+    /**
+     * 🧠 Function: toJSON
+     * Role: Serializable config (stored with the state export)
+     * Returns: Config object keyed by pillar
+     * Notes: Identity pillars without extra fields are omitted
+     */
+    toJSON() {
+        const config = {};
+        this.specs.forEach((spec, i) => {
+            if (spec.method === 'identity' && !spec.invert && !spec.unit) return;
+            config[this.schema.keys[i]] = {
+                ...spec,
+                ...(spec.reference ? { reference: [...spec.reference] } : {})
+            };
+        });
+        return config;
+    }
+}
@@ -0,0 +1,144 @@
+/**
+ * 📄 File: complexity-permalink.js
+ * Purpose: Encode/decode dashboard state as a compact URL permalink
+ * Created: 2026-10-19
+ * Used by: dashboard-main.js (URL rehydration and sync)
+ */
+
+import { ComplexityVector } from './complexity-state.js';
+
+// === CONFIG ===
+// 🛠️ Permalink Format
+const PARAM_VECTOR = 'v';
+const PARAM_WEIGHTS = 'w';
+const PARAM_DELTAS = 'd';
+const PARAM_SCENARIO = 's';
+const DECIMALS = 4;  // Enough precision for slider steps, short enough to paste
+
+/**
+ * 🧠 Function: formatNumbers
+ * Role: Join numbers into a compact comma list
+ * Inputs: Array of numbers
+ * Returns: String like "0.5,0.25,1"
+ * Notes: Trailing zeros are dropped
+ */
+function formatNumbers(values) {
+    return values.map(v => String(Number(v.toFixed(DECIMALS)))).join(',');
+}
+
+/**
+ * 🧠 Function: parseNumbers
+ * Role: Parse a comma list into numbers
+ * Inputs: Raw parameter string, field name, expected length
+ * Returns: Array of numbers
+ * Notes: Throws with the field name on malformed input
+ */
+function parseNumbers(raw, field, expectedLength) {
+    const values = raw.split(',').map(part => (part.trim() === '' ? NaN : Number(part)));
+    if (values.length !== expectedLength) {
+        throw new Error(`Permalink ${field} must have ${expectedLength} values, got ${values.length}`);
+    }
+    values.forEach((v, i) => {
+        if (!Number.isFinite(v)) {
+            throw new Error(`Permalink ${field} value ${i} is not a number: ${raw.split(',')[i]}`);
+        }
+    });
+    return values;
+}
+
+/**
+ * 🧠 Function: encodePermalink
+ * Role: Serialize vector, weights, deltas and scenario
+ * Inputs: ComplexityState instance
+ * Returns: URL parameter string (without leading '#' or '?')
+ * Notes: Deltas are written in schema key order
+ */
+export function encodePermalink(state) {
+    const params = new URLSearchParams();
+    params.set(PARAM_VECTOR, formatNumbers(state.vector.toArray()));
+    params.set(PARAM_WEIGHTS, formatNumbers(state.weights));
+    params.set(PARAM_DELTAS, formatNumbers(state.schema.keys.map(key => state.deltas[key])));
+    if (state.currentScenario) {
+        params.set(PARAM_SCENARIO, state.currentScenario);
+    }
+    // Commas are safe in fragments/queries and keep links readable
+    return params.toString().replace(/%2C/g, ',');
+}
+
+/**
+ * 🧠 Function: decodePermalink
+ * Role: Parse and validate a permalink parameter string
+ * Inputs: Parameter string, pillar schema
+ * Returns: { vector, weights, deltas, scenario } or null if no state is encoded
+ * Notes: Vector values go through ComplexityVector.validate; weights and
+ *        deltas are optional. Each delta must lie within [0, max - min] of
+ *        its pillar range. Throws on malformed or out-of-range values.
+ */
+export function decodePermalink(raw, schema) {
+    const params = new URLSearchParams(String(raw || '').replace(/^[#?]/, ''));
+    if (!params.has(PARAM_VECTOR)) {
+        return null;
+    }
+
+    // Constructor runs ComplexityVector.validate against the schema ranges
+    const values = parseNumbers(params.get(PARAM_VECTOR), 'vector', schema.size);
+    const vector = new ComplexityVector(values, schema);
+
+    let weights = null;
+    if (params.has(PARAM_WEIGHTS)) {
+        weights = parseNumbers(params.get(PARAM_WEIGHTS), 'weights', schema.size);
+        if (weights.some(w => w < 0) || weights.reduce((a, b) => a + b, 0) <= 0) {
+            throw new Error('Permalink weights must be non-negative with a positive sum');
+        }
+    }
+
+    let deltas = null;
+    if (params.has(PARAM_DELTAS)) {
+        const list = parseNumbers(params.get(PARAM_DELTAS), 'deltas', schema.size);
+        list.forEach((delta, i) => {
+            const [min, max] = schema.ranges[i];
+            if (delta < 0 || delta > max - min) {
+                throw new Error(`Permalink delta for ${schema.keys[i]} must be between 0 and ${max - min}, got ${delta}`);
+            }
+        });
+        deltas = Object.fromEntries(schema.keys.map((key, i) => [key, list[i]]));
+    }
+
+    return {
+        vector,
+        weights,
+        deltas,
+        scenario: params.get(PARAM_SCENARIO) || null
+    };
+}
+
+/**
+ * 🧠 Function: readPermalink
+ * Role: Extract the permalink parameter string from a location
+ * Inputs: Location-like object, mode ('hash' or 'query')
+ * Returns: Parameter string
+ */
+export function readPermalink(location, mode = 'hash') {
+    return mode === 'query' ? location.search : location.hash;
+}
+
+/**
+ * 🧠 Function: buildPermalinkUrl
+ * Role: Build a full URL carrying the encoded state
+ * Inputs: Location-like object, encoded parameters, mode
+ * Returns: URL string
+ * Notes: Query mode sets only the permalink parameters, keeping any
+ *        other query parameters and the hash; hash mode keeps the query
+ */
+export function buildPermalinkUrl(location, encoded, mode = 'hash') {
+    const base = `${location.origin}${location.pathname}`;
+    if (mode !== 'query') {
+        return `${base}${location.search}#${encoded}`;
+    }
+
+    const params = new URLSearchParams(location.search);
+    // Drop fields the new state no longer encodes (e.g. a cleared scenario)
+    [PARAM_VECTOR, PARAM_WEIGHTS, PARAM_DELTAS, PARAM_SCENARIO].forEach(key => params.delete(key));
+    new URLSearchParams(encoded).forEach((value, key) => params.set(key, value));
+    return `${base}?${params.toString().replace(/%2C/g, ',')}${location.hash}`;
+}
@@ -0,0 +1,393 @@
+/**
+ * 📄 File: complexity-persistence.js
+ * Purpose: Opt-in session persistence (localStorage / IndexedDB)
+ * Created: 2026-10-19
+ * Used by: dashboard-main.js (autosave, named sessions)
+ */
+
+// === CONFIG ===
+// 🛠️ Storage Defaults
+const DEFAULT_NAMESPACE = 'complexity-dashboard';
+const DEFAULT_SESSION = 'autosave';
+const SAVE_DEBOUNCE = 500;  // milliseconds
+const IDB_VERSION = 1;
+const IDB_STORE = 'sessions';
+
+/**
+ * 🧠 Class: PersistenceError
+ * Role: Error raised by storage operations
+ * Inputs: Message, reason code, underlying error
+ * Returns: Error with a machine-readable reason
+ * Notes: reason is one of 'unavailable', 'quota', 'write', 'read', 'restore'
+ */
+export class PersistenceError extends Error {
+    constructor(message, reason, cause = null) {
+        super(message);
+        this.name = 'PersistenceError';
+        this.reason = reason;
+        this.cause = cause;
+    }
+}
+
+/**
+ * 🧠 Function: isQuotaError
+ * Role: Detect storage quota failures across browsers
+ * Inputs: Error thrown by localStorage or IndexedDB
+ * Returns: Boolean
+ * Notes: Firefox reports NS_ERROR_DOM_QUOTA_REACHED / code 1014
+ */
+function isQuotaError(error) {
+    return !!error && (
+        error.name === 'QuotaExceededError' ||
+        error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+        error.code === 22 ||
+        error.code === 1014
+    );
+}
+
+/**
+ * 🧠 Function: compactSnapshot
+ * Role: Strip history from a snapshot to fit a full store
+ * Inputs: State or portfolio export object
+ * Returns: Export without undo/redo/branch history
+ * Notes: Vector, weights, deltas and scenario are kept; a null history
+ *        imports as a fresh tree
+ */
+function compactSnapshot(snapshot) {
+    if (Array.isArray(snapshot.systems)) {
+        return {
+            ...snapshot,
+            systems: snapshot.systems.map(system => ({ ...system, state: { ...system.state, history: null } }))
+        };
+    }
+    return { ...snapshot, history: null };
+}
+
+/**
+ * 🧠 Function: describeRecord
+ * Role: Summarize a stored session record for listings
+ * Inputs: Session name taken from its key, stored record
+ * Returns: { name, savedAt, degraded, corrupt }, or null for a missing record
+ * Notes: Records without a snapshot or save time are flagged corrupt
+ *        rather than dropped, so they can still be deleted
+ */
+function describeRecord(name, record) {
+    if (record === null || record === undefined) return null;
+    const valid = typeof record === 'object' && Number.isFinite(record.savedAt) && !!record.snapshot;
+    return valid
+        ? { name: record.name ?? name, savedAt: record.savedAt, degraded: !!record.degraded, corrupt: false }
+        : { name, savedAt: null, degraded: false, corrupt: true };
+}
+
+/**
+ * 🧠 Class: LocalStorageAdapter
+ * Role: Promise-based key/value access to localStorage
+ * Inputs: Optional Storage instance (defaults to window.localStorage)
+ * Returns: Adapter with get/set/remove/keys
+ * Notes: Values are JSON-encoded
+ */
+export class LocalStorageAdapter {
+    constructor(storage = globalThis.localStorage) {
+        if (!storage) {
+            throw new PersistenceError('localStorage is not available', 'unavailable');
+        }
+        this.storage = storage;
+    }
+
+    async get(key) {
+        const raw = this.storage.getItem(key);
+        return raw === null ? null : JSON.parse(raw);
+    }
+
+    async set(key, value) {
+        this.storage.setItem(key, JSON.stringify(value));
+    }
+
+    async remove(key) {
+        this.storage.removeItem(key);
+    }
+
+    async keys(prefix) {
+        const keys = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (key && key.startsWith(prefix)) {
+                keys.push(key);
+            }
+        }
+        return keys;
+    }
+}
+
+/**
+ * 🧠 Class: IndexedDBAdapter
+ * Role: Promise-based key/value access to IndexedDB
+ * Inputs: Database name, optional IDBFactory
+ * Returns: Adapter with get/set/remove/keys
+ * Notes: Uses a single object store; values are stored structured-cloned
+ */
+export class IndexedDBAdapter {
+    constructor(dbName = DEFAULT_NAMESPACE, factory = globalThis.indexedDB) {
+        if (!factory) {
+            throw new PersistenceError('IndexedDB is not available', 'unavailable');
+        }
+        this.dbName = dbName;
+        this.factory = factory;
+        this.dbPromise = null;
+    }
+
+    /**
+     * 🧠 Function: open
+     * Role: Open (and create) the database once
+     * Returns: Promise of IDBDatabase
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = this.factory.open(this.dbName, IDB_VERSION);
+                request.onupgradeneeded = () => request.result.createObjectStore(IDB_STORE);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * 🧠 Function: run
+     * Role: Execute one request inside a transaction
+     * Inputs: Transaction mode, callback receiving the object store
+     * Returns: Promise of the request result
+     * Notes: Resolves on transaction completion so writes are durable
+     */
+    async run(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(IDB_STORE, mode);
+            const request = operation(tx.objectStore(IDB_STORE));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error || request.error);
+            tx.onabort = () => reject(tx.error || request.error);
+        });
+    }
+
+    async get(key) {
+        const value = await this.run('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+
+    async set(key, value) {
+        await this.run('readwrite', store => store.put(value, key));
+    }
+
+    async remove(key) {
+        await this.run('readwrite', store => store.delete(key));
+    }
+
+    async keys(prefix) {
+        const keys = await this.run('readonly', store => store.getAllKeys());
+        return keys.map(String).filter(key => key.startsWith(prefix));
+    }
+}
+
+/**
+ * 🧠 Function: createAdapter
+ * Role: Resolve a storage option into an adapter
+ * Inputs: 'localStorage', 'indexedDB' or a custom adapter object
+ * Returns: Storage adapter
+ * Notes: Custom adapters must implement get/set/remove/keys
+ */
+function createAdapter(storage, namespace) {
+    if (storage && typeof storage === 'object') {
+        return storage;
+    }
+    if (storage === 'indexedDB') {
+        return new IndexedDBAdapter(namespace);
+    }
+    return new LocalStorageAdapter();
+}
+
+/**
+ * 🧠 Class: SessionStore
+ * Role: Named, debounced session snapshots
+ * Inputs: Options { storage, namespace, debounce, onError }
+ * Returns: Store with save/load/list/remove/clear and scheduleSave
+ * Notes: Snapshots are ComplexityState.export() objects. When a write
+ *        exceeds the storage quota the snapshot is retried without
+ *        history and onError receives a PersistenceError('quota').
+ */
+export class SessionStore {
+    constructor(options = {}) {
+        this.namespace = options.namespace || DEFAULT_NAMESPACE;
+        this.debounceDelay = options.debounce ?? SAVE_DEBOUNCE;
+        this.adapter = createAdapter(options.storage, this.namespace);
+        this.onError = options.onError || (error => console.error('Persistence error:', error));
+
+        this.saveTimer = null;
+        this.pendingSave = null;
+    }
+
+    /**
+     * 🧠 Function: sessionKey
+     * Role: Storage key for a named session
+     * Inputs: Session name
+     * Returns: Namespaced key string
+     */
+    sessionKey(name) {
+        return `${this.namespace}:session:${name}`;
+    }
+
+    /**
+     * 🧠 Function: save
+     * Role: Write a snapshot under a session name
+     * Inputs: Session name, snapshot object
+     * Returns: Promise of { degraded } (true if history was dropped)
+     * Notes: Quota failures retry with a compact snapshot
+     */
+    async save(name, snapshot) {
+        const record = { name, savedAt: Date.now(), degraded: false, snapshot };
+
+        try {
+            await this.adapter.set(this.sessionKey(name), record);
+            return { degraded: false };
+        } catch (error) {
+            if (!isQuotaError(error)) {
+                throw new PersistenceError(`Failed to save session "${name}"`, 'write', error);
+            }
+        }
+
+        // Quota exceeded: keep the current state, drop history
+        try {
+            await this.adapter.set(this.sessionKey(name), {
+                ...record,
+                degraded: true,
+                snapshot: compactSnapshot(snapshot)
+            });
+        } catch (error) {
+            throw new PersistenceError(`Storage quota exceeded saving "${name}"`, 'quota', error);
+        }
+
+        this.onError(new PersistenceError(
+            `Storage quota exceeded: session "${name}" saved without history`, 'quota'
+        ));
+        return { degraded: true };
+    }
+
+    /**
+     * 🧠 Function: load
+     * Role: Read a session snapshot
+     * Inputs: Session name
+     * Returns: Promise of snapshot or null
+     */
+    async load(name) {
+        try {
+            const record = await this.adapter.get(this.sessionKey(name));
+            return record ? record.snapshot : null;
+        } catch (error) {
+            throw new PersistenceError(`Failed to read session "${name}"`, 'read', error);
+        }
+    }
+
+    /**
+     * 🧠 Function: list
+     * Role: Describe all saved sessions
+     * Returns: Promise of [{ name, savedAt, degraded, corrupt }], newest first
+     * Notes: A record that cannot be read is listed with corrupt: true and
+     *        savedAt: null (sorted last) instead of failing the whole listing
+     */
+    async list() {
+        const prefix = this.sessionKey('');
+        const keys = await this.adapter.keys(prefix);
+        const sessions = await Promise.all(keys.map(key => {
+            const name = key.slice(prefix.length);
+            return this.adapter.get(key).then(
+                record => describeRecord(name, record),
+                () => ({ name, savedAt: null, degraded: false, corrupt: true })
+            );
+        }));
+
+        return sessions
+            .filter(Boolean)
+            .sort((a, b) => (b.savedAt ?? 0) - (a.savedAt ?? 0));
+    }
+
+    /**
+     * 🧠 Function: remove
+     * Role: Delete one saved session
+     * Inputs: Session name
+     * Returns: Promise
+     */
+    async remove(name) {
+        await this.adapter.remove(this.sessionKey(name));
+    }
+
+    /**
+     * 🧠 Function: getActive / setActive
+     * Role: Remember which session autosave writes to
+     * Inputs: Session name (setActive)
+     * Returns: Promise of name (getActive)
+     */
+    async getActive() {
+        return (await this.adapter.get(`${this.namespace}:active`)) || DEFAULT_SESSION;
+    }
+
+    async setActive(name) {
+        await this.adapter.set(`${this.namespace}:active`, name);
+    }
+
+    /**
+     * 🧠 Function: scheduleSave
+     * Role: Debounced save
+     * Inputs: Session name, snapshot factory
+     * Returns: None
+     * Notes: The snapshot is taken when the write happens, not when scheduled
+     */
+    scheduleSave(name, getSnapshot) {
+        clearTimeout(this.saveTimer);
+        this.pendingSave = () => this.save(name, getSnapshot());
+        this.saveTimer = setTimeout(() => this.flush(), this.debounceDelay);
+    }
+
+    /**
+     * 🧠 Function: flush
+     * Role: Run a pending debounced save immediately
+     * Returns: Promise
+     * Notes: Used on page hide so the last edit is not lost
+     */
+    async flush() {
+        clearTimeout(this.saveTimer);
+        const pending = this.pendingSave;
+        this.pendingSave = null;
+        if (!pending) return;
+
+        try {
+            await pending();
+        } catch (error) {
+            this.onError(error);
+        }
+    }
+
+    /**
+     * 🧠 Function: cancel
+     * Role: Drop a pending debounced save
+     * Returns: None
+     */
+    cancel() {
+        clearTimeout(this.saveTimer);
+        this.pendingSave = null;
+    }
+
+    /**
+     * 🧠 Function: clear
+     * Role: Remove every session and setting in the namespace
+     * Returns: Promise
+     * Notes: Cancels any pending write first
+     */
+    async clear() {
+        this.cancel();
+        const keys = await this.adapter.keys(`${this.namespace}:`);
+        await Promise.all(keys.map(key => this.adapter.remove(key)));
+    }
+}
+
+export { DEFAULT_SESSION };
@@ -0,0 +1,419 @@
+/**
+ * 📄 File: complexity-portfolio.js
+ * Purpose: Many named complexity systems in one dashboard
+ * Created: 2026-10-19
+ * Used by: dashboard-main.js, InputPanel (active system), chart overlays
+ */
+
+import { ComplexityState, StateObservable, createPillarSchema, DEFAULT_SCHEMA } from './complexity-state.js';
+import { ComplexityMath } from './complexity-math.js';
+import { ImportValidationError } from './complexity-format.js';
+
+// === CONFIG ===
+// 🛠️ Portfolio Defaults
+const DEFAULT_SYSTEM_NAME = 'System 1';
+const PORTFOLIO_FORMAT_VERSION = 1;
+
+/**
+ * 🧠 Class: ComplexityPortfolio
+ * Role: Collection of named ComplexityStates sharing one pillar schema
+ * Inputs: Config { schema, weights, deltas, normalization, aggregator, maxHistory, systems }
+ * Returns: Observable portfolio
+ * Notes: Each system keeps its own vector and history. Every system event
+ *        is re-emitted with update.system set to the system name, plus
+ *        'systemAdd', 'systemRemove', 'systemRename' and 'activeChange'.
+ */
+export class ComplexityPortfolio extends StateObservable {
+    constructor(config = {}) {
+        super();
+
+        // Shared schema so systems are comparable
+        this.schema = config.schema ? createPillarSchema(config.schema) : DEFAULT_SCHEMA;
+        this.stateConfig = {
+            schema: this.schema,
+            weights: config.weights,
+            deltas: config.deltas,
+            normalization: config.normalization,
+            aggregator: config.aggregator,
+            maxHistory: config.maxHistory
+        };
+
+        // Insertion order is display order
+        this.systems = new Map();
+        this.forwarders = new Map();
+        this.activeName = null;
+
+        const systems = config.systems || [DEFAULT_SYSTEM_NAME];
+        systems.forEach(entry => {
+            const { name, initial } = typeof entry === 'string' ? { name: entry } : entry;
+            this.addSystem(name, initial);
+        });
+    }
+
+    /**
+     * 🧠 Function: active
+     * Role: State of the active system
+     * Returns: ComplexityState
+     */
+    get active() {
+        return this.systems.get(this.activeName);
+    }
+
+    /**
+     * 🧠 Function: names
+     * Role: System names in display order
+     * Returns: Array of strings
+     */
+    get names() {
+        return [...this.systems.keys()];
+    }
+
+    /**
+     * 🧠 Function: getSystem
+     * Role: Look up a system by name
+     * Inputs: System name
+     * Returns: ComplexityState
+     * Notes: Throws for unknown names
+     */
+    getSystem(name) {
+        const state = this.systems.get(name);
+        if (!state) {
+            throw new Error(`Unknown system: ${name}`);
+        }
+        return state;
+    }
+
+    /**
+     * 🧠 Function: validateName
+     * Role: Check a new system name
+     * Inputs: Candidate name
+     * Returns: Trimmed name
+     * Notes: Throws for empty or duplicate names
+     */
+    validateName(name) {
+        const trimmed = String(name ?? '').trim();
+        if (!trimmed) {
+            throw new Error('System name cannot be empty');
+        }
+        if (this.systems.has(trimmed)) {
+            throw new Error(`System "${trimmed}" already exists`);
+        }
+        return trimmed;
+    }
+
+    /**
+     * 🧠 Function: addSystem
+     * Role: Create a new named system
+     * Inputs: Name, optional initial vector (array)
+     * Returns: The new ComplexityState
+     * Notes: The first system becomes active; emits 'systemAdd'
+     */
+    addSystem(name, initial = null) {
+        const trimmed = this.validateName(name);
+        const state = new ComplexityState({
+            ...this.stateConfig,
+            initial: initial || undefined
+        });
+
+        this.attach(trimmed, state);
+        if (this.activeName === null) {
+            this.activeName = trimmed;
+        }
+
+        this.notify({
+            type: 'systemAdd',
+            system: trimmed,
+            timestamp: Date.now()
+        });
+        return state;
+    }
+
+    /**
+     * 🧠 Function: attach
+     * Role: Register a state and forward its events
+     * Inputs: Name, ComplexityState
+     * Returns: None
+     */
+    attach(name, state) {
+        this.systems.set(name, state);
+        this.forwarders.set(name, state.subscribe(update => {
+            this.notify({ ...update, system: this.nameOf(state) });
+        }));
+    }
+
+    /**
+     * 🧠 Function: nameOf
+     * Role: Current name of a state (names can change)
+     * Inputs: ComplexityState
+     * Returns: Name or null
+     */
+    nameOf(state) {
+        for (const [name, candidate] of this.systems) {
+            if (candidate === state) return name;
+        }
+        return null;
+    }
+
+    /**
+     * 🧠 Function: removeSystem
+     * Role: Delete a system
+     * Inputs: System name
+     * Returns: None
+     * Notes: The last system cannot be removed; removing the active system
+     *        activates the first remaining one. Emits 'systemRemove' once
+     *        the new active system is set, then 'activeChange' if it moved.
+     */
+    removeSystem(name) {
+        this.getSystem(name);
+        if (this.systems.size === 1) {
+            throw new Error('A portfolio needs at least one system');
+        }
+
+        this.forwarders.get(name)();
+        this.forwarders.delete(name);
+        this.systems.delete(name);
+
+        const wasActive = this.activeName === name;
+        if (wasActive) {
+            this.activeName = this.names[0];
+        }
+
+        this.notify({
+            type: 'systemRemove',
+            system: name,
+            timestamp: Date.now()
+        });
+
+        if (wasActive) {
+            this.notifyActiveChange(name);
+        }
+    }
+
+    /**
+     * 🧠 Function: renameSystem
+     * Role: Rename a system, keeping its position
+     * Inputs: Current name, new name
+     * Returns: None
+     * Notes: Emits 'systemRename'
+     */
+    renameSystem(name, newName) {
+        const state = this.getSystem(name);
+        const trimmed = String(newName ?? '').trim();
+        if (trimmed === name) return;
+        this.validateName(trimmed);
+
+        // Rebuild the map to keep display order
+        const forwarders = this.forwarders;
+        this.systems = new Map([...this.systems].map(([key, value]) =>
+            [key === name ? trimmed : key, value]));
+        this.forwarders = new Map([...forwarders].map(([key, value]) =>
+            [key === name ? trimmed : key, value]));
+        if (this.activeName === name) {
+            this.activeName = trimmed;
+        }
+
+        this.notify({
+            type: 'systemRename',
+            system: trimmed,
+            previousName: name,
+            state,
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * 🧠 Function: setActive
+     * Role: Choose the system the input controls edit
+     * Inputs: System name
+     * Returns: None
+     * Notes: Emits 'activeChange' with the new state
+     */
+    setActive(name) {
+        this.getSystem(name);
+        if (this.activeName === name) return;
+
+        const previous = this.activeName;
+        this.activeName = name;
+        this.notifyActiveChange(previous);
+    }
+
+    /**
+     * 🧠 Function: notifyActiveChange
+     * Role: Emit 'activeChange' for the current active system
+     * Inputs: Name of the previously active system
+     * Returns: None
+     */
+    notifyActiveChange(previous) {
+        const state = this.active;
+        this.notify({
+            type: 'activeChange',
+            system: this.activeName,
+            previousSystem: previous,
+            state,
+            vector: state.vector,
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * 🧠 Function: listSystems
+     * Role: Summaries for selectors and tables
+     * Inputs: None
+     * Returns: Array of { name, vector, scalar, isActive }
+     */
+    listSystems() {
+        return this.names.map(name => {
+            const state = this.systems.get(name);
+            return {
+                name,
+                vector: state.vector.clone(),
+                scalar: state.getScalar(),
+                isActive: name === this.activeName
+            };
+        });
+    }
+
+    /**
+     * 🧠 Function: computeParetoFrontier
+     * Role: Pareto analysis over the portfolio's current vectors
+     * Inputs: Optional subset of system names (defaults to all),
+     *         options { directions, epsilon }
+     * Returns: Array of { name, vector } for non-dominated systems
+     * Notes: Uses ComplexityMath.computeParetoFrontier (higher is better
+     *        unless directions say otherwise)
+     */
+    computeParetoFrontier(names = this.names, options = {}) {
+        const vectors = names.map(name => this.getSystem(name).vector);
+        return ComplexityMath.computeParetoFrontier(vectors, options)
+            .map(({ state, index }) => ({ name: names[index], vector: state.clone() }));
+    }
+
+    /**
+     * 🧠 Function: computeParetoFronts
+     * Role: Rank every system by Pareto front
+     * Inputs: Optional subset of system names, options as for
+     *         ComplexityMath.computeParetoFronts
+     * Returns: { ranks: { name: rank }, fronts: [[names]], crowding: { name: distance } }
+     */
+    computeParetoFronts(names = this.names, options = {}) {
+        const result = ComplexityMath.computeParetoFronts(names.map(name => this.getSystem(name).vector), options);
+        return {
+            ranks: Object.fromEntries(names.map((name, i) => [name, result.ranks[i]])),
+            fronts: result.fronts.map(front => front.map(index => names[index])),
+            crowding: Object.fromEntries(names.map((name, i) => [name, result.crowding[i]]))
+        };
+    }
+
+    /**
+     * 🧠 Function: computeSMAA
+     * Role: Rank acceptability of every system under random weights
+     * Inputs: Options as for ComplexityMath.computeSMAA plus names
+     *         (defaults to all systems)
+     * Returns: { names, samples, acceptability, centralWeights, pairwise, rejected }
+     *          with rows and columns in names order
+     * Notes: Uses the active system's aggregator unless one is given
+     */
+    computeSMAA(options = {}) {
+        const names = options.names || this.names;
+        const result = ComplexityMath.computeSMAA(names.map(name => this.getSystem(name).vector), {
+            aggregator: this.active.aggregator,
+            ...options
+        });
+        return { names: [...names], ...result };
+    }
+
+    /**
+     * 🧠 Function: computeCorrelations
+     * Role: Inter-pillar correlation and covariance across systems
+     * Inputs: Options as for ComplexityMath.computeCorrelations plus
+     *         names (defaults to all systems)
+     * Returns: { method, changes, keys, count, mean, covariance,
+     *          correlation, pValues, pairs }
+     * Notes: One point per system (its current vector); throws with
+     *        fewer than 3 systems
+     */
+    computeCorrelations(options = {}) {
+        const names = options.names || this.names;
+        return ComplexityMath.computeCorrelations(names.map(name => this.getSystem(name).vector), options);
+    }
+
+    /**
+     * 🧠 Function: export
+     * Role: Export every system for saving/sharing
+     * Inputs: None
+     * Returns: { portfolioVersion, active, systems: [{ name, state }] }
+     * Notes: Each state entry is a ComplexityState.export() snapshot
+     */
+    export() {
+        return {
+            portfolioVersion: PORTFOLIO_FORMAT_VERSION,
+            active: this.activeName,
+            systems: this.names.map(name => ({
+                name,
+                state: this.systems.get(name).export()
+            }))
+        };
+    }
+
+    /**
+     * 🧠 Function: import
+     * Role: Replace all systems from an export
+     * Inputs: Portfolio export, or a single ComplexityState export
+     * Returns: None
+     * Notes: Every system is validated before any is replaced; a single
+     *        state export is loaded into the active system. Throws
+     *        ImportValidationError for a bad portfolioVersion or system
+     *        entry. Emits 'import'.
+     */
+    import(data) {
+        if (!data || !Array.isArray(data.systems)) {
+            this.active.import(data);
+            return;
+        }
+        if (data.portfolioVersion !== PORTFOLIO_FORMAT_VERSION) {
+            throw new ImportValidationError([{
+                path: 'portfolioVersion',
+                message: `must be ${PORTFOLIO_FORMAT_VERSION}, got ${data.portfolioVersion}`
+            }]);
+        }
+        if (data.systems.length === 0) {
+            throw new ImportValidationError([{ path: 'systems', message: 'must list at least one system' }]);
+        }
+
+        const seen = new Set();
+        const systems = data.systems.map((entry, i) => {
+            if (!entry || typeof entry !== 'object') {
+                throw new ImportValidationError([{ path: `systems[${i}]`, message: 'must be a { name, state } object' }]);
+            }
+            const { name, state } = entry;
+            const trimmed = String(name ?? '').trim();
+            if (!trimmed || seen.has(trimmed)) {
+                throw new ImportValidationError([{ path: `systems[${i}].name`, message: `"${name}" is empty or duplicate` }]);
+            }
+            seen.add(trimmed);
+
+            const system = new ComplexityState(this.stateConfig);
+            try {
+                system.import(state);
+            } catch (error) {
+                error.message = `System "${trimmed}": ${error.message}`;
+                throw error;
+            }
+            return [trimmed, system];
+        });
+
+        this.forwarders.forEach(unsubscribe => unsubscribe());
+        this.forwarders.clear();
+        this.systems.clear();
+        systems.forEach(([name, state]) => this.attach(name, state));
+        this.activeName = seen.has(data.active) ? data.active : systems[0][0];
+
+        this.notify({
+            type: 'import',
+            system: this.activeName,
+            state: this.active,
+            vector: this.active.vector,
+            timestamp: Date.now()
+        });
+    }
+}
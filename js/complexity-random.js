@@ -0,0 +1,121 @@
+/**
+ * 📄 File: complexity-random.js
+ * Purpose: Seedable pseudo-random numbers for reproducible sampling
+ * Created: 2026-10-19
+ * Used by: complexity-math.js (sampling, SMAA, searches), charts that resample
+ */
+
+// === CONFIG ===
+// 🛠️ Seed Hashing
+const FNV_OFFSET = 2166136261;
+const FNV_PRIME = 16777619;
+
+/**
+ * 🧠 Function: hashSeed
+ * Role: Turn a number or string seed into a 32-bit state
+ * Inputs: Seed (number or string)
+ * Returns: Unsigned 32-bit integer
+ * Notes: FNV-1a over the seed's string form, so 42 and '42' agree
+ */
+function hashSeed(seed) {
+    const text = String(seed);
+    let hash = FNV_OFFSET;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, FNV_PRIME);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * 🧠 Function: createRandom
+ * Role: Seeded generator with the Math.random interface
+ * Inputs: Seed (number or string)
+ * Returns: Function returning floats in [0, 1)
+ * Notes: mulberry32; the same seed always yields the same sequence
+ */
+export function createRandom(seed) {
+    if (seed === undefined || seed === null || (typeof seed !== 'number' && typeof seed !== 'string')) {
+        throw new Error(`Seed must be a number or string, got ${seed}`);
+    }
+    let state = hashSeed(seed);
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * 🧠 Function: resolveRandom
+ * Role: Pick the random source from stochastic options
+ * Inputs: Options { random, seed }
+ * Returns: options.random, else a generator seeded with options.seed,
+ *          else Math.random
+ */
+export function resolveRandom(options = {}) {
+    if (options.random) return options.random;
+    if (options.seed !== undefined && options.seed !== null) return createRandom(options.seed);
+    return Math.random;
+}
+
+/**
+ * 🧠 Function: normal
+ * Role: Standard normal draw
+ * Inputs: Random source
+ * Returns: Number ~ N(0, 1)
+ * Notes: Box-Muller; 1 - u keeps the logarithm finite
+ */
+export function normal(random = Math.random) {
+    const u = 1 - random();
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * 🧠 Function: gamma
+ * Role: Gamma(shape, 1) draw
+ * Inputs: Shape (> 0), random source
+ * Returns: Positive number
+ * Notes: Marsaglia-Tsang; shapes below 1 use the Gamma(shape + 1) boost
+ */
+export function gamma(shape, random = Math.random) {
+    if (!(shape > 0)) {
+        throw new Error(`Gamma shape must be positive, got ${shape}`);
+    }
+    if (shape < 1) {
+        return gamma(shape + 1, random) * Math.pow(1 - random(), 1 / shape);
+    }
+
+    const d = shape - 1 / 3;
+    const c = 1 / Math.sqrt(9 * d);
+    for (;;) {
+        let x;
+        let v;
+        do {
+            x = normal(random);
+            v = 1 + c * x;
+        } while (v <= 0);
+        v = v * v * v;
+        const u = 1 - random();
+        if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) {
+            return d * v;
+        }
+    }
+}
+
+/**
+ * 🧠 Function: dirichlet
+ * Role: Dirichlet draw on the simplex
+ * Inputs: Concentrations (array of positive numbers), random source
+ * Returns: Array of non-negative numbers summing to 1
+ * Notes: All ones is uniform on the simplex; larger values pull draws
+ *        towards the center, values below 1 towards the corners
+ */
+export function dirichlet(alpha, random = Math.random) {
+    const draws = alpha.map(a => gamma(a, random));
+    const sum = draws.reduce((a, b) => a + b, 0);
+    return draws.map(d => d / sum);
+}
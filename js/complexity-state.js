@@ -5,6 +5,12 @@
  * Used by: All dashboard components
  */
 
+import { HistoryTree } from './complexity-history.js';
+import { FORMAT_VERSION, ImportValidationError, parseExport } from './complexity-format.js';
+import { Normalizer } from './complexity-normalize.js';
+import { aggregate, propagateUncertainty, resolveAggregator, validateAggregatorSpec, getAggregator } from './complexity-aggregators.js';
+import { ComplexityMath } from './complexity-math.js';
+
 // === CONFIG ===
 // 🛠️ Default Values
 const DEFAULT_VECTOR = [0.5, 0.5, 0.5, 0.5];
@@ -15,47 +21,338 @@ const DEFAULT_DELTAS = {
     dyn: 0.15,
     geom: 0.3
 };
+const DEFAULT_DELTA = 0.2;  // Step size for pillars without a preset delta
+
+// 🎨 Pillar Schema Defaults
+const MIN_PILLARS = 3;  // Fewer axes cannot form a radar polygon
+const PILLAR_PALETTE = [
+    '#14b8a6', '#3b82f6', '#8b5cf6', '#ec4899',
+    '#f97316', '#22c55e', '#ef4444', '#6366f1'
+];
+const builtSchemas = new WeakSet();
 
 // 🧪 Parameters
 const EPSILON = 1e-6;  // For floating point comparisons
 const MAX_HISTORY = 100;  // Maximum stored states
+export const CONFIDENCE_Z = 1.96;  // Half-width of a 95% band in standard deviations
+
+// 📡 Event Topics
+const WILDCARD = '*';  // Matches every event; 'branch*' matches by prefix
+
+/**
+ * Events after which state.vector may differ from before.
+ * 'manualUpdate' comes from notifyObservers() after direct vector edits.
+ */
+export const VECTOR_EVENTS = Object.freeze([
+    'vectorUpdate', 'undo', 'redo', 'branchSwitch', 'import', 'manualUpdate'
+]);
+
+/**
+ * 🧠 Function: createPillarSchema
+ * Role: Build a validated pillar schema (keys, labels, colors, ranges)
+ * Inputs: Definition object with keys and optional per-pillar arrays
+ * Returns: Frozen schema object
+ * Notes: Missing labels/colors/ranges/actions are derived from keys;
+ *        schemas that were already built are returned unchanged
+ */
+export function createPillarSchema(definition = {}) {
+    if (builtSchemas.has(definition)) {
+        return definition;
+    }
+
+    const keys = definition.keys;
+    if (!Array.isArray(keys) || keys.length < MIN_PILLARS) {
+        throw new Error(`Schema must define at least ${MIN_PILLARS} pillar keys`);
+    }
+    if (new Set(keys).size !== keys.length) {
+        throw new Error(`Schema pillar keys must be unique: ${keys.join(', ')}`);
+    }
+
+    // Per-pillar arrays must line up with keys when provided
+    const pick = (field, fallback) => {
+        const list = definition[field];
+        if (list && list.length !== keys.length) {
+            throw new Error(`Schema ${field} must have ${keys.length} entries, got ${list.length}`);
+        }
+        return keys.map((key, i) => (list && list[i] != null ? list[i] : fallback(key, i)));
+    };
+
+    const labels = pick('labels', key => key);
+    const colors = pick('colors', (_, i) => PILLAR_PALETTE[i % PILLAR_PALETTE.length]);
+    const ranges = pick('ranges', () => [0, 1]);
+    const actions = pick('actions', (_, i) => ({
+        label: `Improve ${labels[i]}`,
+        icon: '➕',
+        description: `Improve ${labels[i].toLowerCase()} complexity`
+    }));
+
+    ranges.forEach(([min, max], i) => {
+        if (typeof min !== 'number' || typeof max !== 'number' || !(min < max)) {
+            throw new Error(`Schema range for ${keys[i]} is invalid: [${min}, ${max}]`);
+        }
+    });
+
+    const schema = Object.freeze({
+        keys: Object.freeze([...keys]),
+        labels: Object.freeze([...labels]),
+        colors: Object.freeze([...colors]),
+        ranges: Object.freeze(ranges.map(r => Object.freeze([r[0], r[1]]))),
+        actions: Object.freeze(actions.map(a => Object.freeze({ ...a }))),
+        size: keys.length
+    });
+
+    builtSchemas.add(schema);
+    return schema;
+}
+
+// Default four-pillar schema from the paper
+export const DEFAULT_SCHEMA = createPillarSchema({
+    keys: ['alg', 'info', 'dyn', 'geom'],
+    labels: ['Algorithmic', 'Information', 'Dynamical', 'Geometric'],
+    colors: ['#14b8a6', '#3b82f6', '#8b5cf6', '#ec4899'],
+    ranges: [[0, 1], [0, 1], [0, 1], [0, 1]],
+    actions: [
+        { label: 'Improve Algorithm', icon: '🧮', description: 'Optimize algorithm efficiency' },
+        { label: 'Add Information', icon: '📊', description: 'Add information content' },
+        { label: 'Increase Dynamics', icon: '⚡', description: 'Increase dynamic behavior' },
+        { label: 'Enrich Topology', icon: '🌐', description: 'Enrich topological structure' }
+    ]
+});
+
+/**
+ * 🧠 Function: defaultVectorFor
+ * Role: Starting vector values for a schema
+ * Inputs: Pillar schema
+ * Returns: Array of initial values
+ * Notes: Default schema keeps the original balanced start; other
+ *        schemas start each pillar at the midpoint of its range
+ */
+export function defaultVectorFor(schema = DEFAULT_SCHEMA) {
+    return schema === DEFAULT_SCHEMA
+        ? [...DEFAULT_VECTOR]
+        : schema.ranges.map(([min, max]) => (min + max) / 2);
+}
+
+/**
+ * 🧠 Function: defaultWeightsFor
+ * Role: Uniform scalar weights for a schema
+ * Inputs: Pillar schema
+ * Returns: Array of weights summing to 1
+ * Notes: Matches DEFAULT_WEIGHTS for the four-pillar schema
+ */
+export function defaultWeightsFor(schema = DEFAULT_SCHEMA) {
+    return schema === DEFAULT_SCHEMA
+        ? [...DEFAULT_WEIGHTS]
+        : schema.keys.map(() => 1 / schema.size);
+}
+
+/**
+ * 🧠 Function: defaultDeltasFor
+ * Role: Improvement step sizes keyed by pillar
+ * Inputs: Pillar schema
+ * Returns: Object mapping pillar key to delta
+ * Notes: Known pillar keys reuse DEFAULT_DELTAS
+ */
+export function defaultDeltasFor(schema = DEFAULT_SCHEMA) {
+    return Object.fromEntries(schema.keys.map(key =>
+        [key, DEFAULT_DELTAS[key] ?? DEFAULT_DELTA]
+    ));
+}
+
+/**
+ * 🧠 Function: fromUnitValues
+ * Role: Map shares of each pillar's range back to pillar values
+ * Inputs: Values in [0,1] (schema order), pillar schema
+ * Returns: Array of pillar values
+ * Notes: Inverse of ComplexityVector.toUnitArray; lets presets written
+ *        for [0,1] pillars load on any ranges
+ */
+export function fromUnitValues(values, schema = DEFAULT_SCHEMA) {
+    return values.map((v, i) => {
+        const [min, max] = schema.ranges[i];
+        return min + v * (max - min);
+    });
+}
+
+/**
+ * 🧠 Function: toTimestamp
+ * Role: Normalize a measurement date
+ * Inputs: Date, milliseconds since epoch or date string (e.g. '2026-03-02')
+ * Returns: Milliseconds since epoch
+ * Notes: Throws on unparseable dates
+ */
+export function toTimestamp(value) {
+    const time = value instanceof Date ? value.getTime()
+        : typeof value === 'number' ? value
+        : typeof value === 'string' ? Date.parse(value)
+        : NaN;
+    if (!Number.isFinite(time)) {
+        throw new Error(`Invalid measurement date: ${value}`);
+    }
+    return time;
+}
 
 /**
  * 🧠 Class: ComplexityVector
- * Role: Represents a 4D complexity state
- * Inputs: Four complexity values [0,1] or array
+ * Role: Represents an N-dimensional complexity state
+ * Inputs: Component values (spread or array) and optional pillar schema
  * Returns: Normalized complexity vector object
- * Notes: Each dimension represents a different aspect of complexity
+ * Notes: Each dimension represents a different aspect of complexity;
+ *        spread arguments always use the default four-pillar schema
  */
 export class ComplexityVector {
-    constructor(alg = 0.5, info = 0.5, dyn = 0.5, geom = 0.5) {
-        // Handle array input
-        if (Array.isArray(alg)) {
-            [alg, info, dyn, geom] = alg;
+    constructor(...args) {
+        let values = args;
+        let schema = DEFAULT_SCHEMA;
+
+        let uncertainty = null;
+
+        // Handle array input: new ComplexityVector([...], schema, uncertainty)
+        if (Array.isArray(args[0])) {
+            values = args[0];
+            schema = args[1] ? createPillarSchema(args[1]) : DEFAULT_SCHEMA;
+            uncertainty = args[2] ?? null;
         }
 
-        this.validate(alg, info, dyn, geom);
-        this.data = [alg, info, dyn, geom];
-        this.labels = ['Algorithmic', 'Information', 'Dynamical', 'Geometric'];
-        this.keys = ['alg', 'info', 'dyn', 'geom'];
+        this.schema = schema;
+        this.keys = schema.keys;
+        this.labels = schema.labels;
+
+        if (values.length > schema.size) {
+            throw new Error(`Expected ${schema.size} components, got ${values.length}`);
+        }
+
+        // Missing components fall back to the schema defaults
+        const defaults = defaultVectorFor(schema);
+        const data = schema.keys.map((_, i) =>
+            values[i] === undefined ? defaults[i] : values[i]
+        );
+
+        this.validate(...data);
+        this.data = data;
+        this.uncertainty = this.parseUncertainty(uncertainty);
+    }
+
+    /**
+     * 🧠 Function: parseUncertainty
+     * Role: Normalize per-pillar uncertainty to standard deviations
+     * Inputs: null, or one entry per pillar: stddev (number), 95% interval
+     *         [low, high], or null for an exact value
+     * Returns: Frozen array of standard deviations, or null
+     * Notes: Intervals are assumed symmetric: σ = (high - low) / (2 × 1.96)
+     */
+    parseUncertainty(spec) {
+        if (spec === null || spec === undefined) return null;
+        if (!Array.isArray(spec) || spec.length !== this.schema.size) {
+            throw new Error(`Uncertainty must have ${this.schema.size} entries`);
+        }
+
+        return Object.freeze(spec.map((entry, i) => {
+            if (entry === null || entry === undefined) return 0;
+            if (Array.isArray(entry)) {
+                const [low, high] = entry;
+                if (typeof low !== 'number' || typeof high !== 'number' || isNaN(low) || isNaN(high) || high < low) {
+                    throw new Error(`Uncertainty interval ${i} must be [low, high] with low <= high`);
+                }
+                return (high - low) / (2 * CONFIDENCE_Z);
+            }
+            if (typeof entry !== 'number' || isNaN(entry) || entry < 0) {
+                throw new Error(`Uncertainty ${i} must be a non-negative standard deviation: ${entry}`);
+            }
+            return entry;
+        }));
+    }
+
+    /**
+     * 🧠 Function: getUncertainty
+     * Role: Per-pillar standard deviations
+     * Inputs: None
+     * Returns: Array copy, or null for point values
+     */
+    getUncertainty() {
+        return this.uncertainty ? [...this.uncertainty] : null;
+    }
+
+    /**
+     * 🧠 Function: withUncertainty
+     * Role: Same values with different uncertainty
+     * Inputs: Uncertainty spec (see parseUncertainty) or null
+     * Returns: New ComplexityVector
+     */
+    withUncertainty(spec) {
+        return new ComplexityVector(this.data, this.schema, spec);
+    }
+
+    /**
+     * 🧠 Function: getBounds
+     * Role: Confidence band around each component
+     * Inputs: Band half-width in standard deviations (default 95%)
+     * Returns: { lower, upper } arrays clamped to pillar ranges
+     * Notes: Both bounds equal the values when there is no uncertainty
+     */
+    getBounds(z = CONFIDENCE_Z) {
+        const sigma = this.uncertainty || this.data.map(() => 0);
+        return {
+            lower: this.data.map((v, i) => this.clampComponent(i, v - z * sigma[i])),
+            upper: this.data.map((v, i) => this.clampComponent(i, v + z * sigma[i]))
+        };
+    }
+
+    /**
+     * 🧠 Function: combineUncertainty
+     * Role: Add two vectors' uncertainties in quadrature
+     * Inputs: Other vector
+     * Returns: Array of standard deviations, or null if neither has any
+     * Notes: Assumes independent errors
+     */
+    combineUncertainty(other) {
+        if (!this.uncertainty && !other.uncertainty) return null;
+        const a = this.uncertainty || this.data.map(() => 0);
+        const b = other.uncertainty || this.data.map(() => 0);
+        return a.map((s, i) => Math.sqrt(s * s + b[i] * b[i]));
     }
 
     /**
      * 🧠 Function: validate
-     * Role: Ensure all components are in valid range [0,1]
-     * Inputs: Four complexity values
+     * Role: Ensure all components are in their pillar range
+     * Inputs: Component values in schema order
      * Returns: Throws error if invalid
      * Notes: Critical for maintaining mathematical consistency
      */
     validate(...values) {
-        values.forEach((v, i) => {
-            if (typeof v !== 'number' || isNaN(v)) {
-                throw new Error(`Component ${i} is not a number: ${v}`);
-            }
-            if (v < 0 || v > 1) {
-                throw new Error(`Component ${i} out of range [0,1]: ${v}`);
-            }
-        });
+        values.forEach((v, i) => this.validateComponent(i, v));
+    }
+
+    /**
+     * 🧠 Function: validateComponent
+     * Role: Check a single component against its pillar range
+     * Inputs: Pillar index and value
+     * Returns: Throws error if invalid
+     * Notes: Ranges come from the schema (default [0,1])
+     */
+    validateComponent(index, v) {
+        const range = this.schema.ranges[index];
+        if (!range) {
+            throw new Error(`Component ${index} is not defined in schema`);
+        }
+        if (typeof v !== 'number' || isNaN(v)) {
+            throw new Error(`Component ${index} is not a number: ${v}`);
+        }
+        if (v < range[0] || v > range[1]) {
+            throw new Error(`Component ${index} out of range [${range[0]},${range[1]}]: ${v}`);
+        }
+    }
+
+    /**
+     * 🧠 Function: clampComponent
+     * Role: Clamp a value into a pillar's range
+     * Inputs: Pillar index and raw value
+     * Returns: Clamped value
+     * Notes: Used by all clamping vector operations
+     */
+    clampComponent(index, value) {
+        const [min, max] = this.schema.ranges[index];
+        return Math.max(min, Math.min(max, value));
     }
 
     /**
@@ -69,10 +366,40 @@ export class ComplexityVector {
         return [...this.data];
     }
 
+    /**
+     * 🧠 Function: toUnitArray
+     * Role: Values rescaled to [0,1] by their pillar ranges
+     * Inputs: None
+     * Returns: Array of numbers in [0,1]
+     * Notes: What aggregators see, so a [0,100] pillar counts the same
+     *        as a [0,1] one and [0,1] thresholds hold for any schema;
+     *        identical to toArray() for unit ranges
+     */
+    toUnitArray() {
+        return this.data.map((v, i) => {
+            const [min, max] = this.schema.ranges[i];
+            return (v - min) / (max - min);
+        });
+    }
+
+    /**
+     * 🧠 Function: getUnitUncertainty
+     * Role: Standard deviations on the toUnitArray() scale
+     * Inputs: None
+     * Returns: Array of numbers, or null for point values
+     */
+    getUnitUncertainty() {
+        if (!this.uncertainty) return null;
+        return this.uncertainty.map((sigma, i) => {
+            const [min, max] = this.schema.ranges[i];
+            return sigma / (max - min);
+        });
+    }
+
     /**
      * 🧠 Function: get
      * Role: Access component by key name
-     * Inputs: Key string ('alg', 'info', 'dyn', 'geom')
+     * Inputs: Pillar key string from the schema
      * Returns: Component value or null
      * Notes: Provides named access to components
      */
@@ -84,14 +411,14 @@ export class ComplexityVector {
     /**
      * 🧠 Function: set
      * Role: Update component by key name
-     * Inputs: Key string and new value [0,1]
+     * Inputs: Key string and new value within pillar range
      * Returns: None (mutates state)
      * Notes: Validates before updating
      */
     set(key, value) {
         const index = this.keys.indexOf(key);
         if (index >= 0) {
-            this.validate(value);
+            this.validateComponent(index, value);
             this.data[index] = value;
         }
     }
@@ -101,10 +428,23 @@ export class ComplexityVector {
      * Role: Create deep copy of vector
      * Inputs: None
      * Returns: New ComplexityVector instance
-     * Notes: Essential for immutable operations
+     * Notes: Essential for immutable operations; keeps uncertainty
      */
     clone() {
-        return new ComplexityVector(...this.data);
+        return new ComplexityVector(this.data, this.schema, this.uncertainty);
+    }
+
+    /**
+     * 🧠 Function: assertSameShape
+     * Role: Guard binary operations against mismatched schemas
+     * Inputs: Other vector
+     * Returns: Throws error on dimension mismatch
+     * Notes: Vectors from different schemas cannot be combined
+     */
+    assertSameShape(other) {
+        if (!other || !other.data || other.data.length !== this.data.length) {
+            throw new Error(`Dimension mismatch: expected ${this.data.length} components`);
+        }
     }
 
     /**
@@ -112,13 +452,14 @@ export class ComplexityVector {
      * Role: Vector addition
      * Inputs: Other vector
      * Returns: New vector (sum)
-     * Notes: Clamps result to [0,1]
+     * Notes: Clamps result to pillar ranges
      */
     add(other) {
+        this.assertSameShape(other);
         const result = this.data.map((v, i) =>
-            Math.max(0, Math.min(1, v + other.data[i]))
+            this.clampComponent(i, v + other.data[i])
         );
-        return new ComplexityVector(...result);
+        return new ComplexityVector(result, this.schema, this.combineUncertainty(other));
     }
 
     /**
@@ -129,8 +470,13 @@ export class ComplexityVector {
      * Notes: Used for calculating changes
      */
     subtract(other) {
+        this.assertSameShape(other);
         const result = this.data.map((v, i) => v - other.data[i]);
-        return new ComplexityVector(...result.map(v => Math.max(0, Math.min(1, v))));
+        return new ComplexityVector(
+            result.map((v, i) => this.clampComponent(i, v)),
+            this.schema,
+            this.combineUncertainty(other)
+        );
     }
 
     /**
@@ -149,11 +495,12 @@ export class ComplexityVector {
      * Role: Multiply vector by scalar
      * Inputs: Scalar factor
      * Returns: New scaled vector
-     * Notes: Clamps result to [0,1]
+     * Notes: Clamps result to pillar ranges
      */
     scale(factor) {
-        const result = this.data.map(v => Math.max(0, Math.min(1, v * factor)));
-        return new ComplexityVector(...result);
+        const result = this.data.map((v, i) => this.clampComponent(i, v * factor));
+        const uncertainty = this.uncertainty && this.uncertainty.map(s => s * Math.abs(factor));
+        return new ComplexityVector(result, this.schema, uncertainty);
     }
 
     /**
@@ -164,7 +511,7 @@ export class ComplexityVector {
      * Notes: Uses epsilon for floating point comparison
      */
     equals(other, epsilon = EPSILON) {
-        if (!other || !other.data) return false;
+        if (!other || !other.data || other.data.length !== this.data.length) return false;
         return this.data.every((v, i) =>
             Math.abs(v - other.data[i]) < epsilon
         );
@@ -178,61 +525,282 @@ export class ComplexityVector {
      * Notes: Shows all components with 3 decimal places
      */
     toString() {
+        if (this.uncertainty) {
+            return `C(${this.data.map((v, i) => `${v.toFixed(3)}±${this.uncertainty[i].toFixed(3)}`).join(', ')})`;
+        }
         return `C(${this.data.map(v => v.toFixed(3)).join(', ')})`;
     }
 }
 
+/**
+ * 🧠 Class: StateObservable
+ * Role: Topic-filtered observer registry
+ * Inputs: None
+ * Returns: Base class with subscribe/once/notify
+ * Notes: Shared by ComplexityState and ComplexityPortfolio
+ */
+export class StateObservable {
+    constructor() {
+        this.observers = [];
+    }
+
+    /**
+     * 🧠 Function: subscribe
+     * Role: Register observer for state changes
+     * Inputs: Callback alone (all events), or topic(s), callback and
+     *         options { once }
+     * Returns: Unsubscribe function
+     * Notes: Topics are event types, '*' or a prefix pattern like
+     *        'branch*'. Callbacks may be async; rejections are logged.
+     */
+    subscribe(topics, observer, options = {}) {
+        if (typeof topics === 'function') {
+            return this.subscribe(WILDCARD, topics, observer || {});
+        }
+        if (typeof observer !== 'function') {
+            throw new Error('Observer must be a function');
+        }
+
+        const list = Array.isArray(topics) ? topics : [topics];
+        if (list.length === 0 || list.some(topic => typeof topic !== 'string' || !topic)) {
+            throw new Error('Topics must be non-empty strings');
+        }
+
+        const subscription = {
+            observer,
+            topics: list,
+            once: !!options.once,
+            active: true
+        };
+        this.observers.push(subscription);
+
+        // Return unsubscribe function
+        return () => this.removeSubscription(subscription);
+    }
+
+    /**
+     * 🧠 Function: once
+     * Role: Register an observer for the next matching event only
+     * Inputs: Topic(s), callback
+     * Returns: Unsubscribe function
+     */
+    once(topics, observer) {
+        return this.subscribe(topics, observer, { once: true });
+    }
+
+    /**
+     * 🧠 Function: removeSubscription
+     * Role: Detach a subscription record
+     * Inputs: Subscription created by subscribe()
+     * Returns: None
+     */
+    removeSubscription(subscription) {
+        subscription.active = false;
+        const index = this.observers.indexOf(subscription);
+        if (index > -1) {
+            this.observers.splice(index, 1);
+        }
+    }
+
+    /**
+     * 🧠 Function: matchesTopic
+     * Role: Check whether a subscription wants an event type
+     * Inputs: Subscription topics, event type
+     * Returns: Boolean
+     */
+    matchesTopic(topics, type) {
+        return topics.some(topic => topic === WILDCARD || topic === type ||
+            (topic.endsWith(WILDCARD) && String(type).startsWith(topic.slice(0, -1))));
+    }
+
+    /**
+     * 🧠 Function: notify
+     * Role: Trigger observer callbacks subscribed to the event type
+     * Inputs: Update event object
+     * Returns: None
+     * Notes: Catches errors (sync and async) to prevent cascading failures
+     */
+    notify(update) {
+        // Snapshot so observers can unsubscribe while being notified
+        [...this.observers].forEach(subscription => {
+            if (!subscription.active || !this.matchesTopic(subscription.topics, update.type)) {
+                return;
+            }
+            if (subscription.once) {
+                this.removeSubscription(subscription);
+            }
+
+            try {
+                const result = subscription.observer(update, this);
+                if (result && typeof result.then === 'function') {
+                    result.catch(error => console.error('Observer error:', error));
+                }
+            } catch (error) {
+                console.error('Observer error:', error);
+            }
+        });
+    }
+}
+
 /**
  * 🧠 Class: ComplexityState
  * Role: Central state management with observer pattern
- * Inputs: Initial configuration object
+ * Inputs: Initial configuration object (optional pillar schema)
  * Returns: Observable state manager
- * Notes: Implements reactive updates for all UI components
+ * Notes: Implements reactive updates for all UI components;
+ *        components read pillar keys/labels/colors from state.schema.
+ *        History is a branching tree; history/redoStack are linear views of it
  */
-export class ComplexityState {
+export class ComplexityState extends StateObservable {
     constructor(config = {}) {
-        // Initialize vector state
-        const initial = config.initial || DEFAULT_VECTOR;
-        this.vector = new ComplexityVector(...initial);
+        super();
 
-        // History tracking
-        this.history = [];
-        this.maxHistory = config.maxHistory || MAX_HISTORY;
+        // Pillar schema drives dimensionality everywhere
+        this.schema = config.schema ? createPillarSchema(config.schema) : DEFAULT_SCHEMA;
+
+        // Initialize vector state
+        const initial = config.initial || defaultVectorFor(this.schema);
+        this.vector = new ComplexityVector(initial, this.schema);
 
         // Configuration
-        this.weights = config.weights || [...DEFAULT_WEIGHTS];
-        this.deltas = config.deltas || { ...DEFAULT_DELTAS };
+        this.weights = config.weights || defaultWeightsFor(this.schema);
+        this.deltas = config.deltas || defaultDeltasFor(this.schema);
 
-        // Observer pattern
-        this.observers = [];
+        // Optional raw-metric transforms (see complexity-normalize.js)
+        this.normalization = config.normalization ? new Normalizer(config.normalization, this.schema) : null;
+
+        // Scalar aggregator (see complexity-aggregators.js), weighted mean by default
+        this.aggregator = this.checkAggregator(config.aggregator || null, this.weights);
+
+        // Open transaction (see beginTransaction), null when idle
+        this.transaction = null;
 
         // Metadata
         this.lastOperation = null;
         this.currentScenario = null;  // Track loaded scenario name
         this.sessionStartTime = Date.now();
         this.operationCount = 0;
+
+        // History tracking (branching tree, capped along the current path)
+        this.maxHistory = config.maxHistory || MAX_HISTORY;
+        this.clearHistory();
+    }
+
+    /**
+     * 🧠 Function: history
+     * Role: Linear undo view of the history tree
+     * Inputs: None
+     * Returns: Frozen array of frozen entries from the root to the
+     *          previous state
+     * Notes: Each entry holds a past vector and the operation that left it.
+     *        Rebuilt only when the tree's revision changes (commit, undo,
+     *        redo, checkout, prune, ...), so reading it in loops and renders
+     *        stays cheap; copy the array before changing it.
+     */
+    get history() {
+        const tree = this.historyTree;
+        const cache = this.historyCache;
+        if (cache && cache.tree === tree && cache.revision === tree.revision) {
+            return cache.entries;
+        }
+
+        const path = tree.path();
+        const entries = Object.freeze(path.slice(0, -1).map((node, i) => Object.freeze({
+            vector: node.vector.clone(),
+            operation: path[i + 1].operation,
+            timestamp: path[i + 1].timestamp,
+            measuredAt: path[i + 1].measuredAt,
+            scalar: node.scalar,
+            operationIndex: path[i + 1].operationIndex
+        })));
+        this.historyCache = { tree, revision: tree.revision, entries };
+        return entries;
+    }
+
+    /**
+     * 🧠 Function: redoStack
+     * Role: Linear redo view of the active branch
+     * Inputs: None
+     * Returns: Array of entries, next redo target last
+     * Notes: Each entry holds the vector an operation produced
+     */
+    get redoStack() {
+        return this.historyTree.redoPath().reverse().map(node => ({
+            vector: node.vector.clone(),
+            operation: node.operation,
+            timestamp: node.timestamp,
+            measuredAt: node.measuredAt,
+            scalar: node.scalar,
+            operationIndex: node.operationIndex
+        }));
+    }
+
+    /**
+     * 🧠 Function: clearHistory
+     * Role: Start a fresh history tree at the current vector
+     * Inputs: None
+     * Returns: None
+     * Notes: Drops every branch
+     */
+    clearHistory() {
+        this.historyTree = new HistoryTree(this.vector.clone(), {
+            operation: null,
+            timestamp: Date.now(),
+            scalar: this.getScalar(this.vector),
+            operationIndex: this.operationCount
+        });
     }
 
     /**
      * 🧠 Function: updateVector
      * Role: Update current vector and notify observers
-     * Inputs: New ComplexityVector or array
+     * Inputs: New ComplexityVector or array, operation,
+     *         options { measuredAt, raw, uncertainty }
      * Returns: None
-     * Notes: Saves to history and triggers reactive updates
+     * Notes: Saves to history and triggers reactive updates; editing after
+     *        an undo starts a new branch instead of discarding the redo path.
+     *        Inside a transaction only the vector changes until commit().
+     *        measuredAt dates the entry (defaults to now); raw keeps the
+     *        readings the vector was normalized from. uncertainty overrides
+     *        the vector's own (see ComplexityVector.parseUncertainty).
      */
-    updateVector(newVector, operation = null) {
-        // Save current state to history
-        this.addToHistory(this.vector.clone(), operation);
+    updateVector(newVector, operation = null, options = {}) {
+        const meta = {
+            measuredAt: options.measuredAt !== undefined ? toTimestamp(options.measuredAt) : null,
+            raw: options.raw ? [...options.raw] : null
+        };
 
-        // Update vector
+        // Build (and validate) the new vector before touching history
+        let next;
         if (Array.isArray(newVector)) {
-            this.vector = new ComplexityVector(...newVector);
+            next = new ComplexityVector(newVector, this.schema, options.uncertainty);
         } else if (newVector instanceof ComplexityVector) {
-            this.vector = newVector.clone();
+            if (newVector.data.length !== this.schema.size) {
+                throw new Error(`Vector must have ${this.schema.size} components`);
+            }
+            const uncertainty = options.uncertainty !== undefined ? options.uncertainty : newVector.uncertainty;
+            next = new ComplexityVector(newVector.data, this.schema, uncertainty);
         } else {
             throw new Error('Invalid vector type');
         }
 
+        // Inside a transaction the history entry is written on commit
+        if (this.transaction) {
+            this.vector = next;
+            this.transaction.operations.push(operation);
+            this.transaction.meta = {
+                measuredAt: meta.measuredAt ?? this.transaction.meta.measuredAt,
+                raw: meta.raw
+            };
+            return;
+        }
+
+        // Save to the history tree
+        const { branch, branched } = this.addToHistory(next, operation, meta);
+
+        // Update vector
+        this.vector = next;
+
         // Track metadata
         this.lastOperation = operation;
         this.operationCount++;
@@ -242,38 +810,256 @@ export class ComplexityState {
             type: 'vectorUpdate',
             vector: this.vector,
             operation: operation,
+            branchId: branch.id,
+            branched,
             timestamp: Date.now()
         });
     }
 
     /**
      * 🧠 Function: addToHistory
-     * Role: Store state snapshots for undo/analysis
-     * Inputs: Vector state and operation description
-     * Returns: None
-     * Notes: Maintains max history size
+     * Role: Commit a new state snapshot to the history tree
+     * Inputs: New vector, operation description, optional { measuredAt, raw }
+     * Returns: { node, branch, branched } from the tree
+     * Notes: Vectors assigned directly to state.vector are synced into the
+     *        current node first so undo returns to what was on screen
+     *        (their raw readings no longer apply and are dropped);
+     *        maintains max history size along the current path
      */
-    addToHistory(vector, operation) {
-        this.history.push({
-            vector: vector.clone(),
+    addToHistory(vector, operation, meta = {}) {
+        const current = this.historyTree.current;
+        if (!current.vector.equals(this.vector)) {
+            current.vector = this.vector.clone();
+            current.scalar = this.getScalar(this.vector);
+            current.raw = null;
+        }
+
+        const result = this.historyTree.commit(vector.clone(), {
             operation: operation,
             timestamp: Date.now(),
+            measuredAt: meta.measuredAt ?? null,
+            raw: meta.raw ?? null,
             scalar: this.getScalar(vector),
             operationIndex: this.operationCount
         });
 
-        // Maintain max history size
-        if (this.history.length > this.maxHistory) {
-            this.history.shift();
+        this.historyTree.prune(this.maxHistory);
+        return result;
+    }
+
+    /**
+     * 🧠 Function: recordMeasurement
+     * Role: Record a dated measurement
+     * Inputs: Vector (array or ComplexityVector), measurement date, operation label
+     * Returns: None
+     * Notes: Same as updateVector with options.measuredAt
+     */
+    recordMeasurement(vector, measuredAt, operation = 'Measurement') {
+        this.updateVector(vector, operation, { measuredAt });
+    }
+
+    /**
+     * 🧠 Function: setNormalization
+     * Role: Configure the raw-metric transforms
+     * Inputs: Config keyed by pillar (see complexity-normalize.js), or null
+     * Returns: None
+     * Notes: Emits 'normalizationUpdate'; null turns raw input off
+     */
+    setNormalization(config) {
+        this.normalization = config ? new Normalizer(config, this.schema) : null;
+
+        this.notify({
+            type: 'normalizationUpdate',
+            normalization: this.normalization,
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * 🧠 Function: updateFromRaw
+     * Role: Normalize raw readings and record the resulting vector
+     * Inputs: Raw readings (array or object keyed by pillar), operation,
+     *         options { measuredAt }
+     * Returns: None
+     * Notes: Raw readings are kept on the history entry for tooltips
+     */
+    updateFromRaw(raw, operation = 'Raw reading', options = {}) {
+        if (!this.normalization) {
+            throw new Error('No normalization configured; call setNormalization first');
         }
+
+        const rawValues = this.normalization.toRawArray(raw);
+        this.updateVector(this.normalization.normalize(rawValues), operation, {
+            ...options,
+            raw: rawValues
+        });
+    }
+
+    /**
+     * 🧠 Function: rawValues
+     * Role: Raw readings behind the current vector
+     * Returns: Array of numbers or null if the vector was not set from raw input
+     */
+    get rawValues() {
+        const raw = this.historyTree.current.raw;
+        return raw && this.historyTree.current.vector.equals(this.vector) ? [...raw] : null;
+    }
+
+    /**
+     * 🧠 Function: backfill
+     * Role: Add several past measurements at once
+     * Inputs: Array of { vector | raw, measuredAt, operation? }
+     * Returns: Number of entries recorded
+     * Notes: Every entry is validated before any is recorded. Entries are
+     *        committed oldest first, one history entry each, and observers
+     *        receive a single 'vectorUpdate' with backfilled set to the count.
+     *        Entries with raw readings go through the normalization.
+     */
+    backfill(measurements) {
+        this.assertNoTransaction('backfill');
+        if (!Array.isArray(measurements) || measurements.length === 0) {
+            throw new Error('Backfill needs a non-empty array of measurements');
+        }
+
+        const entries = measurements.map((entry, i) => {
+            try {
+                let raw = null;
+                let values = entry.vector instanceof ComplexityVector ? entry.vector.data : entry.vector;
+                const uncertainty = entry.uncertainty ??
+                    (entry.vector instanceof ComplexityVector ? entry.vector.uncertainty : null);
+                if (entry.raw !== undefined) {
+                    if (!this.normalization) {
+                        throw new Error('raw readings need a normalization');
+                    }
+                    raw = this.normalization.toRawArray(entry.raw);
+                    values = this.normalization.normalize(raw);
+                }
+                return {
+                    vector: new ComplexityVector(values, this.schema, uncertainty),
+                    measuredAt: toTimestamp(entry.measuredAt),
+                    raw,
+                    operation: entry.operation || 'Backfill'
+                };
+            } catch (error) {
+                throw new Error(`Measurement ${i}: ${error.message}`);
+            }
+        }).sort((a, b) => a.measuredAt - b.measuredAt);
+
+        let result;
+        let branched = false;
+        entries.forEach(entry => {
+            result = this.addToHistory(entry.vector, entry.operation, entry);
+            branched = branched || result.branched;
+            this.vector = entry.vector.clone();
+            this.operationCount++;
+        });
+        this.lastOperation = entries[entries.length - 1].operation;
+
+        this.notify({
+            type: 'vectorUpdate',
+            vector: this.vector,
+            operation: this.lastOperation,
+            branchId: result.branch.id,
+            branched,
+            backfilled: entries.length,
+            timestamp: Date.now()
+        });
+        return entries.length;
+    }
+
+    /**
+     * 🧠 Function: getTimeline
+     * Role: Dated entries of the current history path
+     * Inputs: None
+     * Returns: Array of { measuredAt, measured, vector, raw, operation, operationIndex }, oldest first
+     * Notes: Undated entries use their recording time (measured: false).
+     *        Sorted by date, so backfilled entries fall into place.
+     */
+    getTimeline() {
+        return this.historyTree.path()
+            .map(node => ({
+                measuredAt: node.measuredAt ?? node.timestamp,
+                measured: node.measuredAt !== null && node.measuredAt !== undefined,
+                vector: node.vector.clone(),
+                raw: node.raw ? [...node.raw] : null,
+                operation: node.operation,
+                operationIndex: node.operationIndex
+            }))
+            .filter(entry => Number.isFinite(entry.measuredAt))
+            .sort((a, b) => a.measuredAt - b.measuredAt);
+    }
+
+    /**
+     * 🧠 Function: forecast
+     * Role: Per-pillar forecasts from the history path
+     * Inputs: Options { axis: 'operation'|'date', plus
+     *         ComplexityMath.forecastPillars options (method, horizon,
+     *         step, z, thresholds, alpha, beta) }
+     * Returns: ComplexityMath.forecastPillars result plus axis
+     * Notes: 'operation' uses the undo path and the current vector at
+     *        x = 0, 1, ...; 'date' uses getTimeline (dated measurements
+     *        when any exist) with x in milliseconds
+     */
+    forecast(options = {}) {
+        const axis = options.axis || 'operation';
+        let xs;
+        let vectors;
+        if (axis === 'operation') {
+            vectors = [...this.history.map(entry => entry.vector), this.vector];
+            xs = vectors.map((_, i) => i);
+        } else if (axis === 'date') {
+            const timeline = this.getTimeline();
+            const dated = timeline.filter(entry => entry.measured);
+            const entries = dated.length > 0 ? dated : timeline;
+            vectors = entries.map(entry => entry.vector);
+            xs = entries.map(entry => entry.measuredAt);
+        } else {
+            throw new Error(`Unknown forecast axis: ${axis}`);
+        }
+
+        const pillars = this.schema.keys.map((_, i) => vectors.map(vector => vector.data[i]));
+        return { axis, ...ComplexityMath.forecastPillars(xs, pillars, this.schema, options) };
+    }
+
+    /**
+     * 🧠 Function: detectChangePoints
+     * Role: Change points along the history path, per pillar and scalar
+     * Inputs: Options as for ComplexityMath.analyzeChangePoints
+     *         (method, threshold, drift, warmup, directions, tolerance)
+     * Returns: { pillars, scalar, masked } with indices into the undo
+     *          path plus the current vector (the operation axis)
+     * Notes: The scalar uses the current aggregator and weights
+     */
+    detectChangePoints(options = {}) {
+        const vectors = [...this.history.map(entry => entry.vector), this.vector];
+        const pillars = this.schema.keys.map((_, i) => vectors.map(vector => vector.data[i]));
+        const scalar = vectors.map(vector => this.getScalar(vector));
+        return ComplexityMath.analyzeChangePoints(pillars, scalar, this.schema, options);
+    }
+
+    /**
+     * 🧠 Function: computeCorrelations
+     * Role: Inter-pillar correlation and covariance along the history path
+     * Inputs: Options as for ComplexityMath.computeCorrelations
+     *         (method, changes)
+     * Returns: { method, changes, keys, count, mean, covariance,
+     *          correlation, pValues, pairs }
+     * Notes: Uses the undo path plus the current vector; throws with
+     *        fewer than 3 points
+     */
+    computeCorrelations(options = {}) {
+        const vectors = [...this.history.map(entry => entry.vector), this.vector];
+        return ComplexityMath.computeCorrelations(vectors, options);
     }
 
     /**
      * 🧠 Function: getScalar
-     * Role: Calculate weighted average (information-destroying)
+     * Role: Calculate the scalar aggregate (information-destroying)
      * Inputs: Optional vector and weights
      * Returns: Scalar value [0,1]
-     * Notes: Default uses current state and weights
+     * Notes: Default uses current state and weights; the aggregator is
+     *        set with setAggregator (weighted mean by default). Pillars
+     *        are rescaled to [0,1] by their ranges first (toUnitArray).
      */
     getScalar(vector = null, weights = null) {
         const v = vector || this.vector;
@@ -283,32 +1069,93 @@ export class ComplexityState {
         const sum = w.reduce((a, b) => a + b, 0);
         if (Math.abs(sum - 1.0) > EPSILON) {
             console.warn(`Weights sum to ${sum}, normalizing...`);
-            const normalized = w.map(wi => wi / sum);
-            return v.toArray().reduce((sum, val, idx) =>
-                sum + val * normalized[idx], 0
-            );
         }
 
-        return v.toArray().reduce((sum, val, idx) =>
-            sum + val * w[idx], 0
-        );
+        return aggregate(v.toUnitArray(), w, this.aggregator, this.schema.keys);
+    }
+
+    /**
+     * 🧠 Function: getScalarUncertainty
+     * Role: Standard deviation of the scalar average
+     * Inputs: Optional vector and weights (defaults to current)
+     * Returns: Propagated σ (sqrt(Σ (wᵢσᵢ)²) for the weighted mean) on the
+     *          scalar's [0,1] scale; 0 for point values
+     * Notes: Assumes independent pillar errors; uses the current aggregator
+     */
+    getScalarUncertainty(vector = null, weights = null) {
+        const v = vector || this.vector;
+        const w = weights || this.weights;
+        if (!v.uncertainty) return 0;
+
+        return propagateUncertainty(v.toUnitArray(), w, this.aggregator, v.getUnitUncertainty(), this.schema.keys);
+    }
+
+    /**
+     * 🧠 Function: checkAggregator
+     * Role: Validate an aggregator spec for this schema
+     * Inputs: Spec (id or { id, params }, null for the default), weights
+     * Returns: Resolved { id, params }
+     * Notes: Throws listing the invalid field
+     */
+    checkAggregator(spec, weights) {
+        const resolved = resolveAggregator(spec);
+        const errors = validateAggregatorSpec(resolved, this.schema.size, 'aggregator', {
+            weights,
+            keys: this.schema.keys
+        });
+        if (errors.length > 0) {
+            throw new Error(`Invalid aggregator: ${errors.map(e => `${e.path}: ${e.message}`).join('; ')}`);
+        }
+        return resolved;
+    }
+
+    /**
+     * 🧠 Function: setAggregator
+     * Role: Choose how the scalar collapses the vector
+     * Inputs: Aggregator id or { id, params }
+     * Returns: None
+     * Notes: Emits 'aggregatorUpdate'; history keeps the scalars recorded at the time
+     */
+    setAggregator(spec) {
+        this.aggregator = this.checkAggregator(spec, this.weights);
+
+        this.notify({
+            type: 'aggregatorUpdate',
+            aggregator: this.aggregator,
+            label: getAggregator(this.aggregator.id).label,
+            scalar: this.getScalar(),
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * 🧠 Function: aggregatorLabel
+     * Role: Display name of the current aggregator
+     * Returns: String like 'Geometric mean'
+     */
+    get aggregatorLabel() {
+        return getAggregator(this.aggregator.id).label;
     }
 
     /**
      * 🧠 Function: updateWeights
      * Role: Change scalar averaging weights
-     * Inputs: Array of 4 weights summing to 1
+     * Inputs: Array of weights (one per pillar) summing to 1
      * Returns: None
      * Notes: Normalizes if sum != 1
      */
     updateWeights(newWeights) {
-        if (!Array.isArray(newWeights) || newWeights.length !== 4) {
-            throw new Error('Weights must be array of length 4');
+        if (!Array.isArray(newWeights) || newWeights.length !== this.schema.size) {
+            throw new Error(`Weights must be array of length ${this.schema.size}`);
         }
 
         // Normalize weights
         const sum = newWeights.reduce((a, b) => a + b, 0);
-        this.weights = newWeights.map(w => w / sum);
+        const normalized = newWeights.map(w => w / sum);
+
+        // Choquet capacities depend on the weights
+        this.checkAggregator(this.aggregator, normalized);
+        this.weights = normalized;
 
         this.notify({
             type: 'weightsUpdate',
@@ -337,58 +1184,216 @@ export class ComplexityState {
     /**
      * 🧠 Function: improve
      * Role: Improve a specific pillar by delta amount
-     * Inputs: pillar index (0-3), delta amount
+     * Inputs: pillar index (0 to schema.size - 1), delta amount
      * Returns: None
-     * Notes: Clamps result to [0,1], notifies observers
+     * Notes: Clamps result to pillar range, notifies observers
      */
     improve(pillar, delta) {
         const current = this.vector.toArray();
         const updated = [...current];
 
         // Apply improvement with clamping
-        updated[pillar] = Math.max(0, Math.min(1, current[pillar] + delta));
+        updated[pillar] = this.vector.clampComponent(pillar, current[pillar] + delta);
 
-        // Update state
+        // Update state; an adjustment keeps the measurement's uncertainty
         this.updateVector(
-            new ComplexityVector(...updated),
+            new ComplexityVector(updated, this.schema, this.vector.uncertainty),
             `improve_${this.vector.keys[pillar]}_${delta.toFixed(3)}`
         );
     }
 
     /**
-     * 🧠 Function: subscribe
-     * Role: Register observer for state changes
-     * Inputs: Observer callback function
-     * Returns: Unsubscribe function
-     * Notes: Returns function to remove observer
+     * 🧠 Function: beginTransaction
+     * Role: Start grouping updates into one history entry
+     * Inputs: Optional operation label for the combined entry
+     * Returns: None
+     * Notes: Vector, weight and delta changes apply immediately but no
+     *        history entry or notification is produced until commit().
+     *        History navigation is not allowed while a transaction is open.
      */
-    subscribe(observer) {
-        this.observers.push(observer);
+    beginTransaction(label = null) {
+        if (this.transaction) {
+            throw new Error('Transaction already in progress');
+        }
 
-        // Return unsubscribe function
-        return () => {
-            const index = this.observers.indexOf(observer);
-            if (index > -1) {
-                this.observers.splice(index, 1);
+        this.transaction = {
+            label,
+            meta: { measuredAt: null, raw: null },
+            operations: [],
+            events: [],
+            snapshot: {
+                vector: this.vector.clone(),
+                weights: [...this.weights],
+                deltas: { ...this.deltas },
+                lastOperation: this.lastOperation,
+                currentScenario: this.currentScenario,
+                normalization: this.normalization,
+                aggregator: this.aggregator
             }
         };
     }
 
+    /**
+     * 🧠 Function: commit
+     * Role: Close the open transaction
+     * Inputs: None
+     * Returns: None
+     * Notes: Writes one history entry if the vector changed and sends one
+     *        notification: 'vectorUpdate' when the vector changed, otherwise
+     *        'batch'. Held-back events are attached as update.events.
+     *        If the aggregator changed, 'aggregatorUpdate' follows so
+     *        listeners rescore with the final aggregator and vector.
+     */
+    commit() {
+        const transaction = this.requireTransaction();
+        this.transaction = null;
+
+        const { snapshot, operations, events } = transaction;
+        const operation = transaction.label ||
+            (operations.length > 0 ? `batch(${operations.join(', ')})` : 'batch');
+
+        if (!this.vector.equals(snapshot.vector)) {
+            // addToHistory compares against the vector the batch started from
+            const next = this.vector;
+            this.vector = snapshot.vector;
+            const { branch, branched } = this.addToHistory(next, operation, transaction.meta);
+            this.vector = next;
+
+            this.lastOperation = operation;
+            this.operationCount++;
+
+            this.notify({
+                type: 'vectorUpdate',
+                vector: this.vector,
+                operation,
+                branchId: branch.id,
+                branched,
+                batch: true,
+                events,
+                timestamp: Date.now()
+            });
+        } else if (events.length > 0) {
+            this.notify({
+                type: 'batch',
+                vector: this.vector,
+                operation,
+                events,
+                timestamp: Date.now()
+            });
+        }
+
+        if (JSON.stringify(this.aggregator) !== JSON.stringify(snapshot.aggregator)) {
+            this.notify({
+                type: 'aggregatorUpdate',
+                aggregator: this.aggregator,
+                label: this.aggregatorLabel,
+                scalar: this.getScalar(),
+                batch: true,
+                timestamp: Date.now()
+            });
+        }
+    }
+
+    /**
+     * 🧠 Function: rollback
+     * Role: Abandon the open transaction
+     * Inputs: None
+     * Returns: None
+     * Notes: Restores vector, weights, deltas and metadata; nothing is
+     *        recorded and no observer is notified
+     */
+    rollback() {
+        const { snapshot } = this.requireTransaction();
+        this.transaction = null;
+
+        this.vector = snapshot.vector;
+        this.weights = snapshot.weights;
+        this.deltas = snapshot.deltas;
+        this.lastOperation = snapshot.lastOperation;
+        this.currentScenario = snapshot.currentScenario;
+        this.normalization = snapshot.normalization;
+        this.aggregator = snapshot.aggregator;
+    }
+
+    /**
+     * 🧠 Function: batch
+     * Role: Run several updates as one transaction
+     * Inputs: Synchronous callback receiving the state, optional label
+     * Returns: The callback's return value
+     * Notes: Rolls back and rethrows if the callback throws (e.g. a
+     *        validation error from ComplexityVector.set). Nested calls
+     *        join the outer transaction.
+     */
+    batch(fn, label = null) {
+        if (this.transaction) {
+            return fn(this);
+        }
+
+        this.beginTransaction(label);
+        let result;
+        try {
+            result = fn(this);
+            if (result && typeof result.then === 'function') {
+                throw new Error('batch() callback must be synchronous');
+            }
+        } catch (error) {
+            this.rollback();
+            throw error;
+        }
+
+        this.commit();
+        return result;
+    }
+
+    /**
+     * 🧠 Function: inTransaction
+     * Role: Check whether a transaction is open
+     * Inputs: None
+     * Returns: Boolean
+     */
+    inTransaction() {
+        return this.transaction !== null;
+    }
+
+    /**
+     * 🧠 Function: requireTransaction
+     * Role: Return the open transaction or throw
+     * Inputs: None
+     * Returns: Transaction record
+     */
+    requireTransaction() {
+        if (!this.transaction) {
+            throw new Error('No transaction in progress');
+        }
+        return this.transaction;
+    }
+
+    /**
+     * 🧠 Function: assertNoTransaction
+     * Role: Guard history operations that cannot be rolled back
+     * Inputs: Action name for the error message
+     * Returns: None
+     */
+    assertNoTransaction(action) {
+        if (this.transaction) {
+            throw new Error(`Cannot ${action} during a transaction`);
+        }
+    }
+
     /**
      * 🧠 Function: notify
-     * Role: Trigger all observer callbacks
+     * Role: Trigger observer callbacks subscribed to the event type
      * Inputs: Update event object
      * Returns: None
-     * Notes: Catches errors to prevent cascading failures
+     * Notes: Held back while a transaction is open
      */
     notify(update) {
-        this.observers.forEach(observer => {
-            try {
-                observer(update, this);
-            } catch (error) {
-                console.error('Observer error:', error);
-            }
-        });
+        if (this.transaction) {
+            this.transaction.events.push(update);
+            return;
+        }
+
+        super.notify(update);
     }
 
     /**
@@ -409,10 +1414,11 @@ export class ComplexityState {
      * Returns: None
      * Notes: Clears history
      */
-    reset(initial = DEFAULT_VECTOR) {
-        this.history = [];
+    reset(initial = defaultVectorFor(this.schema)) {
+        this.assertNoTransaction('reset');
         this.operationCount = 0;
         this.lastOperation = null;
+        this.clearHistory();
         this.updateVector(initial, 'reset');
     }
 
@@ -421,24 +1427,174 @@ export class ComplexityState {
      * Role: Revert to previous state
      * Inputs: None
      * Returns: Boolean success
-     * Notes: Uses history stack
+     * Notes: Moves to the parent node; the undone path stays available for redo
      */
     undo() {
-        if (this.history.length > 0) {
-            const previous = this.history.pop();
-            this.vector = previous.vector.clone();
-            this.lastOperation = 'undo';
-            this.operationCount++;
+        this.assertNoTransaction('undo');
+        const left = this.historyTree.current;
+        const previous = this.historyTree.undo();
+        if (!previous) {
+            return false;
+        }
 
-            this.notify({
-                type: 'undo',
-                vector: this.vector,
-                timestamp: Date.now()
-            });
+        this.vector = previous.vector.clone();
+        this.lastOperation = 'undo';
+        this.operationCount++;
+
+        this.notify({
+            type: 'undo',
+            vector: this.vector,
+            operation: left.operation,
+            timestamp: Date.now()
+        });
+
+        return true;
+    }
 
-            return true;
+    /**
+     * 🧠 Function: redo
+     * Role: Re-apply the most recently undone state
+     * Inputs: None
+     * Returns: Boolean success
+     * Notes: Walks toward the head of the active branch
+     */
+    redo() {
+        this.assertNoTransaction('redo');
+        const next = this.historyTree.redo();
+        if (!next) {
+            return false;
         }
-        return false;
+
+        this.vector = next.vector.clone();
+        this.lastOperation = 'redo';
+        this.operationCount++;
+
+        this.notify({
+            type: 'redo',
+            vector: this.vector,
+            operation: next.operation,
+            timestamp: Date.now()
+        });
+
+        return true;
+    }
+
+    /**
+     * 🧠 Function: canUndo
+     * Role: Check whether undo is available
+     * Inputs: None
+     * Returns: Boolean
+     * Notes: Used to enable/disable UI controls
+     */
+    canUndo() {
+        return this.historyTree.current.parentId !== null;
+    }
+
+    /**
+     * 🧠 Function: canRedo
+     * Role: Check whether redo is available
+     * Inputs: None
+     * Returns: Boolean
+     * Notes: False at the head of the active branch
+     */
+    canRedo() {
+        return this.historyTree.redoPath().length > 0;
+    }
+
+    /**
+     * 🧠 Function: listBranches
+     * Role: Describe all what-if branches
+     * Inputs: None
+     * Returns: Array of branch descriptors
+     * Notes: See HistoryTree.listBranches for fields
+     */
+    listBranches() {
+        return this.historyTree.listBranches();
+    }
+
+    /**
+     * 🧠 Function: nameBranch
+     * Role: Rename a branch
+     * Inputs: Branch id, new name
+     * Returns: None
+     * Notes: Emits 'branchRename'
+     */
+    nameBranch(branchId, name) {
+        this.assertNoTransaction('rename a branch');
+        const branch = this.historyTree.renameBranch(branchId, name);
+
+        this.notify({
+            type: 'branchRename',
+            branchId: branch.id,
+            name: branch.name,
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * 🧠 Function: switchBranch
+     * Role: Jump to the head of another branch
+     * Inputs: Branch id
+     * Returns: None
+     * Notes: Emits 'branchSwitch' with the new vector
+     */
+    switchBranch(branchId) {
+        this.assertNoTransaction('switch branches');
+        const head = this.historyTree.switchBranch(branchId);
+        this.moveTo(head, 'branchSwitch');
+    }
+
+    /**
+     * 🧠 Function: checkout
+     * Role: Jump to any recorded state
+     * Inputs: History node id
+     * Returns: None
+     * Notes: Activates the node's branch; emits 'branchSwitch'
+     */
+    checkout(nodeId) {
+        this.assertNoTransaction('check out history');
+        const node = this.historyTree.checkout(nodeId);
+        this.moveTo(node, 'branchSwitch');
+    }
+
+    /**
+     * 🧠 Function: deleteBranch
+     * Role: Remove an inactive branch
+     * Inputs: Branch id
+     * Returns: None
+     * Notes: Emits 'branchDelete'; throws for the active branch
+     */
+    deleteBranch(branchId) {
+        this.assertNoTransaction('delete a branch');
+        this.historyTree.deleteBranch(branchId);
+
+        this.notify({
+            type: 'branchDelete',
+            branchId,
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * 🧠 Function: moveTo
+     * Role: Load a history node's vector as the current state
+     * Inputs: Node, event type
+     * Returns: None
+     * Notes: Shared by branch switching and checkout
+     */
+    moveTo(node, type) {
+        this.vector = node.vector.clone();
+        this.lastOperation = type;
+        this.operationCount++;
+        this.historyTree.prune(this.maxHistory);
+
+        this.notify({
+            type,
+            vector: this.vector,
+            branchId: this.historyTree.activeBranchId,
+            nodeId: node.id,
+            timestamp: Date.now()
+        });
     }
 
     /**
@@ -446,13 +1602,15 @@ export class ComplexityState {
      * Role: Calculate state statistics
      * Inputs: None
      * Returns: Statistics object
-     * Notes: Useful for analysis displays
+     * Notes: Useful for analysis displays; computed on range-normalized
+     *        values (toUnitArray), so pillars with wide ranges do not
+     *        dominate and the balance threshold holds for any schema
      */
     getStatistics() {
-        const arr = this.vector.toArray();
+        const arr = this.vector.toUnitArray();
         const keys = this.vector.keys;
         return {
-            mean: arr.reduce((a, b) => a + b) / 4,
+            mean: arr.reduce((a, b) => a + b) / arr.length,
             max: Math.max(...arr),
             min: Math.min(...arr),
             range: Math.max(...arr) - Math.min(...arr),
@@ -480,22 +1638,32 @@ export class ComplexityState {
      * 🧠 Function: export
      * Role: Export state for saving/sharing
      * Inputs: None
-     * Returns: Serializable object
-     * Notes: Can be used for save/load functionality
+     * Returns: Serializable object in the current format version
+     * Notes: Layout is documented in complexity-format.js; history keeps
+     *        every branch with per-node scalar and operationIndex
      */
     export() {
         return {
+            formatVersion: FORMAT_VERSION,
+            pillars: {
+                keys: [...this.schema.keys],
+                labels: [...this.schema.labels],
+                colors: [...this.schema.colors],
+                ranges: this.schema.ranges.map(range => [...range]),
+                actions: this.schema.actions.map(action => ({ ...action }))
+            },
             vector: this.vector.toArray(),
-            weights: this.weights,
-            deltas: this.deltas,
-            history: this.history.map(h => ({
-                vector: h.vector.toArray(),
-                operation: h.operation,
-                timestamp: h.timestamp
-            })),
+            uncertainty: this.vector.getUncertainty(),
+            weights: [...this.weights],
+            deltas: { ...this.deltas },
+            currentScenario: this.currentScenario,
+            normalization: this.normalization ? this.normalization.toJSON() : null,
+            aggregator: { id: this.aggregator.id, params: { ...this.aggregator.params } },
+            history: this.historyTree.toJSON(),
             metadata: {
                 sessionStartTime: this.sessionStartTime,
                 operationCount: this.operationCount,
+                lastOperation: this.lastOperation,
                 exportTime: Date.now()
             }
         };
@@ -504,38 +1672,69 @@ export class ComplexityState {
     /**
      * 🧠 Function: import
      * Role: Restore state from export
-     * Inputs: Exported state object
-     * Returns: None
-     * Notes: Validates before importing
+     * Inputs: Exported state object (any supported version) or JSON string
+     * Returns: Array of migration notes (empty for current-version data)
+     * Notes: Older versions are migrated first. Throws ImportValidationError
+     *        listing every invalid field; state is untouched on failure.
      */
-    import(data) {
+    import(input) {
+        this.assertNoTransaction('import');
+        const { data, notes } = parseExport(input, this.schema);
+        const toVector = (arr, uncertainty = null) => new ComplexityVector(arr, this.schema, uncertainty);
+
+        const vector = toVector(data.vector, data.uncertainty ?? null);
+        const normalization = data.normalization ? new Normalizer(data.normalization, this.schema) : null;
+        const aggregator = resolveAggregator(data.aggregator ?? null);
+        let tree;
         try {
-            this.vector = new ComplexityVector(...data.vector);
-            this.weights = data.weights || DEFAULT_WEIGHTS;
-            this.deltas = data.deltas || DEFAULT_DELTAS;
+            tree = data.history
+                ? HistoryTree.fromJSON(data.history, toVector)
+                : new HistoryTree(vector.clone(), {
+                    operation: null,
+                    timestamp: Date.now(),
+                    operationIndex: data.metadata.operationCount ?? 0
+                });
+        } catch (error) {
+            throw new ImportValidationError([{ path: 'history', message: error.message }]);
+        }
 
-            this.history = (data.history || []).map(h => ({
-                vector: new ComplexityVector(...h.vector),
-                operation: h.operation,
-                timestamp: h.timestamp
-            }));
+        // Migrated exports may lack scalars; derive them from the imported weights
+        tree.nodes.forEach(node => {
+            if (node.scalar === null || node.scalar === undefined) {
+                node.scalar = aggregate(node.vector.toUnitArray(), data.weights, aggregator, this.schema.keys);
+            }
+        });
+        tree.prune(this.maxHistory);
 
-            this.sessionStartTime = data.metadata?.sessionStartTime || Date.now();
-            this.operationCount = data.metadata?.operationCount || 0;
+        this.vector = vector;
+        this.weights = [...data.weights];
+        this.deltas = { ...data.deltas };
+        this.normalization = normalization;
+        this.aggregator = aggregator;
+        this.historyTree = tree;
+        this.currentScenario = data.currentScenario ?? null;
+        this.operationCount = data.metadata.operationCount ?? 0;
+        this.lastOperation = data.metadata.lastOperation ?? null;
+        this.sessionStartTime = data.metadata.sessionStartTime ?? Date.now();
 
-            this.notify({
-                type: 'import',
-                timestamp: Date.now()
-            });
-        } catch (error) {
-            console.error('Import failed:', error);
-            throw new Error('Invalid import data');
+        if (notes.length > 0) {
+            console.warn('Import migrated:', notes.join('; '));
         }
+
+        this.notify({
+            type: 'import',
+            formatVersion: FORMAT_VERSION,
+            migrations: notes,
+            timestamp: Date.now()
+        });
+
+        return notes;
     }
 }
 
 // Export default configuration for reuse
 export const DEFAULT_CONFIG = {
+    schema: DEFAULT_SCHEMA,
     initial: DEFAULT_VECTOR,
     weights: DEFAULT_WEIGHTS,
     deltas: DEFAULT_DELTAS,
@@ -5,27 +5,365 @@
  * Used by: main.js (dashboard initialization)
  */
 
-import { ComplexityState } from './complexity-state.js';
+import { ComplexityState, ComplexityVector, VECTOR_EVENTS, CONFIDENCE_Z } from './complexity-state.js';
 import { ComplexityMath } from './complexity-math.js';
 
+// === CONFIG ===
+// 🛠️ Cycle Animator Step Sizes
+const CYCLE_DELTAS = [0.15, 0.12, 0.10, 0.08];  // Pillars past the fourth reuse the last delta
+const PROJECTION_COLOR = '#f59e0b';
+
+// 🎨 Portfolio overlays (one color per overlaid system, reused cyclically)
+const OVERLAY_COLORS = ['#f97316', '#6366f1', '#84cc16', '#ef4444', '#0ea5e9', '#a855f7', '#64748b', '#d946ef'];
+
+// 📅 Time Series Axes
+const X_AXIS_MODES = ['operation', 'date'];
+const AGGREGATION_PERIODS = ['none', 'week', 'month'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 🎨 Confidence Bands (±CONFIDENCE_Z standard deviations)
+const BAND_OPACITY = 0.15;
+
+// 📅 Forecasts (dashed projections with prediction intervals)
+const FORECAST_OPTIONS = ['none', 'linear', 'ewma', 'holt'];
+const FORECAST_LABELS = { none: 'None', linear: 'Linear', ewma: 'EWMA', holt: 'Holt' };
+const DEFAULT_FORECAST_HORIZON = 5;
+const MAX_FORECAST_HORIZON = 50;
+
+// 🎨 Change points (triangles; masked regressions get a red outline)
+const CHANGE_POINT_OPTIONS = ['none', 'cusum', 'page-hinkley'];
+const CHANGE_POINT_LABELS = { none: 'Off', cusum: 'CUSUM', 'page-hinkley': 'Page-Hinkley' };
+const MASKED_COLOR = '#dc2626';
+
+// 🧪 Projection Chart
+const PROJECTION_SOURCES = ['history', 'portfolio', 'random'];
+const PROJECTION_RANDOM_COUNT = 100;  // Samples drawn for the 'random' source
+
+// ⏱️ Sampled charts redraw once state changes settle (sliders emit one change per step)
+const SAMPLED_CHART_DELAY = 250;  // ms
+
+// 🧪 Weight Sensitivity Chart
+const SENSITIVITY_CHART_SAMPLES = 5000;  // Simplex draws per redraw (kept low for slider updates)
+
+// 🧪 Rank Acceptability Chart
+const SMAA_CHART_SAMPLES = 5000;
+const SMAA_DEFAULT_SEED = 1;
+// Rank 1 darkest; ranks past the last color reuse it
+const RANK_COLORS = ['#0d9488', '#14b8a6', '#5eead4', '#99f6e4', '#cbd5e1', '#94a3b8', '#64748b', '#475569'];
+
+// 🧪 Correlation Heatmap
+const CORRELATION_SOURCES = ['history', 'portfolio'];
+const CORRELATION_VIEWS = ['correlation', 'covariance'];
+const SIGNIFICANCE_LEVELS = [[0.01, '**'], [0.05, '*']];  // Strictest first
+const CORRELATION_SUMMARY_PAIRS = 3;
+const EPSILON_DISPLAY = 1e-6;  // Color range floor when every covariance is ~0
+
+// 🎨 Axiom counterexamples (one color per vector in the counterexample)
+const COUNTEREXAMPLE_COLORS = ['#dc2626', '#7c3aed', '#0f172a'];
+
+/**
+ * 🧠 Function: getValueRange
+ * Role: Value axis range covering every pillar range
+ * Inputs: Pillar schema
+ * Returns: [min, max] array
+ * Notes: Default schema yields [0, 1]
+ */
+function getValueRange(schema) {
+    return [
+        Math.min(...schema.ranges.map(r => r[0])),
+        Math.max(...schema.ranges.map(r => r[1]))
+    ];
+}
+
+/**
+ * 🧠 Function: scalarOnValueAxis
+ * Role: Place a scalar on the shared pillar value axis
+ * Inputs: Pillar schema, scalar in [0,1]
+ * Returns: Number inside getValueRange(schema)
+ * Notes: Scalars come from range-scaled pillars, so they are always in
+ *        [0,1]; identity for the default schema
+ */
+function scalarOnValueAxis(schema, scalar) {
+    const [min, max] = getValueRange(schema);
+    return min + scalar * (max - min);
+}
+
+/**
+ * 🧠 Function: unitScale
+ * Role: Rescale pillar values to [0,1] by their pillar ranges
+ * Inputs: Pillar schema, values in schema order
+ * Returns: Array of numbers
+ * Notes: Array form of ComplexityVector.toUnitArray, for bounds and
+ *        other plain value lists
+ */
+function unitScale(schema, values) {
+    return values.map((v, i) => {
+        const [min, max] = schema.ranges[i];
+        return (v - min) / (max - min);
+    });
+}
+
+/**
+ * 🧠 Function: overlayColor
+ * Role: Color for the i-th overlaid system
+ * Inputs: Overlay index
+ * Returns: Hex color
+ */
+function overlayColor(index) {
+    return OVERLAY_COLORS[index % OVERLAY_COLORS.length];
+}
+
+/**
+ * 🧠 Function: bucketStart
+ * Role: Start of the week (Monday) or month containing a time
+ * Inputs: Milliseconds since epoch, 'week' or 'month'
+ * Returns: Milliseconds since epoch (UTC midnight)
+ */
+function bucketStart(time, period) {
+    const date = new Date(time);
+    if (period === 'month') {
+        return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+    }
+    const midnight = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    const sinceMonday = (date.getUTCDay() + 6) % 7;
+    return midnight - sinceMonday * DAY_MS;
+}
+
+/**
+ * 🧠 Function: aggregateTimeline
+ * Role: Average dated entries per week or month
+ * Inputs: Timeline entries { measuredAt, values, scalar, raw, sigma, scalarSigma }, period
+ * Returns: One entry per non-empty bucket, dated at the bucket start
+ * Notes: Empty periods are skipped, so spacing stays irregular. Raw
+ *        readings are averaged only when every entry in the bucket has them.
+ *        Uncertainty becomes the standard error of the mean, sqrt(Σσ²)/n.
+ */
+function aggregateTimeline(entries, period) {
+    if (period === 'none') return entries;
+
+    const buckets = new Map();
+    entries.forEach(entry => {
+        const key = bucketStart(entry.measuredAt, period);
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(entry);
+    });
+
+    return [...buckets.entries()]
+        .sort((a, b) => a[0] - b[0])
+        .map(([measuredAt, group]) => ({
+            measuredAt,
+            values: group[0].values.map((_, i) =>
+                group.reduce((sum, e) => sum + e.values[i], 0) / group.length),
+            scalar: group.reduce((sum, e) => sum + e.scalar, 0) / group.length,
+            raw: group.every(e => e.raw)
+                ? group[0].raw.map((_, i) => group.reduce((sum, e) => sum + e.raw[i], 0) / group.length)
+                : null,
+            sigma: group.some(e => e.sigma)
+                ? group[0].values.map((_, i) =>
+                    Math.sqrt(group.reduce((sum, e) => sum + (e.sigma ? e.sigma[i] ** 2 : 0), 0)) / group.length)
+                : null,
+            scalarSigma: Math.sqrt(group.reduce((sum, e) => sum + e.scalarSigma ** 2, 0)) / group.length
+        }));
+}
+
+/**
+ * 🧠 Function: confidenceBands
+ * Role: Lower/upper series for shaded confidence regions
+ * Inputs: Schema, pillar series, scalar series, per-point sigma arrays
+ *         (null where a point has none), per-point scalar sigmas
+ * Returns: { pillars: [{ lower, upper }], scalar: { lower, upper } },
+ *          or null when no point carries uncertainty
+ * Notes: Bands span ±CONFIDENCE_Z σ, clamped to the pillar ranges; the
+ *        scalar band is clamped to [0,1] and placed on the value axis
+ */
+function confidenceBands(schema, pillars, scalar, sigmas, scalarSigmas) {
+    if (!sigmas.some(Boolean)) return null;
+
+    const bound = (value, sigma, sign, range) =>
+        Math.min(range[1], Math.max(range[0], value + sign * CONFIDENCE_Z * sigma));
+    const scalarBound = (value, sigma, sign) => scalarOnValueAxis(schema, bound(value, sigma, sign, [0, 1]));
+
+    return {
+        pillars: pillars.map((series, i) => ({
+            lower: series.map((v, t) => bound(v, sigmas[t] ? sigmas[t][i] : 0, -1, schema.ranges[i])),
+            upper: series.map((v, t) => bound(v, sigmas[t] ? sigmas[t][i] : 0, 1, schema.ranges[i]))
+        })),
+        scalar: {
+            lower: scalar.map((v, t) => scalarBound(v, scalarSigmas[t], -1)),
+            upper: scalar.map((v, t) => scalarBound(v, scalarSigmas[t], 1))
+        }
+    };
+}
+
+/**
+ * 🧠 Function: rawHoverLabels
+ * Role: Per-pillar raw readings formatted for tooltips
+ * Inputs: ComplexityState, raw readings (array or null)
+ * Returns: Array of strings ('n/a' where no raw reading exists)
+ */
+function rawHoverLabels(state, raw) {
+    return state.schema.keys.map((_, i) =>
+        raw && state.normalization ? state.normalization.formatRaw(i, raw[i]) : 'n/a');
+}
+
+/**
+ * 🧠 Function: escapeHtml
+ * Role: Escape user-provided text for innerHTML templates
+ * Inputs: Any value
+ * Returns: Escaped string
+ * Notes: System names come from user input
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 /**
  * 🧠 Class: RadarChart
- * Role: 4-axis spider/polar chart showing complexity vector
- * Notes: Overlays scalar average as dashed circle
+ * Role: N-axis spider/polar chart showing complexity vector
+ * Inputs: Container element, ComplexityState, options { portfolio }
+ * Notes: Overlays scalar average as dashed circle and, for uncertain vectors,
+ *        a shaded 95% band; axes come from state.schema.
+ *        With a portfolio, setOverlay(names) draws other systems as outlines.
  */
 export class RadarChart {
-    constructor(container, state) {
+    constructor(container, state, options = {}) {
         this.container = container;
         this.state = state;
+        this.portfolio = options.portfolio || null;
+        this.overlay = [];
+        this.counterexample = null;
         this.isInitialized = false;
 
-        // Subscribe to state changes
-        this.state.subscribe(() => this.update());
+        this.subscribeState();
+
+        // Redraw when an overlaid system changes
+        this.unsubscribePortfolio = this.portfolio
+            ? this.portfolio.subscribe(VECTOR_EVENTS, (update) => {
+                if (this.overlay.includes(update.system) && update.system !== this.portfolio.activeName) {
+                    this.render();
+                }
+            })
+            : null;
 
         // Initialize chart
         this.init();
     }
 
+    /**
+     * 🧠 Function: subscribeState
+     * Role: Listen to the displayed state
+     * Returns: void
+     * Notes: Weights and the aggregator move the scalar ring, so redraw on
+     *        their changes too; normalization changes switch tooltips on or off
+     */
+    subscribeState() {
+        const unsubscribeUpdates = this.state.subscribe(
+            [...VECTOR_EVENTS, 'weightsUpdate', 'aggregatorUpdate', 'batch'],
+            () => this.update()
+        );
+        const unsubscribeNormalization = this.state.subscribe('normalizationUpdate', () => {
+            if (this.isInitialized) this.render();
+        });
+        this.unsubscribe = () => {
+            unsubscribeUpdates();
+            unsubscribeNormalization();
+        };
+    }
+
+    /**
+     * 🧠 Function: setState
+     * Role: Show another state (e.g. active system)
+     * Inputs: ComplexityState
+     * Returns: void
+     */
+    setState(state) {
+        this.unsubscribe();
+        this.state = state;
+        this.subscribeState();
+        if (this.isInitialized) this.render();
+    }
+
+    /**
+     * 🧠 Function: setOverlay
+     * Role: Choose portfolio systems drawn alongside the current state
+     * Inputs: Array of system names
+     * Returns: void
+     * Notes: The active system is never drawn twice
+     */
+    setOverlay(names) {
+        if (!this.portfolio) {
+            throw new Error('Overlays need a portfolio');
+        }
+        names.forEach(name => this.portfolio.getSystem(name));
+        this.overlay = [...names];
+        if (this.isInitialized) this.render();
+    }
+
+    /**
+     * 🧠 Function: getOverlayTraces
+     * Role: Outline traces for overlaid systems
+     * Inputs: Pillar labels
+     * Returns: Array of Plotly traces
+     */
+    getOverlayTraces(labels) {
+        if (!this.portfolio) return [];
+
+        return this.overlay
+            .filter(name => name !== this.portfolio.activeName && this.portfolio.systems.has(name))
+            .map((name, i) => {
+                const vector = this.portfolio.getSystem(name).vector;
+                return {
+                    type: 'scatterpolar',
+                    r: vector.toUnitArray(),
+                    theta: [...labels],
+                    name,
+                    customdata: vector.toArray(),
+                    hovertemplate: '%{theta}: %{customdata:.3f}',
+                    line: { color: overlayColor(i), width: 2, dash: 'dot' },
+                    marker: { color: overlayColor(i), size: 5 }
+                };
+            });
+    }
+
+    /**
+     * 🧠 Function: setCounterexample
+     * Role: Draw an axiom counterexample from ComplexityMath.checkAxioms
+     * Inputs: Counterexample { vectors: [{ label, vector }] } or null to clear
+     * Returns: void
+     */
+    setCounterexample(counterexample) {
+        this.counterexample = counterexample;
+        if (this.isInitialized) this.render();
+    }
+
+    /**
+     * 🧠 Function: getCounterexampleTraces
+     * Role: Outline traces for the counterexample vectors
+     * Inputs: Pillar labels
+     * Returns: Array of Plotly traces
+     */
+    getCounterexampleTraces(labels) {
+        if (!this.counterexample) return [];
+
+        return this.counterexample.vectors.map(({ label, vector }, i) => {
+            const color = COUNTEREXAMPLE_COLORS[i % COUNTEREXAMPLE_COLORS.length];
+            return {
+                type: 'scatterpolar',
+                r: vector.toUnitArray(),
+                theta: [...labels],
+                name: label,
+                customdata: vector.toArray(),
+                hovertemplate: '%{theta}: %{customdata:.3f}',
+                line: { color, width: 2, dash: 'dashdot' },
+                marker: { color, size: 6, symbol: 'x' }
+            };
+        });
+    }
+
     /**
      * 🧠 Function: init
      * Role: Initialize Plotly radar chart
@@ -51,16 +389,20 @@ export class RadarChart {
      * 🧠 Function: render
      * Role: Render/update the radar chart
      * Returns: void
+     * Notes: Every pillar is drawn at its position within its own range
+     *        (toUnitArray), so the radial axis is [0,1] for any schema;
+     *        tooltips show the actual pillar values
      */
     render() {
-        const vector = this.state.vector.toArray();
+        const schema = this.state.schema;
+        const vector = this.state.vector.toUnitArray();
         const scalar = this.state.getScalar();
 
         // Main complexity vector trace
         const vectorTrace = {
             type: 'scatterpolar',
             r: vector,
-            theta: ['Algorithmic', 'Information', 'Dynamical', 'Geometric'],
+            theta: [...schema.labels],
             fill: 'toself',
             name: 'Current State',
             fillcolor: 'rgba(20, 184, 166, 0.3)',
@@ -71,15 +413,18 @@ export class RadarChart {
             marker: {
                 color: 'rgb(20, 184, 166)',
                 size: 8
-            }
+            },
+            // Pillar and raw values (tooltips are on only with normalization)
+            customdata: this.getHoverData(),
+            hovertemplate: '%{theta}: %{customdata[0]:.3f}<br>Raw: %{customdata[1]}<extra></extra>'
         };
 
         // Scalar average circle overlay
         const scalarTrace = {
             type: 'scatterpolar',
-            r: [scalar, scalar, scalar, scalar],
-            theta: ['Algorithmic', 'Information', 'Dynamical', 'Geometric'],
-            name: `Scalar Average (${scalar.toFixed(3)})`,
+            r: vector.map(() => scalar),
+            theta: [...schema.labels],
+            name: `${this.state.aggregatorLabel} (${scalar.toFixed(3)})`,
             line: {
                 color: 'rgb(250, 204, 21)',
                 dash: 'dash',
@@ -90,7 +435,8 @@ export class RadarChart {
             }
         };
 
-        const data = [vectorTrace, scalarTrace];
+        const data = [vectorTrace, scalarTrace, this.getBandTrace(schema.labels),
+            ...this.getOverlayTraces(schema.labels), ...this.getCounterexampleTraces(schema.labels)];
 
         const layout = {
             polar: {
@@ -135,7 +481,7 @@ export class RadarChart {
         const config = {
             responsive: true,
             displayModeBar: false,
-            staticPlot: true  // Disable interaction for touch screens
+            staticPlot: !this.state.normalization  // Interactive only when raw tooltips exist
         };
 
         // Check if Plotly is loaded
@@ -158,6 +504,53 @@ export class RadarChart {
         }
     }
 
+    /**
+     * 🧠 Function: getHoverData
+     * Role: Tooltip data for the current-state trace
+     * Inputs: None
+     * Returns: Array of [pillar value, raw label] pairs
+     */
+    getHoverData() {
+        const labels = rawHoverLabels(this.state, this.state.rawValues);
+        return this.state.vector.toArray().map((value, i) => [value, labels[i]]);
+    }
+
+    /**
+     * 🧠 Function: getBandTrace
+     * Role: Confidence band between the lower and upper bounds
+     * Inputs: Axis labels
+     * Returns: Plotly scatterpolar trace (empty for point values)
+     * Notes: Traces the outer ring, then the inner ring backwards, so the
+     *        fill covers only the area between them
+     */
+    getBandTrace(labels) {
+        const vector = this.state.vector;
+        const closedLabels = [...labels, labels[0]];
+        let r = [];
+        let theta = [];
+
+        if (vector.uncertainty) {
+            const bounds = vector.getBounds(CONFIDENCE_Z);
+            const lower = unitScale(vector.schema, bounds.lower);
+            const upper = unitScale(vector.schema, bounds.upper);
+            r = [...upper, upper[0], ...[...lower, lower[0]].reverse()];
+            theta = [...closedLabels, ...[...closedLabels].reverse()];
+        }
+
+        return {
+            type: 'scatterpolar',
+            r,
+            theta,
+            fill: 'toself',
+            name: '95% band',
+            fillcolor: 'rgb(20, 184, 166)',
+            opacity: BAND_OPACITY,
+            line: { width: 0 },
+            hoverinfo: 'skip',
+            showlegend: r.length > 0
+        };
+    }
+
     /**
      * 🧠 Function: update
      * Role: Update chart with new state
@@ -166,14 +559,24 @@ export class RadarChart {
     update() {
         if (!this.isInitialized) return;
 
-        const vector = this.state.vector.toArray();
+        const vector = this.state.vector.toUnitArray();
         const scalar = this.state.getScalar();
 
         // Update data traces
         Plotly.restyle(this.container, {
-            r: [vector, [scalar, scalar, scalar, scalar]],
-            name: ['Current State', `Scalar Average (${scalar.toFixed(3)})`]
+            r: [vector, vector.map(() => scalar)],
+            name: ['Current State', `${this.state.aggregatorLabel} (${scalar.toFixed(3)})`]
         }, [0, 1]);
+        Plotly.restyle(this.container, {
+            customdata: [this.getHoverData()]
+        }, [0]);
+
+        const band = this.getBandTrace(this.state.schema.labels);
+        Plotly.restyle(this.container, {
+            r: [band.r],
+            theta: [band.theta],
+            showlegend: [band.showlegend]
+        }, [2]);
     }
 
     /**
@@ -182,36 +585,109 @@ export class RadarChart {
      * Returns: void
      */
     destroy() {
+        this.unsubscribe();
+        if (this.unsubscribePortfolio) {
+            this.unsubscribePortfolio();
+        }
         Plotly.purge(this.container);
     }
 }
 
 /**
  * 🧠 Class: CycleAnimator
- * Role: Animates the 5-step impossibility cycle
- * Notes: Shows paradox of improvement returning to origin
+ * Role: Animates the (N+1)-step impossibility cycle
+ * Notes: Shows paradox of improvement returning to origin;
+ *        one improvement step per schema pillar plus the projection
  */
 export class CycleAnimator {
-    constructor(container, state) {
+    constructor(container, state, options = {}) {
         this.container = container;
         this.state = state;
+        this.seed = options.seed ?? null;
         this.isAnimating = false;
         this.currentStep = 0;
         this.animationInterval = null;
         this.initialState = null;
+        this.cycle = null;
 
         // Cycle steps definition
-        this.steps = [
-            { pillar: 0, name: 'Algorithmic', delta: 0.15, description: 'Optimize algorithm efficiency' },
-            { pillar: 1, name: 'Information', delta: 0.12, description: 'Add information content' },
-            { pillar: 2, name: 'Dynamical', delta: 0.10, description: 'Increase dynamic behavior' },
-            { pillar: 3, name: 'Geometric', delta: 0.08, description: 'Enrich topological structure' },
+        this.steps = this.scriptedSteps();
+
+        this.init();
+    }
+
+    /**
+     * 🧠 Function: scriptedSteps
+     * Role: The paper's fixed cycle for the current schema
+     * Returns: Array of steps (one improvement per pillar, then projection)
+     */
+    scriptedSteps() {
+        const schema = this.state.schema;
+        return [
+            ...schema.keys.map((_, i) => ({
+                pillar: i,
+                name: schema.labels[i],
+                delta: CYCLE_DELTAS[Math.min(i, CYCLE_DELTAS.length - 1)],
+                description: schema.actions[i].description
+            })),
             { pillar: -1, name: 'Projection', delta: 0, description: 'Return to origin (paradox!)' }
         ];
+    }
 
+    /**
+     * 🧠 Function: loadCycle
+     * Role: Play a cycle found by ComplexityMath.searchCycle
+     * Inputs: searchCycle result, or null for the scripted cycle
+     * Returns: void
+     * Notes: Each step moves the state to the searched vector, so playback
+     *        starts from the vector the search started from
+     */
+    loadCycle(cycle) {
+        this.stop();
+        this.cycle = cycle;
+        this.initialState = null;
+        const schema = this.state.schema;
+
+        this.steps = cycle
+            ? cycle.steps.map((step, i) => ({
+                pillar: step.pillar,
+                name: schema.labels[step.pillar],
+                delta: step.gain,
+                description: step.operation,
+                target: cycle.states[i + 1],
+                signalLoss: step.signalLoss
+            }))
+            : this.scriptedSteps();
+
+        this.currentStep = 0;
         this.init();
     }
 
+    /**
+     * 🧠 Function: search
+     * Role: Search a cycle against the state's aggregator and weights
+     * Returns: searchCycle result
+     * Notes: Loads the cycle only when one was found
+     */
+    search() {
+        const cycle = ComplexityMath.searchCycle(this.state.vector, {
+            aggregator: this.state.aggregator,
+            weights: this.state.weights,
+            seed: this.seed
+        });
+
+        if (cycle.found) {
+            this.loadCycle(cycle);
+            this.container.querySelector('.step-description').textContent =
+                `Found a ${cycle.steps.length}-step cycle for ${this.state.aggregatorLabel} - press Start`;
+        } else {
+            this.container.querySelector('.step-description').textContent =
+                `No cycle found for ${this.state.aggregatorLabel}: the best sequence still raises the scalar by ` +
+                `${cycle.paradox.scalarChange.toFixed(3)}`;
+        }
+        return cycle;
+    }
+
     /**
      * 🧠 Function: init
      * Role: Initialize animator interface
@@ -221,8 +697,12 @@ export class CycleAnimator {
         this.container.innerHTML = `
             <div class="cycle-animator">
                 <div class="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-4 gap-3">
-                    <h3 class="text-xl font-bold text-gray-900">5-Step Impossibility Cycle</h3>
+                    <h3 class="text-xl font-bold text-gray-900">${this.steps.length}-Step ${this.cycle ? 'Searched' : 'Impossibility'} Cycle</h3>
                     <div class="flex gap-2">
+                        <button id="cycle-search"
+                                class="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 transition-colors font-medium">
+                            Search
+                        </button>
                         <button id="cycle-start"
                                 class="px-4 py-2 bg-teal-600 text-white rounded-md hover:bg-teal-700 transition-colors font-medium">
                             Start
@@ -242,7 +722,7 @@ export class CycleAnimator {
                     <div class="bg-gray-200 rounded-full h-3 mb-2 overflow-hidden">
                         <div class="progress-fill bg-teal-600 h-full transition-all duration-300" style="width: 0%"></div>
                     </div>
-                    <div class="text-sm font-medium text-gray-700">Step: <span id="current-step" class="text-teal-600 font-bold">0</span> / 5</div>
+                    <div class="text-sm font-medium text-gray-700">Step: <span id="current-step" class="text-teal-600 font-bold">0</span> / ${this.steps.length}</div>
                 </div>
                 <div class="cycle-visualization" id="cycle-chart"></div>
                 <div class="cycle-info">
@@ -268,7 +748,9 @@ export class CycleAnimator {
         const startBtn = this.container.querySelector('#cycle-start');
         const stopBtn = this.container.querySelector('#cycle-stop');
         const resetBtn = this.container.querySelector('#cycle-reset');
+        const searchBtn = this.container.querySelector('#cycle-search');
 
+        searchBtn.addEventListener('click', () => this.search());
         startBtn.addEventListener('click', () => this.start());
         stopBtn.addEventListener('click', () => this.stop());
         resetBtn.addEventListener('click', () => this.reset());
@@ -284,14 +766,16 @@ export class CycleAnimator {
 
         // Create bar chart showing improvements
         const data = [{
-            x: ['Step 1', 'Step 2', 'Step 3', 'Step 4', 'Step 5'],
-            y: [0, 0, 0, 0, 0],
+            x: this.steps.map((_, i) => `Step ${i + 1}`),
+            y: this.steps.map(() => 0),
             type: 'bar',
             marker: {
-                color: ['#14b8a6', '#3b82f6', '#8b5cf6', '#ec4899', '#f59e0b'],
+                color: this.cycle
+                    ? this.steps.map(step => this.state.schema.colors[step.pillar])
+                    : [...this.state.schema.colors, PROJECTION_COLOR],
                 opacity: 0.7
             },
-            text: ['Algorithmic', 'Information', 'Dynamical', 'Geometric', 'Projection'],
+            text: this.steps.map(step => step.name),
             textposition: 'outside',
             hovertemplate: '%{text}<br>Improvement: %{y:.3f}<extra></extra>'
         }];
@@ -335,6 +819,11 @@ export class CycleAnimator {
 
         this.isAnimating = true;
         this.currentStep = 0;
+
+        // A searched cycle replays from the vector it was found at
+        if (this.cycle && !this.state.vector.equals(this.cycle.states[0])) {
+            this.state.updateVector(this.cycle.states[0].clone(), 'Cycle start');
+        }
         this.initialState = this.state.vector.clone();
 
         // Update UI
@@ -370,11 +859,14 @@ export class CycleAnimator {
             `Step ${this.currentStep + 1}: ${step.description}`;
 
         // Apply transformation
-        if (step.pillar >= 0) {
+        if (step.target) {
+            // Searched step: move to the precomputed vector
+            this.state.updateVector(step.target.clone(), step.description);
+            this.container.querySelector('#signal-loss').textContent =
+                `${step.signalLoss.scalarChange >= 0 ? '+' : ''}${step.signalLoss.scalarChange.toFixed(3)} scalar (${step.signalLoss.lossType})`;
+            this.restyleSteps();
+        } else if (step.pillar >= 0) {
             // Regular improvement step
-            const improvement = new Array(4).fill(0);
-            improvement[step.pillar] = step.delta;
-
             // Apply with signal loss
             const before = this.state.vector.clone();
             this.state.improve(step.pillar, step.delta);
@@ -384,12 +876,7 @@ export class CycleAnimator {
             const signalLoss = this.calculateSignalLoss(before, after, step.delta);
             this.container.querySelector('#signal-loss').textContent = signalLoss.toFixed(3);
 
-            // Update bar chart
-            const chartContainer = this.container.querySelector('#cycle-chart');
-            const yValues = this.steps.slice(0, this.currentStep + 1).map(s => s.delta);
-            while (yValues.length < 5) yValues.push(0);
-
-            Plotly.restyle(chartContainer, { y: [yValues] }, 0);
+            this.restyleSteps();
         } else {
             // Projection step - return to origin
             this.state.vector = this.initialState.clone();
@@ -405,6 +892,19 @@ export class CycleAnimator {
         setTimeout(() => this.animateStep(), 1500);
     }
 
+    /**
+     * 🧠 Function: restyleSteps
+     * Role: Show the improvements applied so far in the bar chart
+     * Returns: void
+     */
+    restyleSteps() {
+        const chartContainer = this.container.querySelector('#cycle-chart');
+        const yValues = this.steps.slice(0, this.currentStep + 1).map(s => s.delta);
+        while (yValues.length < this.steps.length) yValues.push(0);
+
+        Plotly.restyle(chartContainer, { y: [yValues] }, 0);
+    }
+
     /**
      * 🧠 Function: calculateSignalLoss
      * Role: Compute information loss during improvement
@@ -438,8 +938,11 @@ export class CycleAnimator {
      */
     complete() {
         this.stop();
-        this.container.querySelector('.step-description').textContent =
-            'Cycle complete - impossibility demonstrated!';
+        const { paradox } = this.cycle || {};
+        this.container.querySelector('.step-description').textContent = this.cycle
+            ? `Cycle complete - pillars gained ${paradox.netVectorGain.toFixed(3)} in total, ` +
+              `yet the scalar moved ${paradox.scalarChange.toFixed(3)}!`
+            : 'Cycle complete - impossibility demonstrated!';
     }
 
     /**
@@ -460,7 +963,7 @@ export class CycleAnimator {
 
         // Reset chart
         const chartContainer = this.container.querySelector('#cycle-chart');
-        Plotly.restyle(chartContainer, { y: [[0, 0, 0, 0, 0]] }, 0);
+        Plotly.restyle(chartContainer, { y: [this.steps.map(() => 0)] }, 0);
 
         // Reset state if we have initial state
         if (this.initialState) {
@@ -468,30 +971,82 @@ export class CycleAnimator {
             this.state.notifyObservers();
         }
     }
+
+    /**
+     * 🧠 Function: setState
+     * Role: Animate another state (e.g. active system)
+     * Inputs: ComplexityState with the same schema
+     * Returns: void
+     * Notes: A running cycle is stopped without touching the old state
+     */
+    setState(state) {
+        this.initialState = null;
+        this.reset();
+        this.state = state;
+        if (this.cycle) this.loadCycle(null);
+    }
 }
 
 /**
  * 🧠 Class: TimeSeriesChart
  * Role: Shows history of complexity changes over time
- * Notes: Tracks all 4 pillars + scalar average
+ * Inputs: Container element, ComplexityState, max points,
+ *         options { portfolio, xAxis: 'operation'|'date', aggregate: 'none'|'week'|'month',
+ *         forecast: { method: 'none'|'linear'|'ewma'|'holt', horizon, thresholds: { key: value } },
+ *         changePoints: { method: 'none'|'cusum'|'page-hinkley', threshold, drift, directions } }
+ * Notes: Tracks every schema pillar + scalar average;
+ *        history.pillars holds one series per pillar in schema order.
+ *        With a portfolio every system is recorded and setOverlay(names)
+ *        adds their scalar series to the chart. The date axis plots the
+ *        current history path by measurement date instead. Forecasts
+ *        extend each pillar from the plotted points (after grouping) and
+ *        list when it reaches its threshold. Change points are marked on
+ *        each pillar (CUSUM by default); a pillar regression the scalar
+ *        did not show is flagged above the plot.
  */
 export class TimeSeriesChart {
-    constructor(container, state, maxPoints = 50) {
+    constructor(container, state, maxPoints = 50, options = {}) {
         this.container = container;
         this.state = state;
         this.maxPoints = maxPoints;
-        this.history = {
-            operations: [],
-            algorithmic: [],
-            information: [],
-            dynamical: [],
-            geometric: [],
-            scalar: []
-        };
-        this.operationCount = 0;
-
-        // Subscribe to state changes
-        this.state.subscribe(() => this.recordState());
+        this.portfolio = options.portfolio || null;
+        this.overlay = [];
+        this.xAxis = 'operation';
+        this.aggregate = 'none';
+        this.setXAxis(options.xAxis || 'operation', { render: false });
+        this.setAggregation(options.aggregate || 'none', { render: false });
+        this.forecastHorizon = DEFAULT_FORECAST_HORIZON;
+        this.thresholds = {};
+        this.forecast = null;
+        const forecast = options.forecast || {};
+        this.setForecast(forecast.method || 'none', { render: false, horizon: forecast.horizon });
+        if (forecast.thresholds) this.setThresholds(forecast.thresholds, { render: false });
+        const { method: changeMethod = 'cusum', ...changeOptions } = options.changePoints || {};
+        this.changeOptions = changeOptions;
+        this.changes = null;
+        this.setChangePoints(changeMethod, { render: false });
+
+        // One recorded series set per state, so switching systems keeps each timeline
+        this.records = new Map();
+
+        // Record a point only when a vector moves; redraw when tooltips toggle
+        if (this.portfolio) {
+            this.unsubscribe = this.portfolio.subscribe([
+                ...VECTOR_EVENTS, 'systemAdd', 'systemRemove', 'normalizationUpdate', 'aggregatorUpdate'
+            ], (update) => {
+                if (update.type === 'systemRemove') {
+                    this.dropRemovedSystems();
+                } else if (update.type === 'aggregatorUpdate') {
+                    this.rescoreState(this.portfolio.getSystem(update.system));
+                } else if (update.type === 'normalizationUpdate') {
+                    if (this.portfolio.systems.get(update.system) === this.state) this.render();
+                } else if (this.portfolio.systems.has(update.system)) {
+                    this.recordState(this.portfolio.getSystem(update.system));
+                }
+            });
+        } else {
+            this.unsubscribe = this.subscribeState(this.state);
+        }
 
         this.init();
     }
@@ -502,35 +1057,140 @@ export class TimeSeriesChart {
      * Returns: void
      */
     init() {
+        // Axis controls above the plot
+        this.container.innerHTML = `
+            <div class="flex flex-wrap justify-end gap-3 mb-2 text-xs text-gray-600">
+                <label>X axis
+                    <select class="ts-axis ml-1 px-1 py-0.5 border border-gray-300 rounded">
+                        <option value="operation">Operation</option>
+                        <option value="date">Measurement date</option>
+                    </select>
+                </label>
+                <label>Group by
+                    <select class="ts-aggregate ml-1 px-1 py-0.5 border border-gray-300 rounded">
+                        <option value="none">None</option>
+                        <option value="week">Week</option>
+                        <option value="month">Month</option>
+                    </select>
+                </label>
+                <label>Forecast
+                    <select class="ts-forecast ml-1 px-1 py-0.5 border border-gray-300 rounded">
+                        ${FORECAST_OPTIONS.map(method => `<option value="${method}">${FORECAST_LABELS[method]}</option>`).join('')}
+                    </select>
+                </label>
+                <label>Points ahead
+                    <input type="number" class="ts-horizon ml-1 w-14 px-1 py-0.5 border border-gray-300 rounded"
+                           min="1" max="${MAX_FORECAST_HORIZON}" step="1">
+                </label>
+                <label>Change points
+                    <select class="ts-changes ml-1 px-1 py-0.5 border border-gray-300 rounded">
+                        ${CHANGE_POINT_OPTIONS.map(method => `<option value="${method}">${CHANGE_POINT_LABELS[method]}</option>`).join('')}
+                    </select>
+                </label>
+            </div>
+            <div class="ts-alerts text-xs text-red-700"></div>
+            <div class="ts-plot"></div>
+            <div class="ts-forecast-summary text-xs text-gray-600 mt-1"></div>
+        `;
+        this.plot = this.container.querySelector('.ts-plot') || this.container;
+        this.syncControls();
+
+        this.container.querySelector('.ts-axis')?.addEventListener('change', (e) => this.setXAxis(e.target.value));
+        this.container.querySelector('.ts-aggregate')?.addEventListener('change', (e) => this.setAggregation(e.target.value));
+        this.container.querySelector('.ts-forecast')?.addEventListener('change', (e) => this.setForecast(e.target.value));
+        this.container.querySelector('.ts-horizon')?.addEventListener('change', (e) => {
+            this.setForecast(this.forecastMethod, { horizon: Number(e.target.value) });
+        });
+        this.container.querySelector('.ts-changes')?.addEventListener('change', (e) => this.setChangePoints(e.target.value));
+
         // Create initial plot first
         this.render();
 
-        // Then record initial state
-        this.recordState();
+        // Then record initial state (every system in a portfolio)
+        const states = this.portfolio ? [...this.portfolio.systems.values()] : [this.state];
+        states.forEach(state => this.recordState(state));
+    }
+
+    /**
+     * 🧠 Function: history
+     * Role: Recorded series of the displayed state
+     * Returns: History object { operations, pillars, scalar }
+     */
+    get history() {
+        return this.getRecord(this.state).history;
+    }
+
+    /**
+     * 🧠 Function: getRecord
+     * Role: Recorded series for a state, created on first use
+     * Inputs: ComplexityState
+     * Returns: { history, operationCount }
+     */
+    getRecord(state) {
+        if (!this.records.has(state)) {
+            this.records.set(state, { history: this.createEmptyHistory(), operationCount: 0 });
+        }
+        return this.records.get(state);
+    }
+
+    /**
+     * 🧠 Function: dropRemovedSystems
+     * Role: Forget series of systems no longer in the portfolio
+     * Returns: void
+     */
+    dropRemovedSystems() {
+        const live = new Set(this.portfolio.systems.values());
+        [...this.records.keys()].forEach(state => {
+            if (!live.has(state)) this.records.delete(state);
+        });
+        this.overlay = this.overlay.filter(name => this.portfolio.systems.has(name));
+        this.render();
+    }
+
+    /**
+     * 🧠 Function: createEmptyHistory
+     * Role: Build empty series storage for the state schema
+     * Returns: History object with one series per pillar
+     */
+    createEmptyHistory() {
+        return {
+            operations: [],
+            pillars: this.state.schema.keys.map(() => []),
+            scalar: [],
+            raw: [],
+            sigma: [],
+            scalarSigma: []
+        };
     }
 
     /**
      * 🧠 Function: recordState
-     * Role: Record current state to history
+     * Role: Record a state's current vector to its history
+     * Inputs: ComplexityState (defaults to the displayed state)
      * Returns: void
      */
-    recordState() {
-        const vector = this.state.vector.toArray();
-        const scalar = this.state.getScalar();
+    recordState(state = this.state) {
+        const record = this.getRecord(state);
+        const history = record.history;
+        const vector = state.vector.toArray();
+        const scalar = state.getScalar();
 
         // Add to history
-        this.history.operations.push(this.operationCount++);
-        this.history.algorithmic.push(vector[0]);
-        this.history.information.push(vector[1]);
-        this.history.dynamical.push(vector[2]);
-        this.history.geometric.push(vector[3]);
-        this.history.scalar.push(scalar);
+        history.operations.push(record.operationCount++);
+        vector.forEach((value, i) => history.pillars[i].push(value));
+        history.scalar.push(scalar);
+        history.raw.push(state.rawValues);
+        history.sigma.push(state.vector.getUncertainty());
+        history.scalarSigma.push(state.getScalarUncertainty());
 
         // Trim to max points
-        if (this.history.operations.length > this.maxPoints) {
-            Object.keys(this.history).forEach(key => {
-                this.history[key].shift();
-            });
+        if (history.operations.length > this.maxPoints) {
+            history.operations.shift();
+            history.pillars.forEach(series => series.shift());
+            history.scalar.shift();
+            history.raw.shift();
+            history.sigma.shift();
+            history.scalarSigma.shift();
         }
 
         // Update chart
@@ -538,97 +1198,594 @@ export class TimeSeriesChart {
     }
 
     /**
-     * 🧠 Function: render
-     * Role: Render time series chart
+     * 🧠 Function: rescoreState
+     * Role: Recompute recorded scalars after an aggregator change
+     * Inputs: ComplexityState
      * Returns: void
+     * Notes: Pillar values are kept; only the scalar series (and its band) changes
      */
-    render() {
-        const traces = [
-            {
-                x: this.history.operations,
-                y: this.history.algorithmic,
-                mode: 'lines+markers',
-                name: 'Algorithmic',
-                line: { color: '#14b8a6', width: 2 },
-                marker: { size: 4 }
-            },
-            {
-                x: this.history.operations,
-                y: this.history.information,
-                mode: 'lines+markers',
-                name: 'Information',
-                line: { color: '#3b82f6', width: 2 },
-                marker: { size: 4 }
-            },
-            {
-                x: this.history.operations,
-                y: this.history.dynamical,
-                mode: 'lines+markers',
-                name: 'Dynamical',
-                line: { color: '#8b5cf6', width: 2 },
-                marker: { size: 4 }
-            },
-            {
-                x: this.history.operations,
-                y: this.history.geometric,
-                mode: 'lines+markers',
-                name: 'Geometric',
-                line: { color: '#ec4899', width: 2 },
-                marker: { size: 4 }
-            },
-            {
-                x: this.history.operations,
-                y: this.history.scalar,
-                mode: 'lines',
-                name: 'Scalar Average',
-                line: { color: '#facc15', width: 3, dash: 'dash' }
-            }
-        ];
-
-        const layout = {
-            title: {
-                text: 'Complexity Evolution',
-                font: { size: 16 }
-            },
-            xaxis: {
-                title: '',  // Remove title to prevent legend overlap
-                gridcolor: 'rgba(148, 163, 184, 0.1)'
-            },
-            yaxis: {
-                title: 'Complexity Value',
-                range: [0, 1],
-                gridcolor: 'rgba(148, 163, 184, 0.1)'
-            },
-            legend: {
-                x: 0.5,
-                y: -0.15,  // Moved closer to chart
-                xanchor: 'center',
-                orientation: 'h',
-                font: { size: 10 }
-            },
-            margin: { t: 40, r: 20, b: 60, l: 50 },  // Reduced bottom margin
-            height: 350,
-            paper_bgcolor: 'transparent',
-            plot_bgcolor: 'rgba(248, 250, 252, 0.5)',
-            font: {
-                family: 'system-ui, -apple-system, sans-serif',
-                size: 12,
-                color: 'rgb(30, 41, 59)'
-            },
-            hovermode: 'x unified'
-        };
+    rescoreState(state) {
+        const history = this.getRecord(state).history;
+        history.scalar = history.operations.map((_, t) => {
+            const vector = new ComplexityVector(history.pillars.map(series => series[t]), state.schema, history.sigma[t]);
+            history.scalarSigma[t] = state.getScalarUncertainty(vector);
+            return state.getScalar(vector);
+        });
+        if (state === this.state) this.render();
+    }
 
-        const config = {
-            responsive: true,
-            displayModeBar: false,
-            staticPlot: true  // Disable interaction for touch screens
-        };
+    /**
+     * 🧠 Function: subscribeState
+     * Role: Listen to a single state (no portfolio)
+     * Inputs: ComplexityState
+     * Returns: Unsubscribe function
+     */
+    subscribeState(state) {
+        return state.subscribe([...VECTOR_EVENTS, 'normalizationUpdate', 'aggregatorUpdate'], (update) => {
+            if (update.type === 'aggregatorUpdate') {
+                this.rescoreState(state);
+            } else if (update.type === 'normalizationUpdate') {
+                this.render();
+            } else {
+                this.recordState();
+            }
+        });
+    }
 
-        // Check if Plotly is loaded
-        if (typeof Plotly === 'undefined') {
-            console.error('❌ Plotly not loaded!');
-            this.container.innerHTML = '<div class="p-4 text-red-600">Plotly.js not loaded. Please refresh.</div>';
-            return;
+    /**
+     * 🧠 Function: setState
+     * Role: Display another state's timeline (e.g. active system)
+     * Inputs: ComplexityState
+     * Returns: void
+     * Notes: In portfolio mode every system is already being recorded
+     */
+    setState(state) {
+        if (!this.portfolio) {
+            this.unsubscribe();
+            this.unsubscribe = this.subscribeState(state);
+        }
+        this.state = state;
+        if (this.getRecord(state).history.operations.length === 0) {
+            this.recordState(state);
+        }
+        this.render();
+    }
+
+    /**
+     * 🧠 Function: setOverlay
+     * Role: Choose portfolio systems whose scalar is drawn alongside
+     * Inputs: Array of system names
+     * Returns: void
+     */
+    setOverlay(names) {
+        if (!this.portfolio) {
+            throw new Error('Overlays need a portfolio');
+        }
+        names.forEach(name => this.portfolio.getSystem(name));
+        this.overlay = [...names];
+        this.render();
+    }
+
+    /**
+     * 🧠 Function: setXAxis
+     * Role: Switch between operation index and measurement dates
+     * Inputs: 'operation' or 'date', options { render }
+     * Returns: void
+     */
+    setXAxis(mode, options = {}) {
+        if (!X_AXIS_MODES.includes(mode)) {
+            throw new Error(`Unknown x axis: ${mode}`);
+        }
+        this.xAxis = mode;
+        if (options.render !== false) {
+            this.syncControls();
+            this.render();
+        }
+    }
+
+    /**
+     * 🧠 Function: setAggregation
+     * Role: Average date-axis points per week or month
+     * Inputs: 'none', 'week' or 'month', options { render }
+     * Returns: void
+     * Notes: Only applies to the date axis
+     */
+    setAggregation(period, options = {}) {
+        if (!AGGREGATION_PERIODS.includes(period)) {
+            throw new Error(`Unknown aggregation: ${period}`);
+        }
+        this.aggregate = period;
+        if (options.render !== false) {
+            this.syncControls();
+            this.render();
+        }
+    }
+
+    /**
+     * 🧠 Function: setForecast
+     * Role: Choose the forecast method and how far ahead it runs
+     * Inputs: 'none', 'linear', 'ewma' or 'holt', options { horizon, render }
+     * Returns: void
+     * Notes: The horizon counts future points, spaced like the plotted
+     *        ones (weeks or months when grouped)
+     */
+    setForecast(method, options = {}) {
+        if (!FORECAST_OPTIONS.includes(method)) {
+            throw new Error(`Unknown forecast method: ${method}`);
+        }
+        if (options.horizon !== undefined) {
+            if (!Number.isInteger(options.horizon) || options.horizon < 1 || options.horizon > MAX_FORECAST_HORIZON) {
+                throw new Error(`Forecast horizon must be an integer from 1 to ${MAX_FORECAST_HORIZON}`);
+            }
+            this.forecastHorizon = options.horizon;
+        }
+        this.forecastMethod = method;
+        if (options.render !== false) {
+            this.syncControls();
+            this.render();
+        }
+    }
+
+    /**
+     * 🧠 Function: setChangePoints
+     * Role: Choose the change-point detector (or turn it off)
+     * Inputs: 'none', 'cusum' or 'page-hinkley', options { render }
+     * Returns: void
+     */
+    setChangePoints(method, options = {}) {
+        if (!CHANGE_POINT_OPTIONS.includes(method)) {
+            throw new Error(`Unknown change-point method: ${method}`);
+        }
+        this.changeMethod = method;
+        if (options.render !== false) {
+            this.syncControls();
+            this.render();
+        }
+    }
+
+    /**
+     * 🧠 Function: setThresholds
+     * Role: Pillar levels whose crossing the forecast estimates
+     * Inputs: Object { pillarKey: value }, options { render }
+     * Returns: void
+     * Notes: Thresholds are drawn as dotted lines in the pillar color
+     */
+    setThresholds(thresholds, options = {}) {
+        Object.keys(thresholds).forEach(key => {
+            if (!this.state.schema.keys.includes(key)) {
+                throw new Error(`Invalid pillar: ${key}`);
+            }
+        });
+        this.thresholds = { ...thresholds };
+        if (options.render !== false) this.render();
+    }
+
+    /**
+     * 🧠 Function: syncControls
+     * Role: Reflect axis and forecast settings in the controls
+     * Returns: void
+     */
+    syncControls() {
+        const axis = this.container.querySelector?.('.ts-axis');
+        const aggregate = this.container.querySelector?.('.ts-aggregate');
+        const forecast = this.container.querySelector?.('.ts-forecast');
+        const horizon = this.container.querySelector?.('.ts-horizon');
+        const changes = this.container.querySelector?.('.ts-changes');
+        if (axis) axis.value = this.xAxis;
+        if (aggregate) {
+            aggregate.value = this.aggregate;
+            aggregate.disabled = this.xAxis !== 'date';
+        }
+        if (forecast) forecast.value = this.forecastMethod;
+        if (horizon) {
+            horizon.value = this.forecastHorizon;
+            horizon.disabled = this.forecastMethod === 'none';
+        }
+        if (changes) changes.value = this.changeMethod;
+    }
+
+    /**
+     * 🧠 Function: getSeries
+     * Role: Plot data for one state on the current axis
+     * Inputs: ComplexityState
+     * Returns: { x, pillars, scalar, raw, bands } where raw holds per-pillar
+     *          tooltip labels and bands comes from confidenceBands()
+     * Notes: Date mode uses dated measurements when any exist, otherwise
+     *        every entry at its recording time
+     */
+    getSeries(state) {
+        if (this.xAxis === 'operation') {
+            const history = this.getRecord(state).history;
+            const labels = history.raw.map(raw => rawHoverLabels(state, raw));
+            return {
+                x: history.operations,
+                pillars: history.pillars,
+                scalar: history.scalar,
+                raw: state.schema.keys.map((_, i) => labels.map(point => point[i])),
+                bands: confidenceBands(state.schema, history.pillars, history.scalar, history.sigma, history.scalarSigma)
+            };
+        }
+
+        const timeline = state.getTimeline();
+        const dated = timeline.filter(entry => entry.measured);
+        const entries = aggregateTimeline(
+            (dated.length > 0 ? dated : timeline).map(entry => ({
+                measuredAt: entry.measuredAt,
+                values: entry.vector.toArray(),
+                scalar: state.getScalar(entry.vector),
+                raw: entry.raw,
+                sigma: entry.vector.getUncertainty(),
+                scalarSigma: state.getScalarUncertainty(entry.vector)
+            })),
+            this.aggregate
+        );
+        const labels = entries.map(entry => rawHoverLabels(state, entry.raw));
+        const pillars = state.schema.keys.map((_, i) => entries.map(entry => entry.values[i]));
+        const scalar = entries.map(entry => entry.scalar);
+
+        return {
+            x: entries.map(entry => new Date(entry.measuredAt).toISOString()),
+            pillars,
+            scalar,
+            raw: state.schema.keys.map((_, i) => labels.map(point => point[i])),
+            bands: confidenceBands(
+                state.schema, pillars, scalar,
+                entries.map(entry => entry.sigma),
+                entries.map(entry => entry.scalarSigma)
+            )
+        };
+    }
+
+    /**
+     * 🧠 Function: getOverlaySeries
+     * Role: Scalar series of overlaid systems other than the displayed one
+     * Returns: Array of { name, series }
+     */
+    getOverlaySeries() {
+        if (!this.portfolio) return [];
+
+        return this.overlay
+            .map(name => ({ name, state: this.portfolio.systems.get(name) }))
+            .filter(({ state }) => state && state !== this.state)
+            .map(({ name, state }) => ({ name, series: this.getSeries(state) }));
+    }
+
+    /**
+     * 🧠 Function: buildTraces
+     * Role: Plot traces for the displayed state and overlays
+     * Returns: Array of traces: pillars, scalar, overlays, then confidence bands
+     * Notes: Each band is an invisible upper edge followed by a lower edge
+     *        filled up to it
+     */
+    buildTraces() {
+        const schema = this.state.schema;
+        const series = this.getSeries(this.state);
+        const traces = [
+            ...schema.keys.map((_, i) => ({
+                x: series.x,
+                y: series.pillars[i],
+                mode: 'lines+markers',
+                name: schema.labels[i],
+                line: { color: schema.colors[i], width: 2 },
+                marker: { size: 4 },
+                customdata: series.raw[i],
+                hovertemplate: `${schema.labels[i]}: %{y:.3f} (raw %{customdata})<extra></extra>`
+            })),
+            {
+                x: series.x,
+                y: series.scalar.map(v => scalarOnValueAxis(schema, v)),
+                customdata: series.scalar,
+                hovertemplate: `${this.state.aggregatorLabel}: %{customdata:.3f}<extra></extra>`,
+                mode: 'lines',
+                name: this.state.aggregatorLabel,
+                line: { color: '#facc15', width: 3, dash: 'dash' }
+            },
+            ...this.getOverlaySeries().map(({ name, series: overlay }, i) => ({
+                x: overlay.x,
+                y: overlay.scalar.map(v => scalarOnValueAxis(schema, v)),
+                customdata: overlay.scalar,
+                hovertemplate: `${name} (scalar): %{customdata:.3f}<extra></extra>`,
+                mode: 'lines',
+                name: `${name} (scalar)`,
+                line: { color: overlayColor(i), width: 2, dash: 'dot' }
+            }))
+        ];
+
+        if (series.bands) {
+            const edges = [
+                ...series.bands.pillars.map((band, i) => ({ band, color: schema.colors[i], name: schema.labels[i] })),
+                { band: series.bands.scalar, color: '#facc15', name: this.state.aggregatorLabel }
+            ];
+            edges.forEach(({ band, color, name }) => {
+                const edge = {
+                    x: series.x,
+                    mode: 'lines',
+                    line: { width: 0, color },
+                    showlegend: false,
+                    hoverinfo: 'skip'
+                };
+                traces.push({ ...edge, y: band.upper, name: `${name} upper` });
+                traces.push({
+                    ...edge,
+                    y: band.lower,
+                    name: `${name} 95% band`,
+                    fill: 'tonexty',
+                    fillcolor: color,
+                    opacity: BAND_OPACITY
+                });
+            });
+        }
+
+        return [...traces, ...this.buildForecastTraces(series), ...this.buildChangeTraces(series)];
+    }
+
+    /**
+     * 🧠 Function: buildChangeTraces
+     * Role: Triangle markers at detected change points
+     * Inputs: Series from getSeries()
+     * Returns: One marker trace per pillar with change points
+     * Notes: Stores the analysis on this.changes for the alerts;
+     *        markers sit at each change's estimated onset
+     */
+    buildChangeTraces(series) {
+        this.changes = this.changeMethod === 'none'
+            ? null
+            : ComplexityMath.analyzeChangePoints(series.pillars, series.scalar, this.state.schema, {
+                ...this.changeOptions,
+                method: this.changeMethod
+            });
+        if (!this.changes) return [];
+
+        const schema = this.state.schema;
+        return schema.keys
+            .map((key, i) => ({ key, i, changes: this.changes.pillars[key] }))
+            .filter(({ changes }) => changes.length > 0)
+            .map(({ key, i, changes }) => {
+                const masked = changes.map(change =>
+                    this.changes.masked.some(m => m.pillar === key && m.index === change.index));
+                return {
+                    x: changes.map(change => series.x[change.index]),
+                    y: changes.map(change => series.pillars[i][change.index]),
+                    mode: 'markers',
+                    name: `${schema.labels[i]} change points`,
+                    showlegend: false,
+                    marker: {
+                        symbol: changes.map(change => (change.direction === 'up' ? 'triangle-up' : 'triangle-down')),
+                        size: masked.map(flag => (flag ? 14 : 10)),
+                        color: schema.colors[i],
+                        line: {
+                            color: masked.map(flag => (flag ? MASKED_COLOR : 'white')),
+                            width: masked.map(flag => (flag ? 2 : 1))
+                        }
+                    },
+                    text: changes.map((change, c) =>
+                        `${schema.labels[i]} shifted ${change.magnitude >= 0 ? '+' : ''}${change.magnitude.toFixed(3)}` +
+                        (masked[c] ? ' (masked by the scalar)' : '')),
+                    hovertemplate: '%{text}<extra></extra>'
+                };
+            });
+    }
+
+    /**
+     * 🧠 Function: formatX
+     * Role: Readable x position for summaries
+     * Inputs: Operation index, or a date (ms or ISO string) on the date axis
+     * Returns: String
+     */
+    formatX(x) {
+        if (this.xAxis === 'date') {
+            return new Date(x).toISOString().slice(0, 10);
+        }
+        return `operation ${Number.isInteger(x) ? x : x.toFixed(1)}`;
+    }
+
+    /**
+     * 🧠 Function: renderChangeAlerts
+     * Role: Flag pillar regressions the scalar did not show
+     * Returns: void
+     * Notes: Uses the analysis from the last buildTraces call
+     */
+    renderChangeAlerts() {
+        const alerts = this.container.querySelector?.('.ts-alerts');
+        if (!alerts) return;
+
+        const schema = this.state.schema;
+        const series = this.getSeries(this.state);
+        const masked = this.changes ? this.changes.masked : [];
+        alerts.innerHTML = masked.map(({ pillar, index, pillarChange, scalarChange }) => {
+            const label = schema.labels[schema.keys.indexOf(pillar)];
+            const delta = Math.abs(scalarChange).toFixed(3);
+            const scalarText = delta === '0.000' ? 'stayed flat' : `${scalarChange > 0 ? 'rose' : 'fell only'} ${delta}`;
+            return `
+                <div class="mb-1 px-2 py-1 bg-red-50 border-l-4 border-red-500 rounded">
+                    ⚠ ${label} regressed by ${Math.abs(pillarChange).toFixed(3)} from ${this.formatX(series.x[index])}
+                    while ${this.state.aggregatorLabel} ${scalarText}
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * 🧠 Function: getForecast
+     * Role: Forecast every pillar of a plotted series
+     * Inputs: Series from getSeries()
+     * Returns: ComplexityMath.forecastPillars result, or null when
+     *          forecasting is off; x values are numbers (ms on the date axis)
+     */
+    getForecast(series) {
+        if (this.forecastMethod === 'none') return null;
+
+        const xs = this.xAxis === 'date' ? series.x.map(x => Date.parse(x)) : series.x;
+        return ComplexityMath.forecastPillars(xs, series.pillars, this.state.schema, {
+            method: this.forecastMethod,
+            horizon: this.forecastHorizon,
+            thresholds: this.thresholds
+        });
+    }
+
+    /**
+     * 🧠 Function: buildForecastTraces
+     * Role: Dashed projections with shaded prediction intervals
+     * Inputs: Series from getSeries()
+     * Returns: Per forecast pillar: invisible upper edge, filled lower
+     *          edge, then the dashed mean; all start at the last point
+     * Notes: Stores the forecast on this.forecast for the summary
+     */
+    buildForecastTraces(series) {
+        const schema = this.state.schema;
+        this.forecast = this.getForecast(series);
+        if (!this.forecast) return [];
+
+        const toX = (x) => (this.xAxis === 'date' ? new Date(x).toISOString() : x);
+        const traces = [];
+        schema.keys.forEach((key, i) => {
+            const forecast = this.forecast.pillars[key];
+            if (!forecast) return;
+
+            const last = series.pillars[i].at(-1);
+            const x = [series.x.at(-1), ...forecast.points.map(point => toX(point.x))];
+            const edge = {
+                x,
+                mode: 'lines',
+                line: { width: 0, color: schema.colors[i] },
+                showlegend: false,
+                hoverinfo: 'skip'
+            };
+            traces.push({ ...edge, y: [last, ...forecast.points.map(point => point.upper)], name: `${schema.labels[i]} forecast upper` });
+            traces.push({
+                ...edge,
+                y: [last, ...forecast.points.map(point => point.lower)],
+                name: `${schema.labels[i]} forecast interval`,
+                fill: 'tonexty',
+                fillcolor: schema.colors[i],
+                opacity: BAND_OPACITY
+            });
+            traces.push({
+                x,
+                y: [last, ...forecast.points.map(point => point.mean)],
+                mode: 'lines',
+                name: `${schema.labels[i]} forecast`,
+                showlegend: false,
+                line: { color: schema.colors[i], width: 2, dash: 'dash' },
+                hovertemplate: `${schema.labels[i]} forecast: %{y:.3f}<extra></extra>`
+            });
+        });
+        return traces;
+    }
+
+    /**
+     * 🧠 Function: getThresholdShapes
+     * Role: Dotted threshold lines for the layout
+     * Returns: Array of Plotly shapes
+     */
+    getThresholdShapes() {
+        const schema = this.state.schema;
+        return Object.entries(this.thresholds).map(([key, value]) => ({
+            type: 'line',
+            xref: 'paper',
+            x0: 0,
+            x1: 1,
+            y0: value,
+            y1: value,
+            line: { color: schema.colors[schema.keys.indexOf(key)], width: 1, dash: 'dot' }
+        }));
+    }
+
+    /**
+     * 🧠 Function: renderForecastSummary
+     * Role: List when each pillar is expected to reach its threshold
+     * Returns: void
+     * Notes: Uses the forecast from the last buildTraces call
+     */
+    renderForecastSummary() {
+        const summary = this.container.querySelector?.('.ts-forecast-summary');
+        if (!summary) return;
+        if (!this.forecast) {
+            summary.innerHTML = '';
+            return;
+        }
+
+        const schema = this.state.schema;
+        if (Object.values(this.forecast.pillars).every(forecast => forecast === null)) {
+            summary.innerHTML = '<div>Too few points to forecast yet.</div>';
+            return;
+        }
+
+        const lines = schema.keys.map((key, i) => {
+            const forecast = this.forecast.pillars[key];
+            const label = schema.labels[i];
+            if (!forecast || this.thresholds[key] === undefined) return null;
+
+            const crossing = forecast.crossing;
+            const threshold = this.thresholds[key].toFixed(2);
+            if (!crossing) {
+                return `${label}: at ${forecast.origin.value.toFixed(2)} and moving away from ${threshold}`;
+            }
+            const range = crossing.earliest !== null
+                ? ` (interval reaches it from ${this.formatX(crossing.earliest)}${crossing.latest !== null ? `, surely by ${this.formatX(crossing.latest)}` : ''})`
+                : '';
+            return `${label}: reaches ${threshold} around ${this.formatX(crossing.x)}${range}`;
+        }).filter(Boolean);
+
+        summary.innerHTML = lines.map(line => `<div>${line}</div>`).join('');
+    }
+
+    /**
+     * 🧠 Function: render
+     * Role: Render time series chart
+     * Inputs: Traces (built when omitted), options { diff: Plotly.react the
+     *         existing plot instead of a full newPlot }
+     * Returns: void
+     */
+    render(traces = this.buildTraces(), { diff = false } = {}) {
+        const schema = this.state.schema;
+
+        const layout = {
+            title: {
+                text: 'Complexity Evolution',
+                font: { size: 16 }
+            },
+            xaxis: {
+                title: '',  // Remove title to prevent legend overlap
+                type: this.xAxis === 'date' ? 'date' : 'linear',
+                gridcolor: 'rgba(148, 163, 184, 0.1)'
+            },
+            yaxis: {
+                title: 'Complexity Value',
+                range: getValueRange(schema),
+                gridcolor: 'rgba(148, 163, 184, 0.1)'
+            },
+            legend: {
+                x: 0.5,
+                y: -0.15,  // Moved closer to chart
+                xanchor: 'center',
+                orientation: 'h',
+                font: { size: 10 }
+            },
+            margin: { t: 40, r: 20, b: 60, l: 50 },  // Reduced bottom margin
+            height: 350,
+            paper_bgcolor: 'transparent',
+            plot_bgcolor: 'rgba(248, 250, 252, 0.5)',
+            font: {
+                family: 'system-ui, -apple-system, sans-serif',
+                size: 12,
+                color: 'rgb(30, 41, 59)'
+            },
+            hovermode: 'x unified',
+            shapes: this.getThresholdShapes()
+        };
+
+        const config = {
+            responsive: true,
+            displayModeBar: false,
+            staticPlot: !this.state.normalization  // Interactive only when raw tooltips exist
+        };
+
+        // Check if Plotly is loaded
+        if (typeof Plotly === 'undefined') {
+            console.error('❌ Plotly not loaded!');
+            this.plot.innerHTML = '<div class="p-4 text-red-600">Plotly.js not loaded. Please refresh.</div>';
+            return;
         }
 
         console.log('TimeSeriesChart rendering to:', this.container.id);
@@ -636,11 +1793,13 @@ export class TimeSeriesChart {
         console.log('Traces:', traces.length, 'traces');
 
         try {
-            Plotly.newPlot(this.container, traces, layout, config);
+            (diff ? Plotly.react : Plotly.newPlot)(this.plot, traces, layout, config);
+            this.renderForecastSummary();
+            this.renderChangeAlerts();
             console.log('✓ TimeSeriesChart rendered successfully');
         } catch (error) {
             console.error('❌ TimeSeriesChart render failed:', error);
-            this.container.innerHTML = `<div class="p-4 text-red-600">Chart error: ${error.message}</div>`;
+            this.plot.innerHTML = `<div class="p-4 text-red-600">Chart error: ${error.message}</div>`;
         }
     }
 
@@ -651,28 +1810,28 @@ export class TimeSeriesChart {
      */
     update() {
         // Check if chart is initialized
-        if (!this.container || !this.container.data) {
+        if (!this.plot || !this.plot.data) {
             console.warn('TimeSeriesChart not ready for update');
             return;
         }
 
-        // Update all traces
-        Plotly.restyle(this.container, {
-            x: [
-                this.history.operations,
-                this.history.operations,
-                this.history.operations,
-                this.history.operations,
-                this.history.operations
-            ],
-            y: [
-                this.history.algorithmic,
-                this.history.information,
-                this.history.dynamical,
-                this.history.geometric,
-                this.history.scalar
-            ]
-        }, [0, 1, 2, 3, 4]);
+        // Bands appear or disappear with uncertainty, and forecasts and change markers
+        // move with every point: diff those against the plot rather than re-plotting
+        const traces = this.buildTraces();
+        if (traces.length !== this.plot.data.length || this.forecast || this.changes) {
+            this.render(traces, { diff: true });
+            return;
+        }
+
+        // Update all traces (pillars first, then scalar, overlays and bands)
+        const pillarCount = this.state.schema.size;
+        Plotly.restyle(this.plot, {
+            x: traces.map(trace => trace.x),
+            y: traces.map(trace => trace.y)
+        }, traces.map((_, i) => i));
+        Plotly.restyle(this.plot, {
+            customdata: traces.slice(0, pillarCount).map(trace => trace.customdata)
+        }, traces.slice(0, pillarCount).map((_, i) => i));
     }
 
     /**
@@ -681,11 +1840,8 @@ export class TimeSeriesChart {
      * Returns: void
      */
     clear() {
-        // Reset history
-        this.operationCount = 0;
-        Object.keys(this.history).forEach(key => {
-            this.history[key] = [];
-        });
+        // Reset history of the displayed state
+        this.records.delete(this.state);
 
         // Record current state as starting point
         this.recordState();
@@ -700,7 +1856,987 @@ export class TimeSeriesChart {
      * Returns: void
      */
     destroy() {
-        Plotly.purge(this.container);
+        this.unsubscribe();
+        Plotly.purge(this.plot);
+    }
+}
+
+/**
+ * 🧠 Class: ProjectionChart
+ * Role: 3D scatter of a PCA or classical MDS projection
+ * Inputs: Container element, ComplexityState,
+ *         options { portfolio, source: 'history'|'portfolio'|'random', method: 'pca'|'mds',
+ *         seed, random: generateRandomStates options for the 'random' source }
+ * Notes: Points are colored by the information each loses in the
+ *        projection (ComplexityMath.computeProjection residuals). Explained
+ *        variance and per-pillar loadings are listed under the plot.
+ */
+export class ProjectionChart {
+    constructor(container, state, options = {}) {
+        this.container = container;
+        this.state = state;
+        this.portfolio = options.portfolio || null;
+        this.source = options.source || 'history';
+        this.method = options.method || 'pca';
+        this.seed = options.seed ?? null;
+        this.randomOptions = options.random || {};
+        this.samples = null;
+        this.projection = null;
+
+        if (!PROJECTION_SOURCES.includes(this.source)) {
+            throw new Error(`Unknown projection source: ${this.source}`);
+        }
+
+        // Any moved vector can change the projected set
+        this.unsubscribe = (this.portfolio || this.state).subscribe(
+            [...VECTOR_EVENTS, 'batch', 'systemAdd', 'systemRemove', 'systemRename'],
+            (update) => this.onUpdate(update)
+        );
+
+        this.init();
+    }
+
+    /**
+     * 🧠 Function: onUpdate
+     * Role: Re-project when the displayed set changed
+     * Inputs: Update event from the state or portfolio
+     * Returns: void
+     * Notes: Random samples never change; history only follows the active system
+     */
+    onUpdate(update) {
+        if (this.source === 'random') return;
+        if (this.source === 'history' && update.system && update.system !== this.portfolio.activeName) return;
+        this.render();
+    }
+
+    /**
+     * 🧠 Function: init
+     * Role: Build controls and the plot container
+     * Returns: void
+     */
+    init() {
+        this.container.innerHTML = `
+            <div class="flex flex-wrap justify-between items-center gap-3 mb-2">
+                <h3 class="text-lg font-semibold text-gray-900">Projection</h3>
+                <div class="flex flex-wrap gap-3 text-xs text-gray-600">
+                    <label>Vectors
+                        <select class="projection-source ml-1 px-1 py-0.5 border border-gray-300 rounded">
+                            <option value="history" ${this.source === 'history' ? 'selected' : ''}>History</option>
+                            <option value="portfolio" ${this.source === 'portfolio' ? 'selected' : ''} ${this.portfolio ? '' : 'disabled'}>Portfolio</option>
+                            <option value="random" ${this.source === 'random' ? 'selected' : ''}>Random samples</option>
+                        </select>
+                    </label>
+                    <label>Method
+                        <select class="projection-method ml-1 px-1 py-0.5 border border-gray-300 rounded">
+                            <option value="pca" ${this.method === 'pca' ? 'selected' : ''}>PCA</option>
+                            <option value="mds" ${this.method === 'mds' ? 'selected' : ''}>Classical MDS</option>
+                        </select>
+                    </label>
+                </div>
+            </div>
+            <div class="projection-plot"></div>
+            <div class="projection-summary text-xs text-gray-600 mt-2"></div>
+        `;
+        this.plot = this.container.querySelector('.projection-plot') || this.container;
+        this.summary = this.container.querySelector('.projection-summary');
+
+        this.container.querySelector('.projection-source')?.addEventListener('change', (e) => this.setSource(e.target.value));
+        this.container.querySelector('.projection-method')?.addEventListener('change', (e) => this.setMethod(e.target.value));
+
+        this.render();
+    }
+
+    /**
+     * 🧠 Function: setSource / setMethod
+     * Role: Choose which vectors are projected and how
+     * Inputs: Source or method name
+     * Returns: void
+     * Notes: Choosing 'random' draws a fresh sample
+     */
+    setSource(source) {
+        if (!PROJECTION_SOURCES.includes(source)) {
+            throw new Error(`Unknown projection source: ${source}`);
+        }
+        if (source === 'portfolio' && !this.portfolio) {
+            throw new Error('The portfolio source needs a portfolio');
+        }
+        this.source = source;
+        this.samples = null;
+        this.render();
+    }
+
+    setMethod(method) {
+        this.method = method;
+        this.render();
+    }
+
+    /**
+     * 🧠 Function: getPoints
+     * Role: Vectors and labels for the current source
+     * Returns: { vectors, labels }
+     */
+    getPoints() {
+        if (this.source === 'portfolio') {
+            const systems = this.portfolio.listSystems();
+            return { vectors: systems.map(s => s.vector), labels: systems.map(s => s.name) };
+        }
+        if (this.source === 'random') {
+            if (!this.samples) {
+                this.samples = ComplexityMath.generateRandomStates(PROJECTION_RANDOM_COUNT, {
+                    seed: this.seed,
+                    ...this.randomOptions,
+                    schema: this.state.schema
+                });
+            }
+            return { vectors: this.samples, labels: this.samples.map((_, i) => `Sample ${i + 1}`) };
+        }
+
+        const history = this.state.history;
+        return {
+            vectors: [...history.map(entry => entry.vector), this.state.vector],
+            labels: [...history.map((entry, i) => `${i}: before ${entry.operation || 'start'}`), 'Current']
+        };
+    }
+
+    /**
+     * 🧠 Function: render
+     * Role: Fit the projection and draw the scatter
+     * Returns: void
+     */
+    render() {
+        const { vectors, labels } = this.getPoints();
+        if (vectors.length < 2) {
+            this.projection = null;
+            Plotly.purge(this.plot);
+            this.plot.innerHTML = '<div class="p-4 text-sm text-gray-500">Need at least two vectors to project.</div>';
+            this.summary.innerHTML = '';
+            return;
+        }
+
+        this.projection = ComplexityMath.computeProjection(vectors, { method: this.method });
+        const { coordinates, residuals, components } = this.projection;
+        const axis = (k) => coordinates.map(c => c[k] ?? 0);
+        const axisTitle = (k) => components[k]
+            ? `${this.method === 'pca' ? 'PC' : 'Axis '}${k + 1} (${(components[k].explained * 100).toFixed(0)}%)`
+            : '—';
+
+        const data = [{
+            type: 'scatter3d',
+            mode: this.source === 'history' ? 'lines+markers' : 'markers',
+            x: axis(0),
+            y: axis(1),
+            z: axis(2),
+            text: labels,
+            customdata: residuals,
+            hovertemplate: '%{text}<br>Information lost: %{customdata:.3f}<extra></extra>',
+            line: { color: 'rgba(148, 163, 184, 0.6)', width: 2 },
+            marker: {
+                size: 5,
+                color: residuals,
+                colorscale: 'YlOrRd',
+                cmin: 0,
+                colorbar: { title: 'Lost', thickness: 12 }
+            }
+        }];
+
+        const layout = {
+            height: 380,
+            margin: { t: 10, r: 10, b: 10, l: 10 },
+            scene: {
+                xaxis: { title: axisTitle(0) },
+                yaxis: { title: axisTitle(1) },
+                zaxis: { title: axisTitle(2) }
+            },
+            paper_bgcolor: 'transparent',
+            font: {
+                family: 'system-ui, -apple-system, sans-serif',
+                size: 11,
+                color: 'rgb(30, 41, 59)'
+            }
+        };
+
+        Plotly.newPlot(this.plot, data, layout, { responsive: true, displayModeBar: false });
+        this.renderSummary();
+    }
+
+    /**
+     * 🧠 Function: renderSummary
+     * Role: Explained variance and loadings table
+     * Returns: void
+     */
+    renderSummary() {
+        const { components, explainedTotal, keys } = this.projection;
+        const labels = this.state.schema.labels;
+
+        const header = components.map((c, k) => `<th class="px-2 text-right">${this.method === 'pca' ? 'PC' : 'Axis '}${k + 1}</th>`).join('');
+        const rows = keys.map((key, j) => `
+            <tr>
+                <td class="pr-2">${labels[j]}</td>
+                ${components.map(c => `<td class="px-2 text-right font-mono">${c.loadings[key].toFixed(2)}</td>`).join('')}
+            </tr>
+        `).join('');
+
+        this.summary.innerHTML = `
+            <p class="mb-1">
+                ${components.length} axes keep ${(explainedTotal * 100).toFixed(1)}% of the variance;
+                ${((1 - explainedTotal) * 100).toFixed(1)}% is lost.
+                ${this.method === 'mds' ? 'Loadings are pillar–axis correlations.' : ''}
+            </p>
+            <table>
+                <thead><tr><th class="pr-2 text-left">Pillar</th>${header}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * 🧠 Function: setState
+     * Role: Project another state's history (e.g. active system)
+     * Inputs: ComplexityState
+     * Returns: void
+     */
+    setState(state) {
+        this.state = state;
+        if (this.source === 'history') this.render();
+    }
+
+    /**
+     * 🧠 Function: destroy
+     * Role: Clean up Plotly instance
+     * Returns: void
+     */
+    destroy() {
+        this.unsubscribe();
+        Plotly.purge(this.plot);
+    }
+}
+
+/**
+ * 🧠 Class: WeightSensitivityChart
+ * Role: Heatmap of which weightings rank the current vector above a
+ *       history entry
+ * Inputs: Container element, ComplexityState, options { pair: [i, j], seed }
+ * Notes: Shows scalar(current) − scalar(entry) over the weights of two
+ *        pillars (ComplexityMath.weightSlice), the current weights, the
+ *        nearest flip point and the share of the simplex where the
+ *        current vector wins (ComplexityMath.analyzeWeightSensitivity)
+ */
+export class WeightSensitivityChart {
+    constructor(container, state, options = {}) {
+        this.container = container;
+        this.state = state;
+        this.pair = options.pair || [0, 1];
+        this.seed = options.seed ?? null;
+        this.compareIndex = null;  // History entry index; null = the latest
+        this.analysis = null;
+        this.cache = null;  // { key, analysis, slices } for the last compared vectors
+        this.renderTimer = null;
+
+        this.subscribeState();
+
+        // Delegated: controls are rebuilt on every render
+        this.handleChange = (e) => this.onChange(e);
+        this.container.addEventListener('change', this.handleChange);
+
+        this.render();
+    }
+
+    /**
+     * 🧠 Function: subscribeState
+     * Role: Redraw when vectors, weights or the aggregator change
+     * Returns: void
+     */
+    subscribeState() {
+        this.unsubscribe = this.state.subscribe(
+            [...VECTOR_EVENTS, 'weightsUpdate', 'aggregatorUpdate', 'batch'],
+            () => this.scheduleRender()
+        );
+    }
+
+    /**
+     * 🧠 Function: scheduleRender
+     * Role: Redraw after SAMPLED_CHART_DELAY without further changes
+     * Returns: void
+     * Notes: Each redraw samples the weight simplex, which is too slow to
+     *        repeat on every slider step
+     */
+    scheduleRender() {
+        clearTimeout(this.renderTimer);
+        this.renderTimer = setTimeout(() => this.render(), SAMPLED_CHART_DELAY);
+    }
+
+    /**
+     * 🧠 Function: onChange
+     * Role: Handle the comparison and pillar-pair selectors
+     * Inputs: Change event
+     * Returns: void
+     */
+    onChange(event) {
+        const target = event.target;
+        if (target.classList.contains('sensitivity-compare')) {
+            this.compareIndex = Number(target.value);
+        } else if (target.classList.contains('sensitivity-x')) {
+            this.setPair([Number(target.value), this.pair[1]]);
+            return;
+        } else if (target.classList.contains('sensitivity-y')) {
+            this.setPair([this.pair[0], Number(target.value)]);
+            return;
+        } else {
+            return;
+        }
+        this.render();
+    }
+
+    /**
+     * 🧠 Function: setPair
+     * Role: Choose the two pillars whose weights span the heatmap
+     * Inputs: [i, j] pillar indices
+     * Returns: void
+     * Notes: Picking the same pillar twice swaps the axes
+     */
+    setPair([i, j]) {
+        this.pair = i === j ? [this.pair[1], this.pair[0]] : [i, j];
+        this.render();
+    }
+
+    /**
+     * 🧠 Function: render
+     * Role: Draw controls, heatmap and summary
+     * Returns: void
+     * Notes: The analysis and slices are reused while the compared
+     *        vectors, weights and aggregator stay the same
+     */
+    render() {
+        clearTimeout(this.renderTimer);
+        const schema = this.state.schema;
+        const history = this.state.history;
+        if (this.compareIndex !== null && this.compareIndex >= history.length) {
+            this.compareIndex = null;
+        }
+        const index = this.compareIndex ?? history.length - 1;
+
+        const pillarOptions = (selected) => schema.labels.map((label, i) =>
+            `<option value="${i}" ${i === selected ? 'selected' : ''}>${label}</option>`).join('');
+        const entryOptions = history.map((entry, i) =>
+            `<option value="${i}" ${i === index ? 'selected' : ''}>${i}: before ${entry.operation || 'start'}</option>`
+        ).join('');
+
+        this.container.innerHTML = `
+            <div class="flex flex-wrap justify-between items-center gap-3 mb-2">
+                <h3 class="text-lg font-semibold text-gray-900">Weight Sensitivity</h3>
+                <div class="flex flex-wrap gap-3 text-xs text-gray-600">
+                    <label>Compare with
+                        <select class="sensitivity-compare ml-1 px-1 py-0.5 border border-gray-300 rounded" ${history.length ? '' : 'disabled'}>
+                            ${entryOptions}
+                        </select>
+                    </label>
+                    <label>X weight
+                        <select class="sensitivity-x ml-1 px-1 py-0.5 border border-gray-300 rounded">${pillarOptions(this.pair[0])}</select>
+                    </label>
+                    <label>Y weight
+                        <select class="sensitivity-y ml-1 px-1 py-0.5 border border-gray-300 rounded">${pillarOptions(this.pair[1])}</select>
+                    </label>
+                </div>
+            </div>
+            <div class="sensitivity-plot"></div>
+            <div class="sensitivity-summary text-xs text-gray-600 mt-2"></div>
+        `;
+        this.plot = this.container.querySelector('.sensitivity-plot') || this.container;
+        const summary = this.container.querySelector('.sensitivity-summary');
+
+        if (history.length === 0) {
+            this.analysis = null;
+            this.plot.innerHTML = '<div class="p-4 text-sm text-gray-500">Make a change to compare against a history entry.</div>';
+            return;
+        }
+
+        const current = this.state.vector;
+        const other = history[index].vector;
+        const options = { weights: this.state.weights, aggregator: this.state.aggregator };
+        const key = JSON.stringify([current.toArray(), other.toArray(), options, this.seed]);
+        if (this.cache?.key !== key) {
+            this.cache = {
+                key,
+                analysis: ComplexityMath.analyzeWeightSensitivity(current, other, {
+                    ...options,
+                    samples: SENSITIVITY_CHART_SAMPLES,
+                    seed: this.seed
+                }),
+                slices: new Map()
+            };
+        }
+        this.analysis = this.cache.analysis;
+        const pairKey = this.pair.join();
+        if (!this.cache.slices.has(pairKey)) {
+            this.cache.slices.set(pairKey, ComplexityMath.weightSlice(current, other, { ...options, pair: this.pair }));
+        }
+        const slice = this.cache.slices.get(pairKey);
+        const [i, j] = this.pair;
+        const { weights, difference } = this.analysis.current;
+        const flip = this.analysis.flip;
+
+        const data = [
+            {
+                type: 'heatmap',
+                x: slice.axis,
+                y: slice.axis,
+                z: slice.z,
+                zmid: 0,
+                colorscale: 'RdBu',
+                colorbar: { title: 'Δ scalar', thickness: 12 },
+                hovertemplate: `w ${schema.labels[i]}: %{x:.2f}<br>w ${schema.labels[j]}: %{y:.2f}<br>Current − entry: %{z:.3f}<extra></extra>`
+            },
+            {
+                type: 'scatter',
+                mode: 'markers',
+                x: [weights[i]],
+                y: [weights[j]],
+                name: 'Current weights',
+                marker: { color: '#111827', size: 10, symbol: 'circle-open', line: { width: 2 } }
+            },
+            ...(flip ? [{
+                type: 'scatter',
+                mode: 'markers',
+                x: [flip.weights[i]],
+                y: [flip.weights[j]],
+                name: 'Nearest flip',
+                marker: { color: '#f59e0b', size: 10, symbol: 'x' }
+            }] : [])
+        ];
+
+        const layout = {
+            height: 340,
+            margin: { t: 10, r: 10, b: 50, l: 60 },
+            xaxis: { title: `${schema.labels[i]} weight`, range: [0, 1] },
+            yaxis: { title: `${schema.labels[j]} weight`, range: [0, 1] },
+            showlegend: true,
+            legend: { orientation: 'h', y: -0.25 },
+            paper_bgcolor: 'transparent',
+            plot_bgcolor: 'transparent',
+            font: {
+                family: 'system-ui, -apple-system, sans-serif',
+                size: 11,
+                color: 'rgb(30, 41, 59)'
+            }
+        };
+
+        Plotly.newPlot(this.plot, data, layout, { responsive: true, displayModeBar: false });
+
+        const verdict = Math.abs(difference) <= 1e-6
+            ? 'The current weights rank them equal'
+            : `The current weights rank the current vector ${difference > 0 ? 'above' : 'below'} the entry by ${Math.abs(difference).toFixed(3)}`;
+        summary.innerHTML = `
+            <p>${verdict}. The current vector wins under
+               <span class="font-medium">${(this.analysis.fraction * 100).toFixed(1)}%</span> of all weightings.</p>
+            <p>${flip
+                ? `Nearest flip: [${flip.weights.map(w => w.toFixed(2)).join(', ')}], distance ${flip.distance.toFixed(3)}.`
+                : 'No weighting flips this ranking.'}</p>
+        `;
+    }
+
+    /**
+     * 🧠 Function: setState
+     * Role: Analyze another state (e.g. active system)
+     * Inputs: ComplexityState
+     * Returns: void
+     */
+    setState(state) {
+        this.unsubscribe();
+        this.state = state;
+        this.compareIndex = null;
+        this.subscribeState();
+        this.render();
+    }
+
+    /**
+     * 🧠 Function: destroy
+     * Role: Clean up Plotly instance and listeners
+     * Returns: void
+     */
+    destroy() {
+        clearTimeout(this.renderTimer);
+        this.unsubscribe();
+        this.container.removeEventListener('change', this.handleChange);
+        if (this.plot) Plotly.purge(this.plot);
+    }
+}
+
+/**
+ * 🧠 Class: AcceptabilityChart
+ * Role: Stacked bars of each system's SMAA rank acceptability
+ * Inputs: Container element, ComplexityPortfolio, options { seed, samples, constraints }
+ * Notes: One bar segment per rank (1st darkest). Central weights and
+ *        pairwise winning indices are tabulated under the chart. The
+ *        seed makes redraws reproducible; Resample draws a new seed.
+ */
+export class AcceptabilityChart {
+    constructor(container, portfolio, options = {}) {
+        this.container = container;
+        this.portfolio = portfolio;
+        this.seed = options.seed ?? SMAA_DEFAULT_SEED;
+        this.samples = options.samples || SMAA_CHART_SAMPLES;
+        this.constraints = options.constraints || null;
+        this.result = null;
+        this.resultKey = null;  // Inputs of the last drawn result
+        this.renderTimer = null;
+
+        this.unsubscribe = portfolio.subscribe(
+            [...VECTOR_EVENTS, 'batch', 'aggregatorUpdate', 'systemAdd', 'systemRemove', 'systemRename', 'activeChange'],
+            () => this.scheduleRender()
+        );
+
+        this.init();
+    }
+
+    /**
+     * 🧠 Function: init
+     * Role: Build controls and containers
+     * Returns: void
+     */
+    init() {
+        this.container.innerHTML = `
+            <div class="flex flex-wrap justify-between items-center gap-3 mb-2">
+                <h3 class="text-lg font-semibold text-gray-900">Rank Acceptability (SMAA)</h3>
+                <div class="flex gap-2 items-center text-xs text-gray-600">
+                    <label>Seed
+                        <input type="number" class="smaa-seed ml-1 w-20 px-1 py-0.5 border border-gray-300 rounded" value="${this.seed}">
+                    </label>
+                    <button class="smaa-resample px-2 py-1 bg-teal-600 text-white rounded hover:bg-teal-700">Resample</button>
+                </div>
+            </div>
+            <div class="smaa-plot"></div>
+            <div class="smaa-summary text-xs text-gray-600 mt-2 overflow-x-auto"></div>
+        `;
+        this.plot = this.container.querySelector('.smaa-plot') || this.container;
+        this.summary = this.container.querySelector('.smaa-summary');
+
+        this.container.querySelector('.smaa-seed')?.addEventListener('change', (e) => this.setSeed(Number(e.target.value)));
+        this.container.querySelector('.smaa-resample')?.addEventListener('click', () => {
+            this.setSeed(Math.floor(Math.random() * 1e6));
+        });
+
+        this.render();
+    }
+
+    /**
+     * 🧠 Function: setSeed
+     * Role: Recompute with another seed
+     * Inputs: Seed number
+     * Returns: void
+     */
+    setSeed(seed) {
+        this.seed = seed;
+        const input = this.container.querySelector('.smaa-seed');
+        if (input) input.value = seed;
+        this.render();
+    }
+
+    /**
+     * 🧠 Function: setConstraints
+     * Role: Restrict the sampled weights
+     * Inputs: Constraints { bounds, order } or null
+     * Returns: void
+     */
+    setConstraints(constraints) {
+        this.constraints = constraints;
+        this.render();
+    }
+
+    /**
+     * 🧠 Function: scheduleRender
+     * Role: Redraw after SAMPLED_CHART_DELAY without further changes
+     * Returns: void
+     * Notes: SMAA samples every system under thousands of weightings,
+     *        which is too slow to repeat on every slider step
+     */
+    scheduleRender() {
+        clearTimeout(this.renderTimer);
+        this.renderTimer = setTimeout(() => this.render(), SAMPLED_CHART_DELAY);
+    }
+
+    /**
+     * 🧠 Function: render
+     * Role: Run SMAA and draw the stacked bars
+     * Returns: void
+     * Notes: Constraint errors are shown in place of the chart. Nothing is
+     *        recomputed while the vectors, aggregator, seed and constraints
+     *        match the last drawn result.
+     */
+    render() {
+        clearTimeout(this.renderTimer);
+        const key = JSON.stringify([
+            this.portfolio.names,
+            this.portfolio.names.map(name => this.portfolio.getSystem(name).vector.toArray()),
+            this.portfolio.active.aggregator,
+            this.samples,
+            this.seed,
+            this.constraints
+        ]);
+        if (key === this.resultKey) return;
+        this.resultKey = key;
+
+        try {
+            this.result = this.portfolio.computeSMAA({
+                samples: this.samples,
+                seed: this.seed,
+                constraints: this.constraints || undefined
+            });
+        } catch (error) {
+            this.result = null;
+            Plotly.purge(this.plot);
+            this.plot.innerHTML = `<div class="p-4 text-sm text-red-600">${escapeHtml(error.message)}</div>`;
+            this.summary.innerHTML = '';
+            return;
+        }
+
+        const { names, acceptability } = this.result;
+        const data = names.map((_, rank) => ({
+            type: 'bar',
+            name: `Rank ${rank + 1}`,
+            x: names,
+            y: acceptability.map(row => row[rank]),
+            marker: { color: RANK_COLORS[Math.min(rank, RANK_COLORS.length - 1)] },
+            hovertemplate: `%{x}: rank ${rank + 1} in %{y:.1%} of weightings<extra></extra>`
+        }));
+
+        const layout = {
+            barmode: 'stack',
+            height: 320,
+            margin: { t: 10, r: 10, b: 50, l: 50 },
+            yaxis: { title: 'Acceptability', range: [0, 1], tickformat: '.0%' },
+            legend: { orientation: 'h', y: -0.2 },
+            paper_bgcolor: 'transparent',
+            plot_bgcolor: 'transparent',
+            font: {
+                family: 'system-ui, -apple-system, sans-serif',
+                size: 11,
+                color: 'rgb(30, 41, 59)'
+            }
+        };
+
+        Plotly.newPlot(this.plot, data, layout, { responsive: true, displayModeBar: false });
+        this.renderSummary();
+    }
+
+    /**
+     * 🧠 Function: renderSummary
+     * Role: Central weights and pairwise winning indices
+     * Returns: void
+     */
+    renderSummary() {
+        const { names, centralWeights, pairwise } = this.result;
+        const labels = this.portfolio.schema.labels;
+
+        const centralRows = names.map((name, i) => `
+            <tr>
+                <td class="pr-2">${escapeHtml(name)}</td>
+                ${centralWeights[i]
+                    ? centralWeights[i].map(w => `<td class="px-1 text-right font-mono">${w.toFixed(2)}</td>`).join('')
+                    : `<td class="px-1 text-gray-400" colspan="${labels.length}">never ranked first</td>`}
+            </tr>
+        `).join('');
+        const pairRows = names.map((name, i) => `
+            <tr>
+                <td class="pr-2">${escapeHtml(name)}</td>
+                ${pairwise[i].map((p, j) => `<td class="px-1 text-right font-mono">${i === j ? '—' : `${(p * 100).toFixed(0)}%`}</td>`).join('')}
+            </tr>
+        `).join('');
+
+        this.summary.innerHTML = `
+            <p class="mb-1">${this.result.samples} weightings, seed ${this.seed}.</p>
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <table>
+                    <caption class="text-left font-medium mb-1">Central weights</caption>
+                    <thead><tr><th></th>${labels.map(l => `<th class="px-1 text-right">${l}</th>`).join('')}</tr></thead>
+                    <tbody>${centralRows}</tbody>
+                </table>
+                <table>
+                    <caption class="text-left font-medium mb-1">Row beats column</caption>
+                    <thead><tr><th></th>${names.map(n => `<th class="px-1 text-right">${escapeHtml(n)}</th>`).join('')}</tr></thead>
+                    <tbody>${pairRows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * 🧠 Function: destroy
+     * Role: Clean up Plotly instance
+     * Returns: void
+     */
+    destroy() {
+        clearTimeout(this.renderTimer);
+        this.unsubscribe();
+        Plotly.purge(this.plot);
+    }
+}
+
+/**
+ * 🧠 Class: CorrelationHeatmap
+ * Role: Pillar-by-pillar correlation or covariance heatmap
+ * Inputs: Container element, ComplexityState,
+ *         options { portfolio, source: 'history'|'portfolio',
+ *         method: 'pearson'|'spearman', view: 'correlation'|'covariance', changes }
+ * Notes: Answers "does improving one pillar tend to cost another?"
+ *        (ComplexityMath.computeCorrelations). Cells are marked * for
+ *        p < 0.05 and ** for p < 0.01; the strongest pairs are listed
+ *        under the plot. 'Step changes' correlates successive changes
+ *        instead of levels so a shared trend is not read as a link.
+ */
+export class CorrelationHeatmap {
+    constructor(container, state, options = {}) {
+        this.container = container;
+        this.state = state;
+        this.portfolio = options.portfolio || null;
+        this.source = options.source || 'history';
+        this.method = options.method || 'pearson';
+        this.view = options.view || 'correlation';
+        this.changes = !!options.changes;
+        this.result = null;
+
+        if (!CORRELATION_SOURCES.includes(this.source)) {
+            throw new Error(`Unknown correlation source: ${this.source}`);
+        }
+        if (!CORRELATION_VIEWS.includes(this.view)) {
+            throw new Error(`Unknown correlation view: ${this.view}`);
+        }
+
+        // Any moved vector can change the analysed set
+        this.unsubscribe = (this.portfolio || this.state).subscribe(
+            [...VECTOR_EVENTS, 'batch', 'systemAdd', 'systemRemove', 'systemRename'],
+            (update) => this.onUpdate(update)
+        );
+
+        this.init();
+    }
+
+    /**
+     * 🧠 Function: onUpdate
+     * Role: Recompute when the analysed set changed
+     * Inputs: Update event from the state or portfolio
+     * Returns: void
+     * Notes: History only follows the active system
+     */
+    onUpdate(update) {
+        if (this.source === 'history' && update.system && update.system !== this.portfolio.activeName) return;
+        this.render();
+    }
+
+    /**
+     * 🧠 Function: init
+     * Role: Build controls and the plot container
+     * Returns: void
+     */
+    init() {
+        this.container.innerHTML = `
+            <div class="flex flex-wrap justify-between items-center gap-3 mb-2">
+                <h3 class="text-lg font-semibold text-gray-900">Pillar Correlations</h3>
+                <div class="flex flex-wrap gap-3 text-xs text-gray-600">
+                    <label>Vectors
+                        <select class="correlation-source ml-1 px-1 py-0.5 border border-gray-300 rounded">
+                            <option value="history" ${this.source === 'history' ? 'selected' : ''}>History</option>
+                            <option value="portfolio" ${this.source === 'portfolio' ? 'selected' : ''} ${this.portfolio ? '' : 'disabled'}>Portfolio</option>
+                        </select>
+                    </label>
+                    <label>Method
+                        <select class="correlation-method ml-1 px-1 py-0.5 border border-gray-300 rounded">
+                            <option value="pearson" ${this.method === 'pearson' ? 'selected' : ''}>Pearson</option>
+                            <option value="spearman" ${this.method === 'spearman' ? 'selected' : ''}>Spearman</option>
+                        </select>
+                    </label>
+                    <label>Show
+                        <select class="correlation-view ml-1 px-1 py-0.5 border border-gray-300 rounded">
+                            <option value="correlation" ${this.view === 'correlation' ? 'selected' : ''}>Correlation</option>
+                            <option value="covariance" ${this.view === 'covariance' ? 'selected' : ''}>Covariance</option>
+                        </select>
+                    </label>
+                    <label class="flex items-center gap-1">
+                        <input type="checkbox" class="correlation-changes" ${this.changes ? 'checked' : ''}>
+                        Step changes
+                    </label>
+                </div>
+            </div>
+            <div class="correlation-plot"></div>
+            <div class="correlation-summary text-xs text-gray-600 mt-2"></div>
+        `;
+        this.plot = this.container.querySelector('.correlation-plot') || this.container;
+        this.summary = this.container.querySelector('.correlation-summary');
+
+        this.container.querySelector('.correlation-source')?.addEventListener('change', (e) => this.setSource(e.target.value));
+        this.container.querySelector('.correlation-method')?.addEventListener('change', (e) => this.setMethod(e.target.value));
+        this.container.querySelector('.correlation-view')?.addEventListener('change', (e) => this.setView(e.target.value));
+        this.container.querySelector('.correlation-changes')?.addEventListener('change', (e) => this.setChanges(e.target.checked));
+
+        this.render();
+    }
+
+    /**
+     * 🧠 Function: setSource / setMethod / setView / setChanges
+     * Role: Choose which vectors are analysed and what is shown
+     * Inputs: Source, method or view name; boolean for setChanges
+     * Returns: void
+     */
+    setSource(source) {
+        if (!CORRELATION_SOURCES.includes(source)) {
+            throw new Error(`Unknown correlation source: ${source}`);
+        }
+        if (source === 'portfolio' && !this.portfolio) {
+            throw new Error('The portfolio source needs a portfolio');
+        }
+        this.source = source;
+        this.render();
+    }
+
+    setMethod(method) {
+        this.method = method;
+        this.render();
+    }
+
+    setView(view) {
+        if (!CORRELATION_VIEWS.includes(view)) {
+            throw new Error(`Unknown correlation view: ${view}`);
+        }
+        this.view = view;
+        this.render();
+    }
+
+    setChanges(changes) {
+        this.changes = !!changes;
+        this.render();
+    }
+
+    /**
+     * 🧠 Function: getCorrelations
+     * Role: Correlation analysis for the current source
+     * Returns: ComplexityMath.computeCorrelations result
+     * Notes: Throws when there are too few vectors
+     */
+    getCorrelations() {
+        const options = { method: this.method, changes: this.changes };
+        return this.source === 'portfolio'
+            ? this.portfolio.computeCorrelations(options)
+            : this.state.computeCorrelations(options);
+    }
+
+    /**
+     * 🧠 Function: significanceMark
+     * Role: Stars for a p-value
+     * Inputs: p-value or null
+     * Returns: '**', '*' or ''
+     */
+    significanceMark(p) {
+        if (p === null) return '';
+        const level = SIGNIFICANCE_LEVELS.find(([alpha]) => p < alpha);
+        return level ? level[1] : '';
+    }
+
+    /**
+     * 🧠 Function: render
+     * Role: Compute correlations and draw the heatmap
+     * Returns: void
+     */
+    render() {
+        try {
+            this.result = this.getCorrelations();
+        } catch (error) {
+            this.result = null;
+            Plotly.purge(this.plot);
+            this.plot.innerHTML = `<div class="p-4 text-sm text-gray-500">${escapeHtml(error.message)}</div>`;
+            this.summary.innerHTML = '';
+            return;
+        }
+
+        const { keys, correlation, covariance, pValues } = this.result;
+        const labels = keys.map(key => this.state.schema.labels[this.state.schema.keys.indexOf(key)] || key);
+        const isCorrelation = this.view === 'correlation';
+        const z = isCorrelation ? correlation : covariance;
+        const limit = isCorrelation ? 1 : Math.max(...covariance.flat().map(Math.abs), EPSILON_DISPLAY);
+        const text = z.map((row, i) => row.map((value, j) => {
+            if (value === null) return '—';
+            const digits = isCorrelation ? 2 : 4;
+            return `${value.toFixed(digits)}${i === j ? '' : this.significanceMark(pValues[i][j])}`;
+        }));
+        const pText = pValues.map(row => row.map(p => (p === null ? '—' : p.toPrecision(2))));
+
+        const data = [{
+            type: 'heatmap',
+            x: labels,
+            y: labels,
+            z,
+            text,
+            customdata: pText,
+            texttemplate: '%{text}',
+            zmin: -limit,
+            zmax: limit,
+            zmid: 0,
+            colorscale: 'RdBu',
+            colorbar: { title: isCorrelation ? 'r' : 'Cov', thickness: 12 },
+            hovertemplate: `%{y} × %{x}<br>${isCorrelation ? 'r' : 'Cov'}: %{text}<br>p: %{customdata}<extra></extra>`
+        }];
+
+        const layout = {
+            height: 340,
+            margin: { t: 10, r: 10, b: 60, l: 90 },
+            yaxis: { autorange: 'reversed' },
+            paper_bgcolor: 'transparent',
+            font: {
+                family: 'system-ui, -apple-system, sans-serif',
+                size: 11,
+                color: 'rgb(30, 41, 59)'
+            }
+        };
+
+        Plotly.newPlot(this.plot, data, layout, { responsive: true, displayModeBar: false });
+        this.renderSummary(labels);
+    }
+
+    /**
+     * 🧠 Function: renderSummary
+     * Role: Sample size and the strongest pillar pairs
+     * Inputs: Pillar labels in result order
+     * Returns: void
+     */
+    renderSummary(labels) {
+        const { keys, count, changes, method, pairs } = this.result;
+        const label = (key) => labels[keys.indexOf(key)];
+        const rows = pairs.slice(0, CORRELATION_SUMMARY_PAIRS).map(({ a, b, r, p }) => `
+            <li>
+                ${escapeHtml(label(a))} / ${escapeHtml(label(b))}:
+                <span class="font-mono">r = ${r.toFixed(2)}</span>
+                (p ${p < 0.001 ? '&lt; 0.001' : `= ${p.toFixed(3)}`})
+                ${r < 0 ? '— one tends to fall as the other rises' : '— they tend to move together'}
+            </li>
+        `).join('');
+
+        this.summary.innerHTML = `
+            <p class="mb-1">
+                ${method === 'spearman' ? 'Spearman' : 'Pearson'} over ${count}
+                ${changes ? 'step changes' : (this.source === 'portfolio' ? 'systems' : 'history points')};
+                * p &lt; 0.05, ** p &lt; 0.01.
+            </p>
+            ${rows ? `<ul class="list-disc ml-4">${rows}</ul>` : '<p>Every pillar is constant; nothing to correlate.</p>'}
+        `;
+    }
+
+    /**
+     * 🧠 Function: setState
+     * Role: Analyse another state's history (e.g. active system)
+     * Inputs: ComplexityState
+     * Returns: void
+     */
+    setState(state) {
+        this.state = state;
+        if (this.source === 'history') this.render();
+    }
+
+    /**
+     * 🧠 Function: destroy
+     * Role: Clean up Plotly instance
+     * Returns: void
+     */
+    destroy() {
+        this.unsubscribe();
+        Plotly.purge(this.plot);
     }
 }
 
@@ -708,5 +2844,9 @@ export class TimeSeriesChart {
 export default {
     RadarChart,
     CycleAnimator,
-    TimeSeriesChart
+    TimeSeriesChart,
+    ProjectionChart,
+    WeightSensitivityChart,
+    AcceptabilityChart,
+    CorrelationHeatmap
 };
\ No newline at end of file
@@ -3,19 +3,299 @@
  * Initializes and orchestrates all dashboard components
  */
 
-import { ComplexityState } from './complexity-state.js';
-import { InputPanel, VectorDisplay } from './complexity-components.js';
-import { RadarChart, CycleAnimator, TimeSeriesChart } from './complexity-visualizations.js';
+import { ComplexityState, defaultVectorFor, fromUnitValues, VECTOR_EVENTS } from './complexity-state.js';
+import { InputPanel, VectorDisplay, HistoryNavigator, SessionPanel, PortfolioPanel, AxiomPanel } from './complexity-components.js';
+import { RadarChart, CycleAnimator, TimeSeriesChart, ProjectionChart, WeightSensitivityChart, AcceptabilityChart, CorrelationHeatmap } from './complexity-visualizations.js';
+import { SessionStore, PersistenceError, DEFAULT_SESSION } from './complexity-persistence.js';
+import { encodePermalink, decodePermalink, readPermalink, buildPermalinkUrl } from './complexity-permalink.js';
+import { ComplexityPortfolio } from './complexity-portfolio.js';
+
+const PERMALINK_SYNC_DELAY = 250; // ms; browsers throttle rapid replaceState calls
 
 export class ComplexityDashboard {
   constructor(config) {
     this.config = config;
-    this.state = new ComplexityState();
+    // Optional pillar schema (keys, labels, colors, ranges); defaults to the 4 paper pillars
+    // Optional `seed` makes sampled charts, searches and checks reproducible across reloads
+    // Opt-in portfolio: `portfolio: true` or { systems: ['API', { name: 'Billing', initial: [...] }] }
+    // this.state is always the system the controls edit
+    this.portfolio = null;
+    if (config.portfolio) {
+      this.portfolio = new ComplexityPortfolio({
+        schema: config.schema,
+        normalization: config.normalization,
+        aggregator: config.aggregator,
+        ...(config.portfolio === true ? {} : config.portfolio)
+      });
+      this.state = this.portfolio.active;
+      this.unsubscribePortfolio = this.portfolio.subscribe(
+        ['activeChange', 'import', 'systemRemove'],
+        () => this.syncActiveSystem()
+      );
+    } else {
+      this.state = new ComplexityState({
+        schema: config.schema,
+        normalization: config.normalization,
+        aggregator: config.aggregator
+      });
+    }
     this.components = {};
 
+    // Opt-in persistence: `persistence: true` or { storage, namespace, session, debounce, onError }
+    // `ready` resolves to true once a saved session or permalink has been applied,
+    // or when the user edited the dashboard before the session finished loading
+    this.store = null;
+    this.ready = Promise.resolve(false);
+    if (config.persistence) {
+      this.setupPersistence(config.persistence === true ? {} : config.persistence);
+    }
+
+    // Opt-in permalinks: `permalink: true` or { mode: 'hash' | 'query', onError }
+    // A link in the URL wins over a restored session
+    if (config.permalink) {
+      this.setupPermalink(config.permalink === true ? {} : config.permalink);
+    }
+
     this.initialize();
   }
 
+  // Events come from every system in portfolio mode
+  get events() {
+    return this.portfolio || this.state;
+  }
+
+  exportSnapshot() {
+    return this.portfolio ? this.portfolio.export() : this.state.export();
+  }
+
+  importSnapshot(snapshot) {
+    (this.portfolio || this.state).import(snapshot);
+  }
+
+  syncActiveSystem() {
+    if (this.portfolio.active === this.state) return;
+
+    this.state = this.portfolio.active;
+    Object.values(this.components).forEach(component => {
+      if (component && typeof component.setState === 'function') {
+        component.setState(this.state);
+      }
+    });
+  }
+
+  setOverlay(names) {
+    ['radar', 'timeSeries'].forEach(key => {
+      if (this.components[key]) this.components[key].setOverlay(names);
+    });
+  }
+
+  setupPersistence(options) {
+    try {
+      this.store = new SessionStore({
+        ...options,
+        onError: (error) => this.handlePersistenceError(error)
+      });
+    } catch (error) {
+      this.handlePersistenceError(error);
+      return;
+    }
+
+    this.persistenceOptions = options;
+    this.sessionName = options.session || null;
+    this.restoring = false;
+
+    // Autosave on every event (debounced inside the store)
+    this.unsubscribePersistence = this.events.subscribe('*', () => {
+      if (!this.restoring && this.sessionName) {
+        this.store.scheduleSave(this.sessionName, () => this.exportSnapshot());
+      }
+    });
+
+    // Write the last edit before the page goes away
+    this.handlePageHide = () => this.store.flush();
+    window.addEventListener('pagehide', this.handlePageHide);
+
+    this.ready = this.restoreSession();
+  }
+
+  async restoreSession() {
+    // Edits made while storage is being read win over the saved snapshot
+    let edited = false;
+    const stopWatching = this.events.subscribe('*', () => { edited = true; });
+    // Autosave stays detached until the session is known to be good,
+    // so a record that fails to load is never overwritten
+    let name = this.sessionName;
+    this.sessionName = null;
+    try {
+      name = name || await this.store.getActive();
+      const snapshot = await this.store.load(name);
+      stopWatching();
+      if (edited) {
+        console.log(`Skipped restoring "${name}": the dashboard was edited first`);
+        this.sessionName = name;
+        this.store.scheduleSave(name, () => this.exportSnapshot());
+        return true;
+      }
+      if (snapshot) {
+        this.restoring = true;
+        this.importSnapshot(snapshot);
+        this.sessionName = name;
+        console.log(`✓ Restored session: ${name}`);
+        return true;
+      }
+      this.sessionName = name;
+    } catch (error) {
+      this.handlePersistenceError(
+        new PersistenceError(`Failed to restore session "${name}"; autosave is off until a session is saved or loaded`, 'restore', error)
+      );
+    } finally {
+      stopWatching();
+      this.restoring = false;
+    }
+    return false;
+  }
+
+  setupPermalink(options) {
+    this.permalinkMode = options.mode === 'query' ? 'query' : 'hash';
+    this.permalinkOptions = options;
+    this.permalinkSyncing = false;
+    this.permalinkTimer = null;
+
+    // Read the link before any restore/sync can rewrite the URL
+    const raw = readPermalink(window.location, this.permalinkMode);
+
+    this.ready = this.ready.then(restored => {
+      const applied = this.applyPermalink(raw);
+      this.permalinkSyncing = true;
+      return restored || applied;
+    });
+
+    // Only the encoded fields (of the active system) matter for the URL
+    const permalinkEvents = [...VECTOR_EVENTS, 'weightsUpdate', 'deltasUpdate', 'batch', 'activeChange'];
+    this.unsubscribePermalink = this.events.subscribe(permalinkEvents, () => {
+      if (!this.permalinkSyncing) return;
+      clearTimeout(this.permalinkTimer);
+      this.permalinkTimer = setTimeout(() => this.syncPermalink(), PERMALINK_SYNC_DELAY);
+    });
+  }
+
+  applyPermalink(raw) {
+    try {
+      const link = decodePermalink(raw, this.state.schema);
+      if (!link) return false;
+
+      // One history entry and one notification; rolled back if any part is rejected
+      this.state.batch(state => {
+        if (link.weights) state.updateWeights(link.weights);
+        if (link.deltas) state.updateDeltas(link.deltas);
+        state.currentScenario = link.scenario;
+        state.updateVector(link.vector);
+      }, 'Load permalink');
+    } catch (error) {
+      // Malformed links fall back to the current state
+      console.warn('⚠️ Ignoring invalid permalink:', error.message);
+      this.showNotice(`Ignored invalid link: ${error.message}`, true);
+      if (typeof this.permalinkOptions.onError === 'function') {
+        this.permalinkOptions.onError(error);
+      }
+      return false;
+    }
+    console.log('✓ Applied permalink');
+    return true;
+  }
+
+  syncPermalink() {
+    const url = buildPermalinkUrl(window.location, encodePermalink(this.state), this.permalinkMode);
+    window.history.replaceState(window.history.state, '', url);
+  }
+
+  getPermalink() {
+    return buildPermalinkUrl(window.location, encodePermalink(this.state), this.permalinkMode || 'hash');
+  }
+
+  showNotice(message, isError = false) {
+    const el = this.config.notice ? document.getElementById(this.config.notice) : null;
+    if (!el) return;
+    el.textContent = message;
+    el.className = `mb-4 px-4 py-3 text-sm rounded-lg border-l-4 ${isError ? 'bg-red-50 border-red-400 text-red-800' : 'bg-teal-50 border-teal-500 text-teal-900'}`;
+  }
+
+  handlePersistenceError(error) {
+    console.error('❌ Persistence error:', error);
+    if (this.components.sessions) {
+      this.components.sessions.showStatus(error.message, true);
+    }
+    if (this.persistenceOptions && typeof this.persistenceOptions.onError === 'function') {
+      this.persistenceOptions.onError(error);
+    }
+  }
+
+  requireStore() {
+    if (!this.store) {
+      throw new PersistenceError('Persistence is not enabled for this dashboard', 'unavailable');
+    }
+    return this.store;
+  }
+
+  async listSessions() {
+    return this.requireStore().list();
+  }
+
+  async saveSessionAs(name) {
+    const store = this.requireStore();
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      throw new Error('Session name cannot be empty');
+    }
+
+    store.cancel();
+    await store.save(trimmed, this.exportSnapshot());
+    await store.setActive(trimmed);
+    this.sessionName = trimmed;
+  }
+
+  async loadSession(name) {
+    const store = this.requireStore();
+    const snapshot = await store.load(name);
+    if (!snapshot) {
+      throw new PersistenceError(`No saved session named "${name}"`, 'read');
+    }
+
+    // Flush pending writes to the old session, then switch only once the
+    // import went through (import() validates before touching the state);
+    // a failed import leaves autosave bound to the previous session
+    await store.flush();
+    this.restoring = true;
+    try {
+      this.importSnapshot(snapshot);
+    } finally {
+      this.restoring = false;
+    }
+
+    this.sessionName = name;
+    await store.setActive(name);
+  }
+
+  async deleteSession(name) {
+    const store = this.requireStore();
+    if (name === this.sessionName) {
+      // Detach first so autosave cannot recreate the session; "Save as" reattaches
+      this.sessionName = null;
+      store.cancel();
+      if (await store.getActive() === name) {
+        await store.setActive(DEFAULT_SESSION);
+      }
+    }
+    await store.remove(name);
+  }
+
+  async clearSavedData() {
+    const store = this.requireStore();
+    await store.clear();
+    this.sessionName = this.persistenceOptions.session || await store.getActive();
+    console.log('✓ Saved data cleared');
+  }
+
   initialize() {
     console.log('Starting dashboard initialization...');
     console.log('Config:', this.config);
@@ -28,7 +308,7 @@ export class ComplexityDashboard {
         const el = document.getElementById(this.config.inputPanel);
         console.log('Input panel element:', el);
         if (el) {
-          this.components.input = new InputPanel(el, this.state);
+          this.components.input = new InputPanel(el, this.state, { portfolio: this.portfolio });
           console.log('✓ Input panel created');
         }
       } catch (error) {
@@ -41,7 +321,11 @@ export class ComplexityDashboard {
         const el = document.getElementById(this.config.vectorDisplay);
         console.log('Vector display element:', el);
         if (el) {
-          this.components.vector = new VectorDisplay(el, this.state);
+          this.components.vector = new VectorDisplay(el, this.state, {
+            portfolio: this.portfolio,
+            paretoReference: this.config.paretoReference,
+            seed: this.config.seed
+          });
           console.log('✓ Vector display created');
         }
       } catch (error) {
@@ -49,12 +333,53 @@ export class ComplexityDashboard {
       }
     }
 
+    if (this.config.historyNavigator) {
+      try {
+        const el = document.getElementById(this.config.historyNavigator);
+        console.log('History navigator element:', el);
+        if (el) {
+          this.components.history = new HistoryNavigator(el, this.state);
+          console.log('✓ History navigator created');
+        }
+      } catch (error) {
+        console.error('❌ History navigator failed:', error);
+      }
+    }
+
+    if (this.config.sessionPanel && this.store) {
+      try {
+        const el = document.getElementById(this.config.sessionPanel);
+        console.log('Session panel element:', el);
+        if (el) {
+          this.components.sessions = new SessionPanel(el, this.state, this);
+          console.log('✓ Session panel created');
+        }
+      } catch (error) {
+        console.error('❌ Session panel failed:', error);
+      }
+    }
+
+    if (this.config.portfolioPanel && this.portfolio) {
+      try {
+        const el = document.getElementById(this.config.portfolioPanel);
+        console.log('Portfolio panel element:', el);
+        if (el) {
+          this.components.portfolio = new PortfolioPanel(el, this.portfolio, {
+            onOverlayChange: (names) => this.setOverlay(names)
+          });
+          console.log('✓ Portfolio panel created');
+        }
+      } catch (error) {
+        console.error('❌ Portfolio panel failed:', error);
+      }
+    }
+
     if (this.config.radarChart) {
       try {
         const el = document.getElementById(this.config.radarChart);
         console.log('Radar chart element:', el);
         if (el) {
-          this.components.radar = new RadarChart(el, this.state);
+          this.components.radar = new RadarChart(el, this.state, { portfolio: this.portfolio });
           console.log('✓ Radar chart created');
         }
       } catch (error) {
@@ -67,7 +392,7 @@ export class ComplexityDashboard {
         const el = document.getElementById(this.config.cycleAnimator);
         console.log('Cycle animator element:', el);
         if (el) {
-          this.components.cycle = new CycleAnimator(el, this.state);
+          this.components.cycle = new CycleAnimator(el, this.state, { seed: this.config.seed });
           console.log('✓ Cycle animator created');
         }
       } catch (error) {
@@ -75,12 +400,34 @@ export class ComplexityDashboard {
       }
     }
 
+    if (this.config.axiomPanel) {
+      try {
+        const el = document.getElementById(this.config.axiomPanel);
+        console.log('Axiom panel element:', el);
+        if (el) {
+          this.components.axioms = new AxiomPanel(el, this.state, {
+            onCounterexample: (counterexample) => {
+              if (this.components.radar) this.components.radar.setCounterexample(counterexample);
+            },
+            seed: this.config.seed
+          });
+          console.log('✓ Axiom panel created');
+        }
+      } catch (error) {
+        console.error('❌ Axiom panel failed:', error);
+      }
+    }
+
     if (this.config.timeSeries) {
       try {
         const el = document.getElementById(this.config.timeSeries);
         console.log('Time series element:', el);
         if (el) {
-          this.components.timeSeries = new TimeSeriesChart(el, this.state);
+          this.components.timeSeries = new TimeSeriesChart(el, this.state, undefined, {
+            portfolio: this.portfolio,
+            forecast: this.config.forecast,
+            changePoints: this.config.changePoints
+          });
           console.log('✓ Time series created');
         }
       } catch (error) {
@@ -88,6 +435,64 @@ export class ComplexityDashboard {
       }
     }
 
+    if (this.config.projectionChart) {
+      try {
+        const el = document.getElementById(this.config.projectionChart);
+        console.log('Projection chart element:', el);
+        if (el) {
+          this.components.projection = new ProjectionChart(el, this.state, { portfolio: this.portfolio, seed: this.config.seed });
+          console.log('✓ Projection chart created');
+        }
+      } catch (error) {
+        console.error('❌ Projection chart failed:', error);
+      }
+    }
+
+    if (this.config.weightSensitivity) {
+      try {
+        const el = document.getElementById(this.config.weightSensitivity);
+        console.log('Weight sensitivity element:', el);
+        if (el) {
+          this.components.sensitivity = new WeightSensitivityChart(el, this.state, { seed: this.config.seed });
+          console.log('✓ Weight sensitivity chart created');
+        }
+      } catch (error) {
+        console.error('❌ Weight sensitivity chart failed:', error);
+      }
+    }
+
+    if (this.config.acceptabilityChart && this.portfolio) {
+      try {
+        const el = document.getElementById(this.config.acceptabilityChart);
+        console.log('Acceptability chart element:', el);
+        if (el) {
+          this.components.acceptability = new AcceptabilityChart(el, this.portfolio, {
+            seed: this.config.seed,
+            ...this.config.smaa
+          });
+          console.log('✓ Acceptability chart created');
+        }
+      } catch (error) {
+        console.error('❌ Acceptability chart failed:', error);
+      }
+    }
+
+    if (this.config.correlationHeatmap) {
+      try {
+        const el = document.getElementById(this.config.correlationHeatmap);
+        console.log('Correlation heatmap element:', el);
+        if (el) {
+          this.components.correlation = new CorrelationHeatmap(el, this.state, {
+            portfolio: this.portfolio,
+            ...this.config.correlation
+          });
+          console.log('✓ Correlation heatmap created');
+        }
+      } catch (error) {
+        console.error('❌ Correlation heatmap failed:', error);
+      }
+    }
+
     console.log('✅ Dashboard initialization complete');
     console.log('Components created:', Object.keys(this.components));
   }
@@ -105,7 +510,12 @@ export class ComplexityDashboard {
       const scenario = data.scenarios.find(s => s.name === name);
 
       if (scenario) {
-        this.state.updateVector(scenario.initial);
+        if (scenario.initial.length !== this.state.schema.size) {
+          console.warn(`Scenario ${name} does not match the ${this.state.schema.size}-pillar schema`);
+          return;
+        }
+        // Scenario files are written for [0, 1] pillars
+        this.state.updateVector(fromUnitValues(scenario.initial, this.state.schema));
         console.log(`Loaded scenario: ${name}`);
         return scenario;
       }
@@ -116,8 +526,8 @@ export class ComplexityDashboard {
   }
 
   reset() {
-    this.state.updateVector([0.5, 0.5, 0.5, 0.5]);
-    this.state.history = [];
+    this.state.updateVector(defaultVectorFor(this.state.schema));
+    this.state.clearHistory();
   }
 
   getState() {
@@ -129,6 +539,21 @@ export class ComplexityDashboard {
   }
 
   destroy() {
+    if (this.unsubscribePortfolio) {
+      this.unsubscribePortfolio();
+    }
+
+    if (this.unsubscribePermalink) {
+      clearTimeout(this.permalinkTimer);
+      this.unsubscribePermalink();
+    }
+
+    if (this.store) {
+      this.store.flush();
+      this.unsubscribePersistence();
+      window.removeEventListener('pagehide', this.handlePageHide);
+    }
+
     Object.values(this.components).forEach(component => {
       if (component && typeof component.destroy === 'function') {
         component.destroy();